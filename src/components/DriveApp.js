@@ -1,7 +1,23 @@
-import { DriveCore } from "../lib/drive-core.js";
+import {
+  DriveCore,
+  DEFAULT_TRASH_RETENTION_DAYS,
+} from "../lib/drive-core.js";
 import { FileGrid } from "./FileGrid.js";
 import { UploadArea } from "./UploadArea.js";
 import { SettingsPanel } from "./SettingsPanel.js";
+import { SharesPanel } from "./SharesPanel.js";
+import { TransferPanel } from "./TransferPanel.js";
+import { KeyRotation } from "../lib/key-rotation.js";
+import { WalletSharing, isWalletAddress } from "../lib/wallet-share.js";
+import { LinkSharing } from "../lib/share-link.js";
+import {
+  UploadQueue,
+  DEFAULT_UPLOAD_CONCURRENCY,
+} from "../lib/upload-queue.js";
+import { UploadQueueStore } from "../lib/upload-queue-store.js";
+import { DOWNLOAD_STATUS } from "../lib/download-engine.js";
+import { createZipStream } from "../lib/zip-writer.js";
+import { extractArchive } from "../lib/archive-reader.js";
 
 // Ethers.js for wallet connection - using global from CDN (added to index.html)
 const ethers = window.ethers;
@@ -12,6 +28,8 @@ export class DriveApp {
       onProgress: (progress) => this.handleProgress(progress),
       onStatusChange: (status) => this.handleStatusChange(status),
     });
+    this.walletSharing = new WalletSharing(this.driveCore);
+    this.linkSharing = new LinkSharing(this.driveCore);
 
     this.files = [];
     this.isLoading = false;
@@ -21,6 +39,49 @@ export class DriveApp {
       localStorage.getItem("shogun-drive-relay-url") || window.location.origin;
     this.encryptionToken =
       localStorage.getItem("shogun-drive-encryption-token") || "";
+    this.encryptMetadata =
+      localStorage.getItem("shogun-drive-encrypt-metadata") === "true";
+    // Usa la chiave derivata dal wallet per i nuovi upload (default)
+    this.useWalletKey =
+      localStorage.getItem("shogun-drive-use-wallet-key") !== "false";
+    this.uploadConcurrency =
+      parseInt(localStorage.getItem("shogun-drive-upload-concurrency")) ||
+      DEFAULT_UPLOAD_CONCURRENCY;
+    this.verifyDownloads =
+      localStorage.getItem("shogun-drive-verify-downloads") === "true";
+    this.publishFolderNames =
+      localStorage.getItem("shogun-drive-publish-folder-names") === "true";
+    // 0 = il cestino si svuota solo a mano
+    const trashRetentionDays = localStorage.getItem(
+      "shogun-drive-trash-retention-days"
+    );
+    this.trashRetentionDays =
+      trashRetentionDays === null
+        ? DEFAULT_TRASH_RETENTION_DAYS
+        : parseInt(trashRetentionDays) || 0;
+
+    // Coda degli upload: job concorrenti con pausa/ripresa, salvati in
+    // IndexedDB per riprenderli dopo un reload
+    this.uploadQueue = new UploadQueue(this.driveCore, {
+      concurrency: this.uploadConcurrency,
+      uploader: (job, options) => this.runUploadJob(job, options),
+      store: new UploadQueueStore(),
+      onChange: () => this.updateTransfers(),
+      onIdle: (batch) => this.handleUploadQueueIdle(batch),
+    });
+
+    // Download in corso e conclusi, mostrati nel pannello dei trasferimenti
+    this.downloads = [];
+
+    // Storage backend: shogun-relay (default) or direct Kubo API
+    this.storageBackend =
+      localStorage.getItem("shogun-drive-backend") || "relay";
+    this.kuboSettings = {
+      apiUrl: localStorage.getItem("shogun-drive-kubo-api-url") || "",
+      gatewayUrl: localStorage.getItem("shogun-drive-kubo-gateway-url") || "",
+      username: localStorage.getItem("shogun-drive-kubo-username") || "",
+      password: localStorage.getItem("shogun-drive-kubo-password") || "",
+    };
     
     // Wallet connection state
     this.walletConnected = false;
@@ -36,10 +97,15 @@ export class DriveApp {
     this.isAuthenticated = false;
     this.currentPath = []; // Array per tracciare il percorso di navigazione (stack di directory)
     this.currentDirectoryCid = null; // CID della directory corrente (null = root)
+    this.currentFolderId = null; // Identità stabile della directory corrente (vedi DriveCore.resolveFolder)
+    this.currentSubPath = ""; // Sottocartella dentro la directory corrente ("" = radice)
+    this.clipboard = null; // { file, copy }: elemento tagliato o copiato
+    this.showingTrash = false; // Vista del cestino al posto del drive
     this.storageInfo = null; // Informazioni sullo storage
 
-    // Set relay URL first
+    // Set relay URL and storage backend first
     this.driveCore.setRelayUrl(this.relayUrl);
+    this.driveCore.setBackend(this.storageBackend, this.kuboSettings);
     
     if (this.authToken) {
       this.driveCore.setAuthToken(this.authToken);
@@ -47,6 +113,11 @@ export class DriveApp {
     if (this.encryptionToken) {
       this.driveCore.setEncryptionToken(this.encryptionToken);
     }
+    this.driveCore.setEncryptMetadata(this.encryptMetadata);
+    this.driveCore.setUseWalletKey(this.useWalletKey);
+    this.driveCore.setVerifyDownloads(this.verifyDownloads);
+    this.driveCore.setPublishFolderNames(this.publishFolderNames);
+    this.driveCore.setTrashRetentionDays(this.trashRetentionDays);
     if (this.userAddress) {
       this.driveCore.setUserAddress(this.userAddress);
     }
@@ -57,6 +128,13 @@ export class DriveApp {
       this.driveCore.setWalletSignature(this.walletSignature);
     }
 
+    // Aggiorna il breadcrumb quando cambiano i metadati della directory corrente
+    this.driveCore.metadataStore.subscribe(({ cid }) => {
+      if (cid && cid === this.currentDirectoryCid) {
+        this.updateBreadcrumb();
+      }
+    });
+
     // Initialize theme from localStorage
     this.initTheme();
   }
@@ -70,10 +148,28 @@ export class DriveApp {
     // Verifica connessione e autenticazione
     await this.checkConnection();
 
-    if (this.authToken && this.isConnected && this.isAuthenticated) {
+    // Bookmark e link a una cartella: #folder=<folderId>&path=<sottocartella>
+    this.openFolderFromLocation();
+    window.addEventListener("hashchange", () => {
+      if (this.openFolderFromLocation()) {
+        this.loadFiles();
+      }
+    });
+
+    const hasSavedAccess = this.authToken || this.storageBackend === "kubo";
+    if (hasSavedAccess && this.isConnected && this.isAuthenticated) {
       await this.loadFiles();
       await this.loadStorageInfo();
-    } else if (this.authToken) {
+
+      if (KeyRotation.getPendingState()) {
+        this.showStatus(
+          "A key rotation was interrupted - rotate again with the same key to resume",
+          "warning"
+        );
+      }
+
+      await this.restoreUploadQueue();
+    } else if (hasSavedAccess) {
       this.showStatus(
         "Please check your connection and authentication settings",
         "warning"
@@ -81,9 +177,29 @@ export class DriveApp {
     }
   }
 
+  /**
+   * Ripristina in pausa gli upload interrotti da un reload: si riprendono
+   * dal pannello dei trasferimenti (Resume all) con la cartella di
+   * destinazione e le opzioni di cifratura originali
+   */
+  async restoreUploadQueue() {
+    try {
+      const records = await this.uploadQueue.store.list();
+      const jobs = this.uploadQueue.restore(records);
+      if (jobs.length === 0) return;
+
+      this.showStatus(
+        `${jobs.length} upload(s) were interrupted - resume them from the transfers panel`,
+        "warning"
+      );
+    } catch (error) {
+      console.warn("⚠️ Could not restore the upload queue:", error);
+    }
+  }
+
   async checkConnection() {
-    // With wallet auth, we don't need authToken - just userAddress
-    if (!this.userAddress && !this.authToken) {
+    // With wallet auth, we don't need authToken - just userAddress (Kubo needs only its URL)
+    if (!this.driveCore.hasCredentials()) {
       this.isConnected = false;
       this.isAuthenticated = false;
       this.updateConnectionStatus();
@@ -108,7 +224,6 @@ export class DriveApp {
 
     const statusIndicator = this.container.querySelector("#connectionStatus");
     const walletBtn = this.container.querySelector("#walletBtn");
-    const walletAddress = this.container.querySelector("#walletAddressDisplay");
     
     if (statusIndicator) {
       if (this.walletConnected && this.isConnected) {
@@ -198,6 +313,9 @@ export class DriveApp {
       
       // Update DriveCore with signature
       this.driveCore.setWalletSignature(this.walletSignature);
+
+      // Derive the encryption key from a dedicated typed-data signature
+      await this.deriveWalletKey();
       
       this.showStatus(`Wallet connected: ${this.walletAddress.slice(0, 6)}...${this.walletAddress.slice(-4)}`, "success");
       
@@ -211,6 +329,7 @@ export class DriveApp {
       if (this.isConnected) {
         await this.loadFiles();
         await this.loadStorageInfo();
+        await this.restoreUploadQueue();
       }
       
       // Listen for account changes
@@ -232,6 +351,10 @@ export class DriveApp {
             this.walletSignature = null;
             this.driveCore.setWalletSignature(null);
           }
+
+          // The encryption key belongs to the previous account
+          this.signer = await this.provider.getSigner();
+          await this.deriveWalletKey();
           
           localStorage.setItem("shogun-drive-wallet-address", accounts[0]);
           localStorage.setItem("shogun-drive-user-address", accounts[0]);
@@ -248,6 +371,42 @@ export class DriveApp {
     }
   }
 
+  /**
+   * Deriva la chiave di cifratura dal wallet connesso
+   * La chiave resta solo in memoria: a ogni sessione la firma viene richiesta
+   * di nuovo. Se l'utente la rifiuta resta disponibile il token manuale
+   */
+  async deriveWalletKey() {
+    this.driveCore.clearWalletKey();
+    if (!this.signer || !this.walletAddress) return;
+
+    try {
+      this.showStatus("Sign to derive your encryption key...", "info");
+      await this.driveCore.deriveWalletKey(this.signer, this.walletAddress);
+      console.log("Wallet encryption key derived");
+      await this.publishSharingKey();
+    } catch (keyError) {
+      console.error("Encryption key signature rejected:", keyError);
+      this.showStatus(
+        "Encryption key not derived - using the encryption token from settings",
+        "warning"
+      );
+    }
+  }
+
+  /**
+   * Pubblica la chiave di condivisione del wallet, così altri utenti possono
+   * condividere file con questo indirizzo (firma richiesta solo la prima volta)
+   */
+  async publishSharingKey() {
+    if (!this.driveCore.backend.capabilities.remoteMetadata) return;
+    try {
+      await this.walletSharing.publishKey(this.signer);
+    } catch (error) {
+      console.warn("⚠️ Sharing key not published:", error.message);
+    }
+  }
+
   updateSettingsPanel() {
     // Re-create settings panel with current state
     const settingsPanelContainer = document.querySelector("#settingsPanelContainer");
@@ -262,7 +421,16 @@ export class DriveApp {
         encryptionToken: this.encryptionToken,
         userAddress: this.userAddress,
         walletConnected: this.walletConnected,
+        storageBackend: this.storageBackend,
+        kubo: this.kuboSettings,
+        encryptMetadata: this.encryptMetadata,
+        useWalletKey: this.useWalletKey,
+        uploadConcurrency: this.uploadConcurrency,
+        verifyDownloads: this.verifyDownloads,
+        publishFolderNames: this.publishFolderNames,
+        trashRetentionDays: this.trashRetentionDays,
         onSave: (settings) => this.handleSettingsSave(settings),
+        onRotateKey: (target) => this.handleKeyRotation(target),
       });
       
       settingsPanelContainer.appendChild(this.settingsPanel.render());
@@ -280,8 +448,9 @@ export class DriveApp {
     localStorage.removeItem("shogun-drive-wallet-address");
     localStorage.removeItem("shogun-drive-user-address");
     
-    // Clear driveCore user
+    // Clear driveCore user and wallet key
     this.driveCore.setUserAddress("");
+    this.driveCore.clearWalletKey();
     
     // Clear files
     this.files = [];
@@ -318,6 +487,16 @@ export class DriveApp {
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" />
             </svg>
           </button>
+          <button id="sharesBtn" class="btn-icon" title="Shares">
+            <svg xmlns="http://www.w3.org/2000/svg" class="icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+            </svg>
+          </button>
+          <button id="trashBtn" class="btn-icon" title="Trash">
+            <svg xmlns="http://www.w3.org/2000/svg" class="icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+          </button>
           <button id="settingsBtn" class="btn-icon" title="Settings">
             <svg xmlns="http://www.w3.org/2000/svg" class="icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
@@ -352,6 +531,9 @@ export class DriveApp {
             </svg>
             New Folder
           </button>
+          <button id="pasteBtn" class="btn-secondary" style="display: none;">Paste</button>
+          <button id="cancelPasteBtn" class="btn-secondary" style="display: none;">Cancel</button>
+          <button id="emptyTrashBtn" class="btn-secondary" style="display: none;">Empty Trash</button>
           <div id="breadcrumb" class="breadcrumb" style="display: none;"></div>
         </div>
         <div class="toolbar-right">
@@ -371,6 +553,8 @@ export class DriveApp {
         <div id="fileGridContainer"></div>
         <div id="uploadAreaContainer"></div>
         <div id="settingsPanelContainer" style="display: none;"></div>
+        <div id="sharesPanelContainer" style="display: none;"></div>
+        <div id="transferPanelContainer"></div>
       </div>
 
       <footer class="w-full py-5 px-1 mt-auto">
@@ -420,11 +604,23 @@ export class DriveApp {
       onFileClick: (file) => this.handleFileClick(file),
       onFileDelete: (file) => this.handleFileDelete(file),
       onFileDownload: (file) => this.handleFileDownload(file),
+      onFileShare: (file) => this.handleFileShare(file),
+      onFileVerify: (file) => this.handleFileVerify(file),
+      onFileRename: (file, newName) => this.handleFileRename(file, newName),
+      onFileCut: (file) => this.setClipboard(file, false),
+      onFileCopy: (file) => this.setClipboard(file, true),
+      onFileDrop: (file, folder, copy) =>
+        this.transferFile(file, this.folderTarget(folder), copy),
       onFolderClick: (folder) => this.handleFolderClick(folder),
+      onFolderDownload: (folder) => this.handleFolderDownload(folder),
+      onFileRestore: (file) => this.handleFileRestore(file),
     });
 
     this.uploadArea = new UploadArea({
-      onUpload: (files) => this.handleUpload(files),
+      // Le cartelle si riconoscono da webkitRelativePath (vedi handleUpload)
+      onUpload: (files, isFolder, options) =>
+        this.handleUpload(files, false, options),
+      onExtract: (archives) => this.handleArchiveUpload(archives),
       onDragOver: () => this.handleDragOver(),
       onDragLeave: () => this.handleDragLeave(),
     });
@@ -435,7 +631,35 @@ export class DriveApp {
       encryptionToken: this.encryptionToken,
       userAddress: this.userAddress,
       walletConnected: this.walletConnected,
+      storageBackend: this.storageBackend,
+      kubo: this.kuboSettings,
+      encryptMetadata: this.encryptMetadata,
+      useWalletKey: this.useWalletKey,
+      uploadConcurrency: this.uploadConcurrency,
+      verifyDownloads: this.verifyDownloads,
+      publishFolderNames: this.publishFolderNames,
+      trashRetentionDays: this.trashRetentionDays,
       onSave: (settings) => this.handleSettingsSave(settings),
+      onRotateKey: (target) => this.handleKeyRotation(target),
+    });
+
+    this.sharesPanel = new SharesPanel({
+      onOpen: (share, entry) => this.handleSharedFileOpen(share, entry),
+      onDownload: (share, entry) => this.handleSharedFileDownload(share, entry),
+      onRevoke: (share) => this.handleShareRevoke(share),
+      onCopyLink: (share) => this.copyShareLink(share.link, share.name),
+      onRevokeLink: (share) => this.handleLinkRevoke(share),
+      onClose: () => this.toggleShares(),
+    });
+
+    this.transferPanel = new TransferPanel({
+      driveCore: this.driveCore,
+      onPause: (id) => this.uploadQueue.pause(id),
+      onResume: (id) => this.uploadQueue.resume(id),
+      onCancel: (id) => this.cancelTransfer(id),
+      onRetry: (id) => this.uploadQueue.retry(id),
+      onResumeAll: () => this.uploadQueue.resumeAll(),
+      onClear: () => this.clearFinishedTransfers(),
     });
 
     const fileGridContainer = container.querySelector("#fileGridContainer");
@@ -447,6 +671,13 @@ export class DriveApp {
     fileGridContainer.appendChild(this.fileGrid.render());
     uploadAreaContainer.appendChild(this.uploadArea.render());
     settingsPanelContainer.appendChild(this.settingsPanel.render());
+    container
+      .querySelector("#sharesPanelContainer")
+      .appendChild(this.sharesPanel.render());
+    container
+      .querySelector("#transferPanelContainer")
+      .appendChild(this.transferPanel.render());
+    this.updateTransfers();
 
     // Event listeners
     container.querySelector("#uploadBtn").addEventListener("click", () => {
@@ -467,6 +698,14 @@ export class DriveApp {
       this.handleNewFolder();
     });
 
+    container.querySelector("#pasteBtn").addEventListener("click", () => {
+      this.handlePaste();
+    });
+
+    container.querySelector("#cancelPasteBtn").addEventListener("click", () => {
+      this.setClipboard(null);
+    });
+
     container
       .querySelector("#refreshBtn")
       .addEventListener("click", async () => {
@@ -479,6 +718,18 @@ export class DriveApp {
       this.toggleSettings();
     });
 
+    container.querySelector("#trashBtn").addEventListener("click", () => {
+      this.toggleTrash();
+    });
+
+    container.querySelector("#emptyTrashBtn").addEventListener("click", () => {
+      this.handleEmptyTrash();
+    });
+
+    container.querySelector("#sharesBtn").addEventListener("click", () => {
+      this.toggleShares();
+    });
+
     container.querySelector("#themeToggleBtn").addEventListener("click", () => {
       this.toggleTheme();
     });
@@ -508,8 +759,8 @@ export class DriveApp {
   }
 
   async loadFiles() {
-    // Allow loading files if we have a userAddress (from wallet) or authToken (admin)
-    if (!this.userAddress && !this.authToken) {
+    // Allow loading files if we have a userAddress (from wallet), authToken (admin) or a Kubo node
+    if (!this.driveCore.hasCredentials()) {
       this.showStatus(
         "Please connect your wallet or configure auth token in settings",
         "warning"
@@ -532,14 +783,51 @@ export class DriveApp {
     this.isLoading = true;
     this.showStatus("Loading files...", "info");
 
+    // Rimuove i token di cifratura salvati negli URL dalle versioni precedenti
+    await this.driveCore.migrateTokenUrls();
+
     try {
-      if (this.currentDirectoryCid) {
+      if (this.showingTrash) {
+        this.files = await this.driveCore.getTrash();
+        this.fileGrid.updateFiles(this.files);
+        this.showStatus(
+          this.files.length > 0
+            ? `${this.files.length} item(s) in the trash`
+            : "Trash is empty",
+          "info"
+        );
+        return;
+      }
+
+      // Il CID della cartella cambia a ogni modifica (anche da altre schede):
+      // si parte sempre dalla sua identità
+      const folder = this.currentFolderId
+        ? await this.driveCore.resolveFolder(this.currentFolderId)
+        : null;
+      if (this.currentFolderId && !folder) {
+        console.warn(`⚠️ Folder ${this.currentFolderId} not found, back to root`);
+        this.currentPath = [];
+        this.currentFolderId = null;
+        this.currentDirectoryCid = null;
+        this.currentSubPath = "";
+        this.updateBreadcrumb();
+      }
+
+      if (folder) {
+        if (folder.cid !== this.currentDirectoryCid) {
+          this.currentDirectoryCid = folder.cid;
+          this.updateBreadcrumb();
+        }
         // Carica contenuto della directory corrente
-        this.files = await this.loadDirectoryContents(this.currentDirectoryCid);
+        this.files = await this.loadDirectoryContents(
+          folder.cid,
+          this.currentSubPath
+        );
       } else {
         // Carica file root
         this.files = await this.driveCore.getFileList();
       }
+      this.updateLocation();
 
       this.fileGrid.updateFiles(this.files);
       if (this.files.length > 0) {
@@ -547,6 +835,18 @@ export class DriveApp {
       } else {
         this.showStatus("No files found", "info");
       }
+
+      // I link scaduti vengono rimossi (record e pin) in background
+      this.linkSharing
+        .cleanupExpired()
+        .catch((error) =>
+          console.warn("⚠️ Expired share cleanup failed:", error)
+        );
+
+      // Anche gli elementi rimasti troppo a lungo nel cestino
+      this.driveCore
+        .purgeExpiredTrash()
+        .catch((error) => console.warn("⚠️ Trash purge failed:", error));
     } catch (error) {
       const errorMessage = error.message || "Unknown error";
       this.showStatus(`Error loading files: ${errorMessage}`, "error");
@@ -560,8 +860,8 @@ export class DriveApp {
   }
 
   async loadStorageInfo() {
-    // Allow if we have userAddress or authToken
-    if ((!this.userAddress && !this.authToken) || !this.isConnected) {
+    // Allow if we have userAddress, authToken or a Kubo node
+    if (!this.driveCore.hasCredentials() || !this.isConnected) {
       return;
     }
 
@@ -631,7 +931,53 @@ export class DriveApp {
     }
   }
 
-  async loadDirectoryContents(directoryCid) {
+  /**
+   * Contenuto di una cartella: i file direttamente al suo interno e una
+   * voce per ogni sottocartella, ricavata dai percorsi dei file
+   * @param subPath Sottocartella dentro la directory ("" = radice)
+   */
+  async loadDirectoryContents(directoryCid, subPath = "") {
+    const entries = await this.loadDirectoryEntries(directoryCid);
+    const prefix = subPath ? `${subPath}/` : "";
+    const folders = new Map();
+    const files = [];
+
+    for (const entry of entries) {
+      if (!entry.relativePath.startsWith(prefix)) continue;
+      const [name, ...rest] = entry.relativePath
+        .slice(prefix.length)
+        .split("/");
+      if (rest.length === 0) {
+        files.push(entry);
+        continue;
+      }
+
+      if (!folders.has(name)) {
+        folders.set(name, {
+          cid: `${directoryCid}/${prefix}${name}`,
+          name,
+          size: 0,
+          fileCount: 0,
+          type: "application/x-directory",
+          isDirectory: true,
+          uploadedAt: entry.uploadedAt,
+          parentDirectory: directoryCid,
+          relativePath: `${prefix}${name}`,
+        });
+      }
+      const folder = folders.get(name);
+      folder.size += entry.size;
+      folder.fileCount++;
+    }
+
+    return [...folders.values(), ...files];
+  }
+
+  /**
+   * Tutti i file di una directory (sottocartelle comprese) dai suoi metadati:
+   * relativePath è il percorso del file dentro la directory
+   */
+  async loadDirectoryEntries(directoryCid) {
     try {
       console.log(`📂 Loading directory contents for CID: ${directoryCid}`);
 
@@ -640,135 +986,50 @@ export class DriveApp {
       let metadata = null;
       try {
         // Prova dalla cache locale (questa è la fonte più affidabile perché contiene tutti i campi)
-        const cachedMetadata = localStorage.getItem(
-          "shogun-drive-metadata-cache"
-        );
-        if (cachedMetadata) {
-          const parsed = JSON.parse(cachedMetadata);
-          metadata = parsed.data?.[directoryCid];
-          if (metadata) {
-            console.log(
-              `📂 Found metadata in cache for ${directoryCid}:`,
-              metadata
-            );
-
-            // Gestisci il caso in cui files potrebbe essere una stringa JSON (da GunDB)
-            if (metadata.files) {
-              if (typeof metadata.files === "string") {
-                try {
-                  metadata.files = JSON.parse(metadata.files);
-                  console.log(`📂 Parsed files from JSON string`);
-                } catch (e) {
-                  console.warn(`⚠️ Failed to parse files JSON string:`, e);
-                  metadata.files = [];
-                }
-              }
-
-              if (Array.isArray(metadata.files)) {
-                console.log(
-                  `📂 Cache has ${metadata.files.length} files in metadata`
-                );
-              } else {
-                console.warn(
-                  `⚠️ Files is not an array:`,
-                  typeof metadata.files
-                );
-                metadata.files = [];
-              }
-            } else {
-              console.warn(`⚠️ Cache metadata exists but no files field found`);
-              console.warn(`⚠️ Metadata keys:`, Object.keys(metadata));
-            }
-          } else {
-            console.log(`📂 No metadata in cache for ${directoryCid}`);
-            console.log(
-              `📂 Available CIDs in cache:`,
-              Object.keys(parsed.data || {})
-            );
-          }
+        metadata = await this.driveCore.metadataStore.get(directoryCid);
+        if (metadata) {
+          console.log(
+            `📂 Found metadata in cache for ${directoryCid}:`,
+            metadata
+          );
+          metadata.files = this.parseDirectoryFiles(metadata.files);
+          console.log(
+            `📂 Cache has ${metadata.files.length} files in metadata`
+          );
         } else {
-          console.log(`📂 No cached metadata found at all`);
+          console.log(`📂 No metadata in cache for ${directoryCid}`);
         }
 
         // Se non in cache o non ha files, prova a recuperare dal server
         // Nota: il server potrebbe non restituire il campo files, quindi usiamo la cache come priorità
-        if (
-          !metadata ||
-          !metadata.files ||
-          !Array.isArray(metadata.files) ||
-          metadata.files.length === 0
-        ) {
+        if (!metadata || metadata.files.length === 0) {
           console.log(
             `📂 Metadata not in cache or incomplete, fetching from server...`
           );
           try {
-            const response = await fetch(
-              `${this.relayUrl}/api/v1/user-uploads/system-hashes-map`,
-              {
-                method: "GET",
-                headers: {
-                  Authorization: this.authToken
-                    ? `Bearer ${this.authToken}`
-                    : undefined,
-                },
-              }
-            );
-
-            if (response.ok) {
-              const data = await response.json();
-              const systemHashes = data.systemHashes || {};
-              const serverMetadata = systemHashes[directoryCid];
-
-              if (serverMetadata) {
-                console.log(`📂 Found metadata from server`);
-                console.log(
-                  `📂 Server metadata keys:`,
-                  Object.keys(serverMetadata)
-                );
-
-                // Gestisci il caso in cui files potrebbe essere una stringa JSON (da GunDB)
-                if (serverMetadata.files) {
-                  if (typeof serverMetadata.files === "string") {
-                    try {
-                      serverMetadata.files = JSON.parse(serverMetadata.files);
-                      console.log(`📂 Parsed files from JSON string`);
-                    } catch (e) {
-                      console.warn(`⚠️ Failed to parse files JSON string:`, e);
-                      serverMetadata.files = [];
-                    }
-                  }
-
-                  if (Array.isArray(serverMetadata.files)) {
-                    console.log(
-                      `📂 Server metadata includes ${serverMetadata.files.length} files`
-                    );
-                  } else {
-                    console.warn(
-                      `⚠️ Server files is not an array:`,
-                      typeof serverMetadata.files
-                    );
-                    serverMetadata.files = [];
-                  }
-                }
-
-                // Usa i metadati dal server (ora include anche il campo 'files')
-                metadata = serverMetadata;
-
-                // Aggiorna la cache con i metadati dal server
-                try {
-                  const cacheData = cachedMetadata
-                    ? JSON.parse(cachedMetadata)
-                    : { data: {}, timestamp: Date.now() };
-                  cacheData.data[directoryCid] = metadata;
-                  cacheData.timestamp = Date.now();
-                  localStorage.setItem(
-                    "shogun-drive-metadata-cache",
-                    JSON.stringify(cacheData)
-                  );
-                  console.log(`📂 Updated cache with server metadata`);
-                } catch (e) {
-                  console.warn("⚠️ Error updating cache:", e);
-                }
+            // Il backend Kubo non ha metadati remoti (→ null)
+            // I record cifrati vengono decifrati da DriveCore
+            const systemHashes = await this.driveCore.getRemoteMetadataMap();
+            const serverMetadata = systemHashes?.[directoryCid];
+
+            if (serverMetadata) {
+              console.log(`📂 Found metadata from server`);
+              serverMetadata.files = this.parseDirectoryFiles(
+                serverMetadata.files
+              );
+              console.log(
+                `📂 Server metadata includes ${serverMetadata.files.length} files`
+              );
+
+              // Usa i metadati dal server (ora include anche il campo 'files')
+              metadata = serverMetadata;
+
+              // Aggiorna la cache con i metadati dal server
+              try {
+                await this.driveCore.metadataStore.put(directoryCid, metadata);
+                console.log(`📂 Updated cache with server metadata`);
+              } catch (e) {
+                console.warn("⚠️ Error updating cache:", e);
               }
             }
           } catch (e) {
@@ -789,23 +1050,12 @@ export class DriveApp {
         console.log(`📂 Using metadata to build file list`);
         const files = metadata.files.map((fileInfo) => {
           // Il path salvato nei metadati è il webkitRelativePath che include
-          // il nome della directory (es. "Immagini di Bing/file.jpg")
-          // Quando usiamo catFromDirectory, il directoryCid è già la directory radice,
-          // quindi dobbiamo usare il path esatto come salvato in IPFS
-          // IPFS con wrap-with-directory=true crea una struttura dove i file
-          // sono nella root della directory, quindi il path dovrebbe essere
-          // relativo alla directory radice
-          let filePath = fileInfo.path || fileInfo.name;
-
-          // Se il path inizia con il nome della directory (displayName), rimuovilo
-          // perché il directoryCid è già la directory radice
-          const directoryName = metadata.displayName || metadata.fileName;
-          if (directoryName && filePath.startsWith(directoryName + "/")) {
-            filePath = filePath.substring(directoryName.length + 1);
-            console.log(
-              `📂 Removed directory name from path: ${fileInfo.path} -> ${filePath}`
-            );
-          }
+          // il nome della directory (es. "Immagini di Bing/2024/file.jpg"),
+          // mentre il directoryCid è già la directory radice: il percorso per
+          // catFromDirectory è quello senza il primo segmento ("2024/file.jpg")
+          const filePath = this.driveCore.directoryEntryPath(
+            fileInfo.path || fileInfo.name
+          );
 
           const fullPath = `${directoryCid}/${filePath}`;
 
@@ -839,10 +1089,13 @@ export class DriveApp {
 
           return {
             cid: fullPath, // Usa il percorso completo per catFromDirectory
-            name: fileInfo.name || fileInfo.path,
-            originalName: fileInfo.name || fileInfo.path,
+            name: fileInfo.name || filePath.split("/").pop(),
+            originalName: fileInfo.name || filePath.split("/").pop(),
             size: fileInfo.size || 0,
-            type: contentType,
+            type: fileInfo.originalContentType || contentType,
+            encryptionFormat: fileInfo.encryptionFormat || null,
+            // Chiave del file cifrata con la chiave master (envelope encryption)
+            wrappedKey: fileInfo.wrappedKey || null,
             // Usa isEncrypted dai metadati se disponibile, altrimenti controlla l'estensione
             isEncrypted:
               fileInfo.isEncrypted !== undefined
@@ -890,9 +1143,35 @@ export class DriveApp {
     }
   }
 
-  async handleUpload(files, isFolder = false) {
-    // Require either auth token (admin) or wallet connection
-    if (!this.authToken && !this.walletConnected) {
+  /**
+   * Normalizza il campo `files` dei metadati di una directory
+   * (da GunDB potrebbe arrivare come stringa JSON)
+   */
+  parseDirectoryFiles(files) {
+    if (typeof files === "string") {
+      try {
+        files = JSON.parse(files);
+      } catch (e) {
+        console.warn(`⚠️ Failed to parse files JSON string:`, e);
+        return [];
+      }
+    }
+    return Array.isArray(files) ? files : [];
+  }
+
+  /**
+   * Accoda gli upload: file singoli nella root, una nuova cartella oppure
+   * file aggiunti alla cartella corrente (il progresso è nel pannello dei
+   * trasferimenti, il riepilogo arriva quando la coda si svuota)
+   * @param options.handles FileSystemFileHandle dei file, se disponibili
+   */
+  async handleUpload(files, isFolder = false, options = {}) {
+    // Require either auth token (admin), wallet connection or a Kubo node
+    if (
+      !this.authToken &&
+      !this.walletConnected &&
+      this.storageBackend !== "kubo"
+    ) {
       this.showStatus("Please connect your wallet or configure auth token in settings", "error");
       this.toggleSettings();
       this.uploadArea.hide();
@@ -907,138 +1186,42 @@ export class DriveApp {
         // Upload come directory
         const folderName =
           files[0]?.webkitRelativePath?.split("/")[0] || "folder";
-        this.showStatus(
-          `Uploading folder "${folderName}" with ${files.length} file(s)...`,
-          "info"
-        );
-
-        await this.driveCore.uploadDirectory(files, {
+        this.uploadQueue.addBatch(files, {
           encrypt: true,
-          folderName: folderName,
+          name: `📁 ${folderName}`,
+          folderName,
         });
-
         this.showStatus(
-          `Folder "${folderName}" uploaded successfully`,
-          "success"
+          `Queued folder "${folderName}" with ${files.length} file(s)`,
+          "info"
         );
-
-        // Ricarica i file
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-        await this.loadFiles();
       } else if (isInDirectory) {
         // Siamo dentro una directory: aggiungi i file alla directory esistente
+        const folderName =
+          this.currentSubPath.split("/").pop() ||
+          this.currentPath[this.currentPath.length - 1]?.name ||
+          "folder";
+        this.uploadQueue.addBatch(files, {
+          encrypt: true,
+          name: `${files.length} file(s) → ${folderName}`,
+          target: {
+            directoryCid: this.currentDirectoryCid,
+            folderId: this.currentFolderId,
+            name: folderName,
+            path: this.currentSubPath,
+          },
+        });
         this.showStatus(
-          `Adding ${files.length} file(s) to current folder...`,
+          `Queued ${files.length} file(s) for folder "${folderName}"`,
           "info"
         );
-
-        try {
-          // Ottieni i metadati della directory corrente
-          let existingFilesMetadata = [];
-          try {
-            const cachedMetadata = localStorage.getItem(
-              "shogun-drive-metadata-cache"
-            );
-            if (cachedMetadata) {
-              const parsed = JSON.parse(cachedMetadata);
-              const dirMetadata = parsed.data?.[this.currentDirectoryCid];
-              if (dirMetadata?.files && Array.isArray(dirMetadata.files)) {
-                existingFilesMetadata = dirMetadata.files;
-              }
-            }
-          } catch (e) {
-            console.warn("⚠️ Could not get existing files metadata:", e);
-          }
-
-          // Aggiungi i file alla directory esistente
-          const oldDirectoryCid = this.currentDirectoryCid;
-          const result = await this.driveCore.addFilesToDirectory(
-            this.currentDirectoryCid,
-            files,
-            existingFilesMetadata
-          );
-
-          // Aggiorna il currentDirectoryCid con il nuovo CID della directory aggiornata
-          if (
-            result.success &&
-            result.directoryCid &&
-            result.directoryCid !== oldDirectoryCid
-          ) {
-            console.log(
-              `🔄 Updating current directory CID from ${oldDirectoryCid.substring(
-                0,
-                12
-              )}... to ${result.directoryCid.substring(0, 12)}...`
-            );
-            this.currentDirectoryCid = result.directoryCid;
-            // Aggiorna anche il breadcrumb se necessario
-            if (this.currentPath.length > 0) {
-              this.currentPath[this.currentPath.length - 1].cid =
-                result.directoryCid;
-            }
-          }
-
-          this.showStatus(
-            `Successfully added ${files.length} file(s) to folder`,
-            "success"
-          );
-
-          // Ricarica i file con il nuovo CID
-          await new Promise((resolve) => setTimeout(resolve, 1000));
-          await this.loadFiles();
-        } catch (error) {
-          this.showStatus(
-            `Error adding files to folder: ${error.message}`,
-            "error"
-          );
-          console.error("Error adding files to directory:", error);
-        }
       } else {
-        // Upload file singoli nella root
-        let successCount = 0;
-        let errorCount = 0;
-
-        for (const file of files) {
-          try {
-            this.showStatus(`Uploading ${file.name}...`, "info");
-            await this.driveCore.uploadFile(file, { encrypt: true });
-            successCount++;
-            this.showStatus(`${file.name} uploaded successfully`, "success");
-          } catch (error) {
-            errorCount++;
-            this.showStatus(
-              `Error uploading ${file.name}: ${error.message}`,
-              "error"
-            );
-            console.error("Upload error:", error);
-          }
-        }
-
-        // Ricarica i file solo se almeno un upload è riuscito
-        if (successCount > 0) {
-          try {
-            await new Promise((resolve) => setTimeout(resolve, 1000));
-            await this.loadFiles();
-            await this.loadStorageInfo();
-          } catch (error) {
-            console.error("Error reloading files:", error);
-          }
-        }
-
-        // Mostra riepilogo
-        if (successCount > 0 && errorCount === 0) {
-          this.showStatus(
-            `Successfully uploaded ${successCount} file(s)`,
-            "success"
-          );
-        } else if (successCount > 0 && errorCount > 0) {
-          this.showStatus(
-            `Uploaded ${successCount} file(s), ${errorCount} failed`,
-            "warning"
-          );
-        } else if (errorCount > 0) {
-          this.showStatus(`Failed to upload ${errorCount} file(s)`, "error");
-        }
+        // Upload file singoli nella root: la coda li carica in parallelo
+        this.uploadQueue.add(files, {
+          encrypt: true,
+          handles: options.handles,
+        });
+        this.showStatus(`Queued ${files.length} file(s) for upload`, "info");
       }
     } catch (error) {
       this.showStatus(`Error uploading: ${error.message}`, "error");
@@ -1049,9 +1232,110 @@ export class DriveApp {
     }
   }
 
+  /**
+   * Estrae archivi ZIP/TAR nel browser e accoda ognuno come una nuova
+   * cartella: le entry mantengono il loro percorso nell'archivio
+   */
+  async handleArchiveUpload(archives) {
+    this.uploadArea.hide();
+    for (const archive of archives) {
+      try {
+        this.showStatus(`Extracting ${archive.name}...`, "info");
+        const { folderName, files } = await extractArchive(archive);
+        this.showStatus(
+          `Extracted ${files.length} file(s) from ${archive.name} into "${folderName}"`,
+          "success"
+        );
+        await this.handleUpload(files, true);
+      } catch (error) {
+        this.showStatus(
+          `Error extracting ${archive.name}: ${error.message}`,
+          "error"
+        );
+        console.error("Archive extraction error:", error);
+      }
+    }
+  }
+
+  /**
+   * Esegue un job della coda di upload (vedi UploadQueue)
+   */
+  async runUploadJob(job, { signal, onProgress }) {
+    if (job.kind === "file") {
+      return await this.driveCore.uploadFile(job.file, {
+        ...job.options,
+        signal,
+        onProgress,
+      });
+    }
+
+    onProgress({ phase: "encrypting", loaded: 0, total: job.size });
+    if (!job.target) {
+      return await this.driveCore.uploadDirectory(job.files, {
+        ...job.options,
+        folderName: job.folderName,
+        signal,
+        onProgress,
+      });
+    }
+
+    // Aggiunta a una cartella esistente: il suo CID potrebbe essere cambiato
+    // da quando il job è stato accodato
+    const folder = await this.driveCore.resolveFolder(
+      job.target.folderId || job.target.directoryCid
+    );
+    const oldDirectoryCid = folder?.cid || job.target.directoryCid;
+    let existingFilesMetadata = [];
+    try {
+      const dirMetadata = await this.driveCore.metadataStore.get(
+        oldDirectoryCid
+      );
+      existingFilesMetadata = this.parseDirectoryFiles(dirMetadata?.files);
+    } catch (e) {
+      console.warn("⚠️ Could not get existing files metadata:", e);
+    }
+
+    return await this.driveCore.addFilesToDirectory(
+      oldDirectoryCid,
+      job.files,
+      existingFilesMetadata,
+      { signal, onProgress, path: job.target.path }
+    );
+  }
+
+  /**
+   * Chiamato quando la coda di upload si svuota: ricarica i file e
+   * mostra il riepilogo
+   */
+  async handleUploadQueueIdle({ done, failed }) {
+    // Ricarica i file solo se almeno un upload è riuscito
+    if (done > 0) {
+      try {
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        await this.loadFiles();
+        await this.loadStorageInfo();
+      } catch (error) {
+        console.error("Error reloading files:", error);
+      }
+    }
+
+    // Mostra riepilogo
+    if (done > 0 && failed === 0) {
+      this.showStatus(`Successfully completed ${done} upload(s)`, "success");
+    } else if (done > 0 && failed > 0) {
+      this.showStatus(`Completed ${done} upload(s), ${failed} failed`, "warning");
+    } else if (failed > 0) {
+      this.showStatus(`${failed} upload(s) failed`, "error");
+    }
+  }
+
   async handleNewFolder() {
-    // Require either auth token (admin) or wallet connection
-    if (!this.authToken && !this.walletConnected) {
+    // Require either auth token (admin), wallet connection or a Kubo node
+    if (
+      !this.authToken &&
+      !this.walletConnected &&
+      this.storageBackend !== "kubo"
+    ) {
       this.showStatus("Please connect your wallet or configure auth token in settings", "error");
       this.toggleSettings();
       return;
@@ -1082,149 +1366,784 @@ export class DriveApp {
     }
   }
 
-  async handleFileDownload(file) {
+  /**
+   * Condivide un file con un indirizzo wallet, oppure crea un link
+   * di condivisione e lo copia negli appunti
+   * La chiave del file è nel fragment (#), che il browser non invia mai al server
+   */
+  async handleFileShare(file) {
     try {
-      this.showStatus(`Downloading ${file.name}...`, "info");
+      if (file.isDirectory && file.parentDirectory) {
+        throw new Error(
+          "Subfolders cannot be shared on their own - share the whole folder"
+        );
+      }
 
-      let blob;
-      // Se il file è dentro una directory, usa catFromDirectory
-      if (file.parentDirectory && file.relativePath) {
-        blob = await this.driveCore.catFromDirectory(
-          file.parentDirectory,
-          file.relativePath
+      if (this.walletConnected && this.driveCore.backend.capabilities.remoteMetadata) {
+        const recipient = window.prompt(
+          file.isDirectory
+            ? `Share ${file.name} with wallet address:`
+            : `Share ${file.name} with wallet address (leave empty to copy a link):`,
+          ""
         );
-      } else {
-        blob = await this.driveCore.downloadFile(file.cid, file);
+        if (recipient === null) return;
+        if (recipient.trim() || file.isDirectory) {
+          await this.handleWalletShare(file, recipient.trim());
+          return;
+        }
       }
 
-      // Rimuovi l'estensione .enc se presente nel nome del file
-      let downloadName = file.originalName || file.name;
-      if (file.isEncrypted && downloadName.endsWith(".enc")) {
-        downloadName = downloadName.slice(0, -4); // Rimuovi .enc
+      if (file.isDirectory) {
+        throw new Error("Folders can only be shared with a wallet address");
       }
 
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = downloadName;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
+      const options = await this.askLinkOptions(file);
+      if (!options) return;
+      const { password, days } = options;
 
-      // Revoca l'URL dopo un breve delay per assicurarsi che il download sia iniziato
-      setTimeout(() => {
-        URL.revokeObjectURL(url);
-      }, 100);
+      let link;
+      if (password || days.trim()) {
+        const expiryDays = Number(days.trim() || 0);
+        if (!(expiryDays >= 0)) {
+          this.showStatus("Invalid number of days", "error");
+          return;
+        }
+        this.showStatus(`Creating protected link for ${file.name}...`, "info");
+        link = await this.linkSharing.create(file, {
+          password,
+          expiresAt: expiryDays
+            ? Date.now() + expiryDays * 24 * 60 * 60 * 1000
+            : null,
+        });
+      } else {
+        link = await this.driveCore.createShareLink(file);
+      }
 
-      this.showStatus(`${downloadName} downloaded successfully`, "success");
+      await this.copyShareLink(link, file.name);
+
+      if (file.isEncrypted) {
+        console.log(
+          "🔗 Share link created - anyone with the link can decrypt this file"
+        );
+      }
     } catch (error) {
-      this.showStatus(
-        `Error downloading ${file.name}: ${error.message}`,
-        "error"
-      );
-      console.error("Download error:", error);
+      console.error("Share error:", error);
+      this.showStatus(`Failed to share: ${error.message}`, "error");
     }
   }
 
-  async handleFileDelete(file) {
-    const itemType = file.isDirectory ? "folder" : "file";
-    if (
-      !confirm(
-        `Are you sure you want to delete this ${itemType} "${file.name}"?`
-      )
-    ) {
-      return;
-    }
+  /**
+   * Chiede password (campo mascherato) e scadenza di un link
+   * @returns Promise con { password, days } oppure null se annullato
+   */
+  askLinkOptions(file) {
+    return new Promise((resolve) => {
+      const expiryNote = this.driveCore.backend.canManagePins()
+        ? "Expiry is checked by the viewer. The share record is only unpinned the next time Drive loads your files after the expiry, and stays readable on IPFS until then."
+        : "Expiry is only advisory here: the viewer refuses the link, but this backend cannot unpin, so the share record and the file stay readable on the gateway.";
+      const dialog = document.createElement("dialog");
+      dialog.className = "link-options-dialog settings-content";
+      dialog.innerHTML = `
+        <form method="dialog">
+          <h2 class="settings-title"></h2>
+          <div class="settings-section">
+            <label class="settings-label">
+              <span>Password</span>
+              <input type="password" name="password" class="settings-input" placeholder="Leave empty for no password" autocomplete="new-password" />
+            </label>
+          </div>
+          <div class="settings-section">
+            <label class="settings-label">
+              <span>Expire after (days)</span>
+              <input type="number" name="days" class="settings-input" min="0" step="any" placeholder="Leave empty for no expiry" />
+            </label>
+            <p class="settings-description">${expiryNote}</p>
+          </div>
+          <div class="settings-actions">
+            <button type="submit" value="ok" class="btn-primary">Create link</button>
+            <button type="submit" value="cancel" class="btn-secondary">Cancel</button>
+          </div>
+        </form>
+      `;
+      dialog.querySelector(".settings-title").textContent = `Share ${file.name}`;
+      const form = dialog.querySelector("form");
+      dialog.addEventListener("close", () => {
+        const confirmed = dialog.returnValue === "ok";
+        resolve(
+          confirmed
+            ? { password: form.password.value, days: form.days.value }
+            : null
+        );
+        dialog.remove();
+      });
+      document.body.appendChild(dialog);
+      dialog.showModal();
+    });
+  }
 
+  async copyShareLink(link, name) {
     try {
-      this.showStatus(`Deleting ${file.name}...`, "info");
+      await navigator.clipboard.writeText(link);
+      this.showStatus(`Share link for ${name} copied to clipboard`, "success");
+    } catch (e) {
+      // Clipboard non disponibile (es. contesto non sicuro): mostra il link
+      window.prompt("Copy the share link:", link);
+    }
+  }
 
-      // Se il file è dentro una directory, usa removeFileFromDirectory
-      if (file.parentDirectory && file.relativePath) {
-        // Ottieni i metadati della directory corrente
-        let existingFilesMetadata = [];
-        try {
-          const cachedMetadata = localStorage.getItem(
-            "shogun-drive-metadata-cache"
-          );
-          if (cachedMetadata) {
-            const parsed = JSON.parse(cachedMetadata);
-            const dirMetadata = parsed.data?.[file.parentDirectory];
-            if (dirMetadata?.files && Array.isArray(dirMetadata.files)) {
-              existingFilesMetadata = dirMetadata.files;
-            }
-          }
-        } catch (e) {
-          console.warn("⚠️ Could not get existing files metadata:", e);
-        }
+  async handleLinkRevoke(share) {
+    if (!confirm(`Revoke the share link for ${share.name}?`)) return;
 
-        // Rimuovi il file dalla directory
-        const oldDirectoryCid = file.parentDirectory;
-        const result = await this.driveCore.removeFileFromDirectory(
-          oldDirectoryCid,
-          file.relativePath,
-          existingFilesMetadata
+    try {
+      await this.linkSharing.revoke(share);
+      this.showStatus(`Share link for ${share.name} revoked`, "success");
+      await this.loadShares();
+    } catch (error) {
+      console.error("Revoke error:", error);
+      this.showStatus(`Failed to revoke: ${error.message}`, "error");
+    }
+  }
+
+  async handleWalletShare(file, recipient) {
+    if (!isWalletAddress(recipient)) {
+      this.showStatus("Invalid wallet address", "error");
+      return;
+    }
+    this.showStatus(`Sharing ${file.name}...`, "info");
+    await this.walletSharing.shareWithAddress(file, recipient, this.signer);
+    this.showStatus(
+      `${file.name} shared with ${recipient.slice(0, 6)}...${recipient.slice(-4)}`,
+      "success"
+    );
+  }
+
+  async loadShares() {
+    if (!this.driveCore.hasCredentials()) {
+      this.sharesPanel.update({
+        message: "Connect your wallet or configure auth token in settings.",
+      });
+      return;
+    }
+
+    this.sharesPanel.update({ message: "Loading shares..." });
+    try {
+      const walletSharing =
+        this.walletConnected &&
+        this.driveCore.backend.capabilities.remoteMetadata;
+      const [incoming, outgoing, links] = await Promise.all([
+        walletSharing ? this.walletSharing.listIncoming() : [],
+        walletSharing ? this.walletSharing.listOutgoing() : [],
+        this.linkSharing.list(),
+      ]);
+      this.sharesPanel.update({
+        incoming,
+        outgoing,
+        links,
+        incomingMessage: walletSharing
+          ? ""
+          : "Connect your wallet (shogun-relay backend) to see files shared with you.",
+      });
+    } catch (error) {
+      console.error("Error loading shares:", error);
+      this.sharesPanel.update({ message: error.message });
+    }
+  }
+
+  async handleSharedFileOpen(share, entry) {
+    try {
+      const item = entry || share;
+      this.showStatus(`Opening ${item.name}...`, "info");
+      const blob = await this.walletSharing.openSharedFile(share, entry);
+      await this.previewBlob(blob, { ...item, originalName: item.name });
+    } catch (error) {
+      console.error("Shared file error:", error);
+      this.showStatus(`Failed to open shared file: ${error.message}`, "error");
+    }
+  }
+
+  async handleSharedFileDownload(share, entry) {
+    try {
+      const item = entry || share;
+      this.showStatus(`Downloading ${item.name}...`, "info");
+      const blob = await this.walletSharing.openSharedFile(share, entry);
+
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = item.name.replace(/\.enc$/, "");
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(() => URL.revokeObjectURL(url), 100);
+
+      this.showStatus(`${item.name} downloaded successfully`, "success");
+    } catch (error) {
+      console.error("Shared file error:", error);
+      this.showStatus(`Failed to download shared file: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Revoca una condivisione: il file viene ricifrato con una nuova chiave
+   * La vecchia copia è protetta solo se è stato possibile rimuoverne il pin
+   */
+  async handleShareRevoke(share) {
+    const confirmed = confirm(
+      `Revoke access to ${share.name} for ${share.recipient}?\n\n` +
+        "The item is re-encrypted with a new key and re-uploaded; " +
+        "other recipients keep access with the new key.\n\n" +
+        "The old copy stays readable by this recipient unless it can be " +
+        "unpinned, which is not possible in wallet mode."
+    );
+    if (!confirmed) return;
+
+    try {
+      this.showStatus(`Revoking access to ${share.name}...`, "info");
+      const { newCid, reissued, unpinned } = await this.walletSharing.revoke(
+        share,
+        this.signer
+      );
+      const updated = reissued.length
+        ? ` - ${reissued.length} other share(s) updated`
+        : "";
+      if (unpinned) {
+        this.showStatus(`Access revoked${updated}`, "success");
+      } else if (newCid === share.itemCid) {
+        this.showStatus(
+          `Share removed - ${share.name} is not encrypted, so ${share.recipient} can still open it`,
+          "warning"
         );
+      } else {
+        this.showStatus(
+          `Access revoked for new versions only${updated}: the old copy could not be unpinned and ${share.recipient} can still open it`,
+          "warning"
+        );
+      }
+      await this.loadShares();
+      await this.loadFiles();
+    } catch (error) {
+      console.error("Revoke error:", error);
+      this.showStatus(`Failed to revoke: ${error.message}`, "error");
+    }
+  }
 
-        // Aggiorna il currentDirectoryCid se siamo dentro quella directory
-        if (
-          result.success &&
-          result.directoryCid &&
-          result.directoryCid !== oldDirectoryCid
-        ) {
-          if (this.currentDirectoryCid === oldDirectoryCid) {
-            this.currentDirectoryCid = result.directoryCid;
-            // Aggiorna anche il breadcrumb se necessario
-            if (this.currentPath.length > 0) {
-              this.currentPath[this.currentPath.length - 1].cid =
-                result.directoryCid;
-            }
+  /**
+   * Verifica che il contenuto salvato di un file corrisponda al suo CID
+   */
+  async handleFileVerify(file) {
+    try {
+      this.showStatus(`Verifying ${file.name}...`, "info");
+      const result =
+        file.parentDirectory && file.relativePath
+          ? await this.driveCore.verifyIntegrity(file.parentDirectory, {
+              path: file.relativePath,
+            })
+          : await this.driveCore.verifyIntegrity(file.cid, { size: file.size });
+
+      if (result.valid) {
+        this.showStatus(
+          `${file.name} is intact: its content matches ${result.cid}`,
+          "success"
+        );
+      } else {
+        this.showStatus(
+          `${file.name} is corrupted: ${result.error}`,
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Verify error:", error);
+      this.showStatus(
+        `Could not verify ${file.name}: ${error.message}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Scarica un file: con la File System Access API viene scritto su disco
+   * in streaming, altrimenti passa da un Blob in memoria. Il download compare
+   * nel pannello dei trasferimenti, con progresso e annullamento.
+   */
+  async handleFileDownload(file) {
+    // Rimuovi l'estensione .enc se presente nel nome del file
+    let downloadName = file.originalName || file.name;
+    if (file.isEncrypted && downloadName.endsWith(".enc")) {
+      downloadName = downloadName.slice(0, -4); // Rimuovi .enc
+    }
+
+    // Il picker va aperto subito, finché vale il gesto dell'utente
+    let fileHandle = null;
+    if (window.showSaveFilePicker) {
+      try {
+        fileHandle = await window.showSaveFilePicker({
+          suggestedName: downloadName,
+        });
+      } catch (error) {
+        if (error.name === "AbortError") return; // Salvataggio annullato
+        console.warn("⚠️ Save picker unavailable, downloading in memory:", error);
+      }
+    }
+
+    const download = this.startDownload(file, downloadName);
+    const { signal } = download.controller;
+    try {
+      this.showStatus(`Downloading ${file.name}...`, "info");
+
+      let stream;
+      let type;
+      // Se il file è dentro una directory, usa catFromDirectory
+      if (file.parentDirectory && file.relativePath) {
+        ({ stream, type } = await this.driveCore.openDirectoryFileStream(
+          file.parentDirectory,
+          file.relativePath,
+          file
+        ));
+      } else {
+        ({ stream, type } = await this.driveCore.openDownloadStream(
+          file.cid,
+          file,
+          {
+            signal,
+            onProgress: (progress) => this.updateDownload(download, progress),
+          }
+        ));
+      }
+
+      if (fileHandle) {
+        await stream.pipeTo(await fileHandle.createWritable(), { signal });
+      } else {
+        this.saveBlob(
+          new Blob([await new Response(stream).blob()], { type }),
+          downloadName
+        );
+      }
+
+      this.finishDownload(download, DOWNLOAD_STATUS.DONE);
+      this.showStatus(`${downloadName} downloaded successfully`, "success");
+    } catch (error) {
+      if (error.name === "AbortError") {
+        this.finishDownload(download, DOWNLOAD_STATUS.CANCELLED);
+        this.showStatus(`Download of ${downloadName} cancelled`, "info");
+        return;
+      }
+      this.finishDownload(download, DOWNLOAD_STATUS.ERROR, error.message);
+      this.showStatus(
+        `Error downloading ${file.name}: ${error.message}`,
+        "error"
+      );
+      console.error("Download error:", error);
+    }
+  }
+
+  /**
+   * Scarica una cartella come archivio ZIP: i file vengono letti uno alla
+   * volta (decriptati se necessario) e scritti nell'archivio man mano, con
+   * i percorsi relativi salvati nei metadati della cartella
+   */
+  async handleFolderDownload(folder) {
+    const zipName = `${(folder.name || "folder").replace(/^📁\s*/, "")}.zip`;
+
+    // Il picker va aperto subito, finché vale il gesto dell'utente
+    let fileHandle = null;
+    if (window.showSaveFilePicker) {
+      try {
+        fileHandle = await window.showSaveFilePicker({ suggestedName: zipName });
+      } catch (error) {
+        if (error.name === "AbortError") return; // Salvataggio annullato
+        console.warn("⚠️ Save picker unavailable, downloading in memory:", error);
+      }
+    }
+
+    const download = this.startDownload(folder, zipName);
+    const { signal } = download.controller;
+    try {
+      this.showStatus(`Preparing ${zipName}...`, "info");
+      // Una sottocartella è un prefisso dei percorsi della sua directory
+      const prefix = folder.parentDirectory ? `${folder.relativePath}/` : "";
+      const files = (
+        await this.loadDirectoryEntries(folder.parentDirectory || folder.cid)
+      ).filter((file) => file.relativePath.startsWith(prefix));
+      if (files.length === 0) {
+        throw new Error("The folder is empty or its contents are unknown");
+      }
+      download.total = files.reduce((total, file) => total + (file.size || 0), 0);
+
+      const driveCore = this.driveCore;
+      async function* entries() {
+        for (const file of files) {
+          if (signal.aborted) {
+            throw new DOMException("Download aborted", "AbortError");
           }
+          const { stream } = await driveCore.openDirectoryFileStream(
+            file.parentDirectory,
+            file.relativePath,
+            file
+          );
+          yield {
+            name: file.relativePath.slice(prefix.length),
+            stream,
+            lastModified: file.uploadedAt,
+          };
         }
+      }
 
-        this.showStatus(`${file.name} deleted successfully`, "success");
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-        await this.loadFiles();
+      let loaded = 0;
+      const zip = createZipStream(entries()).pipeThrough(
+        new TransformStream({
+          transform: (chunk, controller) => {
+            loaded += chunk.length;
+            this.updateDownload(download, { loaded, total: download.total });
+            controller.enqueue(chunk);
+          },
+        })
+      );
+
+      if (fileHandle) {
+        await zip.pipeTo(await fileHandle.createWritable(), { signal });
       } else {
-        // File normale nella root: elimina normalmente
+        const blob = await new Response(zip).blob();
+        if (signal.aborted) {
+          throw new DOMException("Download aborted", "AbortError");
+        }
+        this.saveBlob(new Blob([blob], { type: "application/zip" }), zipName);
+      }
+
+      this.finishDownload(download, DOWNLOAD_STATUS.DONE);
+      this.showStatus(
+        `${zipName} downloaded (${files.length} file${files.length === 1 ? "" : "s"})`,
+        "success"
+      );
+    } catch (error) {
+      if (error.name === "AbortError") {
+        this.finishDownload(download, DOWNLOAD_STATUS.CANCELLED);
+        this.showStatus(`Download of ${zipName} cancelled`, "info");
+        return;
+      }
+      this.finishDownload(download, DOWNLOAD_STATUS.ERROR, error.message);
+      this.showStatus(
+        `Error downloading ${folder.name}: ${error.message}`,
+        "error"
+      );
+      console.error("Folder download error:", error);
+    }
+  }
+
+  /**
+   * Salva un Blob con un link temporaneo
+   */
+  saveBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    // Revoca l'URL dopo un breve delay per assicurarsi che il download sia iniziato
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+
+  startDownload(file, name) {
+    const download = {
+      id: `download-${crypto.randomUUID()}`,
+      kind: "download",
+      name,
+      size: file.size || 0,
+      status: DOWNLOAD_STATUS.DOWNLOADING,
+      loaded: 0,
+      total: file.size || 0,
+      error: null,
+      controller: new AbortController(),
+    };
+    this.downloads.push(download);
+    this.updateTransfers();
+    return download;
+  }
+
+  updateDownload(download, { loaded, total }) {
+    download.loaded = loaded;
+    download.total = total || download.total;
+    this.updateTransfers();
+  }
+
+  finishDownload(download, status, error = null) {
+    download.status = status;
+    download.error = error;
+    if (status === DOWNLOAD_STATUS.DONE) {
+      download.loaded = download.total = Math.max(download.loaded, download.total);
+    }
+    this.updateTransfers();
+  }
+
+  /**
+   * Aggiorna il pannello dei trasferimenti (upload della coda e download)
+   */
+  updateTransfers() {
+    this.transferPanel?.update([...this.uploadQueue.jobs, ...this.downloads]);
+  }
+
+  cancelTransfer(id) {
+    const download = this.downloads.find((entry) => entry.id === id);
+    if (download) {
+      download.controller.abort();
+      return;
+    }
+    this.uploadQueue.cancel(id);
+  }
+
+  clearFinishedTransfers() {
+    this.downloads = this.downloads.filter(
+      (download) => download.status === DOWNLOAD_STATUS.DOWNLOADING
+    );
+    this.uploadQueue.clearFinished();
+    this.updateTransfers();
+  }
+
+  /**
+   * Sposta un elemento nel cestino (vedi DriveCore.trash); nella vista del
+   * cestino lo elimina definitivamente
+   */
+  async handleFileDelete(file) {
+    if (this.showingTrash) {
+      if (
+        !confirm(
+          `Permanently delete "${file.name}"? This cannot be undone.`
+        )
+      ) {
+        return;
+      }
+      try {
+        this.showStatus(`Deleting ${file.name}...`, "info");
         await this.driveCore.deleteFile(file.cid, file.metadata || {});
-        this.showStatus(`${file.name} deleted successfully`, "success");
-        await new Promise((resolve) => setTimeout(resolve, 1000));
+        this.showStatus(`${file.name} permanently deleted`, "success");
         await this.loadFiles();
+      } catch (error) {
+        this.showStatus(`Error deleting ${file.name}: ${error.message}`, "error");
+        console.error("Delete error:", error);
+      }
+      return;
+    }
+
+    try {
+      this.showStatus(`Moving ${file.name} to the trash...`, "info");
+      // Dentro una directory il CID è "directoryCid/percorso": la directory
+      // cambia CID (loadFiles trova quello nuovo)
+      await this.driveCore.trash(file.cid, file.metadata);
+      if (this.clipboard?.file.cid === file.cid) {
+        this.setClipboard(null);
       }
+      this.showStatus(`${file.name} moved to the trash`, "success");
+      await this.loadFiles();
     } catch (error) {
       this.showStatus(`Error deleting ${file.name}: ${error.message}`, "error");
       console.error("Delete error:", error);
     }
   }
 
+  /**
+   * Ripristina un elemento del cestino (vedi DriveCore.restore)
+   */
+  async handleFileRestore(file) {
+    try {
+      this.showStatus(`Restoring ${file.name}...`, "info");
+      const { directoryCid } = await this.driveCore.restore(
+        file.cid,
+        file.metadata
+      );
+      const folderName = file.metadata?.trashedFrom?.folderName;
+      this.showStatus(
+        directoryCid && folderName
+          ? `${file.name} restored to ${folderName}`
+          : `${file.name} restored`,
+        "success"
+      );
+      await this.loadFiles();
+    } catch (error) {
+      this.showStatus(`Error restoring ${file.name}: ${error.message}`, "error");
+      console.error("Restore error:", error);
+    }
+  }
+
+  async handleEmptyTrash() {
+    if (
+      !confirm(
+        "Permanently delete everything in the trash? This cannot be undone."
+      )
+    ) {
+      return;
+    }
+    try {
+      this.showStatus("Emptying the trash...", "info");
+      const count = await this.driveCore.emptyTrash();
+      this.showStatus(`${count} item(s) permanently deleted`, "success");
+      await this.loadFiles();
+      await this.loadStorageInfo();
+    } catch (error) {
+      this.showStatus(`Error emptying the trash: ${error.message}`, "error");
+      console.error("Empty trash error:", error);
+    }
+  }
+
+  /**
+   * Passa dal drive alla vista del cestino e viceversa: la cartella aperta
+   * resta quella a cui si torna
+   */
+  async toggleTrash() {
+    this.showingTrash = !this.showingTrash;
+    this.fileGrid.setTrashMode(this.showingTrash);
+
+    const driveDisplay = this.showingTrash ? "none" : "";
+    ["#uploadBtn", "#uploadFolderBtn", "#newFolderBtn"].forEach((id) => {
+      this.container.querySelector(id).style.display = driveDisplay;
+    });
+    this.container.querySelector("#emptyTrashBtn").style.display =
+      this.showingTrash ? "" : "none";
+    this.container
+      .querySelector("#trashBtn")
+      .classList.toggle("active", this.showingTrash);
+    // Gli appunti restano, ma si incolla solo nel drive
+    const pasteDisplay = this.clipboard && !this.showingTrash ? "" : "none";
+    this.container.querySelector("#pasteBtn").style.display = pasteDisplay;
+    this.container.querySelector("#cancelPasteBtn").style.display = pasteDisplay;
+
+    if (this.showingTrash) {
+      this.container.querySelector("#breadcrumb").style.display = "none";
+    } else {
+      this.updateBreadcrumb();
+    }
+    this.container.querySelector("#searchInput").value = "";
+    await this.loadFiles();
+  }
+
+  /**
+   * Rinomina un file o una cartella (vedi DriveCore.rename)
+   */
+  async handleFileRename(file, newName) {
+    try {
+      this.showStatus(`Renaming ${file.name}...`, "info");
+      await this.driveCore.rename(file.cid, newName, file.metadata);
+      this.showStatus(`${file.name} renamed to ${newName}`, "success");
+      await this.loadFiles();
+    } catch (error) {
+      this.showStatus(`Error renaming ${file.name}: ${error.message}`, "error");
+      console.error("Rename error:", error);
+    }
+  }
+
+  /**
+   * CID attuale di un elemento mostrato in precedenza (es. negli appunti):
+   * la sua cartella potrebbe aver cambiato CID nel frattempo
+   */
+  async currentCidOf(file) {
+    const ref =
+      file.parentDirectory ||
+      (file.isDirectory ? file.metadata?.folderId || file.cid : null);
+    const folder = ref ? await this.driveCore.resolveFolder(ref) : null;
+    if (!folder) return file.cid;
+    return file.parentDirectory
+      ? `${folder.cid}/${file.relativePath}`
+      : folder.cid;
+  }
+
+  /**
+   * Taglia (copy = false) o copia un elemento, da incollare con "Paste"
+   * nella cartella di destinazione; null svuota gli appunti
+   */
+  setClipboard(file, copy = false) {
+    this.clipboard = file ? { file, copy } : null;
+    this.fileGrid.setCutFile(file && !copy ? file.cid : null);
+
+    const pasteBtn = this.container?.querySelector("#pasteBtn");
+    const cancelBtn = this.container?.querySelector("#cancelPasteBtn");
+    if (pasteBtn && cancelBtn) {
+      pasteBtn.style.display = file ? "" : "none";
+      cancelBtn.style.display = file ? "" : "none";
+      pasteBtn.textContent = file ? `Paste "${file.name}"` : "Paste";
+    }
+    if (file) {
+      this.showStatus(
+        `${file.name} ${copy ? "copied" : "cut"}: open the destination folder and click Paste`,
+        "info"
+      );
+    }
+  }
+
+  /**
+   * Incolla l'elemento degli appunti nella cartella aperta
+   */
+  async handlePaste() {
+    if (!this.clipboard) return;
+    const { file, copy } = this.clipboard;
+    const folder = await this.driveCore.resolveFolder(this.currentFolderId);
+    const target = {
+      directoryCid: folder?.cid || null,
+      path: this.currentSubPath,
+    };
+    if (await this.transferFile(file, target, copy)) {
+      this.setClipboard(null);
+    }
+  }
+
+  /**
+   * Destinazione di move/copy per una card di cartella (vedi DriveCore.transferEntry)
+   */
+  folderTarget(folder) {
+    return folder.parentDirectory
+      ? { directoryCid: folder.parentDirectory, path: folder.relativePath }
+      : { directoryCid: folder.cid, path: "" };
+  }
+
+  /**
+   * Sposta o copia un file o una cartella (vedi DriveCore.transferEntry)
+   * @returns Promise con true se l'operazione è riuscita
+   */
+  async transferFile(file, target, copy = false) {
+    try {
+      this.showStatus(`${copy ? "Copying" : "Moving"} ${file.name}...`, "info");
+      const cid = await this.currentCidOf(file);
+      if (copy) {
+        await this.driveCore.copy(cid, target, file.metadata);
+      } else {
+        await this.driveCore.move(cid, target, file.metadata);
+      }
+      this.showStatus(`${file.name} ${copy ? "copied" : "moved"}`, "success");
+      await this.loadFiles();
+      return true;
+    } catch (error) {
+      this.showStatus(
+        `Error ${copy ? "copying" : "moving"} ${file.name}: ${error.message}`,
+        "error"
+      );
+      console.error("Transfer error:", error);
+      return false;
+    }
+  }
+
   async handleFolderClick(folder) {
     // Naviga dentro la cartella
     // Aggiungi solo se non siamo già nella root (evita di aggiungere "Root" al path)
     if (this.currentDirectoryCid) {
-      // Ottieni il nome della directory corrente dai metadati
-      let dirName = folder.name || "Folder";
-      try {
-        const cachedMetadata = localStorage.getItem(
-          "shogun-drive-metadata-cache"
-        );
-        if (cachedMetadata) {
-          const parsed = JSON.parse(cachedMetadata);
-          const dirMetadata = parsed.data?.[this.currentDirectoryCid];
-          if (dirMetadata?.displayName || dirMetadata?.fileName) {
-            dirName = dirMetadata.displayName || dirMetadata.fileName;
-          }
-        }
-      } catch (e) {
-        // Usa folder.name come fallback
-      }
-
       this.currentPath.push({
+        folderId: this.currentFolderId,
         cid: this.currentDirectoryCid,
-        name: dirName,
+        subPath: this.currentSubPath,
+        name: await this.getCurrentFolderName(),
       });
     }
-    this.currentDirectoryCid = folder.cid;
+
+    if (folder.parentDirectory) {
+      // Sottocartella: stessa directory, percorso più profondo
+      this.currentDirectoryCid = folder.parentDirectory;
+      this.currentSubPath = folder.relativePath;
+    } else {
+      this.currentFolderId = folder.metadata?.folderId || folder.cid;
+      this.currentDirectoryCid = folder.cid;
+      this.currentSubPath = "";
+    }
     this.updateBreadcrumb();
     await this.loadFiles();
   }
@@ -1234,18 +2153,81 @@ export class DriveApp {
     if (pathIndex < 0) {
       // Root
       this.currentPath = [];
+      this.currentFolderId = null;
       this.currentDirectoryCid = null;
+      this.currentSubPath = "";
     } else {
-      // Naviga fino al punto specificato
-      this.currentPath = this.currentPath.slice(0, pathIndex + 1);
+      // Naviga fino al punto specificato (che diventa la cartella corrente)
       const targetPath = this.currentPath[pathIndex];
+      this.currentPath = this.currentPath.slice(0, pathIndex);
+      this.currentFolderId = targetPath.folderId;
       this.currentDirectoryCid = targetPath.cid;
+      this.currentSubPath = targetPath.subPath || "";
     }
     this.updateBreadcrumb();
     await this.loadFiles();
   }
 
-  updateBreadcrumb() {
+  /**
+   * Scrive la cartella corrente nell'URL (#folder=<folderId>&path=...), così
+   * bookmark e link restano validi anche dopo che il suo CID cambia
+   */
+  updateLocation() {
+    const params = new URLSearchParams();
+    if (this.currentFolderId) {
+      params.set("folder", this.currentFolderId);
+      if (this.currentSubPath) params.set("path", this.currentSubPath);
+    }
+    const hash = params.toString();
+    if (hash === window.location.hash.slice(1)) return;
+    const { pathname, search } = window.location;
+    window.history.replaceState(
+      null,
+      "",
+      hash ? `#${hash}` : `${pathname}${search}`
+    );
+  }
+
+  /**
+   * Apre la cartella indicata nell'URL
+   * @returns true se la cartella corrente è cambiata (va ricaricata)
+   */
+  openFolderFromLocation() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const folderId = params.get("folder") || null;
+    const subPath = (folderId && params.get("path")) || "";
+    if (folderId === this.currentFolderId && subPath === this.currentSubPath) {
+      return false;
+    }
+    // Il percorso completo non è nell'URL: si riparte dalla cartella
+    this.currentPath = [];
+    this.currentFolderId = folderId;
+    this.currentDirectoryCid = null;
+    this.currentSubPath = subPath;
+    this.updateBreadcrumb();
+    return true;
+  }
+
+  /**
+   * Nome della cartella corrente: l'ultimo segmento della sottocartella,
+   * altrimenti il nome della directory dai metadati
+   * @returns Promise con il nome, oppure null se non disponibile
+   */
+  async getCurrentFolderName() {
+    if (this.currentSubPath) {
+      return this.currentSubPath.split("/").pop();
+    }
+    try {
+      const dirMetadata = await this.driveCore.metadataStore.get(
+        this.currentDirectoryCid
+      );
+      return dirMetadata?.displayName || dirMetadata?.fileName || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async updateBreadcrumb() {
     const breadcrumbEl = this.container?.querySelector("#breadcrumb");
     if (!breadcrumbEl) return;
 
@@ -1256,24 +2238,10 @@ export class DriveApp {
 
     breadcrumbEl.style.display = "flex";
 
-    // Ottieni il nome della directory corrente se disponibile
-    let currentDirName = null;
-    if (this.currentDirectoryCid) {
-      try {
-        const cachedMetadata = localStorage.getItem(
-          "shogun-drive-metadata-cache"
-        );
-        if (cachedMetadata) {
-          const parsed = JSON.parse(cachedMetadata);
-          const dirMetadata = parsed.data?.[this.currentDirectoryCid];
-          if (dirMetadata?.displayName || dirMetadata?.fileName) {
-            currentDirName = dirMetadata.displayName || dirMetadata.fileName;
-          }
-        }
-      } catch (e) {
-        // Ignora errori
-      }
-    }
+    // Ottieni il nome della cartella corrente se disponibile
+    const currentDirName = this.currentDirectoryCid
+      ? await this.getCurrentFolderName()
+      : null;
 
     breadcrumbEl.innerHTML = `
       <button class="breadcrumb-item" data-path="-1">🏠 Root</button>
@@ -1306,100 +2274,43 @@ export class DriveApp {
     });
   }
 
-  async handleFileClick(file) {
-    // Se è una directory, apri la directory
-    if (file.isDirectory || file.type === "application/x-directory") {
-      this.handleFolderClick(file);
-      return;
-    }
-
-    // Se il file è dentro una directory, usa catFromDirectory per ottenere il blob
-    if (file.parentDirectory && file.relativePath) {
-      try {
-        console.log(`📂 Loading file from directory:`, {
-          parentDirectory: file.parentDirectory,
-          relativePath: file.relativePath,
-          fileName: file.name,
-          isEncrypted: file.isEncrypted,
-        });
-
-        this.showStatus(`Loading ${file.name}...`, "info");
-        let blob = await this.driveCore.catFromDirectory(
-          file.parentDirectory,
-          file.relativePath
-        );
-
-        console.log(`📂 File blob retrieved:`, {
-          size: blob.size,
-          type: blob.type,
-          isEncrypted: file.isEncrypted,
-        });
-
-        // Se il file è criptato, decriptalo
-        // Controlla se il blob è già un tipo immagine/video/audio valido (già decriptato)
-        const isAlreadyDecrypted =
-          blob.type &&
-          (blob.type.startsWith("image/") ||
-            blob.type.startsWith("video/") ||
-            blob.type.startsWith("audio/"));
-
-        if (
-          file.isEncrypted &&
-          !isAlreadyDecrypted &&
-          (this.encryptionToken || this.authToken)
-        ) {
-          try {
-            this.showStatus(`Decrypting ${file.name}...`, "info");
-            blob = await this.driveCore.decryptBlob(
-              blob,
-              this.encryptionToken || this.authToken
-            );
-            console.log(`📂 File decrypted successfully:`, {
-              size: blob.size,
-              type: blob.type,
-            });
-          } catch (decryptError) {
-            console.error("Decryption error:", decryptError);
-            this.showStatus(
-              `Error decrypting ${file.name}: ${decryptError.message}`,
-              "error"
-            );
-            return;
-          }
-        }
-
-        // Crea un blob con il tipo corretto
-        // Usa il tipo del file se disponibile, altrimenti usa il tipo del blob
-        // Dopo la decrittazione, il tipo potrebbe non essere impostato, quindi usiamo file.type
-        const blobType = file.type || blob.type || "application/octet-stream";
-        const typedBlob =
-          blob.type !== blobType ? new Blob([blob], { type: blobType }) : blob;
+  /**
+   * Mostra un blob già scaricato (e decriptato): anteprima per i media,
+   * download con il nome originale per gli altri tipi
+   */
+  async previewBlob(blob, file) {
+    // Crea un blob con il tipo corretto
+    // Usa il tipo del file se disponibile, altrimenti usa il tipo del blob
+    // Dopo la decrittazione, il tipo potrebbe non essere impostato, quindi usiamo file.type
+    const blobType = file.type || blob.type || "application/octet-stream";
+    const typedBlob =
+      blob.type !== blobType ? new Blob([blob], { type: blobType }) : blob;
+
+    // Estrai il nome del file dal path se disponibile
+    const fileName =
+      file.originalName ||
+      file.name ||
+      file.relativePath?.split("/").pop() ||
+      "file";
 
-        // Estrai il nome del file dal path se disponibile
-        const fileName =
-          file.originalName ||
-          file.name ||
-          file.relativePath?.split("/").pop() ||
-          "file";
+    if (
+      blobType.startsWith("image/") ||
+      blobType.startsWith("video/") ||
+      blobType.startsWith("audio/")
+    ) {
+      // Converti il blob in data URL (base64) per renderlo accessibile nella nuova finestra
+      this.showStatus(`Preparing ${file.name} for display...`, "info");
+      const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(typedBlob);
+      });
 
-        if (
-          blobType.startsWith("image/") ||
-          blobType.startsWith("video/") ||
-          blobType.startsWith("audio/")
-        ) {
-          // Converti il blob in data URL (base64) per renderlo accessibile nella nuova finestra
-          this.showStatus(`Preparing ${file.name} for display...`, "info");
-          const dataUrl = await new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(typedBlob);
-          });
-
-          // Per immagini, video e audio, crea una pagina HTML che mostra il contenuto
-          // Usa data URL invece di blob URL per renderlo accessibile nella nuova finestra
-          const htmlContent = blobType.startsWith("image/")
-            ? `<!DOCTYPE html>
+      // Per immagini, video e audio, crea una pagina HTML che mostra il contenuto
+      // Usa data URL invece di blob URL per renderlo accessibile nella nuova finestra
+      const htmlContent = blobType.startsWith("image/")
+        ? `<!DOCTYPE html>
 <html>
 <head>
   <meta charset="UTF-8">
@@ -1425,8 +2336,8 @@ export class DriveApp {
   <img src="${dataUrl}" alt="${fileName}" />
 </body>
 </html>`
-            : blobType.startsWith("video/")
-            ? `<!DOCTYPE html>
+        : blobType.startsWith("video/")
+        ? `<!DOCTYPE html>
 <html>
 <head>
   <meta charset="UTF-8">
@@ -1451,7 +2362,7 @@ export class DriveApp {
   <video src="${dataUrl}" controls autoplay></video>
 </body>
 </html>`
-            : `<!DOCTYPE html>
+        : `<!DOCTYPE html>
 <html>
 <head>
   <meta charset="UTF-8">
@@ -1477,29 +2388,94 @@ export class DriveApp {
 </body>
 </html>`;
 
-          const htmlBlob = new Blob([htmlContent], { type: "text/html" });
-          const htmlUrl = URL.createObjectURL(htmlBlob);
-          const newWindow = window.open(htmlUrl, "_blank", "noopener");
-          if (newWindow) {
-            // Revoca l'URL HTML dopo che la finestra è stata aperta
-            setTimeout(() => {
-              URL.revokeObjectURL(htmlUrl);
-            }, 100);
+      const htmlBlob = new Blob([htmlContent], { type: "text/html" });
+      const htmlUrl = URL.createObjectURL(htmlBlob);
+      const newWindow = window.open(htmlUrl, "_blank", "noopener");
+      if (newWindow) {
+        // Revoca l'URL HTML dopo che la finestra è stata aperta
+        setTimeout(() => {
+          URL.revokeObjectURL(htmlUrl);
+        }, 100);
+      }
+    } else {
+      // Per altri tipi di file, scarica con il nome corretto
+      const url = URL.createObjectURL(typedBlob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(() => {
+        URL.revokeObjectURL(url);
+      }, 100);
+    }
+  }
+
+  async handleFileClick(file) {
+    // Se è una directory, apri la directory
+    if (file.isDirectory || file.type === "application/x-directory") {
+      this.handleFolderClick(file);
+      return;
+    }
+
+    // Se il file è dentro una directory, usa catFromDirectory per ottenere il blob
+    if (file.parentDirectory && file.relativePath) {
+      try {
+        console.log(`📂 Loading file from directory:`, {
+          parentDirectory: file.parentDirectory,
+          relativePath: file.relativePath,
+          fileName: file.name,
+          isEncrypted: file.isEncrypted,
+        });
+
+        this.showStatus(`Loading ${file.name}...`, "info");
+        let blob = await this.driveCore.catFromDirectory(
+          file.parentDirectory,
+          file.relativePath
+        );
+
+        console.log(`📂 File blob retrieved:`, {
+          size: blob.size,
+          type: blob.type,
+          isEncrypted: file.isEncrypted,
+        });
+
+        // Se il file è criptato, decriptalo
+        // Controlla se il blob è già un tipo immagine/video/audio valido (già decriptato)
+        const isAlreadyDecrypted =
+          blob.type &&
+          (blob.type.startsWith("image/") ||
+            blob.type.startsWith("video/") ||
+            blob.type.startsWith("audio/"));
+
+        if (
+          file.isEncrypted &&
+          !isAlreadyDecrypted &&
+          this.driveCore.hasEncryptionKey()
+        ) {
+          try {
+            this.showStatus(`Decrypting ${file.name}...`, "info");
+            blob = await this.driveCore.decryptBlob(
+              blob,
+              await this.driveCore.getFileSecret(file)
+            );
+            console.log(`📂 File decrypted successfully:`, {
+              size: blob.size,
+              type: blob.type,
+            });
+          } catch (decryptError) {
+            console.error("Decryption error:", decryptError);
+            this.showStatus(
+              `Error decrypting ${file.name}: ${decryptError.message}`,
+              "error"
+            );
+            return;
           }
-        } else {
-          // Per altri tipi di file, scarica con il nome corretto
-          const url = URL.createObjectURL(typedBlob);
-          const a = document.createElement("a");
-          a.href = url;
-          a.download = fileName;
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-          setTimeout(() => {
-            URL.revokeObjectURL(url);
-          }, 100);
         }
 
+        await this.previewBlob(blob, file);
+
         this.showStatus(`${file.name} loaded successfully`, "success");
       } catch (error) {
         this.showStatus(
@@ -1511,6 +2487,29 @@ export class DriveApp {
       return;
     }
 
+    // I file criptati vengono sempre decriptati nel browser:
+    // relayUrl serve solo il ciphertext
+    if (file.isEncrypted) {
+      try {
+        this.showStatus(`Loading ${file.name}...`, "info");
+        const blob = await this.driveCore.downloadFile(file.cid, {
+          ...file.metadata,
+          isEncrypted: true,
+          size: file.size,
+          originalContentType: file.type,
+        });
+        await this.previewBlob(blob, file);
+        this.showStatus(`${file.name} loaded successfully`, "success");
+      } catch (error) {
+        this.showStatus(
+          `Error loading ${file.name}: ${error.message}`,
+          "error"
+        );
+        console.error("Error loading encrypted file:", error);
+      }
+      return;
+    }
+
     // Per file normali (non in directory), usa relayUrl
     if (!file.relayUrl) {
       this.showStatus(`No URL available for ${file.name}`, "error");
@@ -1518,12 +2517,7 @@ export class DriveApp {
     }
 
     // Preview o apri file
-    // Assicurati che il relayUrl includa il token se il file è criptato
-    let url = file.relayUrl;
-    if (file.isEncrypted && this.authToken && !url.includes("token=")) {
-      const separator = url.includes("?") ? "&" : "?";
-      url = `${url}${separator}token=${encodeURIComponent(this.authToken)}`;
-    }
+    const url = file.relayUrl;
 
     if (
       file.type.startsWith("image/") ||
@@ -1536,6 +2530,89 @@ export class DriveApp {
     }
   }
 
+  /**
+   * Ricifra tutti i file con un nuovo token (o con la chiave del wallet)
+   * e, se tutto va a buon fine, lo imposta come chiave corrente
+   * @param reencrypt Ricifra anche il contenuto (vedi key-rotation.js)
+   */
+  async handleKeyRotation({ encryptionToken, useWalletKey, reencrypt = false }) {
+    let newSecret;
+    let target;
+    if (encryptionToken && encryptionToken !== this.encryptionToken) {
+      newSecret = encryptionToken;
+      target = "token";
+    } else if (useWalletKey && this.driveCore.walletKey) {
+      newSecret = { key: this.driveCore.walletKey, passphrase: null };
+      target = "wallet";
+    } else {
+      alert("Enter a new encryption token (or generate one) to rotate the key");
+      return;
+    }
+
+    const message = reencrypt
+      ? "Re-encrypt the content of every encrypted file with new keys? Files are downloaded, re-uploaded and the old copies are unpinned where the backend allows it. Keep this tab open until it completes."
+      : "Rotate to the new key? Files with their own content key are only re-wrapped: their content does not change, so this does not protect files from someone who already has the old key (use Re-encrypt file contents for that). Older files are downloaded and re-uploaded. Keep this tab open until it completes.";
+    if (!confirm(message)) {
+      return;
+    }
+
+    const rotation = new KeyRotation(this.driveCore, {
+      onFileProgress: ({ name, index, total, status, error }) => {
+        const prefix = `Rotating key ${index + 1}/${total}: ${name}`;
+        if (status === "error") {
+          this.showStatus(`${prefix} failed - ${error}`, "error");
+        } else if (status === "processing") {
+          this.showStatus(`${prefix}...`, "info");
+        }
+      },
+    });
+
+    try {
+      let result;
+      try {
+        result = await rotation.run(newSecret, { reencrypt });
+      } catch (error) {
+        if (
+          !error.message.includes("Another key rotation") ||
+          !confirm("Another key rotation was interrupted with a different key. Discard it and start over?")
+        ) {
+          throw error;
+        }
+        result = await rotation.run(newSecret, { reencrypt, restart: true });
+      }
+
+      if (result.failed.length > 0) {
+        this.showStatus(
+          `Key rotation incomplete: ${result.failed.length} file(s) failed. Rotate again with the same key to resume.`,
+          "error"
+        );
+        return;
+      }
+
+      // Tutti i file usano la nuova chiave: rendila quella corrente
+      if (target === "token") {
+        this.encryptionToken = encryptionToken;
+        this.useWalletKey = false;
+        localStorage.setItem("shogun-drive-encryption-token", encryptionToken);
+        this.driveCore.setEncryptionToken(encryptionToken);
+      } else {
+        this.useWalletKey = true;
+      }
+      localStorage.setItem("shogun-drive-use-wallet-key", String(this.useWalletKey));
+      this.driveCore.setUseWalletKey(this.useWalletKey);
+      this.updateSettingsPanel();
+
+      this.showStatus(
+        `Key rotated: ${result.rotated} item(s) re-encrypted`,
+        "success"
+      );
+      await this.loadFiles();
+    } catch (error) {
+      console.error("Key rotation error:", error);
+      this.showStatus(`Key rotation failed: ${error.message}`, "error");
+    }
+  }
+
   handleProgress(progress) {
     // Gestisci progresso upload/download
     if (progress.progress) {
@@ -1558,9 +2635,32 @@ export class DriveApp {
     this.relayUrl = settings.relayUrl;
     this.encryptionToken = settings.encryptionToken || this.encryptionToken;
     this.userAddress = settings.userAddress || "drive-user";
+    this.storageBackend = settings.storageBackend || "relay";
+    this.kuboSettings = settings.kubo || this.kuboSettings;
+    this.encryptMetadata = !!settings.encryptMetadata;
+    this.useWalletKey = settings.useWalletKey !== false;
+    this.uploadConcurrency =
+      settings.uploadConcurrency || this.uploadConcurrency;
+    this.verifyDownloads = !!settings.verifyDownloads;
+    this.publishFolderNames = !!settings.publishFolderNames;
+    this.trashRetentionDays = settings.trashRetentionDays ?? this.trashRetentionDays;
 
     localStorage.setItem("shogun-drive-token", this.authToken);
     localStorage.setItem("shogun-drive-relay-url", this.relayUrl);
+    localStorage.setItem("shogun-drive-backend", this.storageBackend);
+    localStorage.setItem("shogun-drive-kubo-api-url", this.kuboSettings.apiUrl);
+    localStorage.setItem(
+      "shogun-drive-kubo-gateway-url",
+      this.kuboSettings.gatewayUrl
+    );
+    localStorage.setItem(
+      "shogun-drive-kubo-username",
+      this.kuboSettings.username
+    );
+    localStorage.setItem(
+      "shogun-drive-kubo-password",
+      this.kuboSettings.password
+    );
     localStorage.setItem("shogun-drive-user-address", this.userAddress);
     if (this.encryptionToken) {
       localStorage.setItem(
@@ -1570,13 +2670,41 @@ export class DriveApp {
     } else {
       localStorage.removeItem("shogun-drive-encryption-token");
     }
+    localStorage.setItem(
+      "shogun-drive-encrypt-metadata",
+      String(this.encryptMetadata)
+    );
+    localStorage.setItem("shogun-drive-use-wallet-key", String(this.useWalletKey));
+    localStorage.setItem(
+      "shogun-drive-upload-concurrency",
+      String(this.uploadConcurrency)
+    );
+    localStorage.setItem(
+      "shogun-drive-verify-downloads",
+      String(this.verifyDownloads)
+    );
+    localStorage.setItem(
+      "shogun-drive-publish-folder-names",
+      String(this.publishFolderNames)
+    );
+    localStorage.setItem(
+      "shogun-drive-trash-retention-days",
+      String(this.trashRetentionDays)
+    );
 
     this.driveCore.setAuthToken(this.authToken);
     this.driveCore.setRelayUrl(this.relayUrl);
+    this.driveCore.setBackend(this.storageBackend, this.kuboSettings);
     this.driveCore.setUserAddress(this.userAddress);
     if (this.encryptionToken) {
       this.driveCore.setEncryptionToken(this.encryptionToken);
     }
+    this.driveCore.setEncryptMetadata(this.encryptMetadata);
+    this.driveCore.setUseWalletKey(this.useWalletKey);
+    this.driveCore.setVerifyDownloads(this.verifyDownloads);
+    this.driveCore.setPublishFolderNames(this.publishFolderNames);
+    this.driveCore.setTrashRetentionDays(this.trashRetentionDays);
+    this.uploadQueue.setConcurrency(this.uploadConcurrency);
 
     this.toggleSettings();
 
@@ -1594,9 +2722,27 @@ export class DriveApp {
     }
   }
 
+  toggleShares() {
+    const panel = this.container.querySelector("#sharesPanelContainer");
+    const grid = this.container.querySelector("#fileGridContainer");
+    this.container.querySelector("#settingsPanelContainer").style.display =
+      "none";
+
+    if (panel.style.display === "none") {
+      panel.style.display = "block";
+      grid.style.display = "none";
+      this.loadShares();
+    } else {
+      panel.style.display = "none";
+      grid.style.display = "block";
+    }
+  }
+
   toggleSettings() {
     const panel = this.container.querySelector("#settingsPanelContainer");
     const grid = this.container.querySelector("#fileGridContainer");
+    this.container.querySelector("#sharesPanelContainer").style.display =
+      "none";
 
     if (panel.style.display === "none") {
       panel.style.display = "block";
@@ -7,8 +7,20 @@ export class FileGrid {
     this.onFileClick = options.onFileClick || (() => {});
     this.onFileDelete = options.onFileDelete || (() => {});
     this.onFileDownload = options.onFileDownload || (() => {});
+    this.onFileShare = options.onFileShare || (() => {});
+    this.onFileVerify = options.onFileVerify || (() => {});
+    this.onFileRename = options.onFileRename || (() => {});
+    this.onFileCut = options.onFileCut || (() => {});
+    this.onFileCopy = options.onFileCopy || (() => {});
+    // (file, folder, copy): una card trascinata su una cartella
+    this.onFileDrop = options.onFileDrop || (() => {});
     this.onFolderClick = options.onFolderClick || (() => {});
+    this.onFolderDownload = options.onFolderDownload || (() => {});
+    this.onFileRestore = options.onFileRestore || (() => {});
     this.driveCore = new DriveCore();
+    this.trashMode = false; // Vista del cestino: solo ripristino ed eliminazione
+    this.cutCid = null; // Elemento tagliato, in attesa di essere incollato
+    this.draggedFile = null;
   }
 
   render() {
@@ -40,9 +52,35 @@ export class FileGrid {
     this.renderGrid();
   }
 
+  /**
+   * Evidenzia l'elemento tagliato (null per nessuno)
+   */
+  setCutFile(cid) {
+    this.cutCid = cid;
+    this.renderGrid();
+  }
+
+  /**
+   * Mostra gli elementi come cestino (card con ripristino ed eliminazione
+   * definitiva) oppure come drive
+   */
+  setTrashMode(enabled) {
+    this.trashMode = !!enabled;
+  }
+
   renderGrid() {
     if (!this.container) return;
 
+    if (this.filteredFiles.length === 0 && this.trashMode) {
+      this.container.innerHTML = `
+        <div class="empty-state">
+          <h3>Trash is empty</h3>
+          <p>Deleted files and folders stay here until you empty the trash</p>
+        </div>
+      `;
+      return;
+    }
+
     if (this.filteredFiles.length === 0) {
       this.container.innerHTML = `
         <div class="empty-state">
@@ -58,10 +96,19 @@ export class FileGrid {
 
     this.container.innerHTML = `
       <div class="file-grid">
-        ${this.filteredFiles.map((file) => this.renderFileCard(file)).join("")}
+        ${this.filteredFiles
+          .map((file) =>
+            this.trashMode ? this.renderTrashCard(file) : this.renderFileCard(file)
+          )
+          .join("")}
       </div>
     `;
 
+    if (this.trashMode) {
+      this.attachTrashListeners();
+      return;
+    }
+
     // Aggiungi event listeners
     this.container.querySelectorAll(".file-card").forEach((card) => {
       const cid = card.dataset.cid;
@@ -79,10 +126,70 @@ export class FileGrid {
       if (downloadBtn) {
         downloadBtn.addEventListener("click", (e) => {
           e.stopPropagation();
-          this.onFileDownload(file);
+          if (file.isDirectory || file.type === "application/x-directory") {
+            this.onFolderDownload(file);
+          } else {
+            this.onFileDownload(file);
+          }
+        });
+      }
+
+      const verifyBtn = card.querySelector(".file-verify-btn");
+      if (verifyBtn) {
+        verifyBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.onFileVerify(file);
+        });
+      }
+
+      card.querySelector(".file-rename-btn").addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.startRename(card, file);
+      });
+
+      card.querySelector(".file-cut-btn").addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.onFileCut(file);
+      });
+
+      card.querySelector(".file-copy-btn").addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.onFileCopy(file);
+      });
+
+      this.attachDragListeners(card, file);
+
+      const shareBtn = card.querySelector(".file-share-btn");
+      if (shareBtn) {
+        shareBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.onFileShare(file);
+        });
+      }
+
+      card.querySelector(".file-delete-btn").addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.onFileDelete(file);
+      });
+    });
+  }
+
+  attachTrashListeners() {
+    this.container.querySelectorAll(".file-card").forEach((card) => {
+      const file = this.filteredFiles.find((f) => f.cid === card.dataset.cid);
+
+      // Le cartelle nel cestino non si aprono: prima vanno ripristinate
+      if (!file.isDirectory && file.type !== "application/x-directory") {
+        card.querySelector(".file-card-content").addEventListener("click", () => {
+          this.onFileClick(file);
         });
       }
 
+      card.querySelector(".file-restore-btn").addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.onFileRestore(file);
+      });
+
       card.querySelector(".file-delete-btn").addEventListener("click", (e) => {
         e.stopPropagation();
         this.onFileDelete(file);
@@ -90,6 +197,46 @@ export class FileGrid {
     });
   }
 
+  /**
+   * Le card si trascinano sulle cartelle: sposta, oppure copia tenendo
+   * premuto Ctrl (Alt su macOS)
+   */
+  attachDragListeners(card, file) {
+    card.addEventListener("dragstart", (e) => {
+      this.draggedFile = file;
+      e.dataTransfer.effectAllowed = "copyMove";
+      e.dataTransfer.setData("text/plain", file.name);
+      card.classList.add("file-card-dragging");
+    });
+    card.addEventListener("dragend", () => {
+      this.draggedFile = null;
+      card.classList.remove("file-card-dragging");
+    });
+
+    const isDirectory =
+      file.isDirectory || file.type === "application/x-directory";
+    if (!isDirectory) return;
+
+    card.addEventListener("dragover", (e) => {
+      if (!this.draggedFile || this.draggedFile.cid === file.cid) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = e.ctrlKey || e.altKey ? "copy" : "move";
+      card.classList.add("file-card-drop-target");
+    });
+    card.addEventListener("dragleave", () => {
+      card.classList.remove("file-card-drop-target");
+    });
+    card.addEventListener("drop", (e) => {
+      card.classList.remove("file-card-drop-target");
+      const dragged = this.draggedFile;
+      if (!dragged || dragged.cid === file.cid) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.draggedFile = null;
+      this.onFileDrop(dragged, file, e.ctrlKey || e.altKey);
+    });
+  }
+
   renderFileCard(file) {
     const isDirectory =
       file.isDirectory || file.type === "application/x-directory";
@@ -118,7 +265,9 @@ export class FileGrid {
     return `
       <div class="file-card ${
         isDirectory ? "file-card-directory" : ""
-      }" data-cid="${file.cid}">
+      } ${
+        file.cid === this.cutCid ? "file-card-cut" : ""
+      }" data-cid="${file.cid}" draggable="true">
         <div class="file-card-content">
           <div class="file-icon">${icon}</div>
           <div class="file-info">
@@ -144,9 +293,40 @@ export class FileGrid {
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
             </svg>
           </button>
+          <button class="file-action-btn file-verify-btn" title="Verify integrity">
+            <svg xmlns="http://www.w3.org/2000/svg" class="icon-sm" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.040A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+            </svg>
+          </button>
+          `
+              : `
+          <button class="file-action-btn file-download-btn" title="Download as ZIP">
+            <svg xmlns="http://www.w3.org/2000/svg" class="icon-sm" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+            </svg>
+          </button>
           `
-              : ""
           }
+          <button class="file-action-btn file-rename-btn" title="Rename">
+            <svg xmlns="http://www.w3.org/2000/svg" class="icon-sm" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+            </svg>
+          </button>
+          <button class="file-action-btn file-cut-btn" title="Cut">
+            <svg xmlns="http://www.w3.org/2000/svg" class="icon-sm" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14.121 14.121L19 19m-7-7l7-7m-7 7l-2.879 2.879M12 12L9.121 9.121m0 5.758a3 3 0 10-4.243 4.243 3 3 0 004.243-4.243zm0-5.758a3 3 0 10-4.243-4.243 3 3 0 004.243 4.243z" />
+            </svg>
+          </button>
+          <button class="file-action-btn file-copy-btn" title="Copy">
+            <svg xmlns="http://www.w3.org/2000/svg" class="icon-sm" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+            </svg>
+          </button>
+          <button class="file-action-btn file-share-btn" title="Share">
+            <svg xmlns="http://www.w3.org/2000/svg" class="icon-sm" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
+            </svg>
+          </button>
           <button class="file-action-btn file-delete-btn" title="Delete">
             <svg xmlns="http://www.w3.org/2000/svg" class="icon-sm" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
@@ -157,6 +337,107 @@ export class FileGrid {
     `;
   }
 
+  /**
+   * Card di un elemento nel cestino: data di eliminazione e cartella di
+   * provenienza al posto della data di upload
+   */
+  renderTrashCard(file) {
+    const isDirectory =
+      file.isDirectory || file.type === "application/x-directory";
+    const icon = this.driveCore.getFileIcon(file.type, isDirectory);
+    const size = isDirectory
+      ? file.fileCount
+        ? `${file.fileCount} files`
+        : "Folder"
+      : this.driveCore.formatBytes(file.size);
+    const { trashedAt, trashedFrom } = file.metadata;
+    const origin = trashedFrom
+      ? `<span class="trash-origin" title="Restored into this folder if it still exists">from ${
+          trashedFrom.folderName || "a folder"
+        }${trashedFrom.path ? `/${trashedFrom.path}` : ""}</span>`
+      : "";
+
+    return `
+      <div class="file-card file-card-trashed ${
+        isDirectory ? "file-card-directory" : ""
+      }" data-cid="${file.cid}">
+        <div class="file-card-content">
+          <div class="file-icon">${icon}</div>
+          <div class="file-info">
+            <div class="file-name" title="${file.name}">${this.truncate(
+      file.name,
+      30
+    )}</div>
+            <div class="file-meta">
+              <span>${size}</span>
+              <span>•</span>
+              <span>Deleted ${new Date(trashedAt).toLocaleDateString()}</span>
+            </div>
+            ${origin}
+          </div>
+        </div>
+        <div class="file-actions">
+          <button class="file-action-btn file-restore-btn" title="Restore">
+            <svg xmlns="http://www.w3.org/2000/svg" class="icon-sm" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+            </svg>
+          </button>
+          <button class="file-action-btn file-delete-btn" title="Delete permanently">
+            <svg xmlns="http://www.w3.org/2000/svg" class="icon-sm" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Sostituisce il nome sulla card con un campo di testo: Invio (o uscita
+   * dal campo) conferma, Esc annulla
+   */
+  startRename(card, file) {
+    const nameEl = card.querySelector(".file-name");
+    if (nameEl.querySelector("input")) return;
+
+    // I file criptati vengono mostrati col nome salvato ("nome.enc")
+    const currentName =
+      file.originalName ||
+      (file.isEncrypted ? file.name.replace(/\.enc$/, "") : file.name);
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "file-rename-input";
+    input.value = currentName;
+    nameEl.textContent = "";
+    nameEl.appendChild(input);
+    // Altrimenti selezionare il testo trascinerebbe la card
+    card.draggable = false;
+    input.focus();
+    // Seleziona il nome senza estensione
+    const dot = file.isDirectory ? -1 : currentName.lastIndexOf(".");
+    input.setSelectionRange(0, dot > 0 ? dot : currentName.length);
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      card.draggable = true;
+      const newName = input.value.trim();
+      nameEl.textContent = this.truncate(file.name, 30);
+      if (commit && newName && newName !== currentName) {
+        this.onFileRename(file, newName);
+      }
+    };
+
+    input.addEventListener("click", (e) => e.stopPropagation());
+    input.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "Enter") finish(true);
+      if (e.key === "Escape") finish(false);
+    });
+    input.addEventListener("blur", () => finish(true));
+  }
+
   truncate(str, maxLength) {
     if (str.length <= maxLength) return str;
     return str.substring(0, maxLength - 3) + "...";
@@ -5,7 +5,16 @@ export class SettingsPanel {
     this.encryptionToken = options.encryptionToken || '';
     this.userAddress = options.userAddress || 'drive-user';
     this.walletConnected = options.walletConnected || false;
+    this.storageBackend = options.storageBackend || 'relay';
+    this.kubo = options.kubo || {};
+    this.encryptMetadata = options.encryptMetadata || false;
+    this.useWalletKey = options.useWalletKey !== false;
+    this.uploadConcurrency = options.uploadConcurrency || 3;
+    this.verifyDownloads = options.verifyDownloads || false;
+    this.publishFolderNames = options.publishFolderNames || false;
+    this.trashRetentionDays = options.trashRetentionDays ?? 30;
     this.onSave = options.onSave || (() => {});
+    this.onRotateKey = options.onRotateKey || (() => {});
   }
 
   render() {
@@ -20,6 +29,19 @@ export class SettingsPanel {
       </div>
     ` : '';
     
+    // With a wallet, the encryption key can be derived from a signature
+    const walletKeyHtml = this.walletConnected ? `
+        <div class="settings-section">
+          <label class="settings-label">
+            <span>
+              <input type="checkbox" id="useWalletKeyInput" ${this.useWalletKey ? 'checked' : ''} />
+              Use wallet-derived encryption key
+            </span>
+            <p class="settings-description">New uploads are encrypted with a key derived from your wallet signature, so the same wallet decrypts them on any device. The encryption token below stays available as an alternative.</p>
+          </label>
+        </div>
+    ` : '';
+
     // Hide userAddress field when wallet is connected (it's auto-set)
     const userAddressHtml = this.walletConnected ? '' : `
         <div class="settings-section">
@@ -42,38 +64,114 @@ export class SettingsPanel {
         <h2 class="settings-title">Settings</h2>
         
         ${walletStatusHtml}
-        
+
         <div class="settings-section">
           <label class="settings-label">
-            <span>Auth Token ${this.walletConnected ? '(Optional - for admin)' : ''}</span>
-            <p class="settings-description">${this.walletConnected ? 'Optional admin token for elevated access' : 'Your admin token for authentication'}</p>
+            <span>Storage Backend</span>
+            <p class="settings-description">Use the shogun-relay or talk directly to an IPFS Kubo node</p>
           </label>
-          <input 
-            type="password" 
-            id="authTokenInput" 
-            class="settings-input" 
-            value="${this.authToken}"
-            placeholder="${this.walletConnected ? 'Optional - leave empty for wallet auth' : 'Enter your auth token'}"
-          />
+          <select id="storageBackendInput" class="settings-input">
+            <option value="relay" ${this.storageBackend === 'relay' ? 'selected' : ''}>Shogun Relay</option>
+            <option value="kubo" ${this.storageBackend === 'kubo' ? 'selected' : ''}>IPFS Kubo (direct API)</option>
+          </select>
         </div>
 
-        <div class="settings-section">
-          <label class="settings-label">
-            <span>Relay URL</span>
-            <p class="settings-description">IPFS relay server URL</p>
-          </label>
-          <input 
-            type="text" 
-            id="relayUrlInput" 
-            class="settings-input" 
-            value="${this.relayUrl}"
-            placeholder="https://your-relay.com"
-          />
+        <div id="kuboSettings" style="display: ${this.storageBackend === 'kubo' ? 'block' : 'none'};">
+          <div class="settings-section">
+            <label class="settings-label">
+              <span>IPFS API URL</span>
+              <p class="settings-description">Kubo HTTP RPC API (port 5001), must allow CORS from this origin</p>
+            </label>
+            <input 
+              type="text" 
+              id="kuboApiUrlInput" 
+              class="settings-input" 
+              value="${this.kubo.apiUrl || ''}"
+              placeholder="https://your-ipfs-node:5001"
+            />
+          </div>
+
+          <div class="settings-section">
+            <label class="settings-label">
+              <span>IPFS Gateway URL (Optional)</span>
+              <p class="settings-description">Gateway used to open files in the browser (defaults to the API URL)</p>
+            </label>
+            <input 
+              type="text" 
+              id="kuboGatewayUrlInput" 
+              class="settings-input" 
+              value="${this.kubo.gatewayUrl || ''}"
+              placeholder="https://your-ipfs-node:8080"
+            />
+          </div>
+
+          <div class="settings-section">
+            <label class="settings-label">
+              <span>IPFS Username / Password (Optional)</span>
+              <p class="settings-description">HTTP Basic Auth credentials for the Kubo API</p>
+            </label>
+            <input 
+              type="text" 
+              id="kuboUsernameInput" 
+              class="settings-input" 
+              value="${this.kubo.username || ''}"
+              placeholder="Username"
+            />
+            <input 
+              type="password" 
+              id="kuboPasswordInput" 
+              class="settings-input" 
+              value="${this.kubo.password || ''}"
+              placeholder="Password"
+            />
+          </div>
+
+          <div class="settings-section">
+            <label class="settings-label">
+              <span>
+                <input type="checkbox" id="publishFolderNamesInput" ${this.publishFolderNames ? 'checked' : ''} />
+                Publish folders via IPNS
+              </span>
+              <p class="settings-description">Each folder gets an IPNS name on your node that always points to its latest version, so /ipns/ links keep working after the folder changes</p>
+            </label>
+          </div>
+        </div>
+
+        <div id="relaySettings" style="display: ${this.storageBackend === 'relay' ? 'block' : 'none'};">
+          <div class="settings-section">
+            <label class="settings-label">
+              <span>Auth Token ${this.walletConnected ? '(Optional - for admin)' : ''}</span>
+              <p class="settings-description">${this.walletConnected ? 'Optional admin token for elevated access' : 'Your admin token for authentication'}</p>
+            </label>
+            <input 
+              type="password" 
+              id="authTokenInput" 
+              class="settings-input" 
+              value="${this.authToken}"
+              placeholder="${this.walletConnected ? 'Optional - leave empty for wallet auth' : 'Enter your auth token'}"
+            />
+          </div>
+
+          <div class="settings-section">
+            <label class="settings-label">
+              <span>Relay URL</span>
+              <p class="settings-description">IPFS relay server URL</p>
+            </label>
+            <input 
+              type="text" 
+              id="relayUrlInput" 
+              class="settings-input" 
+              value="${this.relayUrl}"
+              placeholder="https://your-relay.com"
+            />
+          </div>
         </div>
 
+        ${walletKeyHtml}
+
         <div class="settings-section">
           <label class="settings-label">
-            <span>Encryption Token</span>
+            <span>Encryption Token ${this.walletConnected ? '(Optional)' : ''}</span>
             <p class="settings-description">Secret used to encrypt/decrypt files (not your IPFS token)</p>
           </label>
           <div style="display: flex; gap: 8px; align-items: center;">
@@ -86,7 +184,66 @@ export class SettingsPanel {
               style="flex:1"
             />
             <button id="generateEncTokenBtn" class="btn-secondary" title="Generate random token">Generate</button>
+            <button id="rotateKeyBtn" class="btn-secondary" title="Re-encrypt all files with the new key">Rotate Key</button>
           </div>
+          <p class="settings-description">To change the key, enter (or generate) a new token and click Rotate Key. An interrupted rotation resumes when started again with the same key.</p>
+          <label class="settings-label">
+            <span>
+              <input type="checkbox" id="reencryptContentInput" />
+              Re-encrypt file contents (the old key was exposed)
+            </span>
+            <p class="settings-description">By default rotation only re-wraps each file's own content key: the content keys and the stored ciphertext stay the same, so anyone holding the old key and the already published metadata can still decrypt every file. Check this if the old key may be compromised: every file is downloaded and re-encrypted with new content keys, which is much slower. Old copies are unpinned where the backend allows it; in wallet mode they stay on the relay.</p>
+          </label>
+        </div>
+
+        <div class="settings-section">
+          <label class="settings-label">
+            <span>
+              <input type="checkbox" id="encryptMetadataInput" ${this.encryptMetadata ? 'checked' : ''} />
+              Encrypt file and folder metadata
+            </span>
+            <p class="settings-description">The metadata records published to the storage backend are encrypted with your encryption token. File names inside folders stay visible in the folder's IPFS directory</p>
+          </label>
+        </div>
+
+        <div class="settings-section">
+          <label class="settings-label">
+            <span>
+              <input type="checkbox" id="verifyDownloadsInput" ${this.verifyDownloads ? 'checked' : ''} />
+              Verify downloads
+            </span>
+            <p class="settings-description">Check that every downloaded file matches its CID before opening it. Slower: with block access (Kubo, or the relay with an auth token) each block is fetched and checked separately</p>
+          </label>
+        </div>
+
+        <div class="settings-section">
+          <label class="settings-label">
+            <span>Parallel uploads</span>
+            <p class="settings-description">Number of files uploaded at the same time</p>
+          </label>
+          <input 
+            type="number" 
+            id="uploadConcurrencyInput" 
+            class="settings-input" 
+            min="1"
+            max="10"
+            value="${this.uploadConcurrency}"
+          />
+        </div>
+
+        <div class="settings-section">
+          <label class="settings-label">
+            <span>Empty trash after (days)</span>
+            <p class="settings-description">Deleted items are removed for good after this many days in the trash. 0 keeps them until you empty the trash</p>
+          </label>
+          <input 
+            type="number" 
+            id="trashRetentionDaysInput" 
+            class="settings-input" 
+            min="0"
+            max="365"
+            value="${this.trashRetentionDays}"
+          />
         </div>
 
         ${userAddressHtml}
@@ -98,6 +255,13 @@ export class SettingsPanel {
       </div>
     `;
 
+    // Show the fields of the selected storage backend
+    container.querySelector('#storageBackendInput').addEventListener('change', (e) => {
+      const isKubo = e.target.value === 'kubo';
+      container.querySelector('#kuboSettings').style.display = isKubo ? 'block' : 'none';
+      container.querySelector('#relaySettings').style.display = isKubo ? 'none' : 'block';
+    });
+
     // Generate random encryption token (32 bytes, base64url)
     container.querySelector('#generateEncTokenBtn').addEventListener('click', () => {
       try {
@@ -111,15 +275,50 @@ export class SettingsPanel {
       }
     });
 
+    // Re-encrypt the whole drive with the new token (or the wallet key)
+    container.querySelector('#rotateKeyBtn').addEventListener('click', () => {
+      const useWalletKeyInput = container.querySelector('#useWalletKeyInput');
+      this.onRotateKey({
+        encryptionToken: container.querySelector('#encryptionTokenInput').value.trim(),
+        useWalletKey: useWalletKeyInput ? useWalletKeyInput.checked : false,
+        reencrypt: container.querySelector('#reencryptContentInput').checked
+      });
+    });
+
     container.querySelector('#saveSettingsBtn').addEventListener('click', () => {
       const authToken = container.querySelector('#authTokenInput').value.trim();
       const relayUrl = container.querySelector('#relayUrlInput').value.trim();
       const encryptionToken = container.querySelector('#encryptionTokenInput').value.trim();
       const userAddressInput = container.querySelector('#userAddressInput');
       const userAddress = userAddressInput ? userAddressInput.value.trim() : this.userAddress;
-      
-      // Auth token required only if wallet is NOT connected
-      if (!authToken && !this.walletConnected) {
+      const storageBackend = container.querySelector('#storageBackendInput').value;
+      const encryptMetadata = container.querySelector('#encryptMetadataInput').checked;
+      const useWalletKeyInput = container.querySelector('#useWalletKeyInput');
+      const useWalletKey = useWalletKeyInput ? useWalletKeyInput.checked : this.useWalletKey;
+      const verifyDownloads = container.querySelector('#verifyDownloadsInput').checked;
+      const publishFolderNames = container.querySelector('#publishFolderNamesInput').checked;
+      const uploadConcurrency = Math.min(10, Math.max(1, parseInt(container.querySelector('#uploadConcurrencyInput').value) || 1));
+      const trashRetentionDays = Math.min(365, Math.max(0, parseInt(container.querySelector('#trashRetentionDaysInput').value) || 0));
+      const kubo = {
+        apiUrl: container.querySelector('#kuboApiUrlInput').value.trim(),
+        gatewayUrl: container.querySelector('#kuboGatewayUrlInput').value.trim(),
+        username: container.querySelector('#kuboUsernameInput').value.trim(),
+        password: container.querySelector('#kuboPasswordInput').value,
+      };
+
+      if (encryptMetadata && !encryptionToken && !authToken && !(this.walletConnected && useWalletKey)) {
+        alert('An encryption token is required to encrypt metadata');
+        return;
+      }
+
+      if (storageBackend === 'kubo') {
+        // Kubo needs only its API URL
+        if (!kubo.apiUrl) {
+          alert('IPFS API URL is required for the Kubo backend');
+          return;
+        }
+      } else if (!authToken && !this.walletConnected) {
+        // Auth token required only if wallet is NOT connected
         alert('Auth token is required (or connect your wallet first)');
         return;
       }
@@ -128,7 +327,15 @@ export class SettingsPanel {
         authToken,
         relayUrl: relayUrl || window.location.origin,
         encryptionToken,
-        userAddress: userAddress || 'drive-user'
+        userAddress: userAddress || 'drive-user',
+        storageBackend,
+        kubo,
+        encryptMetadata,
+        useWalletKey,
+        uploadConcurrency,
+        verifyDownloads,
+        publishFolderNames,
+        trashRetentionDays
       });
     });
 
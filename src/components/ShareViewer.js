@@ -0,0 +1,237 @@
+import {
+  isPasswordProtected,
+  isShareExpired,
+  openShareRecord,
+  parseShareLink,
+} from "../lib/share-link.js";
+import { createDecryptionStream } from "../lib/chunked-crypto.js";
+
+/**
+ * Share Viewer
+ * Pagina standalone aperta dai link di condivisione: legge CID, URL e chiave
+ * dal fragment, scarica il ciphertext, lo decripta nel browser e lo mostra.
+ * Non usa DriveCore: chi riceve il link non ha wallet né impostazioni.
+ * I link protetti puntano a un record: scadenza e password vengono
+ * verificate prima di scaricare il file.
+ */
+export class ShareViewer {
+  constructor(options = {}) {
+    this.hash = options.hash ?? window.location.hash;
+    this.share = null;
+    this.blob = null;
+    this.objectUrl = null;
+  }
+
+  render() {
+    const container = document.createElement("div");
+    container.className = "drive-app share-viewer";
+    this.container = container;
+
+    try {
+      this.share = parseShareLink(this.hash);
+    } catch (error) {
+      this.renderError(error.message);
+      return container;
+    }
+
+    container.innerHTML = `
+      <header class="drive-header">
+        <div class="header-left">
+          <div class="drive-title-wrapper">
+            <h1 class="drive-title">Shared file</h1>
+            <span class="drive-subtitle" id="shareName">${this.escape(
+              this.share.record ? "" : this.share.name
+            )}</span>
+          </div>
+        </div>
+        <div class="header-right">
+          <button class="btn-primary" id="shareSaveBtn" disabled>Save</button>
+        </div>
+      </header>
+      <div class="status-bar status-info" id="shareStatus">Downloading...</div>
+      <main class="drive-content">
+        <form class="share-password" id="sharePasswordForm" style="display: none;">
+          <input type="password" id="sharePasswordInput" class="settings-input" placeholder="Password" autocomplete="off" />
+          <button type="submit" class="btn-primary">Open</button>
+        </form>
+        <div class="storage-progress"><div class="storage-progress-bar" id="shareProgress" style="width: 0%"></div></div>
+        <div class="share-preview" id="sharePreview"></div>
+      </main>
+    `;
+
+    container
+      .querySelector("#shareSaveBtn")
+      .addEventListener("click", () => this.save());
+
+    container
+      .querySelector("#sharePasswordForm")
+      .addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.unlock(container.querySelector("#sharePasswordInput").value);
+      });
+
+    if (this.share.record) {
+      this.loadRecord();
+    } else {
+      this.load();
+    }
+    return container;
+  }
+
+  /**
+   * Link protetto: legge il record e chiede la password se necessario
+   */
+  async loadRecord() {
+    try {
+      this.setStatus("Opening share...", "info");
+      const response = await fetch(this.share.url);
+      if (!response.ok) {
+        throw new Error(
+          response.status === 404
+            ? "This share link has expired or was revoked"
+            : `Download failed: ${response.status} ${response.statusText}`
+        );
+      }
+      this.record = await response.json();
+
+      if (isShareExpired(this.record)) {
+        throw new Error("This share link has expired");
+      }
+      if (isPasswordProtected(this.record)) {
+        this.container.querySelector("#sharePasswordForm").style.display =
+          "flex";
+        this.container.querySelector("#sharePasswordInput").focus();
+        this.setStatus("This file is protected by a password", "info");
+        return;
+      }
+      await this.unlock();
+    } catch (error) {
+      console.error("❌ Share record error:", error);
+      this.setStatus(`Failed to open shared file: ${error.message}`, "error");
+    }
+  }
+
+  async unlock(password = "") {
+    try {
+      this.setStatus("Unlocking...", "info");
+      this.share = await openShareRecord(this.record, {
+        password,
+        key: this.share.key,
+      });
+      this.container.querySelector("#sharePasswordForm").style.display =
+        "none";
+      this.container.querySelector("#shareName").textContent = this.share.name;
+      await this.load();
+    } catch (error) {
+      this.setStatus(error.message, "error");
+    }
+  }
+
+  async load() {
+    try {
+      const response = await fetch(this.share.url);
+      if (!response.ok) {
+        throw new Error(
+          `Download failed: ${response.status} ${response.statusText}`
+        );
+      }
+
+      const total =
+        parseInt(response.headers.get("content-length")) || this.share.size;
+      let loaded = 0;
+      let stream = response.body.pipeThrough(
+        new TransformStream({
+          transform: (chunk, controller) => {
+            loaded += chunk.length;
+            if (total) {
+              this.setProgress(Math.min(100, Math.round((loaded / total) * 100)));
+            }
+            controller.enqueue(chunk);
+          },
+        })
+      );
+
+      if (this.share.key) {
+        this.setStatus("Downloading and decrypting...", "info");
+        stream = stream.pipeThrough(createDecryptionStream(this.share.key));
+      }
+
+      const plain = await new Response(stream).blob();
+      this.blob = new Blob([plain], { type: this.share.type });
+      this.setProgress(100);
+
+      this.renderPreview();
+      this.container.querySelector("#shareSaveBtn").disabled = false;
+      this.setStatus(
+        `${this.share.name} ready${this.share.key ? " (decrypted locally)" : ""}`,
+        "success"
+      );
+    } catch (error) {
+      console.error("❌ Share download error:", error);
+      this.setStatus(`Failed to open shared file: ${error.message}`, "error");
+    }
+  }
+
+  renderPreview() {
+    const preview = this.container.querySelector("#sharePreview");
+    const type = this.blob.type;
+    this.objectUrl = URL.createObjectURL(this.blob);
+
+    if (type.startsWith("image/")) {
+      const img = document.createElement("img");
+      img.src = this.objectUrl;
+      img.alt = this.share.name;
+      preview.appendChild(img);
+    } else if (type.startsWith("video/")) {
+      preview.innerHTML = `<video src="${this.objectUrl}" controls></video>`;
+    } else if (type.startsWith("audio/")) {
+      preview.innerHTML = `<audio src="${this.objectUrl}" controls></audio>`;
+    } else if (type.startsWith("text/") || type === "application/json") {
+      const pre = document.createElement("pre");
+      this.blob.text().then((text) => (pre.textContent = text));
+      preview.appendChild(pre);
+    } else {
+      preview.innerHTML = `<p>No preview available for this file type. Use Save to download it.</p>`;
+    }
+  }
+
+  save() {
+    if (!this.blob) return;
+    const a = document.createElement("a");
+    a.href = this.objectUrl || URL.createObjectURL(this.blob);
+    a.download = this.share.name;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  }
+
+  renderError(message) {
+    this.container.innerHTML = `
+      <div class="status-bar status-error">${this.escape(message)}</div>
+      <main class="drive-content">
+        <div class="empty-state">
+          <h3>This share link cannot be opened</h3>
+          <p>Check that the link was copied completely, including the part after #.</p>
+        </div>
+      </main>
+    `;
+  }
+
+  setStatus(message, type = "info") {
+    const status = this.container.querySelector("#shareStatus");
+    if (!status) return;
+    status.className = `status-bar status-${type}`;
+    status.textContent = message;
+  }
+
+  setProgress(percent) {
+    const bar = this.container.querySelector("#shareProgress");
+    if (bar) bar.style.width = `${percent}%`;
+  }
+
+  escape(value) {
+    const div = document.createElement("div");
+    div.textContent = value;
+    return div.innerHTML;
+  }
+}
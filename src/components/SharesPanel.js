@@ -0,0 +1,193 @@
+/**
+ * Pannello delle condivisioni
+ * - Shared with me: file e directory ricevuti dal wallet connesso
+ * - My shares: condivisioni con wallet e link protetti creati, revocabili
+ */
+export class SharesPanel {
+  constructor(options = {}) {
+    this.incoming = [];
+    this.outgoing = [];
+    this.links = [];
+    this.message = "";
+    this.incomingMessage = "";
+    this.onOpen = options.onOpen || (() => {});
+    this.onDownload = options.onDownload || (() => {});
+    this.onRevoke = options.onRevoke || (() => {});
+    this.onCopyLink = options.onCopyLink || (() => {});
+    this.onRevokeLink = options.onRevokeLink || (() => {});
+    this.onClose = options.onClose || (() => {});
+  }
+
+  render() {
+    const container = document.createElement("div");
+    container.className = "settings-panel shares-panel";
+    this.container = container;
+    this.renderContent();
+    return container;
+  }
+
+  /**
+   * @param data.incoming Condivisioni ricevute (WalletSharing.listIncoming)
+   * @param data.outgoing Condivisioni create (WalletSharing.listOutgoing)
+   * @param data.links Link protetti creati (LinkSharing.list)
+   * @param data.message Messaggio al posto delle liste (caricamento, errori)
+   * @param data.incomingMessage Messaggio al posto di "Shared with me"
+   */
+  update(data = {}) {
+    this.incoming = data.incoming || [];
+    this.outgoing = data.outgoing || [];
+    this.links = data.links || [];
+    this.message = data.message || "";
+    this.incomingMessage = data.incomingMessage || "";
+    this.renderContent();
+  }
+
+  renderContent() {
+    if (!this.container) return;
+
+    const body = this.message
+      ? `<p class="settings-description">${this.escape(this.message)}</p>`
+      : `
+        <div class="settings-section">
+          <label class="settings-label"><span>Shared with me</span></label>
+          ${
+            this.incomingMessage
+              ? `<p class="settings-description">${this.escape(
+                  this.incomingMessage
+                )}</p>`
+              : this.incoming.length
+              ? `<ul class="shares-list">${this.incoming
+                  .map((share, index) => this.renderIncoming(share, index))
+                  .join("")}</ul>`
+              : '<p class="settings-description">Nothing has been shared with this wallet yet.</p>'
+          }
+        </div>
+        <div class="settings-section">
+          <label class="settings-label"><span>My shares</span></label>
+          ${
+            this.outgoing.length || this.links.length
+              ? `<ul class="shares-list">${this.outgoing
+                  .map((share, index) => this.renderOutgoing(share, index))
+                  .join("")}${this.links
+                  .map((share, index) => this.renderLink(share, index))
+                  .join("")}</ul>`
+              : '<p class="settings-description">You have not shared anything yet.</p>'
+          }
+          <p class="settings-description">Revoking a wallet share re-encrypts the item with a new key: the other recipients receive the new key automatically. Revoking a link removes its share record.</p>
+        </div>
+      `;
+
+    this.container.innerHTML = `
+      <div class="settings-content">
+        <h2 class="settings-title">Shares</h2>
+        ${body}
+        <div class="settings-actions">
+          <button class="btn-secondary shares-close-btn">Close</button>
+        </div>
+      </div>
+    `;
+
+    this.container
+      .querySelector(".shares-close-btn")
+      .addEventListener("click", () => this.onClose());
+
+    this.container.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", () => {
+        const { action, share, entry } = button.dataset;
+        if (action === "revoke") {
+          this.onRevoke(this.outgoing[share]);
+          return;
+        }
+        if (action === "copy-link") {
+          this.onCopyLink(this.links[share]);
+          return;
+        }
+        if (action === "revoke-link") {
+          this.onRevokeLink(this.links[share]);
+          return;
+        }
+        const item = this.incoming[share];
+        const file = entry !== undefined ? item.files[entry] : null;
+        if (action === "open") this.onOpen(item, file);
+        if (action === "download") this.onDownload(item, file);
+      });
+    });
+  }
+
+  renderIncoming(share, index) {
+    const from = `${share.sender.slice(0, 6)}...${share.sender.slice(-4)}`;
+    const actions = (entry = "") => `
+      <button class="btn-secondary" data-action="open" data-share="${index}" ${entry}>Open</button>
+      <button class="btn-secondary" data-action="download" data-share="${index}" ${entry}>Download</button>
+    `;
+
+    if (share.isDirectory) {
+      return `
+        <li class="shares-item">
+          <div class="shares-item-info">📁 ${this.escape(share.name)} <span class="settings-description">from ${from}</span></div>
+          <ul class="shares-list">
+            ${(share.files || [])
+              .map(
+                (file, entryIndex) => `
+              <li class="shares-item">
+                <div class="shares-item-info">${this.escape(file.name || file.path)}</div>
+                <div class="shares-item-actions">${actions(`data-entry="${entryIndex}"`)}</div>
+              </li>`
+              )
+              .join("")}
+          </ul>
+        </li>
+      `;
+    }
+
+    return `
+      <li class="shares-item">
+        <div class="shares-item-info">${this.escape(share.name)} <span class="settings-description">from ${from}</span></div>
+        <div class="shares-item-actions">${actions()}</div>
+      </li>
+    `;
+  }
+
+  renderOutgoing(share, index) {
+    const to = `${share.recipient.slice(0, 6)}...${share.recipient.slice(-4)}`;
+    return `
+      <li class="shares-item">
+        <div class="shares-item-info">${share.isDirectory ? "📁 " : ""}${this.escape(share.name)} <span class="settings-description">to ${to}</span></div>
+        <div class="shares-item-actions">
+          <button class="btn-secondary" data-action="revoke" data-share="${index}">Revoke</button>
+        </div>
+      </li>
+    `;
+  }
+
+  renderLink(share, index) {
+    const details = [
+      share.passwordProtected ? "🔒 password" : "key in link",
+      share.expired
+        ? "expired"
+        : share.expiresAt
+        ? `expires ${new Date(share.expiresAt).toLocaleString()}`
+        : "no expiry",
+    ].join(" · ");
+
+    return `
+      <li class="shares-item">
+        <div class="shares-item-info">🔗 ${this.escape(share.name)} <span class="settings-description">${details}</span></div>
+        <div class="shares-item-actions">
+          ${
+            share.expired
+              ? ""
+              : `<button class="btn-secondary" data-action="copy-link" data-share="${index}">Copy link</button>`
+          }
+          <button class="btn-secondary" data-action="revoke-link" data-share="${index}">Revoke</button>
+        </div>
+      </li>
+    `;
+  }
+
+  escape(value) {
+    const div = document.createElement("div");
+    div.textContent = value ?? "";
+    return div.innerHTML;
+  }
+}
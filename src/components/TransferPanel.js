@@ -0,0 +1,185 @@
+import { UPLOAD_STATUS } from "../lib/upload-queue.js";
+import { DOWNLOAD_STATUS } from "../lib/download-engine.js";
+
+const STATUS_LABELS = {
+  [UPLOAD_STATUS.QUEUED]: "Queued",
+  [UPLOAD_STATUS.ENCRYPTING]: "Encrypting",
+  [UPLOAD_STATUS.UPLOADING]: "Uploading",
+  [DOWNLOAD_STATUS.DOWNLOADING]: "Downloading",
+  [UPLOAD_STATUS.PAUSED]: "Paused",
+  [UPLOAD_STATUS.DONE]: "Done",
+  [UPLOAD_STATUS.ERROR]: "Failed",
+  [UPLOAD_STATUS.CANCELLED]: "Cancelled",
+};
+
+/**
+ * Pannello dei trasferimenti
+ * Mostra i job della UploadQueue con barra di progresso e azioni
+ * (pausa, ripresa, annulla, riprova) e i download in corso (kind
+ * "download", solo annullabili). Resta visibile finché ci sono job.
+ * Gli upload interrotti da un reload compaiono in pausa: "Resume all" li riprende.
+ */
+export class TransferPanel {
+  constructor(options = {}) {
+    this.jobs = [];
+    this.collapsed = false;
+    this.onPause = options.onPause || (() => {});
+    this.onResume = options.onResume || (() => {});
+    this.onCancel = options.onCancel || (() => {});
+    this.onRetry = options.onRetry || (() => {});
+    this.onResumeAll = options.onResumeAll || (() => {});
+    this.onClear = options.onClear || (() => {});
+    this.driveCore = options.driveCore;
+  }
+
+  render() {
+    const container = document.createElement("div");
+    container.className = "transfer-panel";
+    container.style.display = "none";
+    this.container = container;
+
+    container.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-action]");
+      if (!button) return;
+      const { action } = button.dataset;
+      const id = button.dataset.job;
+
+      if (action === "toggle") {
+        this.collapsed = !this.collapsed;
+        this.renderContent();
+      }
+      if (action === "resume-all") this.onResumeAll();
+      if (action === "clear") this.onClear();
+      if (action === "pause") this.onPause(id);
+      if (action === "resume") this.onResume(id);
+      if (action === "cancel") this.onCancel(id);
+      if (action === "retry") this.onRetry(id);
+    });
+
+    return container;
+  }
+
+  /**
+   * @param jobs Job della UploadQueue e download
+   */
+  update(jobs = []) {
+    this.jobs = jobs;
+    this.renderContent();
+  }
+
+  renderContent() {
+    if (!this.container) return;
+
+    this.container.style.display = this.jobs.length ? "block" : "none";
+    if (!this.jobs.length) {
+      this.container.innerHTML = "";
+      return;
+    }
+
+    const uploading = this.jobs.filter(
+      (job) =>
+        job.status === UPLOAD_STATUS.QUEUED ||
+        job.status === UPLOAD_STATUS.ENCRYPTING ||
+        job.status === UPLOAD_STATUS.UPLOADING
+    ).length;
+    const downloading = this.jobs.filter(
+      (job) => job.status === DOWNLOAD_STATUS.DOWNLOADING
+    ).length;
+    const active = uploading + downloading;
+    const paused = this.jobs.some((job) => job.status === UPLOAD_STATUS.PAUSED);
+    const verb = !downloading
+      ? "Uploading"
+      : !uploading
+      ? "Downloading"
+      : "Transferring";
+    const title = active
+      ? `${verb} ${active} file${active === 1 ? "" : "s"}`
+      : "Transfers";
+
+    this.container.innerHTML = `
+      <div class="transfer-header">
+        <span class="transfer-title">${title}</span>
+        <div class="transfer-header-actions">
+          ${
+            paused
+              ? '<button class="btn-secondary" data-action="resume-all" title="Resume paused uploads">Resume all</button>'
+              : ""
+          }
+          <button class="btn-secondary" data-action="clear" title="Clear finished">Clear</button>
+          <button class="btn-secondary" data-action="toggle" title="${
+            this.collapsed ? "Expand" : "Collapse"
+          }">${this.collapsed ? "▴" : "▾"}</button>
+        </div>
+      </div>
+      ${
+        this.collapsed
+          ? ""
+          : `<ul class="transfer-list">${this.jobs
+              .map((job) => this.renderJob(job))
+              .join("")}</ul>`
+      }
+    `;
+  }
+
+  renderJob(job) {
+    const percent = job.total
+      ? Math.min(100, Math.round((job.loaded / job.total) * 100))
+      : 0;
+    const detail =
+      job.status === UPLOAD_STATUS.ERROR
+        ? this.escape(
+            job.error ||
+              (job.kind === "download" ? "Download failed" : "Upload failed")
+          )
+        : job.status === UPLOAD_STATUS.UPLOADING ||
+          job.status === DOWNLOAD_STATUS.DOWNLOADING
+        ? `${this.driveCore.formatBytes(job.loaded)} / ${this.driveCore.formatBytes(job.total)}`
+        : this.driveCore.formatBytes(job.size);
+    // Contenuto già salvato: l'upload è stato saltato
+    const label = job.result?.deduplicated
+      ? "Already stored"
+      : STATUS_LABELS[job.status];
+
+    return `
+      <li class="transfer-item transfer-${job.status}">
+        <div class="transfer-item-info">
+          <span class="transfer-name" title="${this.escape(job.name)}">${this.escape(job.name)}</span>
+          <span class="transfer-detail">${label} · ${detail}</span>
+        </div>
+        <div class="transfer-progress"><div class="transfer-progress-bar" style="width: ${percent}%"></div></div>
+        <div class="transfer-item-actions">${this.renderActions(job)}</div>
+      </li>
+    `;
+  }
+
+  renderActions(job) {
+    const button = (action, label, title) =>
+      `<button class="btn-secondary" data-action="${action}" data-job="${job.id}" title="${title}">${label}</button>`;
+
+    if (job.kind === "download") {
+      return job.status === DOWNLOAD_STATUS.DOWNLOADING
+        ? button("cancel", "✕", "Cancel")
+        : "";
+    }
+
+    switch (job.status) {
+      case UPLOAD_STATUS.QUEUED:
+      case UPLOAD_STATUS.ENCRYPTING:
+      case UPLOAD_STATUS.UPLOADING:
+        return button("pause", "⏸", "Pause") + button("cancel", "✕", "Cancel");
+      case UPLOAD_STATUS.PAUSED:
+        return button("resume", "▶", "Resume") + button("cancel", "✕", "Cancel");
+      case UPLOAD_STATUS.ERROR:
+      case UPLOAD_STATUS.CANCELLED:
+        return button("retry", "↻", "Retry");
+      default:
+        return "";
+    }
+  }
+
+  escape(value) {
+    const div = document.createElement("div");
+    div.textContent = value ?? "";
+    return div.innerHTML.replace(/"/g, "&quot;");
+  }
+}
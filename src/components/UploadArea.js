@@ -1,6 +1,7 @@
 export class UploadArea {
   constructor(options = {}) {
     this.onUpload = options.onUpload || (() => {});
+    this.onExtract = options.onExtract || (() => {});
     this.onDragOver = options.onDragOver || (() => {});
     this.onDragLeave = options.onDragLeave || (() => {});
     this.isVisible = false;
@@ -21,8 +22,12 @@ export class UploadArea {
           </div>
           <h3>Drop files or folders here to upload</h3>
           <p>or click to select files or folders</p>
+          <button type="button" class="btn-secondary upload-extract-btn" title="Unpack a ZIP or TAR archive into a new folder">
+            Upload and extract an archive
+          </button>
           <input type="file" id="fileInput" multiple style="display: none;" />
           <input type="file" id="folderInput" webkitdirectory directory multiple style="display: none;" />
+          <input type="file" id="archiveInput" accept=".zip,.tar,.tar.gz,.tgz" multiple style="display: none;" />
         </div>
       </div>
     `;
@@ -30,13 +35,47 @@ export class UploadArea {
     const uploadBox = container.querySelector(".upload-box");
     const fileInput = container.querySelector("#fileInput");
     const folderInput = container.querySelector("#folderInput");
+    const archiveInput = container.querySelector("#archiveInput");
+    const extractBtn = container.querySelector(".upload-extract-btn");
 
     // Click to select files (right click or long press for folders)
-    uploadBox.addEventListener("click", (e) => {
+    uploadBox.addEventListener("click", async () => {
+      // Con la File System Access API gli handle permettono di riprendere
+      // gli upload dopo un reload senza copiare i file
+      if (window.showOpenFilePicker) {
+        try {
+          const handles = await window.showOpenFilePicker({ multiple: true });
+          const files = await Promise.all(
+            handles.map((handle) => handle.getFile())
+          );
+          this.onUpload(files, false, { handles });
+        } catch (error) {
+          if (error.name !== "AbortError") {
+            console.warn("⚠️ File picker failed, using file input:", error);
+            fileInput.click();
+          }
+        }
+        return;
+      }
+
       // Default: select files
       fileInput.click();
     });
 
+    // Archivi da estrarre in una nuova cartella
+    extractBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      archiveInput.click();
+    });
+
+    archiveInput.addEventListener("change", (e) => {
+      const files = Array.from(e.target.files);
+      if (files.length > 0) {
+        this.onExtract(files);
+        archiveInput.value = "";
+      }
+    });
+
     // Right click or long press to select folders
     uploadBox.addEventListener("contextmenu", (e) => {
       e.preventDefault();
@@ -76,13 +115,17 @@ export class UploadArea {
       this.onDragLeave();
     });
 
-    container.addEventListener("drop", (e) => {
+    container.addEventListener("drop", async (e) => {
       e.preventDefault();
       e.stopPropagation();
       uploadBox.classList.remove("drag-over");
 
       const files = Array.from(e.dataTransfer.files);
       const items = Array.from(e.dataTransfer.items);
+      // Gli handle vanno richiesti durante l'evento, prima di qualsiasi await
+      const handlePromises = items
+        .filter((item) => item.kind === "file")
+        .map((item) => item.getAsFileSystemHandle?.() || null);
 
       // Check if any item is a directory
       const hasDirectory = items.some((item) => {
@@ -94,9 +137,23 @@ export class UploadArea {
       });
 
       if (files.length > 0) {
+        let handles;
+        try {
+          const resolved = await Promise.all(handlePromises);
+          // Solo se ogni file ha il suo handle (stesso ordine di files)
+          if (
+            resolved.length === files.length &&
+            resolved.every((handle) => handle?.kind === "file")
+          ) {
+            handles = resolved;
+          }
+        } catch (error) {
+          console.warn("⚠️ Could not get file handles:", error);
+        }
+
         // If we have directory items, we need to handle them differently
         // For now, treat as folder upload if we detect directory items
-        this.onUpload(files, hasDirectory);
+        this.onUpload(files, hasDirectory, { handles });
       }
     });
 
@@ -0,0 +1,292 @@
+/**
+ * Archive Reader
+ * Estrae gli archivi ZIP e TAR (anche .tar.gz / .tgz) nel browser. Ogni
+ * entry diventa un File con webkitRelativePath uguale al suo percorso
+ * nell'archivio, come se la cartella fosse stata scelta dal folder input.
+ *
+ * - ZIP: si legge la central directory in fondo al file; le entry "stored"
+ *   sono fette dell'archivio, quelle "deflate" vengono decompresse con
+ *   DecompressionStream. Niente ZIP64 né entry cifrate
+ * - TAR: header ustar, nomi lunghi GNU (L) e PAX (x); gli archivi gzip
+ *   vengono prima decompressi in un Blob
+ */
+
+import { zipEntryName } from "./zip-writer.js";
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+// EOCD (22 byte) più un commento di al massimo 65535 byte
+const ZIP_EOCD_SEARCH = 22 + 0xffff;
+const TAR_BLOCK = 512;
+
+const ARCHIVE_TYPES = [
+  { type: "tar.gz", pattern: /\.(tar\.gz|tgz)$/i },
+  { type: "tar", pattern: /\.tar$/i },
+  { type: "zip", pattern: /\.zip$/i },
+];
+
+/**
+ * Tipo di archivio dal nome del file
+ * @returns "zip" | "tar" | "tar.gz" oppure null
+ */
+export function getArchiveType(file) {
+  return ARCHIVE_TYPES.find(({ pattern }) => pattern.test(file.name))?.type || null;
+}
+
+/**
+ * Nome dell'archivio senza estensione (usato come nome della cartella)
+ */
+export function archiveBaseName(file) {
+  const match = ARCHIVE_TYPES.find(({ pattern }) => pattern.test(file.name));
+  return (match ? file.name.replace(match.pattern, "") : file.name) || "archive";
+}
+
+async function readBytes(blob, start, end) {
+  return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+}
+
+function checkAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException("Extraction aborted", "AbortError");
+  }
+}
+
+/**
+ * Data MS-DOS dello ZIP in millisecondi
+ */
+function fromDosDateTime(time, date) {
+  return new Date(
+    1980 + (date >> 9),
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    time >> 11,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  ).getTime();
+}
+
+/**
+ * Entry di un archivio ZIP
+ * @returns Promise con [{ path, blob, lastModified }]
+ */
+async function readZip(file, signal) {
+  const decoder = new TextDecoder();
+  const tailStart = Math.max(0, file.size - ZIP_EOCD_SEARCH);
+  const tail = await readBytes(file, tailStart, file.size);
+  const tailView = new DataView(tail.buffer);
+
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tailView.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error(`${file.name} is not a valid ZIP archive`);
+  }
+
+  const count = tailView.getUint16(eocd + 10, true);
+  const centralSize = tailView.getUint32(eocd + 12, true);
+  const centralStart = tailView.getUint32(eocd + 16, true);
+  if (count === 0xffff || centralStart === 0xffffffff) {
+    throw new Error("ZIP64 archives are not supported");
+  }
+
+  const central = await readBytes(file, centralStart, centralStart + centralSize);
+  const view = new DataView(central.buffer);
+  const entries = [];
+  let position = 0;
+
+  for (let i = 0; i < count; i++) {
+    checkAborted(signal);
+    if (view.getUint32(position, true) !== ZIP_CENTRAL_HEADER) {
+      throw new Error(`${file.name} has a corrupted central directory`);
+    }
+    const flags = view.getUint16(position + 8, true);
+    const method = view.getUint16(position + 10, true);
+    const time = view.getUint16(position + 12, true);
+    const date = view.getUint16(position + 14, true);
+    const compressedSize = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(
+      central.subarray(position + 46, position + 46 + nameLength)
+    );
+    position += 46 + nameLength + extraLength + commentLength;
+
+    // Cartelle e metadati del Finder di macOS
+    if (name.endsWith("/") || name.startsWith("__MACOSX/")) continue;
+    if (flags & 0x1) {
+      throw new Error(`${name} is encrypted: password-protected archives are not supported`);
+    }
+    if (method !== 0 && method !== 8) {
+      throw new Error(`${name} uses an unsupported compression method (${method})`);
+    }
+
+    const local = await readBytes(file, localOffset, localOffset + 30);
+    const localView = new DataView(local.buffer);
+    if (localView.getUint32(0, true) !== ZIP_LOCAL_HEADER) {
+      throw new Error(`${file.name} has a corrupted entry: ${name}`);
+    }
+    const dataStart =
+      localOffset +
+      30 +
+      localView.getUint16(26, true) +
+      localView.getUint16(28, true);
+    const data = file.slice(dataStart, dataStart + compressedSize);
+
+    entries.push({
+      path: name,
+      blob:
+        method === 0
+          ? data
+          : await new Response(
+              data.stream().pipeThrough(new DecompressionStream("deflate-raw"))
+            ).blob(),
+      lastModified: fromDosDateTime(time, date),
+    });
+  }
+  return entries;
+}
+
+function tarString(bytes, start, length) {
+  const field = bytes.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return new TextDecoder().decode(end < 0 ? field : field.subarray(0, end));
+}
+
+function tarNumber(bytes, start, length) {
+  return parseInt(tarString(bytes, start, length).trim() || "0", 8);
+}
+
+/**
+ * Record PAX ("<lunghezza> chiave=valore\n")
+ */
+function parsePax(bytes) {
+  const decoder = new TextDecoder();
+  const records = {};
+  let position = 0;
+  // La lunghezza di ogni record è in byte, non in caratteri
+  while (position < bytes.length) {
+    const space = bytes.indexOf(0x20, position);
+    const length = parseInt(decoder.decode(bytes.subarray(position, space)));
+    if (space < 0 || !length) break;
+    const record = decoder.decode(bytes.subarray(space + 1, position + length - 1));
+    const equals = record.indexOf("=");
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    position += length;
+  }
+  return records;
+}
+
+/**
+ * Entry di un archivio TAR
+ * @returns Promise con [{ path, blob, lastModified }]
+ */
+async function readTar(blob, signal) {
+  const entries = [];
+  let position = 0;
+  let longName = null;
+  let pax = {};
+
+  while (position + TAR_BLOCK <= blob.size) {
+    checkAborted(signal);
+    const header = await readBytes(blob, position, position + TAR_BLOCK);
+    // Due blocchi vuoti chiudono l'archivio
+    if (header.every((byte) => byte === 0)) break;
+
+    const size = tarNumber(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 48);
+    const dataStart = position + TAR_BLOCK;
+    position = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+    if (type === "L") {
+      longName = tarString(await readBytes(blob, dataStart, dataStart + size), 0, size);
+      continue;
+    }
+    if (type === "x") {
+      pax = parsePax(await readBytes(blob, dataStart, dataStart + size));
+      continue;
+    }
+
+    let path = tarString(header, 0, 100);
+    const prefix = tarString(header, 257, 6).startsWith("ustar")
+      ? tarString(header, 345, 155)
+      : "";
+    if (prefix) path = `${prefix}/${path}`;
+    path = pax.path || longName || path;
+    const mtime = pax.mtime ? parseFloat(pax.mtime) : tarNumber(header, 136, 12);
+    longName = null;
+    pax = {};
+
+    // Solo file regolari: cartelle, link e dispositivi vengono ignorati
+    if (type !== "0" && type !== "7") continue;
+    entries.push({
+      path,
+      blob: blob.slice(dataStart, dataStart + size),
+      lastModified: mtime * 1000,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Estrae un archivio in una lista di File pronti per uploadDirectory
+ * I percorsi stanno sotto una sola cartella: quella già presente
+ * nell'archivio, oppure una col nome dell'archivio
+ * @param options.signal AbortSignal per interrompere l'estrazione
+ * @returns Promise con { folderName, files }
+ */
+export async function extractArchive(file, options = {}) {
+  const { signal } = options;
+  const type = getArchiveType(file);
+  let entries;
+
+  if (type === "zip") {
+    entries = await readZip(file, signal);
+  } else if (type === "tar") {
+    entries = await readTar(file, signal);
+  } else if (type === "tar.gz") {
+    const tar = await new Response(
+      file.stream().pipeThrough(new DecompressionStream("gzip"))
+    ).blob();
+    entries = await readTar(tar, signal);
+  } else {
+    throw new Error(`${file.name} is not a ZIP or TAR archive`);
+  }
+
+  // Percorsi puliti da "/" iniziali e segmenti ".."
+  entries = entries
+    .map((entry) => ({ ...entry, path: zipEntryName(entry.path) }))
+    .filter((entry) => entry.path);
+  if (entries.length === 0) {
+    throw new Error(`${file.name} contains no files`);
+  }
+
+  const roots = new Set(entries.map((entry) => entry.path.split("/")[0]));
+  const [root] = roots;
+  const hasSingleRoot =
+    roots.size === 1 && entries.every((entry) => entry.path.includes("/"));
+  const folderName = hasSingleRoot ? root : archiveBaseName(file);
+
+  const files = entries.map((entry) => {
+    const relativePath = hasSingleRoot
+      ? entry.path
+      : `${folderName}/${entry.path}`;
+    const extracted = new File([entry.blob], relativePath.split("/").pop(), {
+      lastModified: entry.lastModified || file.lastModified,
+    });
+    Object.defineProperty(extracted, "webkitRelativePath", {
+      value: relativePath,
+      writable: false,
+    });
+    return extracted;
+  });
+
+  console.log(`📦 Extracted ${files.length} file(s) from ${file.name}`);
+  return { folderName, files };
+}
@@ -0,0 +1,35 @@
+/**
+ * Storage backends per DriveCore
+ *
+ * Ogni backend espone la stessa interfaccia:
+ * - hasCredentials(options), canManagePins(), health(), checkAuthentication()
+ * - add(file, { onProgress, signal }), addDirectory(files)
+ * - canPutBlocks(), putBlock(block, { codec, onProgress, signal }), pinAdd(cid)
+ * - canGetBlocks(), getBlock(cid, { signal })
+ * - catRequest(path, { offset }), cat(path, options), catFromDirectory(cid, path)
+ * - ls(cid), pinLs(), hasPin(cid), pinRm(cid), getStorageUsage(userAddress)
+ * - saveMetadata(metadata), removeMetadata(cid, userAddress), getMetadataMap()
+ * - publicUrl(cid)
+ * - canPublishNames(), getNameKey(name), publishName(name, cid),
+ *   removeNameKey(name): nomi IPNS (solo Kubo)
+ *
+ * I backend servono sempre il contenuto così come è salvato (ciphertext per
+ * i file criptati): il token di cifratura non lascia mai il browser.
+ */
+
+import { RelayBackend } from "./relay-backend.js";
+import { KuboBackend } from "./kubo-backend.js";
+
+export { RelayBackend, KuboBackend };
+
+export const BACKEND_TYPES = ["relay", "kubo"];
+
+export function createStorageBackend(type, options = {}) {
+  switch (type) {
+    case "kubo":
+      return new KuboBackend(options);
+    case "relay":
+    default:
+      return new RelayBackend(options);
+  }
+}
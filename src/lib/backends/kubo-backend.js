@@ -0,0 +1,358 @@
+import { xhrRequest } from "./xhr-request.js";
+
+/**
+ * Kubo Storage Backend
+ * Parla direttamente con l'HTTP RPC API di un nodo IPFS Kubo (/api/v0/*)
+ * con HTTP Basic Auth, senza passare dal relay (vedi MIGRATION.md)
+ */
+
+export class KuboBackend {
+  constructor(options = {}) {
+    this.type = "kubo";
+    this.capabilities = {
+      userUploads: false,
+      remoteMetadata: false, // I metadati vivono solo nel browser
+    };
+    this.apiUrl = (options.apiUrl || window.location.origin).replace(
+      /\/+$/,
+      ""
+    );
+    this.gatewayUrl = (options.gatewayUrl || this.apiUrl).replace(/\/+$/, "");
+    this.username = options.username || "";
+    this.password = options.password || "";
+  }
+
+  hasCredentials() {
+    return !!this.apiUrl;
+  }
+
+  canManagePins() {
+    return true;
+  }
+
+  _headers(extra = {}) {
+    const headers = { ...extra };
+    if (this.username) {
+      headers["Authorization"] = `Basic ${btoa(
+        `${this.username}:${this.password}`
+      )}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Esegue una chiamata RPC (Kubo accetta solo POST)
+   */
+  async _rpc(command, params = {}, options = {}) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        query.append(key, String(value));
+      }
+    }
+
+    const url = `${this.apiUrl}/api/v0/${command}?${query.toString()}`;
+    const request = {
+      method: "POST",
+      headers: this._headers(options.headers),
+      body: options.body,
+      signal: options.signal,
+    };
+    // Il progresso dell'upload è disponibile solo con XMLHttpRequest
+    const response = options.onUploadProgress
+      ? await xhrRequest(url, {
+          ...request,
+          onUploadProgress: options.onUploadProgress,
+        })
+      : await fetch(url, request);
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "");
+      let message = errorText;
+      try {
+        message = JSON.parse(errorText).Message || errorText;
+      } catch (e) {
+        // Risposta non JSON
+      }
+      const error = new Error(
+        `IPFS ${command} failed: ${response.status} ${message}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * /api/v0/add risponde con una riga JSON per ogni entry aggiunta
+   */
+  async _parseAddResponse(response) {
+    const text = await response.text();
+    return text
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+
+  async health() {
+    const response = await this._rpc("version");
+    return await response.json();
+  }
+
+  async checkAuthentication() {
+    try {
+      await this._rpc("version");
+      return true;
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Upload di un singolo file con pin
+   * @param options.onProgress Callback { loaded, total } sui byte inviati
+   * @param options.signal AbortSignal per annullare l'upload
+   * @returns Promise con { hash }
+   */
+  async add(file, options = {}) {
+    const formData = new FormData();
+    formData.append("file", file, encodeURIComponent(file.name));
+
+    const response = await this._rpc(
+      "add",
+      { pin: true },
+      {
+        body: formData,
+        onUploadProgress: options.onProgress,
+        signal: options.signal,
+      }
+    );
+    const entries = await this._parseAddResponse(response);
+    const entry = entries[entries.length - 1];
+
+    if (!entry?.Hash) {
+      throw new Error("Upload failed - invalid response");
+    }
+
+    return { hash: entry.Hash };
+  }
+
+  /**
+   * Upload a blocchi (vedi chunked-upload.js): sempre disponibile su Kubo
+   */
+  canPutBlocks() {
+    return true;
+  }
+
+  /**
+   * Salva un singolo blocco (senza pin: il pin ricorsivo della radice lo
+   * protegge a fine upload)
+   * @param options.codec "raw" oppure "dag-pb"
+   * @returns Promise con { cid }
+   */
+  async putBlock(block, options = {}) {
+    const formData = new FormData();
+    formData.append("data", new Blob([block]));
+
+    const response = await this._rpc(
+      "block/put",
+      { "cid-codec": options.codec || "raw", mhtype: "sha2-256", pin: false },
+      {
+        body: formData,
+        onUploadProgress: options.onProgress,
+        signal: options.signal,
+      }
+    );
+    const data = await response.json();
+    return { cid: data.Key };
+  }
+
+  canGetBlocks() {
+    return true;
+  }
+
+  /**
+   * Legge un singolo blocco
+   * @returns Promise con i byte del blocco
+   */
+  async getBlock(cid, options = {}) {
+    const response = await this._rpc(
+      "block/get",
+      { arg: cid },
+      { signal: options.signal }
+    );
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  async pinAdd(cid) {
+    const response = await this._rpc("pin/add", { arg: cid });
+    return await response.json();
+  }
+
+  /**
+   * Upload di una directory con pin
+   * Il primo segmento di webkitRelativePath (nome cartella) viene rimosso:
+   * il CID restituito è la radice che contiene direttamente i file
+   * @returns Promise con { directoryCid }
+   */
+  async addDirectory(files) {
+    const formData = new FormData();
+    for (const file of files) {
+      const relativePath = file.webkitRelativePath || file.name;
+      const pathParts = relativePath.split("/");
+      const innerPath =
+        pathParts.length > 1 ? pathParts.slice(1).join("/") : relativePath;
+      formData.append("file", file, encodeURIComponent(innerPath));
+    }
+
+    const response = await this._rpc(
+      "add",
+      { pin: true, "wrap-with-directory": true },
+      { body: formData }
+    );
+    const entries = await this._parseAddResponse(response);
+    // La directory wrapper è l'entry con nome vuoto
+    const root = entries.find((entry) => entry.Name === "");
+
+    if (!root?.Hash) {
+      throw new Error("Directory upload failed - invalid response");
+    }
+
+    return { directoryCid: root.Hash };
+  }
+
+  /**
+   * Descrive la richiesta HTTP per leggere un contenuto
+   * Kubo non decripta: il contenuto arriva sempre così come è stato salvato
+   * @param options.offset Byte da cui iniziare (ripresa del download)
+   */
+  catRequest(path, options = {}) {
+    const offset = options.offset ? `&offset=${options.offset}` : "";
+    return {
+      url: `${this.apiUrl}/api/v0/cat?arg=${encodeURIComponent(path)}${offset}`,
+      method: "POST",
+      headers: this._headers({ Accept: "*/*" }),
+    };
+  }
+
+  /**
+   * Legge un contenuto come Response in streaming
+   */
+  async cat(path, options = {}) {
+    const { url, method, headers } = this.catRequest(path);
+    return await fetch(url, { method, headers, signal: options.signal });
+  }
+
+  async catFromDirectory(directoryCid, filePath) {
+    const response = await this._rpc("cat", {
+      arg: `${directoryCid}/${filePath}`,
+    });
+    return await response.blob();
+  }
+
+  async ls(cid) {
+    const response = await this._rpc("ls", { arg: cid });
+    const data = await response.json();
+    return { Links: data.Objects?.[0]?.Links || [] };
+  }
+
+  async pinLs() {
+    const response = await this._rpc("pin/ls", { type: "recursive" });
+    const data = await response.json();
+    return { success: true, pins: data.Keys || {} };
+  }
+
+  /**
+   * Verifica se un CID è pinnato (ricorsivamente) sul nodo
+   */
+  async hasPin(cid) {
+    try {
+      const response = await this._rpc("pin/ls", { arg: cid, type: "recursive" });
+      const data = await response.json();
+      return Object.keys(data.Keys || {}).length > 0;
+    } catch (error) {
+      // Kubo risponde con errore se il CID non è pinnato
+      return false;
+    }
+  }
+
+  async pinRm(cid) {
+    const response = await this._rpc("pin/rm", { arg: cid });
+    return await response.json();
+  }
+
+  /**
+   * IPNS: ogni chiave del nodo pubblica un nome che punta a un CID
+   */
+  canPublishNames() {
+    return true;
+  }
+
+  /**
+   * Nome IPNS (id) della chiave, creata se non esiste
+   */
+  async getNameKey(name) {
+    const list = await (await this._rpc("key/list", { l: true })).json();
+    const existing = (list.Keys || []).find((key) => key.Name === name);
+    if (existing) {
+      return existing.Id;
+    }
+    const response = await this._rpc("key/gen", { arg: name, type: "ed25519" });
+    return (await response.json()).Id;
+  }
+
+  async publishName(name, cid) {
+    const response = await this._rpc("name/publish", {
+      arg: `/ipfs/${cid}`,
+      key: name,
+      "allow-offline": true,
+    });
+    return await response.json();
+  }
+
+  async removeNameKey(name) {
+    const response = await this._rpc("key/rm", { arg: name });
+    return await response.json();
+  }
+
+  async getStorageUsage(userAddress) {
+    const response = await this._rpc("repo/stat", { "size-only": true });
+    const stat = await response.json();
+    const usedBytes = stat.RepoSize || 0;
+
+    return {
+      success: true,
+      userAddress,
+      storage: {
+        usedBytes,
+        usedMB: usedBytes / (1024 * 1024),
+        fileCount: 0,
+        verified: true,
+      },
+      subscription: null,
+    };
+  }
+
+  // Kubo non ha un registro di metadati: la cache locale è la fonte primaria
+
+  async saveMetadata() {
+    return { success: true };
+  }
+
+  async removeMetadata() {}
+
+  async getMetadataMap() {
+    return null;
+  }
+
+  /**
+   * URL pubblico sul gateway IPFS
+   */
+  publicUrl(cid) {
+    return `${this.gatewayUrl}/ipfs/${cid}`;
+  }
+}
@@ -0,0 +1,426 @@
+/**
+ * Relay Storage Backend
+ * Usa shogun-relay (SDK + route /api/v1/ipfs/*) come storage IPFS
+ */
+
+import ShogunRelaySDK from "shogun-relay-sdk";
+import { xhrRequest } from "./xhr-request.js";
+
+export class RelayBackend {
+  constructor(options = {}) {
+    this.type = "relay";
+    this.capabilities = {
+      userUploads: true, // Endpoint per-utente /user-uploads
+      remoteMetadata: true, // System hash map salvata sul relay
+    };
+    this.relayUrl = options.relayUrl || window.location.origin;
+    this.authToken = options.authToken || null;
+    this.userAddress = options.userAddress || "";
+    this.walletSignature = options.walletSignature || "";
+
+    this.sdk = new ShogunRelaySDK({
+      baseURL: this.relayUrl,
+      token: this.authToken,
+      userAddress: this.userAddress,
+      // Send user address and signature headers for multi-user support
+      extraHeaders: {
+        "X-User-Address": this.userAddress || undefined,
+        "X-Wallet-Signature": this.walletSignature || undefined,
+      },
+    });
+  }
+
+  /**
+   * Admin token or wallet address are enough to talk to the relay.
+   * With `signed`, wallet users must also have a signature (write operations).
+   */
+  hasCredentials(options = {}) {
+    if (options.signed) {
+      return !!(this.authToken || this.walletSignature);
+    }
+    return !!(this.authToken || this.userAddress);
+  }
+
+  /**
+   * Pin management (pin/ls, pin/rm) is reserved to the admin token
+   */
+  canManagePins() {
+    return !!this.authToken;
+  }
+
+  _headers(extra = {}) {
+    const headers = { ...extra };
+    if (this.authToken) {
+      headers["Authorization"] = `Bearer ${this.authToken}`;
+    }
+    return headers;
+  }
+
+  async health() {
+    return await this.sdk.system.health();
+  }
+
+  /**
+   * With wallet auth, having a userAddress is sufficient for user-level access
+   */
+  async checkAuthentication() {
+    if (this.userAddress) {
+      return true;
+    }
+
+    if (!this.authToken) {
+      return false;
+    }
+
+    try {
+      await this.sdk.ipfs.pinLs();
+      return true;
+    } catch (error) {
+      if (error.response && error.response.status === 401) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Upload di un singolo file
+   * @param options.onProgress Callback { loaded, total } sui byte inviati
+   * @param options.signal AbortSignal per annullare l'upload
+   * @returns Promise con { hash }
+   */
+  async add(file, options = {}) {
+    const { onProgress, signal } = options;
+    const walletAuth = !!(this.walletSignature && this.userAddress);
+
+    // Use direct request for wallet mode (SDK doesn't support extraHeaders)
+    // and whenever progress or cancellation are needed (SDK supports neither)
+    if (walletAuth || onProgress || signal) {
+      console.log(
+        walletAuth
+          ? "📤 Using wallet auth for upload"
+          : "📤 Using direct upload request"
+      );
+
+      const formData = new FormData();
+      formData.append("file", file);
+
+      const headers = this._headers(
+        walletAuth
+          ? {
+              "X-User-Address": this.userAddress,
+              "X-Wallet-Signature": this.walletSignature,
+            }
+          : {}
+      );
+
+      const response = await xhrRequest(`${this.relayUrl}/api/v1/ipfs/upload`, {
+        method: "POST",
+        headers,
+        body: formData,
+        onUploadProgress: onProgress,
+        signal,
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        // Handle specific error cases
+        if (response.status === 401) {
+          throw new Error(
+            result.hint ||
+              result.error ||
+              "Authentication failed - check wallet signature"
+          );
+        }
+        if (response.status === 402) {
+          throw new Error(
+            "Subscription required - please purchase a subscription to upload files"
+          );
+        }
+        throw new Error(
+          result.error || `Upload failed with status ${response.status}`
+        );
+      }
+
+      if (!result.success || !result.file?.hash) {
+        throw new Error(result.error || "Upload failed - invalid response");
+      }
+
+      return { hash: result.file.hash };
+    }
+
+    // Use SDK for admin mode (with auth token)
+    console.log("📤 Using SDK for upload (admin mode)");
+    const result = await this.sdk.ipfs.uploadFileBrowser(file);
+
+    if (!result.success || !result.file?.hash) {
+      throw new Error(result.error || "Upload failed - invalid response");
+    }
+
+    return { hash: result.file.hash };
+  }
+
+  /**
+   * Upload a blocchi (vedi chunked-upload.js) tramite il proxy IPFS del
+   * relay, riservato al token admin: gli utenti wallet usano /upload
+   */
+  canPutBlocks() {
+    return !!this.authToken;
+  }
+
+  /**
+   * Chiamata all'API IPFS tramite il proxy del relay
+   */
+  async _ipfsApi(command, params = {}, options = {}) {
+    const query = new URLSearchParams(params);
+    const url = `${this.relayUrl}/api/v1/ipfs/api/v0/${command}?${query.toString()}`;
+    const request = {
+      method: "POST",
+      headers: this._headers(options.headers),
+      body: options.body ?? "",
+      signal: options.signal,
+    };
+    const response = options.onUploadProgress
+      ? await xhrRequest(url, {
+          ...request,
+          onUploadProgress: options.onUploadProgress,
+        })
+      : await fetch(url, request);
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "");
+      throw new Error(
+        `IPFS ${command} failed: ${response.status} - ${errorText}`
+      );
+    }
+    return response;
+  }
+
+  /**
+   * Salva un singolo blocco (senza pin)
+   * @param options.codec "raw" oppure "dag-pb"
+   * @returns Promise con { cid }
+   */
+  async putBlock(block, options = {}) {
+    const formData = new FormData();
+    formData.append("data", new Blob([block]));
+
+    const response = await this._ipfsApi(
+      "block/put",
+      { "cid-codec": options.codec || "raw", mhtype: "sha2-256", pin: "false" },
+      {
+        body: formData,
+        onUploadProgress: options.onProgress,
+        signal: options.signal,
+      }
+    );
+    const data = await response.json();
+    return { cid: data.Key };
+  }
+
+  /**
+   * Lettura dei singoli blocchi (verifica d'integrità), come canPutBlocks
+   */
+  canGetBlocks() {
+    return !!this.authToken;
+  }
+
+  /**
+   * Legge un singolo blocco
+   * @returns Promise con i byte del blocco
+   */
+  async getBlock(cid, options = {}) {
+    const response = await this._ipfsApi(
+      "block/get",
+      { arg: cid },
+      { signal: options.signal }
+    );
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  async pinAdd(cid) {
+    const response = await this._ipfsApi("pin/add", { arg: cid });
+    return await response.json();
+  }
+
+  /**
+   * Upload di una directory (i file devono avere webkitRelativePath)
+   * @returns Promise con { directoryCid }
+   */
+  async addDirectory(files) {
+    const result = await this.sdk.ipfs.uploadDirectoryBrowser(files);
+
+    if (!result.success || !result.directoryCid) {
+      throw new Error(
+        result.error || "Directory upload failed - invalid response"
+      );
+    }
+
+    return { directoryCid: result.directoryCid };
+  }
+
+  /**
+   * Descrive la richiesta HTTP per leggere un contenuto
+   * Il relay serve sempre il ciphertext: la decrittazione avviene nel browser
+   * (la route /decrypt?token= esporrebbe il token al server)
+   * @param options.offset Byte da cui iniziare (ripresa del download, Range)
+   */
+  catRequest(path, options = {}) {
+    const headers = { Accept: "*/*" };
+    if (options.offset) {
+      headers.Range = `bytes=${options.offset}-`;
+    }
+    return {
+      url: `${this.relayUrl}/api/v1/ipfs/cat/${path}`,
+      method: "GET",
+      headers: this._headers(headers),
+    };
+  }
+
+  /**
+   * Legge un contenuto come Response in streaming
+   */
+  async cat(path, options = {}) {
+    const { url, method, headers } = this.catRequest(path);
+    return await fetch(url, { method, headers, signal: options.signal });
+  }
+
+  /**
+   * Legge un file da una directory
+   * @returns Promise con il contenuto come Blob
+   */
+  async catFromDirectory(directoryCid, filePath) {
+    // L'SDK restituisce un Buffer, ma nel browser dobbiamo convertirlo in Blob
+    const buffer = await this.sdk.ipfs.catFromDirectory(directoryCid, filePath);
+
+    // Buffer è un Uint8Array nel browser quando usato con axios
+    return buffer instanceof ArrayBuffer
+      ? new Blob([buffer])
+      : new Blob([new Uint8Array(buffer)]);
+  }
+
+  /**
+   * Lista i link di una directory tramite il proxy IPFS del relay
+   * @returns Promise con { Links }
+   */
+  async ls(cid) {
+    const response = await fetch(
+      `${this.relayUrl}/api/v1/ipfs/api/v0/ls?arg=${encodeURIComponent(cid)}`,
+      {
+        method: "POST",
+        headers: this._headers({
+          "Content-Type": "application/x-www-form-urlencoded",
+        }),
+        body: "", // Empty body per POST request
+      }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "");
+      throw new Error(
+        `Failed to get directory contents: ${response.status} - ${errorText}`
+      );
+    }
+
+    const directoryData = await response.json();
+
+    // IPFS ls restituisce { Objects: [{ Hash: "...", Links: [...] }] }
+    if (directoryData.Objects && directoryData.Objects.length > 0) {
+      return { Links: directoryData.Objects[0].Links || [] };
+    }
+    if (directoryData.Links && Array.isArray(directoryData.Links)) {
+      return { Links: directoryData.Links };
+    }
+    return { Links: [] };
+  }
+
+  /**
+   * @returns Promise con { success, pins: { [cid]: { Type } } }
+   */
+  async pinLs() {
+    return await this.sdk.ipfs.pinLs();
+  }
+
+  /**
+   * Verifica se un CID è pinnato sul relay (solo con token admin)
+   */
+  async hasPin(cid) {
+    if (!this.canManagePins()) return false;
+    try {
+      const response = await this._ipfsApi("pin/ls", {
+        arg: cid,
+        type: "recursive",
+      });
+      const data = await response.json();
+      return Object.keys(data.Keys || {}).length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async pinRm(cid) {
+    return await this.sdk.ipfs.pinRm(cid);
+  }
+
+  /**
+   * Il relay non espone le chiavi IPNS del nodo
+   */
+  canPublishNames() {
+    return false;
+  }
+
+  async getStorageUsage(userAddress) {
+    return await this.sdk.x402.getStorageUsage(userAddress);
+  }
+
+  async saveMetadata(metadata) {
+    return await this.sdk.uploads.saveSystemHash(metadata);
+  }
+
+  async removeMetadata(cid, userAddress) {
+    // Use direct fetch for wallet mode
+    if (!this.authToken && this.walletSignature && this.userAddress) {
+      const response = await fetch(
+        `${this.relayUrl}/api/v1/uploads/remove-system-hash`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-User-Address": this.userAddress,
+            "X-Wallet-Signature": this.walletSignature,
+          },
+          body: JSON.stringify({
+            hash: cid,
+            userAddress: this.userAddress,
+          }),
+        }
+      );
+      if (!response.ok) {
+        console.warn(`⚠️ Metadata removal returned ${response.status}`);
+      }
+      return;
+    }
+
+    return await this.sdk.uploads.removeSystemHash(cid, userAddress);
+  }
+
+  /**
+   * @returns Promise con la system hash map del relay
+   */
+  async getMetadataMap() {
+    const data = await this.sdk.uploads.getSystemHashesMap();
+    return data.systemHashes || {};
+  }
+
+  async getUserUploads(userAddress) {
+    return await this.sdk.uploads.getUserUploads(userAddress);
+  }
+
+  /**
+   * URL pubblico per aprire un contenuto nel browser
+   */
+  publicUrl(cid) {
+    return this.catRequest(cid).url;
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Richiesta HTTP con XMLHttpRequest: a differenza di fetch espone il
+ * progresso dell'upload (usato dalla coda di upload)
+ * @param options.onUploadProgress Callback { loaded, total }
+ * @param options.signal AbortSignal per annullare la richiesta
+ * @returns Promise con una Response
+ */
+export function xhrRequest(url, options = {}) {
+  const { method = "POST", headers = {}, body, onUploadProgress, signal } =
+    options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Upload aborted", "AbortError"));
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    xhr.responseType = "blob";
+    for (const [name, value] of Object.entries(headers)) {
+      if (value !== undefined && value !== null) {
+        xhr.setRequestHeader(name, value);
+      }
+    }
+
+    if (onUploadProgress) {
+      xhr.upload.onprogress = (event) => {
+        onUploadProgress({
+          loaded: event.loaded,
+          total: event.lengthComputable ? event.total : 0,
+        });
+      };
+    }
+
+    const onAbort = () => xhr.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    xhr.onload = () => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve(
+        new Response(xhr.response, {
+          status: xhr.status,
+          statusText: xhr.statusText,
+        })
+      );
+    };
+    xhr.onerror = () => {
+      signal?.removeEventListener("abort", onAbort);
+      reject(new Error("Network error during upload"));
+    };
+    xhr.onabort = () => {
+      reject(new DOMException("Upload aborted", "AbortError"));
+    };
+
+    xhr.send(body);
+  });
+}
@@ -0,0 +1,376 @@
+/**
+ * Chunked Encryption
+ * Formato contenitore versionato per file criptati con AES-GCM a chunk,
+ * prodotto e letto tramite Web Streams (nessun base64, memoria costante)
+ *
+ * Layout (v1):
+ *   header  = magic "SHDE" (4) | version (1) | kdf (1) | chunkSize uint32 BE (4)
+ *             | salt (16) | noncePrefix (8)
+ *   chunk_i = AES-GCM(plaintext_i) con tag da 16 byte
+ *             nonce = noncePrefix | i (uint32 BE)
+ *             AAD   = i (uint32 BE) | final (1 byte)
+ *
+ * Ogni chunk in chiaro è lungo chunkSize, tranne l'ultimo (marcato final,
+ * eventualmente vuoto): un file troncato o riordinato non si decripta.
+ *
+ * Il segreto può essere una passphrase (string), una chiave raw
+ * (Uint8Array/CryptoKey) oppure un keyring { key, passphrase }: in cifratura
+ * si preferisce key, in decifratura si usa quello indicato dal campo kdf.
+ */
+
+const MAGIC = [0x53, 0x48, 0x44, 0x45]; // "SHDE"
+const FORMAT_VERSION = 1;
+const KDF_RAW = 0; // Chiave AES da 32 byte passata direttamente
+const KDF_PBKDF2 = 1; // Chiave derivata da una passphrase
+const PBKDF2_ITERATIONS = 100000;
+const SALT_SIZE = 16;
+const NONCE_PREFIX_SIZE = 8;
+const TAG_SIZE = 16;
+const HEADER_SIZE = 4 + 1 + 1 + 4 + SALT_SIZE + NONCE_PREFIX_SIZE;
+
+export const ENCRYPTION_FORMAT = "shde-aes-gcm-v1";
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024; // 1 MiB
+
+/**
+ * Coda di byte che evita di concatenare ad ogni chunk ricevuto
+ */
+class ByteQueue {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  push(chunk) {
+    if (chunk.length > 0) {
+      this.chunks.push(chunk);
+      this.length += chunk.length;
+    }
+  }
+
+  take(size) {
+    const out = new Uint8Array(size);
+    let offset = 0;
+    while (offset < size) {
+      const head = this.chunks[0];
+      const needed = size - offset;
+      if (head.length <= needed) {
+        out.set(head, offset);
+        offset += head.length;
+        this.chunks.shift();
+      } else {
+        out.set(head.subarray(0, needed), offset);
+        this.chunks[0] = head.subarray(needed);
+        offset += needed;
+      }
+    }
+    this.length -= size;
+    return out;
+  }
+}
+
+function toBytes(chunk) {
+  if (chunk instanceof Uint8Array) return chunk;
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  if (ArrayBuffer.isView(chunk)) {
+    return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+  throw new Error("Encryption stream expects binary chunks");
+}
+
+function isKeyring(secret) {
+  return (
+    !!secret &&
+    typeof secret === "object" &&
+    !ArrayBuffer.isView(secret) &&
+    !(secret instanceof ArrayBuffer) &&
+    !(typeof CryptoKey !== "undefined" && secret instanceof CryptoKey)
+  );
+}
+
+/**
+ * Sceglie dal keyring il segreto adatto al kdf del file
+ */
+function secretForKdf(secret, kdf) {
+  if (!isKeyring(secret)) return secret;
+  const selected = kdf === KDF_RAW ? secret.key : secret.passphrase;
+  if (!selected) {
+    throw new Error(
+      kdf === KDF_RAW
+        ? "This file was encrypted with a wallet key - connect the wallet to decrypt it"
+        : "This file was encrypted with an encryption token - set it in settings to decrypt it"
+    );
+  }
+  return selected;
+}
+
+async function importKey(secret, kdf, salt) {
+  secret = secretForKdf(secret, kdf);
+  if (kdf === KDF_RAW) {
+    if (typeof CryptoKey !== "undefined" && secret instanceof CryptoKey) {
+      return secret;
+    }
+    return await crypto.subtle.importKey(
+      "raw",
+      toBytes(secret),
+      "AES-GCM",
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return await crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+function kdfForSecret(secret) {
+  if (isKeyring(secret)) {
+    if (secret.key) return KDF_RAW;
+    if (secret.passphrase) return KDF_PBKDF2;
+    throw new Error("Encryption key is required");
+  }
+  if (!secret) {
+    throw new Error("Encryption key is required");
+  }
+  return typeof secret === "string" ? KDF_PBKDF2 : KDF_RAW;
+}
+
+function buildHeader({ kdf, chunkSize, salt, noncePrefix }) {
+  const header = new Uint8Array(HEADER_SIZE);
+  const view = new DataView(header.buffer);
+  header.set(MAGIC, 0);
+  header[4] = FORMAT_VERSION;
+  header[5] = kdf;
+  view.setUint32(6, chunkSize);
+  header.set(salt, 10);
+  header.set(noncePrefix, 10 + SALT_SIZE);
+  return header;
+}
+
+function parseHeader(header) {
+  if (!MAGIC.every((byte, i) => header[i] === byte)) {
+    throw new Error("Not a chunked encrypted file");
+  }
+  if (header[4] !== FORMAT_VERSION) {
+    throw new Error(`Unsupported encryption format version ${header[4]}`);
+  }
+  const view = new DataView(header.buffer, header.byteOffset);
+  return {
+    kdf: header[5],
+    chunkSize: view.getUint32(6),
+    salt: header.slice(10, 10 + SALT_SIZE),
+    noncePrefix: header.slice(10 + SALT_SIZE, HEADER_SIZE),
+  };
+}
+
+function chunkParams(noncePrefix, index, final) {
+  const iv = new Uint8Array(12);
+  iv.set(noncePrefix, 0);
+  new DataView(iv.buffer).setUint32(NONCE_PREFIX_SIZE, index);
+
+  const additionalData = new Uint8Array(5);
+  new DataView(additionalData.buffer).setUint32(0, index);
+  additionalData[4] = final ? 1 : 0;
+
+  return { name: "AES-GCM", iv, additionalData, tagLength: TAG_SIZE * 8 };
+}
+
+/**
+ * TransformStream che cripta un flusso di byte nel formato a chunk
+ * @param secret Passphrase, chiave AES raw oppure keyring { key, passphrase }
+ * @param options.chunkSize Dimensione dei chunk in chiaro
+ * @param options.salt, options.noncePrefix Parametri fissi (cifratura
+ *   deterministica, vedi createChunkEncryptor), altrimenti casuali
+ */
+export function createEncryptionStream(secret, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const queue = new ByteQueue();
+  let key = null;
+  let noncePrefix = null;
+  let index = 0;
+
+  const seal = async (plaintext, final) =>
+    new Uint8Array(
+      await crypto.subtle.encrypt(
+        chunkParams(noncePrefix, index++, final),
+        key,
+        plaintext
+      )
+    );
+
+  return new TransformStream({
+    async start(controller) {
+      const kdf = kdfForSecret(secret);
+      const salt =
+        options.salt || crypto.getRandomValues(new Uint8Array(SALT_SIZE));
+      noncePrefix =
+        options.noncePrefix ||
+        crypto.getRandomValues(new Uint8Array(NONCE_PREFIX_SIZE));
+      key = await importKey(secret, kdf, salt);
+      controller.enqueue(buildHeader({ kdf, chunkSize, salt, noncePrefix }));
+    },
+    async transform(chunk, controller) {
+      queue.push(toBytes(chunk));
+      // Tieni sempre almeno un byte: l'ultimo chunk va marcato final nel flush
+      while (queue.length > chunkSize) {
+        controller.enqueue(await seal(queue.take(chunkSize), false));
+      }
+    },
+    async flush(controller) {
+      controller.enqueue(await seal(queue.take(queue.length), true));
+    },
+  });
+}
+
+/**
+ * Cifratore ad accesso casuale: produce header e singoli chunk del formato,
+ * così un upload a blocchi può riprendere da un chunk qualsiasi.
+ * Con salt e noncePrefix salvati si riottiene lo stesso ciphertext: vanno
+ * riusati solo con lo stesso file in chiaro (nonce diversi per dati diversi).
+ * @param options.chunkSize Dimensione dei chunk in chiaro
+ * @param options.salt, options.noncePrefix Parametri di una sessione precedente
+ * @returns Promise con { header, chunkSize, salt, noncePrefix, chunkCount,
+ *   encryptedSize, encryptChunk(index, plaintext, final) }
+ */
+export async function createChunkEncryptor(secret, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const kdf = kdfForSecret(secret);
+  const salt =
+    options.salt || crypto.getRandomValues(new Uint8Array(SALT_SIZE));
+  const noncePrefix =
+    options.noncePrefix ||
+    crypto.getRandomValues(new Uint8Array(NONCE_PREFIX_SIZE));
+  const key = await importKey(secret, kdf, salt);
+
+  // Come createEncryptionStream: l'ultimo chunk è sempre presente (final)
+  const chunkCount = (size) => Math.max(1, Math.ceil(size / chunkSize));
+
+  return {
+    header: buildHeader({ kdf, chunkSize, salt, noncePrefix }),
+    chunkSize,
+    salt,
+    noncePrefix,
+    chunkCount,
+    encryptedSize: (size) => HEADER_SIZE + size + chunkCount(size) * TAG_SIZE,
+    encryptChunk: async (index, plaintext, final) =>
+      new Uint8Array(
+        await crypto.subtle.encrypt(
+          chunkParams(noncePrefix, index, final),
+          key,
+          plaintext
+        )
+      ),
+  };
+}
+
+/**
+ * TransformStream che decripta un flusso nel formato a chunk
+ * @param secret Passphrase, chiave AES raw oppure keyring { key, passphrase }
+ */
+export function createDecryptionStream(secret) {
+  const queue = new ByteQueue();
+  let header = null;
+  let key = null;
+  let index = 0;
+
+  const open = async (ciphertext, final) => {
+    try {
+      return new Uint8Array(
+        await crypto.subtle.decrypt(
+          chunkParams(header.noncePrefix, index++, final),
+          key,
+          ciphertext
+        )
+      );
+    } catch (error) {
+      throw new Error("Decryption failed - invalid token or corrupted data");
+    }
+  };
+
+  return new TransformStream({
+    async transform(chunk, controller) {
+      queue.push(toBytes(chunk));
+
+      if (!header) {
+        if (queue.length < HEADER_SIZE) return;
+        header = parseHeader(queue.take(HEADER_SIZE));
+        key = await importKey(secret, header.kdf, header.salt);
+      }
+
+      const encryptedChunkSize = header.chunkSize + TAG_SIZE;
+      while (queue.length > encryptedChunkSize) {
+        controller.enqueue(await open(queue.take(encryptedChunkSize), false));
+      }
+    },
+    async flush(controller) {
+      if (!header || queue.length < TAG_SIZE) {
+        throw new Error("Encrypted file is truncated");
+      }
+      controller.enqueue(await open(queue.take(queue.length), true));
+    },
+  });
+}
+
+/**
+ * Cripta un Blob/File
+ * @returns Promise con il Blob criptato
+ */
+export async function encryptBlob(blob, secret, options = {}) {
+  const stream = blob
+    .stream()
+    .pipeThrough(createEncryptionStream(secret, options));
+  return await new Response(stream).blob();
+}
+
+/**
+ * Decripta un Blob nel formato a chunk
+ * @returns Promise con il Blob in chiaro
+ */
+export async function decryptBlob(blob, secret, options = {}) {
+  const stream = blob.stream().pipeThrough(createDecryptionStream(secret));
+  const decrypted = await new Response(stream).blob();
+  return options.type
+    ? new Blob([decrypted], { type: options.type })
+    : decrypted;
+}
+
+/**
+ * Codifica base64 di byte binari (per salvare dati cifrati nei metadati JSON)
+ */
+export function bytesToBase64(bytes) {
+  let binary = "";
+  const step = 0x8000;
+  for (let i = 0; i < bytes.length; i += step) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + step));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Verifica se un Blob inizia con l'header del formato a chunk
+ */
+export async function isChunkedEncrypted(blob) {
+  if (!blob || blob.size < HEADER_SIZE) return false;
+  const head = new Uint8Array(await blob.slice(0, 5).arrayBuffer());
+  return MAGIC.every((byte, i) => head[i] === byte) && head[4] === FORMAT_VERSION;
+}
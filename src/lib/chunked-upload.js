@@ -0,0 +1,344 @@
+/**
+ * Chunked Upload
+ * Upload ripristinabile dei file grandi: il file (cifrato chunk per chunk
+ * nel formato di chunked-crypto.js) viene caricato come blocchi IPFS raw,
+ * uno per richiesta, e assemblato nel browser in un unico file UnixFS
+ * (vedi unixfs.js). La radice viene pinnata a fine upload.
+ *
+ * I blocchi già caricati sono salvati in IndexedDB: dopo un errore di rete,
+ * una pausa o un reload, lo stesso file riprende dal primo blocco mancante.
+ * Per riottenere lo stesso ciphertext la sessione conserva la chiave del
+ * file (wrapped con la chiave master), il salt e il nonce prefix.
+ * Il CID di un file in chiaro si può calcolare prima dell'upload (computeCid).
+ *
+ * Record nello store (keyPath "id"):
+ *   sessione { id, kind: "session", fileName, fileSize, lastModified,
+ *              chunkSize, wrappedKey, salt, noncePrefix, createdAt, updatedAt }
+ *   blocco   { id: "<sessione>/<indice>", kind: "chunk", sessionId, index,
+ *              cid, size }
+ */
+
+import { IndexedDBAdapter, LocalStorageAdapter } from "./metadata-store.js";
+import {
+  base64ToBytes,
+  bytesToBase64,
+  createChunkEncryptor,
+} from "./chunked-crypto.js";
+import {
+  generateContentEncryption,
+  unwrapContentKey,
+  wrapContentKey,
+} from "./envelope.js";
+import {
+  CODEC_RAW,
+  buildFileTree,
+  cidFromString,
+  cidToString,
+  createCid,
+} from "./unixfs.js";
+
+// Sopra questa dimensione DriveCore usa l'upload a blocchi
+export const CHUNKED_UPLOAD_THRESHOLD = 16 * 1024 * 1024;
+// Un chunk cifrato (+ tag, + header nel primo) resta sotto il limite di 1 MiB per blocco
+export const UPLOAD_CHUNK_SIZE = 256 * 1024;
+
+const SESSION_DB_NAME = "shogun-drive-uploads";
+const SESSION_FALLBACK_KEY = "shogun-drive-upload-sessions";
+// Le sessioni abbandonate vengono rimosse (i blocchi non pinnati vanno in GC)
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Sessioni di upload a blocchi (IndexedDB, fallback localStorage)
+ */
+export class UploadSessionStore {
+  constructor(options = {}) {
+    this.adapter =
+      options.adapter ||
+      (IndexedDBAdapter.isAvailable()
+        ? new IndexedDBAdapter({
+            dbName: SESSION_DB_NAME,
+            storeName: "sessions",
+            keyPath: "id",
+          })
+        : new LocalStorageAdapter({ key: SESSION_FALLBACK_KEY, keyPath: "id" }));
+  }
+
+  /**
+   * @returns Promise con { session, chunks: Map<indice, { cid, size }> }
+   *   (session null se non esiste)
+   */
+  async find(id) {
+    const records = await this.adapter.getAll();
+    await this._removeExpired(records);
+
+    const session =
+      records.find((record) => record.kind === "session" && record.id === id) ||
+      null;
+    const chunks = new Map();
+    if (session) {
+      records
+        .filter((record) => record.kind === "chunk" && record.sessionId === id)
+        .forEach((record) =>
+          chunks.set(record.index, { cid: record.cid, size: record.size })
+        );
+    }
+    return { session, chunks };
+  }
+
+  async saveSession(session) {
+    await this.adapter.putMany([{ ...session, kind: "session" }]);
+  }
+
+  async saveChunk(sessionId, index, chunk) {
+    await this.adapter.putMany([
+      { id: `${sessionId}/${index}`, kind: "chunk", sessionId, index, ...chunk },
+    ]);
+  }
+
+  async remove(id) {
+    const records = await this.adapter.getAll();
+    await this.adapter.deleteMany(
+      records
+        .filter((record) => record.id === id || record.sessionId === id)
+        .map((record) => record.id)
+    );
+  }
+
+  async _removeExpired(records) {
+    const now = Date.now();
+    const expired = new Set(
+      records
+        .filter(
+          (record) =>
+            record.kind === "session" &&
+            now - (record.updatedAt || 0) > SESSION_MAX_AGE
+        )
+        .map((record) => record.id)
+    );
+    if (expired.size === 0) return;
+
+    await this.adapter.deleteMany(
+      records
+        .filter(
+          (record) => expired.has(record.id) || expired.has(record.sessionId)
+        )
+        .map((record) => record.id)
+    );
+    console.log(`🧹 Removed ${expired.size} abandoned upload session(s)`);
+  }
+}
+
+function concatBytes(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a, 0);
+  out.set(b, a.length);
+  return out;
+}
+
+export class ChunkedUpload {
+  /**
+   * @param backend Backend con putBlock/pinAdd (canPutBlocks() === true)
+   * @param sessions UploadSessionStore
+   */
+  constructor(backend, sessions = new UploadSessionStore()) {
+    this.backend = backend;
+    this.sessions = sessions;
+  }
+
+  /**
+   * Identifica lo stesso file sullo stesso backend tra una sessione e l'altra
+   */
+  sessionId(file, encrypted) {
+    const target = this.backend.relayUrl || this.backend.apiUrl || "";
+    return [
+      this.backend.type,
+      target,
+      encrypted ? "encrypted" : "plain",
+      file.name,
+      file.size,
+      file.lastModified || 0,
+    ].join(":");
+  }
+
+  /**
+   * Lettore dei blocchi del file: il blocco i è il chunk i del file
+   * (cifrato, con l'header davanti al primo)
+   * @param encryption { contentKey, salt, noncePrefix } oppure null (in chiaro)
+   * @returns Promise con { count, total, readBlock(index) }
+   */
+  async _createReader(file, encryption, chunkSize = UPLOAD_CHUNK_SIZE) {
+    const encryptor = encryption
+      ? await createChunkEncryptor(encryption.contentKey, {
+          chunkSize,
+          salt: encryption.salt,
+          noncePrefix: encryption.noncePrefix,
+        })
+      : null;
+    const count = Math.max(1, Math.ceil(file.size / chunkSize));
+    const total = encryptor ? encryptor.encryptedSize(file.size) : file.size;
+
+    const readBlock = async (index) => {
+      const plaintext = new Uint8Array(
+        await file
+          .slice(index * chunkSize, Math.min(file.size, (index + 1) * chunkSize))
+          .arrayBuffer()
+      );
+      if (!encryptor) return plaintext;
+      const sealed = await encryptor.encryptChunk(
+        index,
+        plaintext,
+        index === count - 1
+      );
+      return index === 0 ? concatBytes(encryptor.header, sealed) : sealed;
+    };
+
+    return { count, total, readBlock };
+  }
+
+  /**
+   * CID che il file avrà caricato in chiaro (o cifrato con i parametri dati),
+   * calcolato senza inviare nulla
+   * @param options.encryption { contentKey, salt, noncePrefix } (assente: in chiaro)
+   * @param options.signal AbortSignal
+   * @returns Promise con { hash, size } come upload()
+   */
+  async computeCid(file, options = {}) {
+    const { count, total, readBlock } = await this._createReader(
+      file,
+      options.encryption
+    );
+    const leaves = [];
+    for (let index = 0; index < count; index++) {
+      if (options.signal?.aborted) {
+        throw new DOMException("Upload aborted", "AbortError");
+      }
+      const block = await readBlock(index);
+      const cid = await createCid(CODEC_RAW, block);
+      leaves.push({ cid: cid.bytes, size: block.length });
+    }
+    const root = await buildFileTree(leaves, async () => {});
+    return { hash: cidToString(root.cid), size: total };
+  }
+
+  /**
+   * Carica (o riprende) un file a blocchi
+   * @param options.masterSecret Keyring per cifrare la chiave del file
+   *   (assente: il file viene caricato in chiaro)
+   * @param options.onProgress Callback { loaded, total } sui byte caricati
+   * @param options.signal AbortSignal: i blocchi già caricati restano salvati
+   * @returns Promise con { hash, size, wrappedKey }
+   */
+  async upload(file, options = {}) {
+    const { masterSecret, onProgress, signal } = options;
+    const id = this.sessionId(file, !!masterSecret);
+    let { session, chunks } = await this.sessions.find(id);
+
+    // La chiave del file serve a ricifrare i blocchi mancanti identici
+    let encryption = null;
+    if (session && masterSecret) {
+      try {
+        encryption = {
+          contentKey: await unwrapContentKey(session.wrappedKey, masterSecret),
+          salt: base64ToBytes(session.salt),
+          noncePrefix: base64ToBytes(session.noncePrefix),
+        };
+      } catch (error) {
+        console.warn("⚠️ Upload session key unavailable, restarting:", error);
+        session = null;
+      }
+    }
+
+    if (session) {
+      console.log(
+        `⏯️ Resuming upload of ${file.name} (${chunks.size} block(s) already stored)`
+      );
+    } else {
+      await this.sessions.remove(id);
+      chunks = new Map();
+      encryption = masterSecret ? generateContentEncryption() : null;
+      session = {
+        id,
+        fileName: file.name,
+        fileSize: file.size,
+        lastModified: file.lastModified || 0,
+        chunkSize: UPLOAD_CHUNK_SIZE,
+        wrappedKey: encryption
+          ? await wrapContentKey(encryption.contentKey, masterSecret)
+          : null,
+        salt: encryption ? bytesToBase64(encryption.salt) : null,
+        noncePrefix: encryption ? bytesToBase64(encryption.noncePrefix) : null,
+        createdAt: Date.now(),
+      };
+    }
+    session.updatedAt = Date.now();
+    await this.sessions.saveSession(session);
+
+    const { count, total, readBlock } = await this._createReader(
+      file,
+      encryption,
+      session.chunkSize
+    );
+
+    // Il file deve essere lo stesso della sessione: l'ultimo blocco salvato
+    // deve ricifrarsi identico, altrimenti si riparte da zero
+    if (chunks.size > 0) {
+      const last = Math.max(...chunks.keys());
+      const unchanged =
+        last < count &&
+        (await createCid(CODEC_RAW, await readBlock(last))).string ===
+          chunks.get(last).cid;
+      if (!unchanged) {
+        console.warn(`⚠️ ${file.name} changed since the last attempt, restarting`);
+        await this.sessions.remove(id);
+        return await this.upload(file, options);
+      }
+    }
+
+    let uploaded = 0;
+    chunks.forEach((chunk) => (uploaded += chunk.size));
+    onProgress?.({ loaded: uploaded, total });
+
+    for (let index = 0; index < count; index++) {
+      if (chunks.has(index)) continue;
+      if (signal?.aborted) {
+        throw new DOMException("Upload aborted", "AbortError");
+      }
+
+      const block = await readBlock(index);
+      const cid = await createCid(CODEC_RAW, block);
+      const { cid: storedCid } = await this.backend.putBlock(block, {
+        codec: "raw",
+        signal,
+        onProgress:
+          onProgress &&
+          (({ loaded }) => onProgress({ loaded: uploaded + loaded, total })),
+      });
+      if (storedCid !== cid.string) {
+        throw new Error(
+          `Block ${index} was stored as ${storedCid} instead of ${cid.string}`
+        );
+      }
+
+      const chunk = { cid: cid.string, size: block.length };
+      chunks.set(index, chunk);
+      await this.sessions.saveChunk(id, index, chunk);
+      uploaded += block.length;
+      onProgress?.({ loaded: uploaded, total });
+    }
+
+    // Assembla i blocchi in un unico file UnixFS e pinna la radice
+    const leaves = Array.from({ length: count }, (_, index) => ({
+      cid: cidFromString(chunks.get(index).cid),
+      size: chunks.get(index).size,
+    }));
+    const root = await buildFileTree(leaves, async (block) => {
+      await this.backend.putBlock(block, { codec: "dag-pb", signal });
+    });
+    const hash = cidToString(root.cid);
+    await this.backend.pinAdd(hash);
+    await this.sessions.remove(id);
+
+    console.log(`🧩 ${file.name} uploaded in ${count} block(s): ${hash}`);
+    return { hash, size: total, wrappedKey: session.wrappedKey };
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Directory Patch
+ * Modifica una directory UnixFS riscrivendo solo i nodi sul percorso
+ * cambiato, come `ipfs object patch` o MFS: aggiungere o togliere un file
+ * costa una lettura e una scrittura per livello di profondità, qualunque
+ * sia il contenuto della cartella. I blocchi dei file non vengono mai
+ * riletti né ricaricati.
+ *
+ * I nuovi nodi usano la versione di CID della radice. Le directory sharded
+ * (HAMT) non sono supportate.
+ */
+
+import {
+  CODEC_DAG_PB,
+  CODEC_RAW,
+  UNIXFS_TYPES,
+  cidFromString,
+  cidToString,
+  createCid,
+  decodeDagPb,
+  decodeUnixFs,
+  encodeDirectoryNode,
+  parseCid,
+  verifyBlock,
+} from "./unixfs.js";
+
+function splitPath(path) {
+  return path.split("/").filter(Boolean);
+}
+
+async function readDirectory(cid, getBlock) {
+  const block = await getBlock(cid);
+  const { codec } = await verifyBlock(cid, block);
+  const node = codec === CODEC_DAG_PB ? decodeDagPb(block) : null;
+  const type = node && decodeUnixFs(node.data).type;
+  if (type === UNIXFS_TYPES.HAMT_SHARD) {
+    throw new Error("Sharded directories cannot be edited");
+  }
+  if (type !== UNIXFS_TYPES.DIRECTORY) {
+    throw new Error(`${cid} is not a directory`);
+  }
+  return node.links;
+}
+
+/**
+ * Riscrive la directory al percorso segments (relativo a cid) applicando
+ * update ai suoi link, poi tutti i nodi fino a cid
+ * @returns Promise con il nuovo link { cid (bytes), tsize }, oppure null se
+ *   una sottocartella è rimasta vuota (viene tolta dalla cartella superiore)
+ */
+async function rewrite(cid, segments, update, io, isRoot = false) {
+  const links = cid ? await readDirectory(cid, io.getBlock) : [];
+  let next;
+
+  if (segments.length === 0) {
+    next = update(links);
+  } else {
+    const [name, ...rest] = segments;
+    const link = links.find((entry) => entry.name === name);
+    if (!link && !io.create) {
+      throw new Error(`${name} not found`);
+    }
+    const child = await rewrite(
+      link ? cidToString(link.cid) : null,
+      rest,
+      update,
+      io
+    );
+    next = links.filter((entry) => entry.name !== name);
+    if (child) next.push({ name, ...child });
+  }
+
+  if (next.length === 0 && !isRoot) return null;
+  const block = encodeDirectoryNode(next);
+  const nodeCid = await createCid(CODEC_DAG_PB, block, io.cidVersion);
+  await io.putBlock(block, nodeCid.string);
+  return {
+    cid: nodeCid.bytes,
+    tsize: block.length + next.reduce((total, entry) => total + entry.tsize, 0),
+  };
+}
+
+async function patch(rootCid, path, update, io, create) {
+  const segments = splitPath(path);
+  if (segments.length === 0) {
+    throw new Error("A path inside the directory is required");
+  }
+  const name = segments.pop();
+  const root = await rewrite(
+    rootCid,
+    segments,
+    (links) => update(links, name),
+    { ...io, create, cidVersion: parseCid(rootCid).version },
+    true
+  );
+  return cidToString(root.cid);
+}
+
+/**
+ * Dimensione cumulativa (Tsize) di un contenuto, letta dal suo blocco radice
+ * @param getBlock Callback async (cid) che restituisce i byte del blocco
+ */
+export async function getLinkSize(cid, getBlock) {
+  const block = await getBlock(cid);
+  const { codec } = await verifyBlock(cid, block);
+  if (codec === CODEC_RAW) return block.length;
+  return (
+    block.length +
+    decodeDagPb(block).links.reduce((total, link) => total + link.tsize, 0)
+  );
+}
+
+/**
+ * Aggiunge (o sostituisce) un link nella directory, creando le
+ * sottocartelle mancanti
+ * @param target { cid, tsize } contenuto da collegare
+ * @param io { getBlock(cid), putBlock(block, cid) }
+ * @returns Promise con il CID della nuova radice
+ */
+export function addDirectoryLink(rootCid, path, target, io) {
+  return patch(
+    rootCid,
+    path,
+    (links, name) => [
+      ...links.filter((link) => link.name !== name),
+      {
+        name,
+        cid: cidFromString(target.cid),
+        tsize: target.tsize,
+      },
+    ],
+    io,
+    true
+  );
+}
+
+/**
+ * Toglie un file o una sottocartella (con tutto il suo contenuto) dalla
+ * directory; le sottocartelle che restano vuote vengono tolte a loro volta
+ * @param io { getBlock(cid), putBlock(block, cid) }
+ * @returns Promise con il CID della nuova radice
+ */
+export function removeDirectoryLink(rootCid, path, io) {
+  return patch(
+    rootCid,
+    path,
+    (links, name) => {
+      if (!links.some((link) => link.name === name)) {
+        throw new Error(`${path} not found`);
+      }
+      return links.filter((link) => link.name !== name);
+    },
+    io,
+    false
+  );
+}
+
+/**
+ * Link di un file o di una sottocartella della directory
+ * @param getBlock Callback async (cid) che restituisce i byte del blocco
+ * @returns Promise con { cid, tsize }
+ */
+export async function getDirectoryLink(rootCid, path, getBlock) {
+  let link = null;
+  let cid = rootCid;
+  for (const segment of splitPath(path)) {
+    const links = await readDirectory(cid, getBlock);
+    link = links.find((entry) => entry.name === segment);
+    if (!link) {
+      throw new Error(`${path} not found`);
+    }
+    cid = cidToString(link.cid);
+  }
+  if (!link) {
+    throw new Error("A path inside the directory is required");
+  }
+  return { cid, tsize: link.tsize };
+}
+
+/**
+ * Sposta (o rinomina) un file o una sottocartella dentro la directory
+ * @param io { getBlock(cid), putBlock(block, cid) }
+ * @returns Promise con il CID della nuova radice
+ */
+export async function moveDirectoryLink(rootCid, fromPath, toPath, io) {
+  const link = await getDirectoryLink(rootCid, fromPath, io.getBlock);
+  const withoutSource = await removeDirectoryLink(rootCid, fromPath, io);
+  return await addDirectoryLink(withoutSource, toPath, link, io);
+}
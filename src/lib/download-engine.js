@@ -0,0 +1,180 @@
+/**
+ * Download Engine
+ * Motore unico dei download: il contenuto arriva in streaming (nessun
+ * buffer dell'intero file) e, se la connessione cade, il download riprende
+ * dal byte raggiunto invece di ripartire da zero.
+ *
+ * La richiesta per un offset è descritta dal backend (catRequest(path,
+ * { offset })): header Range sul relay, parametro offset sull'RPC di Kubo.
+ * Un server che ignora il Range risponde 200 col file intero: i byte già
+ * ricevuti vengono scartati.
+ *
+ * Progresso ({ loaded, total }) e annullamento (AbortSignal) funzionano allo
+ * stesso modo per ogni download.
+ */
+
+export const DOWNLOAD_STATUS = {
+  DOWNLOADING: "downloading",
+  DONE: "done",
+  ERROR: "error",
+  CANCELLED: "cancelled",
+};
+
+// Tentativi consecutivi di ripresa prima di arrendersi
+export const DOWNLOAD_MAX_RETRIES = 3;
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException("Download aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Dimensione totale dalla prima risposta (Content-Range, Content-Length
+ * oppure X-Content-Length di Kubo)
+ */
+function responseTotal(response) {
+  const range = response.headers.get("Content-Range");
+  const rangeTotal = range && parseInt(range.split("/")[1]);
+  return (
+    rangeTotal ||
+    parseInt(response.headers.get("Content-Length")) ||
+    parseInt(response.headers.get("X-Content-Length")) ||
+    0
+  );
+}
+
+/**
+ * Byte da scartare all'inizio di una risposta richiesta dall'offset indicato
+ */
+function bytesToSkip(response, request, offset) {
+  if (response.status === 206) {
+    const start = parseInt(
+      (response.headers.get("Content-Range") || "").replace(/^bytes\s+/, "")
+    );
+    if (Number.isNaN(start) || start > offset) {
+      throw new Error("Invalid Content-Range in resumed download");
+    }
+    return offset - start;
+  }
+  // 200 a una richiesta con Range: il server ha inviato il file intero
+  return request.headers?.Range ? offset : 0;
+}
+
+/**
+ * Apre un download
+ * @param requestAt Callback (offset) che restituisce { url, method, headers }
+ * @param options.signal AbortSignal per annullare il download
+ * @param options.onProgress Callback { loaded, total }
+ * @param options.size Dimensione attesa, se il server non la indica
+ * @param options.maxRetries Tentativi di ripresa consecutivi
+ * @returns Promise con { stream, total, contentType }
+ */
+export async function openDownload(requestAt, options = {}) {
+  const {
+    signal,
+    onProgress,
+    size = 0,
+    maxRetries = DOWNLOAD_MAX_RETRIES,
+  } = options;
+
+  const fetchFrom = async (offset) => {
+    const request = requestAt(offset);
+    const response = await fetch(request.url, {
+      method: request.method || "GET",
+      headers: request.headers,
+      signal,
+    });
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "");
+      const error = new Error(
+        `Download failed: ${response.status} ${errorText}`.trim()
+      );
+      error.status = response.status;
+      throw error;
+    }
+    return { response, skip: bytesToSkip(response, request, offset) };
+  };
+
+  // Ritenta solo gli errori di rete (fetch lancia TypeError), non le risposte HTTP
+  const fetchWithRetry = async (offset) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fetchFrom(offset);
+      } catch (error) {
+        if (signal?.aborted || error.status || attempt > maxRetries) {
+          throw error;
+        }
+        console.warn(
+          `⚠️ Download request failed, retrying (${attempt}/${maxRetries})...`,
+          error.message
+        );
+        await wait(1000 * attempt, signal);
+      }
+    }
+  };
+
+  let { response, skip } = await fetchWithRetry(0);
+  const total = responseTotal(response);
+  const expected = total || size;
+  const contentType = response.headers.get("Content-Type") || "";
+  let reader = response.body.getReader();
+  let loaded = 0;
+  let failures = 0;
+
+  const stream = new ReadableStream({
+    async pull(controller) {
+      while (true) {
+        try {
+          const { done, value } = await reader.read();
+          if (done) {
+            if (total && loaded < total) {
+              throw new Error(`Connection closed after ${loaded} of ${total} bytes`);
+            }
+            controller.close();
+            return;
+          }
+
+          let chunk = value;
+          if (skip) {
+            const skipped = Math.min(skip, chunk.length);
+            skip -= skipped;
+            chunk = chunk.subarray(skipped);
+            if (!chunk.length) continue;
+          }
+          loaded += chunk.length;
+          failures = 0;
+          onProgress?.({ loaded, total: expected });
+          controller.enqueue(chunk);
+          return;
+        } catch (error) {
+          if (signal?.aborted || failures >= maxRetries) {
+            throw error;
+          }
+          failures++;
+          console.warn(
+            `⚠️ Download interrupted at ${loaded} bytes, resuming (${failures}/${maxRetries})...`,
+            error.message
+          );
+          reader.cancel().catch(() => {});
+          await wait(1000 * failures, signal);
+          ({ response, skip } = await fetchWithRetry(loaded));
+          reader = response.body.getReader();
+        }
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+
+  return { stream, total: expected, contentType };
+}
@@ -3,96 +3,368 @@
  * Gestisce upload, download, criptazione e decrittazione file su IPFS
  */
 
-import ShogunRelaySDK from "shogun-relay-sdk";
+import { createStorageBackend } from "./backends/index.js";
+import { MetadataStore } from "./metadata-store.js";
+import {
+  ENCRYPTION_FORMAT,
+  createDecryptionStream,
+  decryptBlob as decryptChunkedBlob,
+  encryptBlob as encryptChunkedBlob,
+  isChunkedEncrypted,
+} from "./chunked-crypto.js";
+import {
+  KEY_WRAPPING,
+  contentFingerprint,
+  generateContentKey,
+  getWrappedKey,
+  unwrapContentKey,
+  wrapContentKey,
+} from "./envelope.js";
+import {
+  buildEncryptionKeyTypedData,
+  deriveKeyFromSignature,
+} from "./wallet-key.js";
+import {
+  isSealedMetadata,
+  openMetadata,
+  sealMetadata,
+} from "./metadata-crypto.js";
+import { buildShareLink } from "./share-link.js";
+import { CHUNKED_UPLOAD_THRESHOLD, ChunkedUpload } from "./chunked-upload.js";
+import { isShareRecord } from "./wallet-share.js";
+import { computeFileCid } from "./unixfs.js";
+import {
+  addDirectoryLink,
+  getDirectoryLink,
+  getLinkSize,
+  moveDirectoryLink,
+  removeDirectoryLink,
+} from "./directory-patch.js";
+import { openDownload } from "./download-engine.js";
+import {
+  assertBlobMatches,
+  createVerifiedStream,
+  resolvePath,
+} from "./integrity.js";
+
+// Dopo questo intervallo le entry della cache vengono riallineate col backend
+const METADATA_MAX_AGE = 5 * 60 * 1000;
+const TOKEN_SCRUB_KEY = "shogun-drive-token-scrub-v1";
+// Giorni dopo i quali il cestino viene svuotato (0 = mai)
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Rimuove il token di cifratura da un URL /cat/:cid/decrypt?token=...
+ * @returns L'URL del ciphertext, oppure l'URL originale se non contiene token
+ */
+function scrubRelayUrl(url) {
+  if (!url || !/[?&]token=|\/decrypt(\?|$)/.test(url)) return url;
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.delete("token");
+    parsed.pathname = parsed.pathname.replace(/\/decrypt\/?$/, "");
+    return parsed.toString();
+  } catch (e) {
+    return url.replace(/\/decrypt(\?.*)?$/, "").replace(/[?&]token=[^&]*/, "");
+  }
+}
+
+/**
+ * Ripulisce i metadati (anche i file di una directory) dagli URL con token
+ * @returns Metadati ripuliti, oppure null se non c'era nulla da cambiare
+ */
+function scrubMetadataTokens(metadata) {
+  if (!metadata || typeof metadata !== "object") return null;
+  let changed = false;
+  const scrubbed = { ...metadata };
+
+  const relayUrl = scrubRelayUrl(metadata.relayUrl);
+  if (relayUrl !== metadata.relayUrl) {
+    scrubbed.relayUrl = relayUrl;
+    changed = true;
+  }
+
+  if (Array.isArray(metadata.files)) {
+    scrubbed.files = metadata.files.map((file) => {
+      const fileUrl = scrubRelayUrl(file?.relayUrl);
+      if (!file || fileUrl === file.relayUrl) return file;
+      changed = true;
+      return { ...file, relayUrl: fileUrl };
+    });
+  }
+
+  return changed ? scrubbed : null;
+}
+
+/**
+ * Manifest `files` dei metadati di una directory (da GunDB potrebbe
+ * arrivare come stringa JSON)
+ */
+function parseDirectoryFiles(files) {
+  if (typeof files === "string") {
+    try {
+      files = JSON.parse(files);
+    } catch (e) {
+      console.warn(`⚠️ Failed to parse files JSON string:`, e);
+      return [];
+    }
+  }
+  return Array.isArray(files) ? files : [];
+}
+
+// CID precedenti conservati nei metadati di una cartella
+const FOLDER_HISTORY_LIMIT = 50;
+
+/**
+ * Identità stabile di una cartella: ogni modifica ne cambia il CID, ma
+ * folderId resta lo stesso e previousCids raccoglie i CID precedenti (vedi
+ * resolveFolder). Le cartelle create prima degli id usano come id il primo
+ * CID noto
+ * @param metadata Metadati della versione precedente (null per una nuova cartella)
+ * @param previousCid CID della versione precedente
+ */
+function folderIdentity(metadata = null, previousCid = null) {
+  if (!previousCid) {
+    return { folderId: crypto.randomUUID(), previousCids: [] };
+  }
+  return {
+    folderId: metadata?.folderId || previousCid,
+    previousCids: [...(metadata?.previousCids || []), previousCid].slice(
+      -FOLDER_HISTORY_LIMIT
+    ),
+  };
+}
+
+/**
+ * Elemento nel cestino: i metadati restano (con trashedAt) e il contenuto
+ * resta pinnato finché il cestino non viene svuotato
+ */
+function isTrashed(metadata) {
+  return !!metadata?.trashedAt;
+}
+
+function isDirectoryMetadata(metadata) {
+  return (
+    !!metadata &&
+    (!!metadata.isDirectory || metadata.contentType === "application/x-directory")
+  );
+}
+
+/**
+ * Nome visualizzato di un elemento della root (senza il ".enc" dei file
+ * criptati)
+ */
+function rootEntryName(metadata) {
+  const stored = metadata.displayName || metadata.fileName || metadata.hash || "";
+  return (
+    metadata.originalName ||
+    (metadata.isEncrypted ? stored.replace(/\.enc$/, "") : stored)
+  );
+}
+
+/**
+ * Voce del manifest `files` di una directory per un file della root
+ */
+function toDirectoryEntry(metadata, path) {
+  const name = path.split("/").pop();
+  return {
+    path,
+    name,
+    originalName: name,
+    size: metadata.fileSize || 0,
+    mimetype: metadata.contentType || "application/octet-stream",
+    isEncrypted: !!metadata.isEncrypted,
+    encryptionFormat: metadata.encryptionFormat || null,
+    wrappedKey: metadata.wrappedKey || null,
+    keyWrapping: metadata.keyWrapping || null,
+    originalContentType:
+      metadata.originalContentType ||
+      metadata.contentType ||
+      "application/octet-stream",
+  };
+}
+
+/**
+ * File col suo webkitRelativePath, pronto per uploadDirectory
+ */
+function withRelativePath(blob, relativePath, type) {
+  const file = new File([blob], relativePath.split("/").pop(), { type });
+  Object.defineProperty(file, "webkitRelativePath", {
+    value: relativePath,
+    writable: false,
+  });
+  return file;
+}
 
 export class DriveCore {
   constructor(options = {}) {
+    this.backendType = options.backend || "relay";
+    this.kuboOptions = options.kubo || {};
     this.relayUrl = options.relayUrl || window.location.origin;
     this.authToken = options.authToken || null;
     this.encryptionToken = options.encryptionToken || null;
+    // Chiave derivata dal wallet (vedi wallet-key.js), preferita al token manuale
+    this.walletKey = null;
+    this.useWalletKey = options.useWalletKey !== false;
     this.userAddress = options.userAddress || "";
     this.walletSignature = options.walletSignature || "";
+    // Pubblica sul backend solo metadati cifrati (nomi, percorsi, dimensioni)
+    this.encryptMetadata = options.encryptMetadata || false;
+    // Verifica che ogni download corrisponda al suo CID (vedi integrity.js)
+    this.verifyDownloads = options.verifyDownloads || false;
+    // Pubblica ogni cartella modificata sul suo nome IPNS (solo Kubo)
+    this.publishFolderNames = options.publishFolderNames || false;
+    // Giorni nel cestino prima dell'eliminazione definitiva (0 = mai)
+    this.trashRetentionDays =
+      options.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
     this.onProgress = options.onProgress || (() => {});
     this.onStatusChange = options.onStatusChange || (() => {});
+    this.metadataStore = options.metadataStore || new MetadataStore();
 
-    // Initialize relay SDK with multi-user support headers
-    this._initSDK();
+    // Initialize storage backend (relay SDK or direct Kubo API)
+    this._initBackend();
   }
 
   /**
-   * Initialize or reinitialize the SDK with current settings
+   * Initialize or reinitialize the storage backend with current settings
    */
-  _initSDK() {
-    this.sdk = new ShogunRelaySDK({
-      baseURL: this.relayUrl,
-      token: this.authToken,
+  _initBackend() {
+    this.backend = createStorageBackend(this.backendType, {
+      relayUrl: this.relayUrl,
+      authToken: this.authToken,
       userAddress: this.userAddress,
-      // Send user address and signature headers for multi-user support
-      extraHeaders: {
-        "X-User-Address": this.userAddress || undefined,
-        "X-Wallet-Signature": this.walletSignature || undefined,
-      },
+      walletSignature: this.walletSignature,
+      ...this.kuboOptions,
     });
   }
 
+  /**
+   * Seleziona il backend di storage
+   * @param type "relay" oppure "kubo"
+   * @param kuboOptions { apiUrl, gatewayUrl, username, password } per Kubo
+   */
+  setBackend(type, kuboOptions = {}) {
+    this.backendType = type || "relay";
+    this.kuboOptions = kuboOptions;
+    this._initBackend();
+  }
+
+  /**
+   * Verifica se ci sono credenziali sufficienti per il backend corrente
+   */
+  hasCredentials(options = {}) {
+    return this.backend.hasCredentials(options);
+  }
+
   setAuthToken(token) {
     this.authToken = token;
-    if (this.sdk) {
-      this.sdk.setToken(token);
-    }
+    this._initBackend();
   }
 
   setRelayUrl(relayUrl) {
     this.relayUrl = relayUrl;
-    this._initSDK();
+    this._initBackend();
   }
 
   setEncryptionToken(token) {
     this.encryptionToken = token;
   }
 
-  setUserAddress(userAddress) {
-    this.userAddress = userAddress || "";
-    this._initSDK();
+  setEncryptMetadata(enabled) {
+    this.encryptMetadata = !!enabled;
   }
 
-  setWalletSignature(signature) {
-    this.walletSignature = signature || "";
-    this._initSDK();
+  setUseWalletKey(enabled) {
+    this.useWalletKey = !!enabled;
+  }
+
+  setVerifyDownloads(enabled) {
+    this.verifyDownloads = !!enabled;
+  }
+
+  setPublishFolderNames(enabled) {
+    this.publishFolderNames = !!enabled;
+  }
+
+  setTrashRetentionDays(days) {
+    this.trashRetentionDays = Math.max(0, parseInt(days) || 0);
   }
 
   /**
-   * Converte un file in base64
+   * Chiede al wallet la firma typed-data dedicata e ne deriva la chiave
+   * La firma equivale alla chiave: non va salvata, la chiave resta in memoria
+   * @param signer Signer ethers connesso
    */
-  async fileToBase64(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
-      reader.onerror = (err) => reject(err);
-      reader.readAsDataURL(file);
-    });
+  async deriveWalletKey(signer, address) {
+    const { domain, types, message } = buildEncryptionKeyTypedData(address);
+    const signature = await signer.signTypedData(domain, types, message);
+    await this.setWalletKeyFromSignature(signature, address);
+  }
+
+  /**
+   * Deriva la chiave da una firma già ottenuta
+   */
+  async setWalletKeyFromSignature(signature, address) {
+    this.walletKey = await deriveKeyFromSignature(signature, address);
+  }
+
+  clearWalletKey() {
+    this.walletKey = null;
+  }
+
+  /**
+   * Verifica se è disponibile almeno una chiave per cifrare/decifrare
+   */
+  hasEncryptionKey() {
+    return !!(this.walletKey || this.encryptionToken || this.authToken);
+  }
+
+  /**
+   * Keyring per chunked-crypto: { key, passphrase }
+   * In cifratura la chiave del wallet viene usata solo se preferita
+   * (useWalletKey), in decifratura sono sempre disponibili entrambe
+   * e il file stesso indica quale serve.
+   * @param options.forEncryption Applica la preferenza sulla chiave
+   */
+  getKeyring(options = {}) {
+    const useKey = !options.forEncryption || this.useWalletKey;
+    return {
+      key: useKey ? this.walletKey : null,
+      passphrase: this.encryptionToken || this.authToken || null,
+    };
+  }
+
+  setUserAddress(userAddress) {
+    this.userAddress = userAddress || "";
+    this._initBackend();
+  }
+
+  setWalletSignature(signature) {
+    this.walletSignature = signature || "";
+    this._initBackend();
   }
 
   /**
-   * Cripta un file usando SEA
+   * Cripta un file nel formato a chunk AES-GCM (vedi chunked-crypto.js)
+   * Il file viene letto in streaming, senza conversione in base64
    */
-  async encryptFile(file, token) {
+  async encryptFile(
+    file,
+    token = this.getKeyring({ forEncryption: true }),
+    options = {}
+  ) {
     if (!token) {
       throw new Error("Auth token is required for encryption");
     }
 
     try {
-      // Assicurati che SEA sia disponibile
-      const SEA = await this.loadSEA();
-
-      const base64data = await this.fileToBase64(file);
-      const encryptedData = await SEA.encrypt(base64data, token);
+      const encryptedBlob = await encryptChunkedBlob(file, token, options);
       const encryptedFileName = file.name.endsWith(".enc")
         ? file.name
         : `${file.name}.enc`;
 
-      return new File([encryptedData], encryptedFileName, {
-        type: "text/plain",
+      return new File([encryptedBlob], encryptedFileName, {
+        type: "application/octet-stream",
       });
     } catch (error) {
       throw new Error(`Encryption failed: ${error.message}`);
@@ -100,17 +372,148 @@ export class DriveCore {
   }
 
   /**
-   * Decripta un blob usando SEA
-   * Nota: Il relay server gestisce già la decrittazione quando viene passato il token,
-   * ma manteniamo questo metodo per compatibilità
+   * Cripta un file con una chiave di contenuto casuale (envelope encryption)
+   * La chiave viene restituita cifrata con la chiave master, da salvare nei metadati
+   * @param masterSecret Chiave master (default: quella corrente)
+   * @returns Promise con { file, wrappedKey }
+   */
+  async encryptFileWithContentKey(
+    file,
+    masterSecret = this.getKeyring({ forEncryption: true })
+  ) {
+    if (!this.hasEncryptionKey()) {
+      throw new Error("Encryption token is required for encryption");
+    }
+    const contentKey = generateContentKey();
+    const encryptedFile = await this.encryptFile(file, contentKey);
+    const wrappedKey = await wrapContentKey(contentKey, masterSecret);
+    return { file: encryptedFile, wrappedKey };
+  }
+
+  /**
+   * Impronta del file da salvare nei metadati per riconoscere i doppioni
+   * cifrati (vedi envelope.js). Solo con i metadati cifrati: in chiaro sul
+   * relay rivelerebbe quali file sono uguali
+   * @returns Promise con l'impronta, o null
+   */
+  async getContentFingerprint(file) {
+    if (!this.encryptMetadata || !this.hasEncryptionKey()) {
+      return null;
+    }
+    return await contentFingerprint(
+      file,
+      this.getKeyring({ forEncryption: true })
+    );
+  }
+
+  /**
+   * Segreto per decifrare un file: la sua chiave di contenuto se presente
+   * (envelope encryption), altrimenti il keyring master (file precedenti)
+   */
+  async getFileSecret(metadata = {}) {
+    const wrappedKey = getWrappedKey(metadata);
+    if (!wrappedKey) {
+      return this.getKeyring();
+    }
+    return await unwrapContentKey(wrappedKey, this.getKeyring());
+  }
+
+  /**
+   * Ricifra la chiave di un file con un'altra chiave master
+   * (il contenuto del file non cambia)
+   */
+  async rewrapFileKey(wrappedKey, newSecret) {
+    const contentKey = await unwrapContentKey(wrappedKey, this.getKeyring());
+    return await wrapContentKey(contentKey, newSecret);
+  }
+
+  /**
+   * Crea un link di condivisione per il viewer standalone
+   * La chiave di contenuto del file finisce nel fragment dell'URL: chi riceve
+   * il link non ha bisogno di wallet né di impostazioni, e la chiave master
+   * resta privata (si condivide solo la chiave di quel file)
+   * @param file Entry della lista file (anche file dentro una directory)
+   * @returns Promise con l'URL del link
+   */
+  async createShareLink(file) {
+    return buildShareLink(await this.getSharePayload(file));
+  }
+
+  /**
+   * Dati necessari al viewer per aprire un file condiviso
+   * @returns Promise con { cid, url, key, name, type, size }
+   */
+  async getSharePayload(file) {
+    if (file.isDirectory) {
+      throw new Error("Folders can only be shared with a wallet address");
+    }
+
+    let key = null;
+    if (file.isEncrypted) {
+      if (!getWrappedKey(file) || !this.isChunkedEncryption(file)) {
+        // Condividere la chiave master esporrebbe tutto il drive
+        throw new Error(
+          "This file is encrypted with your master key - rotate the encryption key to share it"
+        );
+      }
+      key = await this.getFileSecret(file);
+    }
+
+    // I file dentro una directory vengono serviti per percorso dalla radice
+    // (stessa convenzione di catFromDirectory)
+    const path = file.parentDirectory
+      ? `${file.parentDirectory}/${file.relativePath || file.name}`
+      : file.cid;
+
+    let name = file.originalName || file.name;
+    if (file.isEncrypted && name.endsWith(".enc")) {
+      name = name.slice(0, -4);
+    }
+
+    return {
+      cid: file.cid,
+      url: this.backend.publicUrl(path),
+      key,
+      name,
+      type: file.isEncrypted
+        ? file.metadata?.originalContentType || file.type
+        : file.type,
+      size: file.size,
+    };
+  }
+
+  /**
+   * Verifica se i metadati descrivono un file nel formato a chunk
+   */
+  isChunkedEncryption(metadata = {}) {
+    const format =
+      metadata.encryptionFormat || metadata.metadata?.encryptionFormat;
+    return !!metadata.isEncrypted && format === ENCRYPTION_FORMAT;
+  }
+
+  /**
+   * Decripta un blob
+   * Riconosce il formato a chunk dall'header, altrimenti usa SEA (file .enc legacy)
    */
-  async decryptBlob(encryptedBlob, token) {
+  async decryptBlob(encryptedBlob, token = this.getKeyring()) {
     if (!token) {
       throw new Error("Auth token is required for decryption");
     }
 
+    if (await isChunkedEncrypted(encryptedBlob)) {
+      return await decryptChunkedBlob(encryptedBlob, token);
+    }
+
+    // SEA usa solo la passphrase
+    if (typeof token === "object") {
+      token = token.passphrase;
+      if (!token) {
+        throw new Error("Encryption token is required to decrypt legacy files");
+      }
+    }
+
     try {
-      // Assicurati che SEA sia disponibile
+      // Formato legacy: assicurati che SEA sia disponibile
       const SEA = await this.loadSEA();
 
       const encryptedText = await encryptedBlob.text();
@@ -177,8 +580,8 @@ export class DriveCore {
    */
   async checkRelayConnection() {
     try {
-      // Usa SDK per health check con timeout
-      const healthPromise = this.sdk.system.health();
+      // Health check del backend con timeout
+      const healthPromise = this.backend.health();
       const timeoutPromise = new Promise((_, reject) =>
         setTimeout(() => reject(new Error("Timeout")), 5000)
       );
@@ -200,34 +603,21 @@ export class DriveCore {
    * With wallet auth, having a userAddress is sufficient for user-level access
    */
   async checkAuthentication() {
-    // If we have a userAddress (from wallet), user is authenticated for their own files
-    if (this.userAddress) {
-      return true;
-    }
-    
-    // Admin token check for elevated access
-    if (!this.authToken) {
+    if (!this.hasCredentials()) {
       return false;
     }
 
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
+      const timeoutPromise = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error("Timeout")), 5000)
+      );
 
-      // Prova a fare una richiesta semplice per verificare l'auth usando l'SDK
-      try {
-        await this.sdk.ipfs.pinLs();
-        clearTimeout(timeoutId);
-        return true;
-      } catch (error) {
-        clearTimeout(timeoutId);
-        if (error.response && error.response.status === 401) {
-          return false;
-        }
-        throw error;
-      }
+      return await Promise.race([
+        this.backend.checkAuthentication(),
+        timeoutPromise,
+      ]);
     } catch (error) {
-      if (error.name === "AbortError") {
+      if (error.message === "Timeout") {
         console.error("Authentication check timeout");
       } else {
         console.error("Authentication check failed:", error);
@@ -239,12 +629,14 @@ export class DriveCore {
   /**
    * Upload directory (folder) su IPFS via relay
    * Mantiene la struttura delle directory usando percorsi relativi
+   * @param options.signal AbortSignal: annulla prima dell'upload finale
+   * @param options.onProgress Callback { phase, loaded, total } (un passo per file)
    */
   async uploadDirectory(files, options = {}) {
-    const { encrypt = true, folderName = null } = options;
+    const { encrypt = true, folderName = null, signal, onProgress } = options;
 
-    // Allow upload if we have authToken (admin) or userAddress (wallet user)
-    if (!this.authToken && !this.userAddress) {
+    // Allow upload if we have authToken (admin), userAddress (wallet user) or a Kubo node
+    if (!this.hasCredentials()) {
       throw new Error("Please connect your wallet or set auth token in settings.");
     }
 
@@ -283,8 +675,13 @@ export class DriveCore {
 
     // Prepara i file con i loro percorsi relativi
     const fileEntries = [];
+    const totalSize = files.reduce((total, file) => total + file.size, 0);
+    let preparedSize = 0;
 
     for (const file of files) {
+      if (signal?.aborted) {
+        throw new DOMException("Upload aborted", "AbortError");
+      }
       // Usa file.webkitRelativePath se disponibile (da folder input)
       // Altrimenti usa solo il nome del file
       const relativePath = file.webkitRelativePath || file.name;
@@ -292,13 +689,12 @@ export class DriveCore {
       // Se il file deve essere criptato, criptalo
       let fileToUpload = file;
       let isEncrypted = false;
+      let wrappedKey = null;
 
       if (encrypt) {
         try {
-          fileToUpload = await this.encryptFile(
-            file,
-            this.encryptionToken || this.authToken
-          );
+          ({ file: fileToUpload, wrappedKey } =
+            await this.encryptFileWithContentKey(file));
           isEncrypted = true;
           // Mantieni il percorso originale per la struttura della directory
         } catch (error) {
@@ -319,7 +715,15 @@ export class DriveCore {
         contentType:
           fileToUpload.type || file.type || "application/octet-stream",
         isEncrypted: isEncrypted,
+        wrappedKey,
         originalName: file.name,
+        originalContentType: file.type || "application/octet-stream",
+      });
+      preparedSize += file.size;
+      onProgress?.({
+        phase: "encrypting",
+        loaded: preparedSize,
+        total: totalSize,
       });
     }
 
@@ -351,17 +755,14 @@ export class DriveCore {
       return file;
     });
 
-    try {
-      // Usa SDK per upload directory
-      const result = await this.sdk.ipfs.uploadDirectoryBrowser(fileObjects);
-
-      if (!result.success || !result.directoryCid) {
-        throw new Error(
-          result.error || "Directory upload failed - invalid response"
-        );
-      }
+    if (signal?.aborted) {
+      throw new DOMException("Upload aborted", "AbortError");
+    }
+    onProgress?.({ phase: "uploading", loaded: 0, total: totalSize });
 
-      const directoryCid = result.directoryCid;
+    try {
+      // Upload directory tramite il backend di storage
+      const { directoryCid } = await this.backend.addDirectory(fileObjects);
       const folderDisplayName =
         folderName ||
         (files[0].webkitRelativePath
@@ -379,8 +780,12 @@ export class DriveCore {
         originalName: folderDisplayName,
         fileSize: files.reduce((sum, f) => sum + f.size, 0),
         isEncrypted: fileEntries.some((f) => f.isEncrypted),
+        encryptionFormat: fileEntries.some((f) => f.isEncrypted)
+          ? ENCRYPTION_FORMAT
+          : null,
         isDirectory: true, // Marca come directory
         contentType: "application/x-directory",
+        ...folderIdentity(),
         fileCount: files.length,
         files: fileEntries.map((f) => ({
           path: f.path,
@@ -389,8 +794,12 @@ export class DriveCore {
           size: f.buffer.byteLength || 0,
           mimetype: f.contentType,
           isEncrypted: f.isEncrypted,
+          encryptionFormat: f.isEncrypted ? ENCRYPTION_FORMAT : null,
+          wrappedKey: f.wrappedKey,
+          keyWrapping: f.wrappedKey ? KEY_WRAPPING : null,
+          originalContentType: f.originalContentType,
         })),
-        relayUrl: `${this.relayUrl}/api/v1/ipfs/cat/${directoryCid}`,
+        relayUrl: this.backend.publicUrl(directoryCid),
         uploadedAt: now,
       };
 
@@ -423,8 +832,8 @@ export class DriveCore {
    * @returns Promise con il CID della directory creata
    */
   async createEmptyDirectory(folderName) {
-    // Allow operation if we have authToken (admin) or userAddress (wallet user)
-    if (!this.authToken && !this.userAddress) {
+    // Allow operation if we have authToken (admin), userAddress (wallet user) or a Kubo node
+    if (!this.hasCredentials()) {
       throw new Error("Please connect your wallet or set auth token in settings.");
     }
 
@@ -470,19 +879,11 @@ export class DriveCore {
     });
 
     try {
-      // Usa SDK per creare directory vuota
-      const result = await this.sdk.ipfs.uploadDirectoryBrowser([
+      // Crea directory vuota tramite il backend di storage
+      const { directoryCid } = await this.backend.addDirectory([
         placeholderFile,
       ]);
 
-      if (!result.success || !result.directoryCid) {
-        throw new Error(
-          result.error || "Directory creation failed - invalid response"
-        );
-      }
-
-      const directoryCid = result.directoryCid;
-
       // Salva metadati della directory vuota nel sistema
       const now = Date.now();
       const metadata = {
@@ -496,9 +897,10 @@ export class DriveCore {
         isEncrypted: false,
         isDirectory: true,
         contentType: "application/x-directory",
+        ...folderIdentity(),
         fileCount: 0, // Directory vuota
         files: [], // Nessun file
-        relayUrl: `${this.relayUrl}/api/v1/ipfs/cat/${directoryCid}`,
+        relayUrl: this.backend.publicUrl(directoryCid),
         uploadedAt: now,
       };
 
@@ -527,12 +929,21 @@ export class DriveCore {
 
   /**
    * Upload file su IPFS via relay
+   * @param options.encrypt Cripta il file prima dell'upload (default true)
+   * @param options.onProgress Callback per il job:
+   *   { phase: "encrypting" | "uploading", loaded, total }
+   * @param options.signal AbortSignal per annullare l'upload
    */
   async uploadFile(file, options = {}) {
-    const { encrypt = true, fileName = null } = options;
+    const { encrypt = true, fileName = null, onProgress, signal } = options;
+    const throwIfAborted = () => {
+      if (signal?.aborted) {
+        throw new DOMException("Upload aborted", "AbortError");
+      }
+    };
 
-    // Allow upload if we have authToken (admin) or userAddress (wallet user)
-    if (!this.authToken && !this.userAddress) {
+    // Allow upload if we have authToken (admin), userAddress (wallet user) or a Kubo node
+    if (!this.hasCredentials()) {
       throw new Error("Please connect your wallet or set auth token in settings.");
     }
 
@@ -560,6 +971,18 @@ export class DriveCore {
       );
     }
 
+    throwIfAborted();
+
+    // File grandi: upload a blocchi ripristinabile (vedi chunked-upload.js)
+    if (this.canUploadChunked(file)) {
+      return await this.uploadFileChunked(file, {
+        encrypt,
+        fileName,
+        onProgress,
+        signal,
+      });
+    }
+
     this.onStatusChange({
       status: "encrypting",
       message: "Encrypting file...",
@@ -567,15 +990,26 @@ export class DriveCore {
 
     let fileToUpload = file;
     let isEncrypted = false;
+    let wrappedKey = null;
     let uploadFileName = fileName || file.name;
 
-    // Cripta il file se richiesto
+    let fingerprint = null;
+
+    // Cripta il file se richiesto (con una chiave casuale propria del file)
     if (encrypt) {
+      onProgress?.({ phase: "encrypting", loaded: 0, total: file.size });
+
+      // Stesso contenuto già cifrato nel drive: niente upload
+      fingerprint = await this.getContentFingerprint(file);
+      const stored = await this.findStoredFingerprint(fingerprint);
+      if (stored) {
+        return await this.reuseStoredContent(file, stored, {});
+      }
+
       try {
-        fileToUpload = await this.encryptFile(
-          file,
-          this.encryptionToken || this.authToken
-        );
+        const encrypted = await this.encryptFileWithContentKey(file);
+        fileToUpload = encrypted.file;
+        wrappedKey = encrypted.wrappedKey;
         isEncrypted = true;
         uploadFileName = fileToUpload.name;
         this.onStatusChange({
@@ -587,121 +1021,68 @@ export class DriveCore {
       }
     }
 
+    // File in chiaro già salvato (stesso CID calcolato in locale): niente upload
+    throwIfAborted();
+    const upload = {
+      fileName: uploadFileName,
+      fileSize: fileToUpload.size ?? file.size, // Usa la dimensione del file caricato (criptato o meno)
+      isEncrypted,
+      wrappedKey,
+      contentFingerprint: fingerprint,
+      contentType: fileToUpload.type || file.type,
+    };
+    const predictedCid = isEncrypted ? null : await computeFileCid(file);
+    const stored = predictedCid && (await this.findStoredContent(predictedCid));
+    if (stored) {
+      return await this.reuseStoredContent(file, stored, upload);
+    }
+
     // Upload su IPFS
+    throwIfAborted();
     this.onStatusChange({
       status: "uploading",
       message: "Uploading to IPFS...",
     });
 
     // Converti Blob in File se necessario per l'SDK
+    const sentFileName = this.uploadName(uploadFileName);
     let fileToUploadFile = fileToUpload;
     if (fileToUpload instanceof Blob && !(fileToUpload instanceof File)) {
-      fileToUploadFile = new File([fileToUpload], uploadFileName, {
+      fileToUploadFile = new File([fileToUpload], sentFileName, {
         type: fileToUpload.type || "application/octet-stream",
       });
     } else if (
       fileToUpload instanceof File &&
-      fileToUpload.name !== uploadFileName
+      fileToUpload.name !== sentFileName
     ) {
       // Se il nome del file è diverso, crea un nuovo File con il nome corretto
-      fileToUploadFile = new File([fileToUpload], uploadFileName, {
+      fileToUploadFile = new File([fileToUpload], sentFileName, {
         type: fileToUpload.type || "application/octet-stream",
       });
     }
 
     try {
-      let ipfsHash;
-      
-      // Use direct fetch for wallet mode (SDK doesn't support extraHeaders)
-      if (this.walletSignature && this.userAddress) {
-        console.log("📤 Using wallet auth for upload");
-        
-        const formData = new FormData();
-        formData.append("file", fileToUploadFile);
-        
-        const headers = {
-          "X-User-Address": this.userAddress,
-          "X-Wallet-Signature": this.walletSignature,
-        };
-        
-        // Add auth token if available (admin mode)
-        if (this.authToken) {
-          headers["Authorization"] = `Bearer ${this.authToken}`;
-        }
-        
-        const response = await fetch(`${this.relayUrl}/api/v1/ipfs/upload`, {
-          method: "POST",
-          headers,
-          body: formData,
-        });
-        
-        const result = await response.json();
-        
-        if (!response.ok) {
-          // Handle specific error cases
-          if (response.status === 401) {
-            throw new Error(result.hint || result.error || "Authentication failed - check wallet signature");
-          }
-          if (response.status === 402) {
-            throw new Error("Subscription required - please purchase a subscription to upload files");
-          }
-          throw new Error(result.error || `Upload failed with status ${response.status}`);
-        }
-        
-        if (!result.success || !result.file?.hash) {
-          throw new Error(result.error || "Upload failed - invalid response");
-        }
-        
-        ipfsHash = result.file.hash;
-      } else {
-        // Use SDK for admin mode (with auth token)
-        console.log("📤 Using SDK for upload (admin mode)");
-        const result = await this.sdk.ipfs.uploadFileBrowser(fileToUploadFile);
+      // Upload tramite il backend di storage (relay o Kubo)
+      const { hash: ipfsHash } = await this.backend.add(fileToUploadFile, {
+        signal,
+        onProgress:
+          onProgress &&
+          (({ loaded, total }) =>
+            onProgress({
+              phase: "uploading",
+              loaded,
+              total: total || fileToUploadFile.size,
+            })),
+      });
 
-        if (!result.success || !result.file?.hash) {
-          throw new Error(result.error || "Upload failed - invalid response");
-        }
-        
-        ipfsHash = result.file.hash;
+      if (predictedCid && ipfsHash !== predictedCid) {
+        // Il backend usa un layout diverso da quello di default di `ipfs add`
+        console.warn(
+          `⚠️ ${uploadFileName} stored as ${ipfsHash}, expected ${predictedCid}`
+        );
       }
 
-      // Salva metadati nel sistema (come in upload.html)
-      const now = Date.now();
-      const metadata = {
-        hash: ipfsHash,
-        userAddress: this.userAddress || "drive-user",
-        timestamp: now,
-        fileName: uploadFileName,
-        displayName: uploadFileName, // Usa uploadFileName come displayName (come in upload.html)
-        originalName: file.name,
-        fileSize: fileToUpload.size ?? file.size, // Usa la dimensione del file caricato (criptato o meno)
-        isEncrypted: isEncrypted,
-        contentType:
-          fileToUpload.type || file.type || "application/octet-stream",
-        relayUrl: `${this.relayUrl}/api/v1/ipfs/cat/${ipfsHash}${
-          isEncrypted
-            ? `/decrypt?token=${encodeURIComponent(
-                this.encryptionToken || this.authToken
-              )}`
-            : ""
-        }`,
-        uploadedAt: now,
-      };
-
-      console.log("💾 Saving file metadata:", metadata);
-      await this.saveFileMetadata(metadata);
-
-      this.onStatusChange({
-        status: "completed",
-        message: "File uploaded successfully",
-        hash: ipfsHash,
-      });
-
-      return {
-        success: true,
-        hash: ipfsHash,
-        metadata,
-      };
+      return await this.saveUploadedFile(file, { ...upload, hash: ipfsHash });
     } catch (error) {
       this.onStatusChange({
         status: "error",
@@ -712,87 +1093,301 @@ export class DriveCore {
   }
 
   /**
-   * Ottiene il contenuto di una directory IPFS
-   * @param directoryCid Il CID della directory
-   * @returns Promise con la struttura della directory
+   * Nome con cui un singolo file viene inviato al backend: con i metadati
+   * cifrati il nome reale resta solo nel record cifrato. I nomi dei file
+   * dentro le directory restano visibili (sono i nomi dei link del DAG)
    */
-  async getDirectoryContents(directoryCid) {
-    try {
-      console.log(`🔍 Fetching directory contents for CID: ${directoryCid}`);
-
-      // Usa l'endpoint IPFS ls per ottenere i contenuti della directory
-      // Il proxy del relay passa la richiesta all'IPFS API
-      const url = `${
-        this.relayUrl
-      }/api/v1/ipfs/api/v0/ls?arg=${encodeURIComponent(directoryCid)}`;
-      console.log(`🔍 Request URL: ${url}`);
-
-      const response = await fetch(url, {
-        method: "POST",
-        headers: {
-          Authorization: this.authToken
-            ? `Bearer ${this.authToken}`
-            : undefined,
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: "", // Empty body per POST request
-      });
+  uploadName(name) {
+    return this.encryptMetadata ? "file" : name;
+  }
 
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => "");
-        console.error(`❌ API Error (${response.status}):`, errorText);
-        throw new Error(
-          `Failed to get directory contents: ${response.status} - ${errorText}`
-        );
-      }
+  /**
+   * Verifica se un file va caricato a blocchi (file grandi, backend che
+   * accetta blocchi IPFS singoli)
+   */
+  canUploadChunked(file) {
+    return (
+      file.size >= CHUNKED_UPLOAD_THRESHOLD && !!this.backend.canPutBlocks?.()
+    );
+  }
 
-      const directoryData = await response.json();
-      console.log("🔍 Raw directory data from API:", directoryData);
+  /**
+   * Upload a blocchi ripristinabile: se interrotto (errore, pausa, reload)
+   * lo stesso file riprende dall'ultimo blocco caricato
+   * @returns Promise con { success, hash, metadata } come uploadFile
+   */
+  async uploadFileChunked(file, options = {}) {
+    const { encrypt = true, fileName = null, onProgress, signal } = options;
+    if (encrypt && !this.hasEncryptionKey()) {
+      throw new Error("Encryption token is required for encryption");
+    }
 
-      // IPFS ls restituisce { Objects: [{ Hash: "...", Links: [...] }] }
-      // Estrai i Links dalla prima Object
-      if (directoryData.Objects && directoryData.Objects.length > 0) {
-        const firstObject = directoryData.Objects[0];
-        console.log("🔍 First object:", firstObject);
-        const links = firstObject.Links || [];
-        console.log(`🔍 Found ${links.length} links in directory`);
-        return { Links: links };
-      }
+    try {
+      const chunked = new ChunkedUpload(this.backend);
+      const name = fileName || file.name;
+      const upload = {
+        fileName: encrypt && !name.endsWith(".enc") ? `${name}.enc` : name,
+        isEncrypted: encrypt,
+        contentFingerprint: null,
+        contentType: encrypt ? "application/octet-stream" : file.type,
+      };
 
-      // Se non ci sono Objects, potrebbe essere una struttura diversa
-      // Prova a cercare Links direttamente nella risposta
-      if (directoryData.Links && Array.isArray(directoryData.Links)) {
-        console.log(
-          `🔍 Found ${directoryData.Links.length} links directly in response`
+      // Contenuto già salvato (impronta se cifrato, CID se in chiaro): niente upload
+      onProgress?.({ phase: "encrypting", loaded: 0, total: file.size });
+      if (encrypt) {
+        upload.contentFingerprint = await this.getContentFingerprint(file);
+        const stored = await this.findStoredFingerprint(
+          upload.contentFingerprint
         );
-        return { Links: directoryData.Links };
+        if (stored) {
+          return await this.reuseStoredContent(file, stored, upload);
+        }
+      } else {
+        const predicted = await chunked.computeCid(file, { signal });
+        const stored = await this.findStoredContent(predicted.hash);
+        if (stored) {
+          return await this.reuseStoredContent(file, stored, {
+            ...upload,
+            fileSize: predicted.size,
+          });
+        }
       }
 
-      console.warn(
-        "⚠️ No Links found in directory data structure:",
-        directoryData
-      );
-      return { Links: [] };
+      this.onStatusChange({
+        status: "uploading",
+        message: "Uploading to IPFS in blocks...",
+      });
+      const { hash, size, wrappedKey } = await chunked.upload(file, {
+        masterSecret: encrypt ? this.getKeyring({ forEncryption: true }) : null,
+        signal,
+        onProgress:
+          onProgress &&
+          (({ loaded, total }) =>
+            onProgress({ phase: "uploading", loaded, total })),
+      });
+
+      return await this.saveUploadedFile(file, {
+        ...upload,
+        hash,
+        fileSize: size,
+        wrappedKey,
+      });
     } catch (error) {
-      console.error("❌ Error getting directory contents:", error);
+      this.onStatusChange({
+        status: "error",
+        message: error.message,
+      });
       throw error;
     }
   }
 
   /**
-   * Aggiunge file a una directory esistente
-   * @param directoryCid Il CID della directory esistente
+   * Cerca un contenuto prima di caricarlo
+   * @param cid CID calcolato in locale
+   * @returns Promise con { cid, metadata } se il file è già nel drive,
+   *   { cid, metadata: null } se è solo pinnato sul backend, altrimenti null
+   */
+  async findStoredContent(cid) {
+    // Un file nel cestino non conta: ricaricarlo lo riporta nel drive
+    const cached = await this.metadataStore.get(cid);
+    if (this.isOwnMetadata(cached) && !isTrashed(cached)) {
+      return { cid, metadata: cached };
+    }
+
+    try {
+      if (this.backend.capabilities.remoteMetadata) {
+        const remote = (await this.getRemoteMetadataMap())?.[cid];
+        if (this.isOwnMetadata(remote) && !isTrashed(remote)) {
+          return { cid, metadata: remote };
+        }
+      }
+      if (await this.backend.hasPin(cid)) {
+        return { cid, metadata: null };
+      }
+    } catch (error) {
+      // Nel dubbio il file viene caricato
+      console.warn("⚠️ Duplicate check failed:", error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Cerca un file cifrato con la stessa impronta del contenuto in chiaro
+   * (vedi getContentFingerprint)
+   * @returns Promise con { cid, metadata } se il file è già nel drive, altrimenti null
+   */
+  async findStoredFingerprint(fingerprint) {
+    if (!fingerprint) {
+      return null;
+    }
+    const matches = (metadata) =>
+      this.isOwnMetadata(metadata) &&
+      !isTrashed(metadata) &&
+      metadata.contentFingerprint === fingerprint;
+
+    const cached = Object.entries(await this.metadataStore.list()).find(
+      ([, metadata]) => matches(metadata)
+    );
+    if (cached) {
+      return { cid: cached[0], metadata: cached[1] };
+    }
+
+    try {
+      if (this.backend.capabilities.remoteMetadata) {
+        const remote = Object.entries(
+          (await this.getRemoteMetadataMap()) || {}
+        ).find(([, metadata]) => matches(metadata));
+        if (remote) {
+          return { cid: remote[0], metadata: remote[1] };
+        }
+      }
+    } catch (error) {
+      // Nel dubbio il file viene caricato
+      console.warn("⚠️ Duplicate check failed:", error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Metadati di un file dell'utente (non una condivisione): in wallet mode
+   * la mappa remota contiene anche i file degli altri utenti
+   */
+  isOwnMetadata(metadata) {
+    return (
+      !!metadata &&
+      !isShareRecord(metadata) &&
+      (!!this.authToken ||
+        !this.userAddress ||
+        (metadata.userAddress || "").toLowerCase() ===
+          this.userAddress.toLowerCase())
+    );
+  }
+
+  /**
+   * Completa un upload senza inviare il contenuto, già salvato sul backend:
+   * se è già nel drive non cambia nulla (existing: true), se è solo
+   * pinnato lo si ricollega salvandone i metadati
+   * @returns Promise con { success, hash, metadata, deduplicated: true, existing }
+   */
+  async reuseStoredContent(file, stored, upload) {
+    if (stored.metadata) {
+      console.log(
+        `♻️ ${file.name} is already stored as ${
+          stored.metadata.displayName || stored.metadata.fileName || stored.cid
+        }`
+      );
+      this.onStatusChange({
+        status: "completed",
+        message: "File already stored, upload skipped",
+        hash: stored.cid,
+      });
+      return {
+        success: true,
+        hash: stored.cid,
+        metadata: stored.metadata,
+        deduplicated: true,
+        existing: true,
+      };
+    }
+
+    console.log(`♻️ ${file.name} is already pinned, linking ${stored.cid}`);
+    const result = await this.saveUploadedFile(file, {
+      ...upload,
+      hash: stored.cid,
+    });
+    return { ...result, deduplicated: true };
+  }
+
+  /**
+   * Salva i metadati di un file appena caricato
+   * @param upload { hash, fileName, fileSize, isEncrypted, wrappedKey,
+   *   contentFingerprint, contentType }
+   * @returns Promise con { success, hash, metadata }
+   */
+  async saveUploadedFile(file, upload) {
+    const { hash: ipfsHash, fileName: uploadFileName, isEncrypted, wrappedKey } =
+      upload;
+
+    // Salva metadati nel sistema (come in upload.html)
+    const now = Date.now();
+    const metadata = {
+      hash: ipfsHash,
+      userAddress: this.userAddress || "drive-user",
+      timestamp: now,
+      fileName: uploadFileName,
+      displayName: uploadFileName, // Usa uploadFileName come displayName (come in upload.html)
+      originalName: file.name,
+      fileSize: upload.fileSize,
+      isEncrypted: isEncrypted,
+      encryptionFormat: isEncrypted ? ENCRYPTION_FORMAT : null,
+      wrappedKey,
+      keyWrapping: wrappedKey ? KEY_WRAPPING : null,
+      contentFingerprint: upload.contentFingerprint || null,
+      contentType: upload.contentType || "application/octet-stream",
+      originalContentType: file.type || "application/octet-stream",
+      // Il formato a chunk si decripta solo lato client: niente token nell'URL
+      relayUrl: this.backend.publicUrl(ipfsHash),
+      uploadedAt: now,
+      // Lo stesso contenuto poteva essere nel cestino (null: vedi restore)
+      trashedAt: null,
+    };
+
+    console.log("💾 Saving file metadata:", metadata);
+    await this.saveFileMetadata(metadata);
+
+    this.onStatusChange({
+      status: "completed",
+      message: "File uploaded successfully",
+      hash: ipfsHash,
+    });
+
+    return {
+      success: true,
+      hash: ipfsHash,
+      metadata,
+    };
+  }
+
+  /**
+   * Ottiene il contenuto di una directory IPFS
+   * @param directoryCid Il CID della directory
+   * @returns Promise con la struttura della directory
+   */
+  async getDirectoryContents(directoryCid) {
+    try {
+      console.log(`🔍 Fetching directory contents for CID: ${directoryCid}`);
+
+      // Usa IPFS ls tramite il backend di storage
+      const { Links: links } = await this.backend.ls(directoryCid);
+      console.log(`🔍 Found ${links.length} links in directory`);
+      return { Links: links };
+    } catch (error) {
+      console.error("❌ Error getting directory contents:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggiunge file a una directory esistente
+   * Con l'accesso ai blocchi vengono caricati solo i nuovi file, poi
+   * collegati alla directory (vedi directory-patch.js); altrimenti la
+   * directory viene ricreata con tutti i file
+   * @param directoryCid Il CID della directory esistente
    * @param newFiles Array di File objects da aggiungere
    * @param existingFilesMetadata Array di metadati dei file esistenti nella directory
+   * @param options.signal AbortSignal (vedi uploadDirectory)
+   * @param options.onProgress Callback { phase, loaded, total }
+   * @param options.path Sottocartella di destinazione (es. "2024/mare"), vuoto = radice
    * @returns Promise con il nuovo CID della directory aggiornata
    */
   async addFilesToDirectory(
     directoryCid,
     newFiles,
-    existingFilesMetadata = []
+    existingFilesMetadata = [],
+    options = {}
   ) {
-    // Allow operation if we have authToken (admin) or userAddress (wallet user)
-    if (!this.authToken && !this.userAddress) {
+    // Allow operation if we have authToken (admin), userAddress (wallet user) or a Kubo node
+    if (!this.hasCredentials()) {
       throw new Error("Please connect your wallet or set auth token in settings.");
     }
 
@@ -801,182 +1396,133 @@ export class DriveCore {
       message: `Preparing to add files to directory...`,
     });
 
-    // Raccogli tutti i file (esistenti + nuovi)
-    const allFiles = [];
-
-    // Aggiungi i file esistenti (li dobbiamo scaricare e riconvertire in File)
-    for (const fileMeta of existingFilesMetadata) {
-      try {
-        // Normalizza il path: rimuovi il nome della directory se presente
-        let filePath = fileMeta.path || fileMeta.name;
-        const pathParts = filePath.split("/");
-        // Se il path contiene "/", prendi solo l'ultima parte (nome del file)
-        if (pathParts.length > 1) {
-          filePath = pathParts[pathParts.length - 1];
-        }
-
-        const blob = await this.catFromDirectory(directoryCid, filePath);
-
-        // Verifica che il blob non sia vuoto
-        if (!blob || blob.size === 0) {
-          console.warn(`⚠️ Empty blob for file ${filePath}, skipping`);
-          continue;
-        }
-
-        // Determina il path relativo da usare (priorità: path > name > originalName)
-        const relativePath =
-          fileMeta.path || fileMeta.name || fileMeta.originalName;
-
-        // Crea un File object usando il relativePath come nome (così l'SDK lo userà come path)
-        // Se webkitRelativePath non funziona, file.name sarà comunque corretto
-        const existingFile = new File([blob], relativePath, {
-          type: fileMeta.mimetype || "application/octet-stream",
-        });
-
-        // IMPORTANTE: Imposta webkitRelativePath per mantenere la struttura directory
-        // L'SDK usa webkitRelativePath || file.name per determinare il path
-        try {
-          Object.defineProperty(existingFile, "webkitRelativePath", {
-            value: relativePath,
-            writable: false,
-            configurable: false,
-            enumerable: false,
-          });
-        } catch (defineError) {
-          console.warn(
-            `⚠️ Could not set webkitRelativePath, using file.name (${relativePath}):`,
-            defineError
-          );
-          // Non è un problema critico - l'SDK userà file.name se webkitRelativePath non è disponibile
-        }
-
-        allFiles.push(existingFile);
-      } catch (error) {
-        console.warn(
-          `⚠️ Failed to retrieve existing file ${fileMeta.path}:`,
-          error
-        );
-        // Continua con gli altri file anche se uno fallisce
-      }
-    }
+    const dirMetadata = await this.getDirectoryMetadata(directoryCid);
+    const folderName = dirMetadata?.displayName || dirMetadata?.fileName || "folder";
 
-    // Aggiungi i nuovi file e assicurati che abbiano webkitRelativePath se necessario
+    // I nuovi file senza percorso vanno nella sottocartella di destinazione
+    const basePath = (options.path || "").split("/").filter(Boolean).join("/");
     for (const newFile of newFiles) {
-      // Se il nuovo file non ha webkitRelativePath, impostalo usando il nome del file
       if (!newFile.webkitRelativePath) {
         Object.defineProperty(newFile, "webkitRelativePath", {
-          value: newFile.name,
+          value: basePath
+            ? `${folderName}/${basePath}/${newFile.name}`
+            : newFile.name,
           writable: false,
         });
       }
-      allFiles.push(newFile);
-    }
-
-    if (allFiles.length === 0) {
-      throw new Error("No files to upload");
     }
-
-    // Ottieni il nome della directory dai metadati esistenti o usa un nome di default
-    // Per ora usiamo un approccio semplice: recuperiamo i metadati della directory
-    let folderName = "folder";
-    try {
-      const cachedMetadata = localStorage.getItem(
-        "shogun-drive-metadata-cache"
-      );
-      if (cachedMetadata) {
-        const parsed = JSON.parse(cachedMetadata);
-        const dirMetadata = parsed.data?.[directoryCid];
-        if (dirMetadata?.displayName || dirMetadata?.fileName) {
-          folderName = dirMetadata.displayName || dirMetadata.fileName;
-        }
+    // Un file esistente con lo stesso percorso viene sostituito
+    const newPaths = new Set(
+      newFiles.map((file) => this.directoryEntryPath(file.webkitRelativePath))
+    );
+    const keptFiles = existingFilesMetadata.filter(
+      (fileMeta) =>
+        !newPaths.has(this.directoryEntryPath(fileMeta.path || fileMeta.name))
+    );
+
+    if (!this.canPatchDirectories()) {
+      console.warn("⚠️ Block API unavailable, rebuilding the whole directory");
+      const existingFiles = [];
+      for (const fileMeta of keptFiles) {
+        existingFiles.push(await this.readDirectoryFile(directoryCid, fileMeta));
       }
-    } catch (e) {
-      console.warn("⚠️ Could not get directory name from metadata:", e);
+      return await this.replaceDirectory(
+        directoryCid,
+        await this.uploadDirectory([...existingFiles, ...newFiles], {
+          encrypt: true,
+          folderName,
+          signal: options.signal,
+          onProgress: options.onProgress,
+        })
+      );
     }
 
-    // Usa uploadDirectory per ricreare la directory con tutti i file
-    // Nota: uploadDirectory gestirà la criptazione se necessario
-    const result = await this.uploadDirectory(allFiles, {
-      encrypt: true,
-      folderName: folderName,
-    });
+    // Carica solo i nuovi file e collegali alla directory
+    const { signal, onProgress } = options;
+    const io = this.directoryPatchIO(signal);
+    const totalSize = newFiles.reduce((total, file) => total + file.size, 0);
+    const entries = [];
+    const filePins = [];
+    let uploadedSize = 0;
+    let rootCid = directoryCid;
 
-    // Dopo aver creato la nuova directory, elimina la vecchia directory
-    if (
-      result.success &&
-      result.directoryCid &&
-      result.directoryCid !== directoryCid
-    ) {
-      try {
-        console.log(
-          `🗑️ Removing old directory ${directoryCid.substring(
-            0,
-            12
-          )}... and replacing with new one ${result.directoryCid.substring(
-            0,
-            12
-          )}...`
-        );
-
-        // Elimina il pin della vecchia directory
-        try {
-          await this.sdk.ipfs.pinRm(directoryCid);
-          console.log(`✅ Old directory pin removed`);
-        } catch (pinError) {
-          console.warn(`⚠️ Failed to remove old directory pin:`, pinError);
-          // Continua comunque con la rimozione dei metadati
-        }
+    for (const file of newFiles) {
+      let fileToUpload = file;
+      let wrappedKey = null;
+      if (this.hasEncryptionKey()) {
+        onProgress?.({ phase: "encrypting", loaded: uploadedSize, total: totalSize });
+        ({ file: fileToUpload, wrappedKey } =
+          await this.encryptFileWithContentKey(file));
+      }
 
-        // Rimuovi i metadati della vecchia directory usando SDK
-        try {
-          await this.sdk.uploads.removeSystemHash(directoryCid, "drive-user");
-          console.log(`✅ Old directory metadata removed from server`);
-        } catch (metadataError) {
-          console.warn(
-            `⚠️ Error removing old directory metadata:`,
-            metadataError
-          );
+      this.onStatusChange({
+        status: "uploading",
+        message: `Uploading ${file.name}...`,
+      });
+      const { hash } = await this.backend.add(
+        new File([fileToUpload], this.uploadName(file.name), {
+          type: fileToUpload.type || "application/octet-stream",
+        }),
+        {
+          signal,
+          onProgress:
+            onProgress &&
+            (({ loaded }) =>
+              onProgress({
+                phase: "uploading",
+                loaded: uploadedSize + Math.min(loaded, file.size),
+                total: totalSize,
+              })),
         }
+      );
+      filePins.push(hash);
+      uploadedSize += file.size;
+
+      const path = this.directoryEntryPath(file.webkitRelativePath);
+      rootCid = await addDirectoryLink(
+        rootCid,
+        path,
+        { cid: hash, tsize: await getLinkSize(hash, io.getBlock) },
+        io
+      );
+      console.log(`🔗 Linked ${path} into directory ${rootCid.substring(0, 12)}...`);
 
-        // Rimuovi dalla cache locale
-        try {
-          const cachedMetadata = localStorage.getItem(
-            "shogun-drive-metadata-cache"
-          );
-          if (cachedMetadata) {
-            const parsed = JSON.parse(cachedMetadata);
-            if (parsed.data && parsed.data[directoryCid]) {
-              delete parsed.data[directoryCid];
-              parsed.timestamp = Date.now();
-              localStorage.setItem(
-                "shogun-drive-metadata-cache",
-                JSON.stringify(parsed)
-              );
-              console.log(`✅ Old directory removed from local cache`);
-            }
-          }
-        } catch (cacheError) {
-          console.warn(
-            `⚠️ Error removing old directory from cache:`,
-            cacheError
-          );
-        }
-      } catch (cleanupError) {
-        console.warn(
-          `⚠️ Error cleaning up old directory (non-critical):`,
-          cleanupError
-        );
-        // Non bloccare l'operazione se la pulizia fallisce
-      }
+      entries.push({
+        path: file.webkitRelativePath,
+        name: file.name,
+        originalName: file.name,
+        size: fileToUpload.size,
+        mimetype: fileToUpload.type || file.type || "application/octet-stream",
+        isEncrypted: !!wrappedKey,
+        encryptionFormat: wrappedKey ? ENCRYPTION_FORMAT : null,
+        wrappedKey,
+        keyWrapping: wrappedKey ? KEY_WRAPPING : null,
+        originalContentType: file.type || "application/octet-stream",
+      });
     }
 
+    const result = await this.commitDirectoryPatch(
+      directoryCid,
+      rootCid,
+      dirMetadata,
+      [...keptFiles, ...entries]
+    );
+    // I file ora sono protetti dal pin ricorsivo della directory
+    for (const hash of filePins) {
+      await this.backend
+        .pinRm(hash)
+        .catch((error) => console.warn(`⚠️ Failed to unpin ${hash}:`, error));
+    }
     return result;
   }
 
   /**
    * Rimuove un file da una directory esistente
+   * Con l'accesso ai blocchi viene solo tolto il link (vedi
+   * directory-patch.js); altrimenti la directory viene ricreata con i file
+   * rimanenti
    * @param directoryCid Il CID della directory esistente
-   * @param filePathToRemove Il path relativo del file da rimuovere
+   * @param filePathToRemove Percorso del file (o sottocartella) dentro la directory
    * @param existingFilesMetadata Array di metadati dei file esistenti nella directory
    * @returns Promise con il nuovo CID della directory aggiornata
    */
@@ -985,8 +1531,8 @@ export class DriveCore {
     filePathToRemove,
     existingFilesMetadata = []
   ) {
-    if (!this.authToken) {
-      throw new Error("Auth token is required. Please set it in settings.");
+    if (!this.hasCredentials()) {
+      throw new Error("Please connect your wallet or set auth token in settings.");
     }
 
     this.onStatusChange({
@@ -994,190 +1540,949 @@ export class DriveCore {
       message: `Preparing to remove file from directory...`,
     });
 
-    // Filtra i file esistenti per rimuovere quello specificato
+    // Un percorso di sottocartella rimuove tutto il suo contenuto
+    const pathToRemove = filePathToRemove.split("/").filter(Boolean).join("/");
     const remainingFilesMetadata = existingFilesMetadata.filter((fileMeta) => {
-      const filePath = fileMeta.path || fileMeta.name;
-      // Normalizza il path per confronto
-      const normalizedPath = filePath.split("/").pop();
-      const normalizedPathToRemove = filePathToRemove.split("/").pop();
-      return normalizedPath !== normalizedPathToRemove;
+      const filePath = this.directoryEntryPath(fileMeta.path || fileMeta.name);
+      return (
+        filePath !== pathToRemove && !filePath.startsWith(`${pathToRemove}/`)
+      );
     });
 
     if (remainingFilesMetadata.length === existingFilesMetadata.length) {
       throw new Error("File not found in directory");
     }
 
-    // Raccogli i file rimanenti (scarica e riconverti in File)
-    const allFiles = [];
+    const dirMetadata = await this.getDirectoryMetadata(directoryCid);
+
+    if (this.canPatchDirectories()) {
+      const rootCid = await removeDirectoryLink(
+        directoryCid,
+        pathToRemove,
+        this.directoryPatchIO()
+      );
+      console.log(`✂️ Unlinked ${pathToRemove} from directory`);
+      return await this.commitDirectoryPatch(
+        directoryCid,
+        rootCid,
+        dirMetadata,
+        remainingFilesMetadata
+      );
+    }
+
+    console.warn("⚠️ Block API unavailable, rebuilding the whole directory");
+    const folderName = dirMetadata?.displayName || dirMetadata?.fileName || "folder";
+
+    // Se non ci sono più file, potremmo voler eliminare la directory
+    // Ma per ora ricreiamo la directory anche se vuota (con file .keep)
+    if (remainingFilesMetadata.length === 0) {
+      return await this.replaceDirectory(
+        directoryCid,
+        await this.createEmptyDirectory(folderName)
+      );
+    }
 
+    const remainingFiles = [];
     for (const fileMeta of remainingFilesMetadata) {
-      try {
-        // Normalizza il path: rimuovi il nome della directory se presente
-        let filePath = fileMeta.path || fileMeta.name;
-        const pathParts = filePath.split("/");
-        // Se il path contiene "/", prendi solo l'ultima parte (nome del file)
-        if (pathParts.length > 1) {
-          filePath = pathParts[pathParts.length - 1];
-        }
+      remainingFiles.push(await this.readDirectoryFile(directoryCid, fileMeta));
+    }
+    return await this.replaceDirectory(
+      directoryCid,
+      await this.uploadDirectory(remainingFiles, { encrypt: true, folderName })
+    );
+  }
 
-        const blob = await this.catFromDirectory(directoryCid, filePath);
+  /**
+   * Rinomina un file o una cartella
+   * - Nella root: aggiorna solo i metadati (displayName, fileName, originalName)
+   * - Dentro una directory (cid "directoryCid/percorso"): collega il contenuto
+   *   col nuovo nome e aggiorna il manifest `files` della directory, che
+   *   cambia CID
+   * @param metadata Metadati del file, se non sono in cache
+   * @returns Promise con { success, cid, metadata } (cid: il nuovo CID della
+   *   directory per i file al suo interno)
+   */
+  async rename(cid, newName, metadata = null) {
+    if (!this.hasCredentials()) {
+      throw new Error("Please connect your wallet or set auth token in settings.");
+    }
 
-        // Verifica che il blob non sia vuoto
-        if (!blob || blob.size === 0) {
-          console.warn(`⚠️ Empty blob for file ${filePath}, skipping`);
-          continue;
-        }
+    const name = (newName || "").trim();
+    if (!name || name === "." || name === ".." || /[\\/]/.test(name)) {
+      throw new Error(`"${newName}" is not a valid name`);
+    }
 
-        // Determina il path relativo da usare (priorità: path > name > originalName)
-        const relativePath =
-          fileMeta.path || fileMeta.name || fileMeta.originalName;
+    const [rootCid, ...pathParts] = cid.split("/");
+    const fromPath = pathParts.filter(Boolean).join("/");
+    if (fromPath) {
+      const toPath = [...fromPath.split("/").slice(0, -1), name].join("/");
+      return await this.relinkDirectoryEntry(rootCid, fromPath, toPath);
+    }
 
-        // Crea un File object usando il relativePath come nome (così l'SDK lo userà come path)
-        // Se webkitRelativePath non funziona, file.name sarà comunque corretto
-        const existingFile = new File([blob], relativePath, {
-          type: fileMeta.mimetype || "application/octet-stream",
-        });
+    const current = await this.getRootMetadata(cid, metadata);
+    if (await this.rootNameExists(name, cid)) {
+      throw new Error(`An item named "${name}" already exists`);
+    }
 
-        // IMPORTANTE: Imposta webkitRelativePath per mantenere la struttura directory
-        // L'SDK usa webkitRelativePath || file.name per determinare il path
-        try {
-          Object.defineProperty(existingFile, "webkitRelativePath", {
-            value: relativePath,
-            writable: false,
-            configurable: false,
-            enumerable: false,
-          });
-        } catch (defineError) {
-          console.warn(
-            `⚠️ Could not set webkitRelativePath, using file.name (${relativePath}):`,
-            defineError
+    // I file criptati sono salvati come "nome.enc"
+    const stored = current.displayName || current.fileName || "";
+    const storedName =
+      current.isEncrypted && stored.endsWith(".enc") ? `${name}.enc` : name;
+    const renamed = {
+      ...current,
+      fileName: storedName,
+      displayName: storedName,
+      originalName: name,
+      timestamp: Date.now(),
+    };
+
+    if (!(await this.saveFileMetadata(renamed))) {
+      throw new Error("Could not save the new name");
+    }
+    console.log(`✏️ Renamed ${cid.substring(0, 12)}... to ${name}`);
+    return { success: true, cid, metadata: renamed };
+  }
+
+  /**
+   * Metadati di un elemento della root (cache locale, mappa remota oppure
+   * quelli passati dal chiamante)
+   */
+  async getRootMetadata(cid, metadata = null) {
+    const current =
+      (await this.metadataStore.get(cid)) ||
+      (this.backend.capabilities.remoteMetadata
+        ? (await this.getRemoteMetadataMap())?.[cid]
+        : null) ||
+      metadata;
+    if (!current) {
+      throw new Error("File metadata not found");
+    }
+    return current;
+  }
+
+  /**
+   * Verifica se un altro elemento della root ha già questo nome
+   */
+  async rootNameExists(name, exceptCid = null) {
+    const entries = Object.entries(await this.metadataStore.list());
+    return entries.some(
+      ([otherCid, other]) =>
+        otherCid !== exceptCid &&
+        this.isOwnMetadata(other) &&
+        !isTrashed(other) &&
+        rootEntryName(other) === name
+    );
+  }
+
+  /**
+   * Sposta (o rinomina) un file o una sottocartella dentro la stessa
+   * directory: collega il contenuto al nuovo percorso e aggiorna il
+   * manifest `files`
+   * @param fromPath, toPath Percorsi dentro la directory
+   * @returns Promise con { success, cid, metadata } (cid: nuovo CID della directory)
+   */
+  async relinkDirectoryEntry(directoryCid, fromPath, toPath) {
+    const dirMetadata = await this.getDirectoryMetadata(directoryCid);
+    if (!dirMetadata) {
+      throw new Error("Directory metadata not found");
+    }
+    const folderName = dirMetadata.displayName || dirMetadata.fileName || "folder";
+    const files = parseDirectoryFiles(dirMetadata.files);
+
+    fromPath = fromPath.split("/").filter(Boolean).join("/");
+    toPath = toPath.split("/").filter(Boolean).join("/");
+    if (toPath === fromPath) {
+      return { success: true, cid: directoryCid, metadata: dirMetadata };
+    }
+
+    const name = toPath.split("/").pop();
+    const entryPathOf = (fileMeta) =>
+      this.directoryEntryPath(fileMeta.path || fileMeta.name);
+    const isUnder = (entryPath, base) =>
+      entryPath === base || entryPath.startsWith(`${base}/`);
+
+    if (isUnder(toPath, fromPath)) {
+      throw new Error("A folder cannot be moved into itself");
+    }
+    if (!files.some((fileMeta) => isUnder(entryPathOf(fileMeta), fromPath))) {
+      throw new Error(`${fromPath} not found in directory`);
+    }
+    if (files.some((fileMeta) => isUnder(entryPathOf(fileMeta), toPath))) {
+      throw new Error(`An item named "${name}" already exists in this folder`);
+    }
+
+    // Manifest aggiornato: il file spostato, o tutto il contenuto della sottocartella
+    const movedFiles = files.map((fileMeta) => {
+      const entryPath = entryPathOf(fileMeta);
+      if (!isUnder(entryPath, fromPath)) return fileMeta;
+      const moved = {
+        ...fileMeta,
+        path: `${folderName}/${toPath}${entryPath.slice(fromPath.length)}`,
+      };
+      if (entryPath === fromPath) {
+        moved.name = name;
+        moved.originalName = name;
+      }
+      return moved;
+    });
+
+    let result;
+    if (this.canPatchDirectories()) {
+      const rootCid = await moveDirectoryLink(
+        directoryCid,
+        fromPath,
+        toPath,
+        this.directoryPatchIO()
+      );
+      result = await this.commitDirectoryPatch(
+        directoryCid,
+        rootCid,
+        dirMetadata,
+        movedFiles
+      );
+    } else {
+      console.warn("⚠️ Block API unavailable, rebuilding the whole directory");
+      const allFiles = [];
+      for (let i = 0; i < files.length; i++) {
+        allFiles.push(
+          await this.readDirectoryFile(directoryCid, files[i], movedFiles[i].path)
+        );
+      }
+      result = await this.replaceDirectory(
+        directoryCid,
+        await this.uploadDirectory(allFiles, { encrypt: true, folderName })
+      );
+    }
+
+    console.log(`🔀 Moved ${fromPath} to ${toPath}`);
+    return { success: true, cid: result.directoryCid, metadata: result.metadata };
+  }
+
+  /**
+   * Ricifra i file criptati di una directory con nuove chiavi di contenuto
+   * (revoca di una condivisione, rotazione della chiave). Come le altre
+   * modifiche la directory mantiene folderId, previousCids e nome IPNS, e
+   * gli altri file restano com'erano: con l'accesso ai blocchi non vengono
+   * nemmeno ricaricati
+   * @param dirMetadata Metadati della directory, se non sono in cache
+   * @param options.secret Nuova chiave master per le chiavi dei file e per i
+   *   metadati: le chiavi dei file non ricifrati vengono ri-wrappate
+   * @param options.shouldRekey (fileMeta) => true per i file da ricifrare
+   *   (default: tutti i file cifrati)
+   * @returns Promise con { success, directoryCid, metadata }
+   */
+  async rekeyDirectory(directoryCid, dirMetadata = null, options = {}) {
+    dirMetadata = dirMetadata || (await this.getDirectoryMetadata(directoryCid));
+    if (!dirMetadata) {
+      throw new Error("Directory metadata not found");
+    }
+    const { secret = null, shouldRekey = (fileMeta) => !!fileMeta.isEncrypted } =
+      options;
+    const masterSecret = secret || this.getKeyring({ forEncryption: true });
+    const files = parseDirectoryFiles(dirMetadata.files);
+
+    const patch = this.canPatchDirectories();
+    if (!patch) {
+      console.warn("⚠️ Block API unavailable, rebuilding the whole directory");
+    }
+    const io = patch ? this.directoryPatchIO() : null;
+    const entries = [];
+    const fileObjects = [];
+    const filePins = [];
+    let rootCid = directoryCid;
+
+    for (const fileMeta of files) {
+      const relativePath = fileMeta.path || fileMeta.name;
+      const path = this.directoryEntryPath(relativePath);
+
+      if (!shouldRekey(fileMeta)) {
+        entries.push(
+          secret && fileMeta.wrappedKey
+            ? {
+                ...fileMeta,
+                wrappedKey: await this.rewrapFileKey(fileMeta.wrappedKey, secret),
+              }
+            : fileMeta
+        );
+        if (!patch) {
+          // Contenuto invariato, ricaricato così com'è
+          fileObjects.push(
+            withRelativePath(
+              await this.catFromDirectory(directoryCid, path),
+              relativePath,
+              fileMeta.mimetype || "application/octet-stream"
+            )
           );
-          // Non è un problema critico - l'SDK userà file.name se webkitRelativePath non è disponibile
         }
+        continue;
+      }
 
-        allFiles.push(existingFile);
-      } catch (error) {
-        console.warn(
-          `⚠️ Failed to retrieve existing file ${fileMeta.path}:`,
-          error
-        );
-        // Continua con gli altri file anche se uno fallisce
+      const plain = await this.readDirectoryFile(directoryCid, fileMeta);
+      const { file: encrypted, wrappedKey } =
+        await this.encryptFileWithContentKey(plain, masterSecret);
+      entries.push({
+        ...fileMeta,
+        size: encrypted.size,
+        isEncrypted: true,
+        encryptionFormat: ENCRYPTION_FORMAT,
+        wrappedKey,
+        keyWrapping: KEY_WRAPPING,
+      });
+      if (!patch) {
+        fileObjects.push(withRelativePath(encrypted, relativePath, encrypted.type));
+        continue;
       }
+
+      const { hash } = await this.backend.add(
+        new File([encrypted], this.uploadName(plain.name), {
+          type: encrypted.type,
+        })
+      );
+      filePins.push(hash);
+      rootCid = await addDirectoryLink(
+        rootCid,
+        path,
+        { cid: hash, tsize: await getLinkSize(hash, io.getBlock) },
+        io
+      );
     }
 
-    if (allFiles.length === 0 && remainingFilesMetadata.length > 0) {
-      throw new Error("Failed to retrieve remaining files from directory");
+    if (!patch) {
+      // L'upload della directory la pinna già
+      const { directoryCid: newCid } = await this.backend.addDirectory(
+        fileObjects
+      );
+      return await this.commitDirectoryPatch(
+        directoryCid,
+        newCid,
+        dirMetadata,
+        entries,
+        { secret, pin: false }
+      );
     }
 
-    // Ottieni il nome della directory dai metadati esistenti
-    let folderName = "folder";
-    try {
-      const cachedMetadata = localStorage.getItem(
-        "shogun-drive-metadata-cache"
+    const result = await this.commitDirectoryPatch(
+      directoryCid,
+      rootCid,
+      dirMetadata,
+      entries,
+      { secret }
+    );
+    // I file ora sono protetti dal pin ricorsivo della directory
+    for (const hash of filePins) {
+      await this.backend
+        .pinRm(hash)
+        .catch((error) => console.warn(`⚠️ Failed to unpin ${hash}:`, error));
+    }
+    return result;
+  }
+
+  /**
+   * Sposta un file o una cartella (vedi transferEntry)
+   */
+  async move(cid, target, metadata = null) {
+    return await this.transferEntry(cid, target, { metadata });
+  }
+
+  /**
+   * Copia un file o una cartella (vedi transferEntry)
+   */
+  async copy(cid, target, metadata = null) {
+    return await this.transferEntry(cid, target, { metadata, copy: true });
+  }
+
+  /**
+   * Sposta o copia un file o una cartella tra la root e le directory
+   * Con l'accesso ai blocchi il contenuto non viene ricaricato: lo stesso
+   * CID viene collegato nella destinazione (pin e metadati nella root, link
+   * e manifest `files` in una directory) e i file criptati si portano
+   * dietro la propria chiave (wrappedKey). Senza accesso ai blocchi i file
+   * vengono letti, decriptati e ricaricati, come per le altre modifiche
+   * @param cid CID nella root, oppure "directoryCid/percorso"
+   * @param target { directoryCid, path }: directoryCid null = root, path =
+   *   sottocartella di destinazione
+   * @param options.copy Lascia l'originale al suo posto
+   * @param options.metadata Metadati dell'elemento della root, se non sono in cache
+   * @returns Promise con { success, directories } (directories: { vecchio
+   *   CID: nuovo CID } delle directory modificate)
+   */
+  async transferEntry(cid, target = {}, options = {}) {
+    if (!this.hasCredentials()) {
+      throw new Error("Please connect your wallet or set auth token in settings.");
+    }
+
+    const { copy = false } = options;
+    const source = await this.resolveEntry(cid, options.metadata);
+    const directoryCid = target.directoryCid || null;
+    const basePath = (target.path || "").split("/").filter(Boolean).join("/");
+    const directories = {};
+
+    if (!directoryCid) {
+      if (!source.directoryCid) {
+        throw new Error(`${source.name} is already at the top level`);
+      }
+      await this.linkIntoRoot(source);
+    } else if (!copy && source.directoryCid === directoryCid) {
+      // Dentro la stessa directory basta spostare il link
+      const result = await this.relinkDirectoryEntry(
+        directoryCid,
+        source.path,
+        basePath ? `${basePath}/${source.name}` : source.name
       );
-      if (cachedMetadata) {
-        const parsed = JSON.parse(cachedMetadata);
-        const dirMetadata = parsed.data?.[directoryCid];
-        if (dirMetadata?.displayName || dirMetadata?.fileName) {
-          folderName = dirMetadata.displayName || dirMetadata.fileName;
+      directories[directoryCid] = result.cid;
+      return { success: true, directories };
+    } else {
+      if (!copy && source.cid === directoryCid) {
+        throw new Error("A folder cannot be moved into itself");
+      }
+      const result = await this.linkIntoDirectory(source, directoryCid, basePath);
+      directories[directoryCid] = result.directoryCid;
+    }
+
+    if (!copy) {
+      if (source.directoryCid) {
+        const sourceMetadata = await this.getDirectoryMetadata(source.directoryCid);
+        const result = await this.removeFileFromDirectory(
+          source.directoryCid,
+          source.path,
+          parseDirectoryFiles(sourceMetadata?.files)
+        );
+        directories[source.directoryCid] = result.directoryCid;
+      } else {
+        await this.deleteFile(source.cid, source.metadata);
+      }
+    }
+
+    console.log(
+      `${copy ? "📋 Copied" : "🔀 Moved"} ${source.name} to ${
+        directoryCid ? `${directoryCid.substring(0, 12)}.../${basePath}` : "root"
+      }`
+    );
+    return { success: true, directories };
+  }
+
+  /**
+   * Descrive un elemento da spostare o copiare
+   * @returns Promise con { cid, name, isDirectory, metadata, directoryCid,
+   *   path, files, link, read }:
+   *   - directoryCid, path: directory e percorso, per gli elementi al suo interno
+   *   - files: [{ fileMeta, relativePath }] voci del manifest, con percorsi
+   *     che iniziano dal nome dell'elemento
+   *   - link(getBlock): Promise con { cid, tsize } del contenuto
+   *   - read(fileMeta, relativePath): Promise con il File in chiaro
+   */
+  async resolveEntry(cid, metadata = null) {
+    const [rootCid, ...pathParts] = cid.split("/");
+    const path = pathParts.filter(Boolean).join("/");
+
+    if (path) {
+      const dirMetadata = await this.getDirectoryMetadata(rootCid);
+      if (!dirMetadata) {
+        throw new Error("Directory metadata not found");
+      }
+      const name = path.split("/").pop();
+      const files = [];
+      for (const fileMeta of parseDirectoryFiles(dirMetadata.files)) {
+        const entryPath = this.directoryEntryPath(fileMeta.path || fileMeta.name);
+        if (entryPath === path || entryPath.startsWith(`${path}/`)) {
+          files.push({ fileMeta, relativePath: name + entryPath.slice(path.length) });
         }
       }
+      if (files.length === 0) {
+        throw new Error(`${path} not found in directory`);
+      }
+      return {
+        cid,
+        name,
+        isDirectory: files.length > 1 || files[0].relativePath !== name,
+        metadata: null,
+        directoryCid: rootCid,
+        path,
+        files,
+        link: (getBlock) => getDirectoryLink(rootCid, path, getBlock),
+        read: (fileMeta, relativePath) =>
+          this.readDirectoryFile(rootCid, fileMeta, relativePath),
+      };
+    }
+
+    const current = await this.getRootMetadata(cid, metadata);
+    const name = rootEntryName(current);
+    const isDirectory = isDirectoryMetadata(current);
+    const link = async (getBlock) => ({
+      cid,
+      tsize: await getLinkSize(cid, getBlock),
+    });
+
+    if (isDirectory) {
+      const files = parseDirectoryFiles(current.files).map((fileMeta) => ({
+        fileMeta,
+        relativePath: `${name}/${this.directoryEntryPath(
+          fileMeta.path || fileMeta.name
+        )}`,
+      }));
+      if (files.length === 0) {
+        throw new Error(`${name} is empty`);
+      }
+      return {
+        cid,
+        name,
+        isDirectory,
+        metadata: current,
+        directoryCid: null,
+        path: null,
+        files,
+        link,
+        read: (fileMeta, relativePath) =>
+          this.readDirectoryFile(cid, fileMeta, relativePath),
+      };
+    }
+
+    return {
+      cid,
+      name,
+      isDirectory,
+      metadata: current,
+      directoryCid: null,
+      path: null,
+      files: [{ fileMeta: toDirectoryEntry(current, name), relativePath: name }],
+      link,
+      read: async (fileMeta, relativePath) => {
+        const { stream, type } = await this.openDownloadStream(cid, current);
+        return withRelativePath(
+          await new Response(stream).blob(),
+          relativePath,
+          type
+        );
+      },
+    };
+  }
+
+  /**
+   * Aggiunge alla root un file o una sottocartella di una directory (vedi
+   * resolveEntry): il contenuto viene pinnato da solo e riceve i propri
+   * metadati
+   * @param fields Campi aggiunti ai metadati: con quelli del cestino (vedi
+   *   trash) il nome non deve essere libero e un contenuto già nel drive
+   *   resta com'è
+   * @returns Promise con { success, hash, metadata, existing }
+   */
+  async linkIntoRoot(source, fields = {}) {
+    const trashed = isTrashed(fields);
+    if (!trashed && (await this.rootNameExists(source.name))) {
+      throw new Error(`An item named "${source.name}" already exists`);
+    }
+
+    if (!this.canPatchDirectories()) {
+      console.warn("⚠️ Block API unavailable, uploading the content again");
+      const files = [];
+      for (const { fileMeta, relativePath } of source.files) {
+        files.push(await source.read(fileMeta, relativePath));
+      }
+      const result = source.isDirectory
+        ? await this.uploadDirectory(files, {
+            encrypt: source.files.some(({ fileMeta }) => fileMeta.isEncrypted),
+            folderName: source.name,
+          })
+        : await this.uploadFile(files[0], {
+            encrypt: !!source.files[0].fileMeta.isEncrypted,
+          });
+      if (result.existing || Object.keys(fields).length === 0) {
+        return result;
+      }
+      const metadata = { ...result.metadata, ...fields };
+      if (!(await this.saveFileMetadata(metadata))) {
+        throw new Error(`Could not save the metadata of ${source.name}`);
+      }
+      return { ...result, metadata };
+    }
+
+    const { cid: hash } = await source.link(this.directoryPatchIO().getBlock);
+    const existing = await this.metadataStore.get(hash);
+    if (this.isOwnMetadata(existing)) {
+      if (!trashed) {
+        throw new Error(`${source.name} is already in your drive`);
+      }
+      return { success: true, hash, metadata: existing, existing: true };
+    }
+    await this.backend.pinAdd(hash);
+
+    const now = Date.now();
+    const files = source.files.map(({ fileMeta, relativePath }) => ({
+      ...fileMeta,
+      path: relativePath,
+    }));
+    const common = {
+      hash,
+      timestamp: now,
+      relayUrl: this.backend.publicUrl(hash),
+      uploadedAt: now,
+    };
+    let metadata;
+    if (source.isDirectory) {
+      const isEncrypted = files.some((f) => f.isEncrypted);
+      metadata = {
+        ...common,
+        userAddress: "drive-user",
+        fileName: source.name,
+        displayName: source.name,
+        originalName: source.name,
+        fileSize: files.reduce((sum, f) => sum + (f.size || 0), 0),
+        isEncrypted,
+        encryptionFormat: isEncrypted ? ENCRYPTION_FORMAT : null,
+        isDirectory: true,
+        contentType: "application/x-directory",
+        ...folderIdentity(),
+        fileCount: files.length,
+        files,
+      };
+    } else {
+      const [entry] = files;
+      const storedName = entry.isEncrypted ? `${source.name}.enc` : source.name;
+      metadata = {
+        ...common,
+        userAddress: this.userAddress || "drive-user",
+        fileName: storedName,
+        displayName: storedName,
+        originalName: source.name,
+        fileSize: entry.size || 0,
+        isEncrypted: !!entry.isEncrypted,
+        encryptionFormat: entry.encryptionFormat || null,
+        wrappedKey: entry.wrappedKey || null,
+        keyWrapping: entry.keyWrapping || null,
+        contentType: entry.mimetype || "application/octet-stream",
+        originalContentType:
+          entry.originalContentType || "application/octet-stream",
+      };
+    }
+    Object.assign(metadata, fields);
+
+    if (!(await this.saveFileMetadata(metadata))) {
+      throw new Error(`Could not save the metadata of ${source.name}`);
+    }
+    console.log(`🔗 Linked ${source.name} into the root as ${hash.substring(0, 12)}...`);
+    return { success: true, hash, metadata };
+  }
+
+  /**
+   * Collega un elemento (vedi resolveEntry) dentro una directory
+   * @param basePath Sottocartella di destinazione, vuoto = radice della directory
+   * @returns Promise con { success, directoryCid, metadata }
+   */
+  async linkIntoDirectory(source, directoryCid, basePath = "") {
+    const dirMetadata = await this.getDirectoryMetadata(directoryCid);
+    if (!dirMetadata) {
+      throw new Error("Directory metadata not found");
+    }
+    const folderName = dirMetadata.displayName || dirMetadata.fileName || "folder";
+    const files = parseDirectoryFiles(dirMetadata.files);
+    const linkPath = basePath ? `${basePath}/${source.name}` : source.name;
+
+    const exists = files.some((fileMeta) => {
+      const entryPath = this.directoryEntryPath(fileMeta.path || fileMeta.name);
+      return entryPath === linkPath || entryPath.startsWith(`${linkPath}/`);
+    });
+    if (exists) {
+      throw new Error(`An item named "${source.name}" already exists in this folder`);
+    }
+
+    const prefix = basePath ? `${folderName}/${basePath}` : folderName;
+    const added = source.files.map(({ fileMeta, relativePath }) => ({
+      ...fileMeta,
+      path: `${prefix}/${relativePath}`,
+    }));
+
+    if (this.canPatchDirectories()) {
+      const io = this.directoryPatchIO();
+      const rootCid = await addDirectoryLink(
+        directoryCid,
+        linkPath,
+        await source.link(io.getBlock),
+        io
+      );
+      console.log(`🔗 Linked ${source.name} into directory as ${linkPath}`);
+      return await this.commitDirectoryPatch(directoryCid, rootCid, dirMetadata, [
+        ...files,
+        ...added,
+      ]);
+    }
+
+    console.warn("⚠️ Block API unavailable, rebuilding the whole directory");
+    const allFiles = [];
+    for (const fileMeta of files) {
+      allFiles.push(await this.readDirectoryFile(directoryCid, fileMeta));
+    }
+    for (let i = 0; i < source.files.length; i++) {
+      allFiles.push(await source.read(source.files[i].fileMeta, added[i].path));
+    }
+    return await this.replaceDirectory(
+      directoryCid,
+      await this.uploadDirectory(allFiles, { encrypt: true, folderName })
+    );
+  }
+
+  /**
+   * Le directory si modificano collegando i blocchi (vedi
+   * directory-patch.js) solo se il backend legge e scrive blocchi singoli
+   */
+  canPatchDirectories() {
+    return this.backend.canGetBlocks() && this.backend.canPutBlocks();
+  }
+
+  directoryPatchIO(signal) {
+    return {
+      getBlock: (cid) => this.backend.getBlock(cid, { signal }),
+      putBlock: (block) =>
+        this.backend.putBlock(block, { codec: "dag-pb", signal }),
+    };
+  }
+
+  /**
+   * Metadati di una directory dalla cache locale (null se non disponibili)
+   */
+  async getDirectoryMetadata(directoryCid) {
+    try {
+      return (await this.metadataStore.get(directoryCid)) || null;
     } catch (e) {
-      console.warn("⚠️ Could not get directory name from metadata:", e);
+      console.warn("⚠️ Could not get directory metadata:", e);
+      return null;
     }
+  }
 
-    // Se non ci sono più file, potremmo voler eliminare la directory
-    // Ma per ora ricreiamo la directory anche se vuota (con file .keep)
-    if (allFiles.length === 0) {
-      // Crea una directory vuota
-      return await this.createEmptyDirectory(folderName);
+  /**
+   * Legge (e decripta) un file di una directory come File con il suo
+   * webkitRelativePath, pronto per uploadDirectory
+   * @param relativePath Nuovo percorso del file (default: quello attuale)
+   */
+  async readDirectoryFile(
+    directoryCid,
+    fileMeta,
+    relativePath = fileMeta.path || fileMeta.name
+  ) {
+    try {
+      const { stream, type } = await this.openDirectoryFileStream(
+        directoryCid,
+        this.directoryEntryPath(fileMeta.path || fileMeta.name),
+        fileMeta
+      );
+      return withRelativePath(
+        await new Response(stream).blob(),
+        relativePath,
+        type
+      );
+    } catch (error) {
+      throw new Error(
+        `Failed to retrieve existing file ${relativePath}: ${error.message}`
+      );
     }
+  }
 
-    // Usa uploadDirectory per ricreare la directory con i file rimanenti
-    const result = await this.uploadDirectory(allFiles, {
-      encrypt: true,
-      folderName: folderName,
+  /**
+   * Pinna la directory modificata e ne salva i metadati (copiati da quelli
+   * della vecchia directory), poi rimuove la vecchia directory
+   * @param files Metadati di tutti i file della nuova directory
+   * @param options.secret Chiave master con cui cifrare i metadati (rotazione)
+   * @param options.pin false se la directory è già pinnata (upload completo)
+   * @returns Promise con { success, directoryCid, metadata }
+   */
+  async commitDirectoryPatch(
+    oldDirectoryCid,
+    directoryCid,
+    dirMetadata,
+    files,
+    options = {}
+  ) {
+    const { secret = null, pin = true } = options;
+    if (pin) {
+      await this.backend.pinAdd(directoryCid);
+    }
+
+    const folderName = dirMetadata?.displayName || dirMetadata?.fileName || "folder";
+    const isEncrypted = files.some((f) => f.isEncrypted);
+    const now = Date.now();
+    const metadata = await this.publishFolder({
+      userAddress: "drive-user",
+      fileName: folderName,
+      displayName: folderName,
+      originalName: folderName,
+      isDirectory: true,
+      contentType: "application/x-directory",
+      uploadedAt: now,
+      ...dirMetadata,
+      ...folderIdentity(dirMetadata, oldDirectoryCid),
+      hash: directoryCid,
+      timestamp: now,
+      fileSize: files.reduce((sum, f) => sum + (f.size || 0), 0),
+      isEncrypted,
+      encryptionFormat: isEncrypted ? ENCRYPTION_FORMAT : null,
+      fileCount: files.length,
+      files,
+      relayUrl: this.backend.publicUrl(directoryCid),
     });
 
-    // Dopo aver creato la nuova directory, elimina la vecchia directory
+    console.log("💾 Saving patched directory metadata:", metadata);
+    await this.saveFileMetadata(metadata, { secret });
+    this.onStatusChange({
+      status: "completed",
+      message: "Directory updated successfully",
+      hash: directoryCid,
+    });
+
+    return await this.replaceDirectory(
+      oldDirectoryCid,
+      { success: true, directoryCid, metadata },
+      { secret }
+    );
+  }
+
+  /**
+   * Dopo aver creato la nuova directory, elimina la vecchia (pin, metadati
+   * remoti e cache locale). La nuova directory prende l'identità della
+   * vecchia (vedi folderIdentity)
+   * @param result Risultato dell'operazione che ha creato la nuova directory
+   * @param options.secret Chiave master dei metadati (vedi commitDirectoryPatch)
+   * @returns Promise con result
+   */
+  async replaceDirectory(directoryCid, result, options = {}) {
     if (
-      result.success &&
-      result.directoryCid &&
-      result.directoryCid !== directoryCid
+      !result.success ||
+      !result.directoryCid ||
+      result.directoryCid === directoryCid
     ) {
-      try {
-        console.log(
-          `🗑️ Removing old directory ${directoryCid.substring(
-            0,
-            12
-          )}... and replacing with new one ${result.directoryCid.substring(
-            0,
-            12
-          )}...`
-        );
+      return result;
+    }
 
-        // Elimina il pin della vecchia directory
-        try {
-          await this.sdk.ipfs.pinRm(directoryCid);
-          console.log(`✅ Old directory pin removed`);
-        } catch (pinError) {
-          console.warn(`⚠️ Failed to remove old directory pin:`, pinError);
-        }
+    // Una directory ricreata da zero ha ricevuto un nuovo folderId
+    const identity = folderIdentity(
+      await this.getDirectoryMetadata(directoryCid),
+      directoryCid
+    );
+    if (result.metadata && result.metadata.folderId !== identity.folderId) {
+      result.metadata = await this.publishFolder({
+        ...result.metadata,
+        ...identity,
+      });
+      await this.saveFileMetadata(result.metadata, { secret: options.secret });
+    }
 
-        // Rimuovi i metadati della vecchia directory usando SDK
-        try {
-          await this.sdk.uploads.removeSystemHash(directoryCid, "drive-user");
-          console.log(`✅ Old directory metadata removed from server`);
-        } catch (metadataError) {
-          console.warn(
-            `⚠️ Error removing old directory metadata:`,
-            metadataError
-          );
-        }
+    console.log(
+      `🗑️ Removing old directory ${directoryCid.substring(
+        0,
+        12
+      )}... and replacing with new one ${result.directoryCid.substring(
+        0,
+        12
+      )}...`
+    );
+
+    // Elimina il pin della vecchia directory
+    try {
+      await this.backend.pinRm(directoryCid);
+      console.log(`✅ Old directory pin removed`);
+    } catch (pinError) {
+      console.warn(`⚠️ Failed to remove old directory pin:`, pinError);
+      // Continua comunque con la rimozione dei metadati
+    }
 
-        // Rimuovi dalla cache locale
-        try {
-          const cachedMetadata = localStorage.getItem(
-            "shogun-drive-metadata-cache"
-          );
-          if (cachedMetadata) {
-            const parsed = JSON.parse(cachedMetadata);
-            if (parsed.data && parsed.data[directoryCid]) {
-              delete parsed.data[directoryCid];
-              parsed.timestamp = Date.now();
-              localStorage.setItem(
-                "shogun-drive-metadata-cache",
-                JSON.stringify(parsed)
-              );
-              console.log(`✅ Old directory removed from local cache`);
-            }
-          }
-        } catch (cacheError) {
-          console.warn(
-            `⚠️ Error removing old directory from cache:`,
-            cacheError
-          );
-        }
-      } catch (cleanupError) {
-        console.warn(
-          `⚠️ Error cleaning up old directory (non-critical):`,
-          cleanupError
-        );
-      }
+    // Rimuovi i metadati della vecchia directory dal backend
+    try {
+      await this.backend.removeMetadata(directoryCid, "drive-user");
+      console.log(`✅ Old directory metadata removed from server`);
+    } catch (metadataError) {
+      console.warn(`⚠️ Error removing old directory metadata:`, metadataError);
+    }
+
+    // Rimuovi dalla cache locale
+    try {
+      await this.metadataStore.delete(directoryCid);
+      console.log(`✅ Old directory removed from local cache`);
+    } catch (cacheError) {
+      console.warn(`⚠️ Error removing old directory from cache:`, cacheError);
     }
 
     return result;
   }
 
+  /**
+   * Versione attuale di una cartella, cercata nella cache locale e nei
+   * metadati remoti: vince il record più recente. Le cartelle nel cestino
+   * non vengono trovate
+   * @param ref folderId oppure un CID della cartella, anche precedente
+   *   (bookmark, upload in coda, altre schede)
+   * @returns Promise con { cid, metadata } oppure null
+   */
+  async resolveFolder(ref) {
+    if (!ref) return null;
+
+    const records = Object.entries(await this.metadataStore.list());
+    if (this.backend.capabilities.remoteMetadata) {
+      try {
+        records.push(...Object.entries((await this.getRemoteMetadataMap()) || {}));
+      } catch (error) {
+        console.warn("⚠️ Could not read remote metadata:", error);
+      }
+    }
+
+    let match = null;
+    for (const [cid, metadata] of records) {
+      if (
+        !isDirectoryMetadata(metadata) ||
+        isShareRecord(metadata) ||
+        isTrashed(metadata)
+      ) {
+        continue;
+      }
+      const matches =
+        cid === ref ||
+        metadata.folderId === ref ||
+        (metadata.previousCids || []).includes(ref);
+      if (
+        matches &&
+        (!match || (metadata.timestamp || 0) > (match.metadata.timestamp || 0))
+      ) {
+        match = { cid, metadata };
+      }
+    }
+    return match;
+  }
+
+  /**
+   * Con publishFolderNames (backend Kubo) il nome IPNS della cartella punta
+   * sempre al suo CID attuale: la chiave si chiama come il folderId e la
+   * pubblicazione prosegue in background
+   * @returns Promise con i metadati, con ipnsName se la cartella è pubblicata
+   */
+  async publishFolder(metadata) {
+    if (!this.publishFolderNames || !this.backend.canPublishNames?.()) {
+      return metadata;
+    }
+    try {
+      const keyName = `shogun-drive-${metadata.folderId}`;
+      const ipnsName = await this.backend.getNameKey(keyName);
+      this.backend
+        .publishName(keyName, metadata.hash)
+        .then(() =>
+          console.log(`📡 Published ${metadata.displayName} at /ipns/${ipnsName}`)
+        )
+        .catch((error) =>
+          console.warn(`⚠️ IPNS publish failed for ${metadata.displayName}:`, error)
+        );
+      return { ...metadata, ipnsName };
+    } catch (error) {
+      console.warn("⚠️ Could not get the IPNS key of the folder:", error);
+      return metadata;
+    }
+  }
+
   /**
    * Cat a file from an IPFS directory using a relative path
    * @param directoryCid The CID of the directory
-   * @param filePath The relative path to the file within the directory (e.g., "index.html" or "css/style.css")
+   * @param filePath The relative path to the file within the directory (e.g., "index.html" or "css/style.css");
+   *   metadata paths must be converted with directoryEntryPath first
    * @returns Promise with file content as Blob
    */
-  async catFromDirectory(directoryCid, filePath) {
-    if (!this.authToken) {
-      throw new Error("Auth token is required. Please set it in settings.");
+  async catFromDirectory(directoryCid, filePath, options = {}) {
+    if (!this.hasCredentials()) {
+      throw new Error("Please connect your wallet or set auth token in settings.");
     }
 
     this.onStatusChange({
@@ -1186,16 +2491,16 @@ export class DriveCore {
     });
 
     try {
-      // Normalizza il filePath: rimuovi eventuali prefissi di directory
-      // Il filePath dovrebbe essere relativo alla directory radice
-      let normalizedPath = filePath;
+      const normalizedPath = filePath.split("/").filter(Boolean).join("/");
 
-      // Se il path contiene "/", potrebbe includere il nome della directory
-      // Rimuoviamo tutto prima dell'ultimo "/" se presente
-      const pathParts = normalizedPath.split("/");
-      if (pathParts.length > 1) {
-        // Prendi solo l'ultima parte (il nome del file)
-        normalizedPath = pathParts[pathParts.length - 1];
+      if (options.verify ?? this.verifyDownloads) {
+        const { blob } = await this.fetchVerified(directoryCid, {
+          path: normalizedPath,
+        });
+        console.log(
+          `✅ Verified file from directory: ${normalizedPath} (${blob.size} bytes)`
+        );
+        return blob;
       }
 
       console.log(`🔍 Cat from directory: ${directoryCid}/${normalizedPath}`);
@@ -1206,20 +2511,12 @@ export class DriveCore {
         fullPath: `${directoryCid}/${normalizedPath}`,
       });
 
-      // Usa l'SDK del relay invece di chiamate fetch dirette
-      // L'SDK restituisce un Buffer, ma nel browser dobbiamo convertirlo in Blob
-      const buffer = await this.sdk.ipfs.catFromDirectory(
+      // Usa il backend di storage invece di chiamate fetch dirette
+      const blob = await this.backend.catFromDirectory(
         directoryCid,
         normalizedPath
       );
 
-      // Converti Buffer in Blob per il browser
-      // Buffer è un Uint8Array nel browser quando usato con axios
-      const blob =
-        buffer instanceof ArrayBuffer
-          ? new Blob([buffer])
-          : new Blob([new Uint8Array(buffer)]);
-
       console.log(
         `✅ Successfully retrieved file from directory: ${normalizedPath} (${blob.size} bytes)`
       );
@@ -1241,262 +2538,219 @@ export class DriveCore {
   }
 
   /**
-   * Download file da IPFS
-   * Il relay server gestisce automaticamente la decrittazione quando viene passato il token nella query string
-   * IMPORTANTE: Il token deve essere nella query string, non nell'Authorization header per la decrittazione
+   * Apre un file dentro una directory come stream in chiaro (i file
+   * criptati nel formato a chunk vengono decriptati mentre si leggono)
+   * @param metadata Metadati del file (isEncrypted, wrappedKey, ...)
+   * @param options.verify Come in catFromDirectory
+   * @returns Promise con { stream, type }
    */
-  async downloadFile(hash, metadata = {}) {
-    if (metadata.isEncrypted && !(this.encryptionToken || this.authToken)) {
+  async openDirectoryFileStream(directoryCid, filePath, metadata = {}, options = {}) {
+    const blob = await this.catFromDirectory(directoryCid, filePath, options);
+    const type =
+      metadata.originalContentType || metadata.type || "application/octet-stream";
+    if (!metadata.isEncrypted) {
+      return { stream: blob.stream(), type };
+    }
+    if (!this.hasEncryptionKey()) {
       throw new Error("Encryption token is required to decrypt this file.");
     }
 
-    // Il relay server decripta automaticamente se il token è presente nella query string
-    // Usa /api/v1/ipfs/cat/:cid/decrypt per la decrittazione
-    let url = metadata.isEncrypted
-      ? `${
-          this.relayUrl
-        }/api/v1/ipfs/cat/${hash}/decrypt?token=${encodeURIComponent(
-          this.encryptionToken || this.authToken
-        )}`
-      : `${this.relayUrl}/api/v1/ipfs/cat/${hash}`;
-
-    this.onStatusChange({
-      status: "downloading",
-      message: "Downloading from IPFS...",
-    });
-
-    try {
-      console.log("📥 Downloading from:", url);
-
-      // Per file grandi, usa XMLHttpRequest invece di fetch per evitare problemi HTTP/2
-      const fileSize = metadata.size || 0;
-      const isLargeFile = fileSize > 5 * 1024 * 1024; // > 5MB
-
-      if (isLargeFile) {
-        console.log("📦 Large file detected, using XMLHttpRequest...");
-        return await this.downloadWithXHR(url, metadata);
-      }
-
-      // Per file grandi, usa un approccio più robusto con retry
-      const maxRetries = 3;
-      let response = null;
-
-      for (let attempt = 0; attempt < maxRetries; attempt++) {
-        try {
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => {
-            controller.abort();
-          }, 300000); // 5 minuti timeout per file grandi
-
-          try {
-            response = await fetch(url, {
-              headers: {
-                Authorization: this.authToken
-                  ? `Bearer ${this.authToken}`
-                  : undefined,
-                Accept: "*/*",
-              },
-              signal: controller.signal,
-            });
-            clearTimeout(timeoutId);
-
-            // Se la risposta è ok, esci dal loop
-            if (response.ok) {
-              break;
-            }
-
-            // Se non è ok, lancia un errore
-            const errorText = await response.text().catch(() => "");
-            throw new Error(`Download failed: ${response.status} ${errorText}`);
-          } catch (error) {
-            clearTimeout(timeoutId);
-
-            if (error.name === "AbortError") {
-              throw new Error(
-                "Download timeout - file too large or connection too slow"
-              );
-            }
+    const secret = await this.getFileSecret(metadata);
+    if (await isChunkedEncrypted(blob)) {
+      return {
+        stream: blob.stream().pipeThrough(createDecryptionStream(secret)),
+        type,
+      };
+    }
+    // Formato legacy (SEA)
+    return { stream: (await this.decryptBlob(blob, secret)).stream(), type };
+  }
 
-            // Se è un errore HTTP/2 e non è l'ultimo tentativo, riprova
-            if (
-              attempt < maxRetries - 1 &&
-              (error.message.includes("HTTP2") ||
-                error.message.includes("Failed to fetch") ||
-                error.message.includes("ERR_HTTP2"))
-            ) {
-              console.warn(
-                `⚠️ Download attempt ${attempt + 1} failed, retrying...`,
-                error.message
-              );
-              // Aspetta un po' prima di riprovare
-              await new Promise((resolve) =>
-                setTimeout(resolve, 1000 * (attempt + 1))
-              );
-              continue;
-            }
+  /**
+   * Percorso di un file dentro la directory a partire dal path salvato nei
+   * metadati: il primo segmento è il nome della cartella caricata, che non
+   * fa parte del DAG (vedi addDirectory dei backend). Le sottocartelle
+   * restano nel percorso (es. "Foto/2024/mare.jpg" → "2024/mare.jpg")
+   */
+  directoryEntryPath(path) {
+    const pathParts = path.split("/").filter(Boolean);
+    return (pathParts.length > 1 ? pathParts.slice(1) : pathParts).join("/");
+  }
 
-            throw error;
-          }
-        } catch (error) {
-          if (attempt === maxRetries - 1) {
-            throw error;
-          }
-          // Aspetta prima di riprovare
-          await new Promise((resolve) =>
-            setTimeout(resolve, 1000 * (attempt + 1))
-          );
-        }
-      }
+  /**
+   * Apre un contenuto verificandone l'integrità (vedi integrity.js):
+   * blocco per blocco se il backend espone i blocchi, altrimenti
+   * ricalcolando il CID dei byte scaricati (in questo caso lo stream parte
+   * solo dopo la verifica)
+   * @param options.path Percorso di un file dentro la directory cid
+   * @param options.size Dimensione attesa (per il progresso)
+   * @param options.onProgress Callback { loaded, total }
+   * @returns Promise con { stream, cid, method: "blocks" | "rehash" }
+   *   (stream: il contenuto così come è salvato, cifrato o meno)
+   */
+  async openVerifiedStream(cid, options = {}) {
+    const { path = "", size = 0, signal, onProgress } = options;
 
-      if (!response || !response.ok) {
-        const errorText = response
-          ? await response.text().catch(() => "")
-          : "No response";
-        throw new Error(
-          `Download failed: ${response?.status || "unknown"} ${errorText}`
-        );
-      }
+    if (this.backend.canGetBlocks()) {
+      const getBlock = (blockCid) => this.backend.getBlock(blockCid, { signal });
+      const fileCid = path ? await resolvePath(cid, path, getBlock) : cid;
+      return {
+        stream: createVerifiedStream(fileCid, getBlock).pipeThrough(
+          this._createProgressStream(size, onProgress)
+        ),
+        cid: fileCid,
+        method: "blocks",
+      };
+    }
 
-      // Verifica il Content-Type per capire se il file è stato decriptato
-      const contentType = response.headers.get("Content-Type") || "";
-      const contentLength = response.headers.get("Content-Length");
-      console.log("📥 Response Content-Type:", contentType);
-      if (contentLength) {
-        console.log("📥 Response Content-Length:", contentLength, "bytes");
+    let fileCid = cid;
+    // Senza accesso ai blocchi il CID del file si legge dalle directory
+    for (const segment of path.split("/").filter(Boolean)) {
+      const { Links: links } = await this.backend.ls(fileCid);
+      const link = links.find((entry) => entry.Name === segment);
+      if (!link) {
+        throw new Error(`${path} not found in ${cid}`);
       }
+      fileCid = link.Hash;
+    }
+    const { stream } = await openDownload(
+      (offset) => this.backend.catRequest(fileCid, { offset }),
+      { signal, size, onProgress: this._progressReporter(onProgress) }
+    );
+    const blob = await new Response(stream).blob();
+    await assertBlobMatches(fileCid, blob);
+    return { stream: blob.stream(), cid: fileCid, method: "rehash" };
+  }
 
-      let blob;
-
-      // Se il file è criptato, verifica se il server ha decriptato
-      if (metadata.isEncrypted) {
-        // Se il Content-Type è diverso da text/plain o application/json,
-        // il server ha già decriptato e restituito i dati binari
-        if (
-          contentType &&
-          !contentType.includes("text/plain") &&
-          !contentType.includes("application/json")
-        ) {
-          // Il server ha già decriptato, usa direttamente il blob
-          console.log("✅ Server already decrypted, using blob directly");
-
-          // Per evitare problemi HTTP/2, usa direttamente il reader invece di blob()
-          // Il reader è più robusto per file di qualsiasi dimensione
-          console.log("📦 Using stream reader to avoid HTTP/2 issues...");
-          const reader = response.body.getReader();
-          const chunks = [];
-          let totalLength = 0;
-
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            chunks.push(value);
-            totalLength += value.length;
-
-            // Aggiorna il progresso se disponibile
-            if (contentLength) {
-              const progress = Math.round(
-                (totalLength / parseInt(contentLength)) * 100
-              );
-              this.onProgress({
-                progress,
-                loaded: totalLength,
-                total: parseInt(contentLength),
-              });
-            }
-          }
+  /**
+   * Come openVerifiedStream, ma restituisce il contenuto come Blob
+   * @returns Promise con { blob, cid, method }
+   */
+  async fetchVerified(cid, options = {}) {
+    const { stream, ...result } = await this.openVerifiedStream(cid, options);
+    return { ...result, blob: await new Response(stream).blob() };
+  }
 
-          // Combina tutti i chunks in un unico blob
-          const allChunks = new Uint8Array(totalLength);
-          let position = 0;
-          for (const chunk of chunks) {
-            allChunks.set(chunk, position);
-            position += chunk.length;
-          }
+  /**
+   * Verifica che il contenuto salvato corrisponda ancora al suo CID
+   * (il contenuto viene letto senza tenerlo in memoria)
+   * @param options.path Percorso di un file dentro la directory cid
+   * @returns Promise con { valid, cid, size, method, error }
+   *   (lancia un errore se la verifica non si può completare, es. errore di rete)
+   */
+  async verifyIntegrity(cid, options = {}) {
+    try {
+      const {
+        stream,
+        cid: fileCid,
+        method,
+      } = await this.openVerifiedStream(cid, options);
+      let size = 0;
+      await stream.pipeTo(
+        new WritableStream({
+          write(chunk) {
+            size += chunk.length;
+          },
+        })
+      );
+      console.log(`🛡️ ${fileCid} verified (${method})`);
+      return { valid: true, cid: fileCid, size, method };
+    } catch (error) {
+      if (!error.integrity) throw error;
+      console.warn(`⚠️ ${cid} failed verification:`, error.message);
+      return { valid: false, cid, error: error.message };
+    }
+  }
 
-          blob = new Blob([allChunks], { type: contentType });
-        } else {
-          // Potrebbe essere ancora criptato, leggi come testo per verificare
-          const text = await response.text();
+  /**
+   * Apre il download di un file in streaming (vedi download-engine.js):
+   * i file criptati vengono decriptati mentre arrivano, senza mai inviare il
+   * token di cifratura al server. Se la connessione cade il download
+   * riprende dal byte raggiunto.
+   * @param options.verify Verifica il contenuto col suo CID
+   *   (default: impostazione verifyDownloads)
+   * @param options.signal AbortSignal per annullare il download
+   * @param options.onProgress Callback { loaded, total } sui byte scaricati
+   * @returns Promise con { stream, type } (stream del contenuto in chiaro)
+   */
+  async openDownloadStream(hash, metadata = {}, options = {}) {
+    if (metadata.isEncrypted && !this.hasEncryptionKey()) {
+      throw new Error("Encryption token is required to decrypt this file.");
+    }
 
-          // Se inizia con "SEA{" significa che è ancora criptato (il server non ha decriptato)
-          if (text.trim().startsWith("SEA{")) {
-            console.log(
-              "🔓 File is still encrypted, decrypting client-side..."
-            );
-            this.onStatusChange({
-              status: "decrypting",
-              message: "Decrypting file...",
-            });
+    const { signal, onProgress } = options;
+    const size = metadata.size || metadata.fileSize || 0;
+    // Chiave del file (envelope) oppure keyring master per i file precedenti
+    const secret = metadata.isEncrypted
+      ? await this.getFileSecret(metadata)
+      : null;
+
+    let stream;
+    let contentType = "";
+    if (options.verify ?? this.verifyDownloads) {
+      // Il ciphertext viene confrontato col CID prima di essere decriptato
+      console.log("🛡️ Downloading with integrity verification:", hash);
+      ({ stream } = await this.openVerifiedStream(hash, {
+        size,
+        signal,
+        onProgress,
+      }));
+    } else {
+      console.log("📥 Downloading:", hash);
+      ({ stream, contentType } = await openDownload(
+        (offset) => this.backend.catRequest(hash, { offset }),
+        { signal, size, onProgress: this._progressReporter(onProgress) }
+      ));
+    }
 
-            // Decripta lato client
-            const SEA = await this.loadSEA();
-            const decrypted = await SEA.decrypt(
-              text,
-              this.encryptionToken || this.authToken
-            );
+    if (!metadata.isEncrypted) {
+      return {
+        stream,
+        type: contentType || metadata.type || "application/octet-stream",
+      };
+    }
 
-            if (!decrypted) {
-              throw new Error(
-                "Decryption failed - invalid token or corrupted data"
-              );
-            }
+    const type =
+      metadata.originalContentType ||
+      metadata.metadata?.originalContentType ||
+      "application/octet-stream";
+    if (this.isChunkedEncryption(metadata)) {
+      // I file nel formato a chunk si decriptano in streaming durante il download
+      this.onStatusChange({
+        status: "decrypting",
+        message: "Downloading and decrypting...",
+      });
+      return { stream: stream.pipeThrough(createDecryptionStream(secret)), type };
+    }
 
-            // Se è un data URL, convertilo in blob
-            if (decrypted.startsWith("data:")) {
-              const dataResponse = await fetch(decrypted);
-              blob = await dataResponse.blob();
-            } else {
-              // Se non è un data URL, crea un blob dal testo decriptato
-              blob = new Blob([decrypted], {
-                type: contentType || "application/octet-stream",
-              });
-            }
-          } else {
-            // Il server ha già decriptato ma restituito come testo, converti in blob
-            blob = new Blob([text], {
-              type: contentType || "application/octet-stream",
-            });
-          }
-        }
-      } else {
-        // File non criptato, usa direttamente il reader per evitare problemi HTTP/2
-        console.log("📦 Using stream reader to avoid HTTP/2 issues...");
-        const reader = response.body.getReader();
-        const chunks = [];
-        let totalLength = 0;
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          chunks.push(value);
-          totalLength += value.length;
-
-          // Aggiorna il progresso se disponibile
-          if (contentLength) {
-            const progress = Math.round(
-              (totalLength / parseInt(contentLength)) * 100
-            );
-            this.onProgress({
-              progress,
-              loaded: totalLength,
-              total: parseInt(contentLength),
-            });
-          }
-        }
+    // Formato legacy (SEA): serve tutto il ciphertext prima di decriptare
+    const encrypted = await new Response(stream).blob();
+    this.onStatusChange({
+      status: "decrypting",
+      message: "Decrypting file...",
+    });
+    const decrypted = await this.decryptBlob(encrypted, secret);
+    return { stream: decrypted.stream(), type };
+  }
 
-        const allChunks = new Uint8Array(totalLength);
-        let position = 0;
-        for (const chunk of chunks) {
-          allChunks.set(chunk, position);
-          position += chunk.length;
-        }
+  /**
+   * Download file da IPFS come Blob (anteprime, ricifratura, condivisioni)
+   * Per salvare file grandi su disco usare openDownloadStream
+   * @param options Come openDownloadStream
+   */
+  async downloadFile(hash, metadata = {}, options = {}) {
+    this.onStatusChange({
+      status: "downloading",
+      message: "Downloading from IPFS...",
+    });
 
-        blob = new Blob([allChunks], {
-          type: contentType || "application/octet-stream",
-        });
-      }
+    try {
+      const { stream, type } = await this.openDownloadStream(
+        hash,
+        metadata,
+        options
+      );
+      const blob = new Blob([await new Response(stream).blob()], { type });
 
       // Verifica che il blob non sia vuoto o corrotto
       if (blob.size === 0) {
@@ -1522,78 +2776,53 @@ export class DriveCore {
   }
 
   /**
-   * Download file usando XMLHttpRequest (più robusto per file grandi e HTTP/2)
+   * Callback di progresso di un download: notifica sia il chiamante
+   * ({ loaded, total }) sia onProgress di DriveCore (con la percentuale)
    */
-  async downloadWithXHR(url, metadata = {}) {
-    return new Promise((resolve, reject) => {
-      const xhr = new XMLHttpRequest();
-      xhr.open("GET", url, true);
-      xhr.responseType = "blob";
-
-      // Aggiungi header Authorization se disponibile
-      if (this.authToken) {
-        xhr.setRequestHeader("Authorization", `Bearer ${this.authToken}`);
-      }
-      xhr.setRequestHeader("Accept", "*/*");
-
-      // Gestisci il progresso
-      xhr.onprogress = (event) => {
-        if (event.lengthComputable) {
-          const progress = Math.round((event.loaded / event.total) * 100);
-          this.onProgress({
-            progress,
-            loaded: event.loaded,
-            total: event.total,
-          });
-        }
-      };
-
-      xhr.onload = () => {
-        if (xhr.status >= 200 && xhr.status < 300) {
-          const blob = xhr.response;
-
-          if (blob.size === 0) {
-            reject(new Error("Downloaded file is empty"));
-            return;
-          }
-
-          console.log("📥 Downloaded blob size:", blob.size, "bytes");
-
-          this.onStatusChange({
-            status: "completed",
-            message: "File downloaded successfully",
-          });
-
-          resolve(blob);
-        } else {
-          reject(new Error(`Download failed: ${xhr.status} ${xhr.statusText}`));
-        }
-      };
-
-      xhr.onerror = () => {
-        reject(new Error("Network error during download"));
-      };
-
-      xhr.ontimeout = () => {
-        reject(new Error("Download timeout"));
-      };
-
-      // Timeout di 5 minuti per file grandi
-      xhr.timeout = 300000;
+  _progressReporter(onProgress) {
+    return ({ loaded, total }) => {
+      onProgress?.({ loaded, total });
+      if (total) {
+        this.onProgress({
+          progress: Math.round((loaded / total) * 100),
+          loaded,
+          total,
+        });
+      }
+    };
+  }
 
-      xhr.send();
+  /**
+   * TransformStream passante che notifica il progresso del download
+   */
+  _createProgressStream(contentLength, onProgress) {
+    const total = parseInt(contentLength) || 0;
+    const report = this._progressReporter(onProgress);
+    let loaded = 0;
+    return new TransformStream({
+      transform: (chunk, controller) => {
+        loaded += chunk.length;
+        report({ loaded, total });
+        controller.enqueue(chunk);
+      },
     });
   }
 
   /**
    * Salva metadati file nel sistema
+   * @param options.secret Chiave per cifrare il record (default: chiave corrente)
+   * @param options.public Record da non cifrare mai (letto da altri utenti, es. condivisioni)
+   * @returns Promise con true se il backend ha salvato i metadati
    */
-  async saveFileMetadata(metadata) {
+  async saveFileMetadata(metadata, options = {}) {
     try {
       console.log("💾 Sending metadata to save-system-hash:", metadata);
 
-      // Usa SDK per salvare metadati
-      const result = await this.sdk.uploads.saveSystemHash(metadata);
+      // Salva i metadati tramite il backend di storage (cifrati se richiesto)
+      const record = options.public
+        ? metadata
+        : await this.prepareMetadataRecord(metadata, options.secret);
+      const result = await this.backend.saveMetadata(record);
 
       if (result.success) {
         console.log("✅ File metadata saved successfully:", result);
@@ -1602,49 +2831,147 @@ export class DriveCore {
         // IMPORTANTE: Salva i metadati COMPLETI (incluso il campo files) nella cache locale
         // perché il server potrebbe non restituire tutti i campi quando vengono recuperati
         try {
-          const cachedMetadata = localStorage.getItem(
-            "shogun-drive-metadata-cache"
-          );
-          let cacheData = { data: {}, timestamp: Date.now() };
-
-          if (cachedMetadata) {
-            try {
-              const parsed = JSON.parse(cachedMetadata);
-              cacheData.data = parsed.data || {};
-            } catch (e) {
-              // Ignora errori di parsing
-            }
-          }
-
           // Aggiungi/aggiorna i metadati COMPLETI nella cache
           // Questo preserva il campo 'files' che è essenziale per le directory
           console.log(
             "💾 Caching complete metadata with files:",
             metadata.files ? `${metadata.files.length} files` : "no files"
           );
-          cacheData.data[metadata.hash] = { ...metadata }; // Copia completa dei metadati
-          cacheData.timestamp = Date.now();
-
-          localStorage.setItem(
-            "shogun-drive-metadata-cache",
-            JSON.stringify(cacheData)
-          );
+          await this.metadataStore.put(metadata.hash, metadata);
           console.log("💾 Metadata cached locally");
         } catch (error) {
           console.warn("⚠️ Error updating metadata cache:", error);
         }
+        return true;
       } else {
-        const errorText = await response.text();
-        console.warn(
-          "⚠️ Failed to save file metadata:",
-          response.status,
-          errorText
-        );
+        console.warn("⚠️ Failed to save file metadata:", result.error);
       }
     } catch (error) {
       console.error("❌ Error saving file metadata:", error);
       // Non bloccare l'upload se il salvataggio dei metadati fallisce
     }
+    return false;
+  }
+
+  /**
+   * Record da pubblicare sul backend: i metadati in chiaro, oppure
+   * (con encryptMetadata) un record cifrato con solo CID e id opaco
+   */
+  async prepareMetadataRecord(metadata, secret = null) {
+    if (!this.encryptMetadata) {
+      return metadata;
+    }
+    if (!secret && !this.hasEncryptionKey()) {
+      throw new Error("Encryption token is required to encrypt metadata");
+    }
+    return await sealMetadata(
+      metadata,
+      secret || this.getKeyring({ forEncryption: true })
+    );
+  }
+
+  /**
+   * Decifra i record cifrati di una mappa di metadati { [cid]: metadata }
+   * I record che non si riesce a decifrare (chiave diversa) restano opachi
+   */
+  async openMetadataMap(map) {
+    const opened = {};
+
+    for (const [cid, record] of Object.entries(map || {})) {
+      if (!isSealedMetadata(record)) {
+        opened[cid] = record;
+        continue;
+      }
+      if (!this.hasEncryptionKey()) {
+        opened[cid] = record;
+        continue;
+      }
+      try {
+        opened[cid] = await openMetadata(record, this.getKeyring());
+      } catch (error) {
+        console.warn(`⚠️ Cannot decrypt metadata for ${cid}:`, error.message);
+        opened[cid] = record;
+      }
+    }
+
+    return opened;
+  }
+
+  /**
+   * Mappa dei metadati salvati sul backend, con i record cifrati già decifrati
+   * @returns Promise con { [cid]: metadata }, oppure null se il backend non ha metadati remoti
+   */
+  async getRemoteMetadataMap() {
+    const map = await this.backend.getMetadataMap();
+    return map ? await this.openMetadataMap(map) : map;
+  }
+
+  /**
+   * Migrazione: rimuove i token di cifratura dagli URL salvati nei metadati
+   * (relayUrl /decrypt?token=... scritti dalle versioni precedenti)
+   * La cache locale viene sempre ripulita, i metadati remoti solo con
+   * credenziali di scrittura e solo per i record dell'utente (la mappa del
+   * relay contiene anche quelli degli altri). Eseguita una volta sola per
+   * browser: un record che non si riesce a salvare viene solo segnalato.
+   * @returns Promise con { local, remote, failed } (numero di entry)
+   */
+  async migrateTokenUrls() {
+    const result = { local: 0, remote: 0, failed: 0 };
+    if (localStorage.getItem(TOKEN_SCRUB_KEY)) {
+      return result;
+    }
+
+    try {
+      const entries = await this.metadataStore.listEntries();
+      const scrubbedEntries = {};
+      for (const entry of entries) {
+        const scrubbed = scrubMetadataTokens(entry.metadata);
+        if (scrubbed) scrubbedEntries[entry.cid] = scrubbed;
+      }
+      result.local = Object.keys(scrubbedEntries).length;
+      await this.metadataStore.putMany(scrubbedEntries);
+
+      if (this.backend.capabilities.remoteMetadata) {
+        if (!this.hasCredentials({ signed: true })) {
+          // Riprova quando saranno disponibili credenziali di scrittura
+          return result;
+        }
+        const remoteMap = (await this.backend.getMetadataMap()) || {};
+        for (const [cid, metadata] of Object.entries(remoteMap)) {
+          if (!this.isOwnMetadata(metadata)) continue;
+          const scrubbed = scrubMetadataTokens(metadata);
+          if (!scrubbed) continue;
+          try {
+            const saved = await this.backend.saveMetadata(
+              await this.prepareMetadataRecord({ ...scrubbed, hash: cid })
+            );
+            if (!saved?.success) {
+              throw new Error(saved?.error || "save failed");
+            }
+            result.remote++;
+          } catch (error) {
+            console.warn(`⚠️ Could not remove the token URL of ${cid}:`, error);
+            result.failed++;
+          }
+        }
+      }
+
+      localStorage.setItem(TOKEN_SCRUB_KEY, String(Date.now()));
+      if (result.local || result.remote) {
+        console.log(
+          `🧹 Removed encryption tokens from ${result.local} cached and ${result.remote} remote metadata entries`
+        );
+      }
+      if (result.failed) {
+        console.warn(
+          `⚠️ ${result.failed} remote metadata entries still contain token URLs`
+        );
+      }
+    } catch (error) {
+      console.warn("⚠️ Token scrub migration failed:", error);
+    }
+
+    return result;
   }
 
   /**
@@ -1659,8 +2986,8 @@ export class DriveCore {
     try {
       console.log(`📋 Fetching user uploads for ${userAddress.slice(0, 8)}...`);
       
-      // Use SDK for consistency
-      const data = await this.sdk.uploads.getUserUploads(userAddress);
+      // Use the relay backend for consistency
+      const data = await this.backend.getUserUploads(userAddress);
       
       if (!data.success) {
         throw new Error(data.error || "Failed to fetch user uploads");
@@ -1669,41 +2996,52 @@ export class DriveCore {
       const uploads = data.uploads || [];
       console.log(`📋 Found ${uploads.length} uploads for user`);
 
-      // Map uploads to DriveCore format
-      const files = uploads.map((upload) => {
-        // Detect if file is encrypted based on mimetype and name
-        const isEncrypted = 
-          upload.mimetype === "text/plain" && 
-          (upload.name?.endsWith(".enc") || upload.name?.endsWith(".encrypted"));
+      // Drive metadata (encryption format, wrapped file keys) saved at upload time:
+      // remote map for other devices, local cache on top
+      const savedMetadata = {
+        ...((await this.getRemoteMetadataMap().catch(() => null)) || {}),
+        ...(await this.metadataStore.list().catch(() => ({}))),
+      };
 
-        // Build relay URL with decrypt endpoint if encrypted
-        const relayUrl = isEncrypted && (this.encryptionToken || this.authToken)
-          ? `${this.relayUrl}/api/v1/ipfs/cat/${upload.hash}/decrypt?token=${encodeURIComponent(
-              this.encryptionToken || this.authToken
-            )}`
-          : `${this.relayUrl}/api/v1/ipfs/cat/${upload.hash}`;
+      // Map uploads to DriveCore format (share documents are not user files)
+      const files = uploads
+        .filter((upload) => !isShareRecord(savedMetadata[upload.hash]))
+        .map((upload) => {
+          const saved = savedMetadata[upload.hash] || {};
 
-        return {
-          cid: upload.hash,
-          name: upload.name || upload.hash,
-          originalName: upload.name || upload.hash,
-          size: upload.size || 0,
-          type: upload.mimetype || "application/octet-stream",
-          isEncrypted: isEncrypted,
-          isDirectory: false,
-          fileCount: 0,
-          uploadedAt: upload.uploadedAt || Date.now(),
-          relayUrl: relayUrl,
-          metadata: {
-            ...upload,
-            userAddress: userAddress,
-            displayName: upload.name,
-            fileName: upload.name,
-            fileSize: upload.size,
-            contentType: upload.mimetype,
-          },
-        };
-      });
+          // Detect if file is encrypted from saved metadata, then from the name
+          const isEncrypted =
+            saved.isEncrypted ??
+            (upload.name?.endsWith(".enc") || upload.name?.endsWith(".encrypted"));
+
+          // Plain content URL: encrypted files are decrypted client-side
+          const relayUrl = this.backend.publicUrl(upload.hash);
+
+          // Il nome salvato nei metadati vince (i file si possono rinominare)
+          const name = saved.displayName || upload.name || upload.hash;
+          return {
+            cid: upload.hash,
+            name,
+            originalName: saved.originalName || name,
+            size: upload.size || 0,
+            type: upload.mimetype || "application/octet-stream",
+            isEncrypted: isEncrypted,
+            isDirectory: false,
+            fileCount: 0,
+            uploadedAt: upload.uploadedAt || Date.now(),
+            relayUrl: relayUrl,
+            encryptionFormat: saved.encryptionFormat || null,
+            metadata: {
+              ...upload,
+              ...saved,
+              userAddress: userAddress,
+              displayName: name,
+              fileName: saved.fileName || name,
+              fileSize: upload.size,
+              contentType: upload.mimetype,
+            },
+          };
+        });
 
       return files;
     } catch (error) {
@@ -1714,12 +3052,17 @@ export class DriveCore {
 
   /**
    * Ottiene la lista dei file salvati
+   * @param options.includeTrash Include gli elementi nel cestino (vedi trash)
    */
-  async getFileList() {
-    // Allow operation if we have authToken (admin) or userAddress (wallet user)
-    if (!this.authToken && !this.userAddress) {
+  async getFileList(options = {}) {
+    // Allow operation if we have authToken (admin), userAddress (wallet user) or a Kubo node
+    if (!this.hasCredentials()) {
       throw new Error("Please connect your wallet or set auth token in settings.");
     }
+    const visible = (files) =>
+      options.includeTrash
+        ? files
+        : files.filter((file) => !isTrashed(file.metadata));
 
     // Verifica connessione prima di procedere
     const isConnected = await this.checkRelayConnection();
@@ -1731,10 +3074,14 @@ export class DriveCore {
 
     // In wallet mode (no admin token), use user-specific uploads endpoint
     // This matches the behavior of shogun-deals and ensures files are properly visible
-    if (!this.authToken && this.userAddress) {
+    const isWalletMode =
+      this.backend.capabilities.userUploads &&
+      !this.authToken &&
+      !!this.userAddress;
+    if (isWalletMode) {
       console.log("📁 Wallet mode: fetching user-specific uploads");
       try {
-        return await this.getUserUploads(this.userAddress);
+        return visible(await this.getUserUploads(this.userAddress));
       } catch (error) {
         console.error("Error fetching user uploads:", error);
         throw new Error(`Failed to fetch your uploads: ${error.message}`);
@@ -1749,13 +3096,13 @@ export class DriveCore {
       let pinsResult = { success: true, pins: [] };
       
       // Skip pin/ls for wallet mode (use system-hashes-map instead)
-      if (this.authToken) {
+      if (this.backend.canManagePins()) {
         const controller1 = new AbortController();
         const timeoutId1 = setTimeout(() => controller1.abort(), 10000);
 
-        // Usa l'SDK per admin mode
+        // Usa il backend per admin mode
         try {
-          pinsResult = await this.sdk.ipfs.pinLs();
+          pinsResult = await this.backend.pinLs();
           clearTimeout(timeoutId1);
         } catch (error) {
           clearTimeout(timeoutId1);
@@ -1775,66 +3122,81 @@ export class DriveCore {
       // Prova prima dalla cache locale, poi dal server
       let systemHashMap = {};
 
-      // Carica cache locale se disponibile
+      // Carica cache locale: ogni entry ha il proprio timestamp
+      let hasStaleEntries = true;
       try {
-        const cachedMetadata = localStorage.getItem(
-          "shogun-drive-metadata-cache"
+        const cachedEntries = await this.metadataStore.listEntries();
+        systemHashMap = Object.fromEntries(
+          cachedEntries.map((entry) => [entry.cid, entry.metadata])
+        );
+        // Senza metadati remoti (Kubo) la cache è la fonte primaria
+        hasStaleEntries =
+          cachedEntries.length === 0 ||
+          cachedEntries.some((entry) =>
+            this.metadataStore.isStale(entry, METADATA_MAX_AGE)
+          );
+        console.log(
+          "📦 Using cached metadata:",
+          cachedEntries.length,
+          "entries"
         );
-        if (cachedMetadata) {
-          const parsed = JSON.parse(cachedMetadata);
-          // Usa la cache solo se non è troppo vecchia (max 5 minuti)
-          if (
-            parsed.timestamp &&
-            Date.now() - parsed.timestamp < 5 * 60 * 1000
-          ) {
-            systemHashMap = parsed.data || {};
-            console.log(
-              "📦 Using cached metadata:",
-              Object.keys(systemHashMap).length,
-              "entries"
-            );
-          }
-        }
       } catch (error) {
         console.warn("⚠️ Error loading metadata cache:", error);
       }
 
-      // Prova a recuperare i metadati dal server in background (non blocca)
-      // Usa un timeout più breve e non aspetta se fallisce
+      // Recupera i metadati dal server (timeout breve, non blocca se fallisce)
       const fetchMetadataPromise = (async () => {
         try {
-          // Usa SDK per recuperare system hashes map con timeout
+          // Il backend Kubo non ha metadati remoti
+          if (!this.backend.capabilities.remoteMetadata) {
+            return;
+          }
+
+          // Recupera system hashes map dal backend con timeout
           const timeoutPromise = new Promise((_, reject) =>
             setTimeout(() => reject(new Error("Timeout")), 15000)
           );
 
-          const metadataData = await Promise.race([
-            this.sdk.uploads.getSystemHashesMap(),
-            timeoutPromise,
-          ]);
-
-          const newSystemHashMap = metadataData.systemHashes || {};
+          const newSystemHashMap =
+            (await Promise.race([
+              this.getRemoteMetadataMap(),
+              timeoutPromise,
+            ])) || {};
           console.log(
             "🗂️ System Hash Map retrieved from server:",
             Object.keys(newSystemHashMap).length,
             "entries"
           );
 
-          // Aggiorna la cache locale
+          // Non riportare in cache URL con token non ancora ripuliti sul server
+          for (const [cid, meta] of Object.entries(newSystemHashMap)) {
+            newSystemHashMap[cid] = scrubMetadataTokens(meta) || meta;
+          }
+
+          // Aggiorna la cache locale (merge: il server potrebbe non restituire `files`)
+          // e scarta le entry scadute che il server non conosce più
           try {
-            localStorage.setItem(
-              "shogun-drive-metadata-cache",
-              JSON.stringify({
-                data: newSystemHashMap,
-                timestamp: Date.now(),
-              })
-            );
+            await this.metadataStore.putMany(newSystemHashMap, {
+              merge: true,
+            });
+            const cachedEntries = await this.metadataStore.listEntries();
+            for (const entry of cachedEntries) {
+              if (
+                !newSystemHashMap[entry.cid] &&
+                this.metadataStore.isStale(entry, METADATA_MAX_AGE)
+              ) {
+                await this.metadataStore.delete(entry.cid);
+                delete systemHashMap[entry.cid];
+              }
+            }
           } catch (error) {
             console.warn("⚠️ Error saving metadata cache:", error);
           }
 
           // Aggiorna la mappa corrente (merge con i dati esistenti)
-          systemHashMap = { ...systemHashMap, ...newSystemHashMap };
+          for (const [cid, meta] of Object.entries(newSystemHashMap)) {
+            systemHashMap[cid] = { ...(systemHashMap[cid] || {}), ...meta };
+          }
 
           if (Object.keys(newSystemHashMap).length > 0) {
             console.log(
@@ -1854,8 +3216,11 @@ export class DriveCore {
         }
       })();
 
-      // Non aspettiamo il completamento, procediamo con i dati disponibili
-      // Il fetch continuerà in background e aggiornerà la cache
+      // Se qualche entry è scaduta aspettiamo il server, altrimenti
+      // procediamo con la cache e il fetch aggiorna in background
+      if (hasStaleEntries) {
+        await fetchMetadataPromise;
+      }
 
       // Combina dati (come in pin-manager.html)
       // Filtra solo i pin diretti (quelli caricati direttamente, non gli hash indiretti)
@@ -1891,7 +3256,7 @@ export class DriveCore {
 
       // Log per debug: verifica directory nei metadati
       const directoriesInMetadata = Object.entries(systemHashMap).filter(
-        ([cid, meta]) =>
+        ([, meta]) =>
           meta.isDirectory === true ||
           meta.contentType === "application/x-directory"
       );
@@ -1917,6 +3282,9 @@ export class DriveCore {
           );
         }
 
+        // Documenti di condivisione e chiavi pubbliche non sono file dell'utente
+        if (isShareRecord(pin.metadata)) return false;
+
         return pin.type === "direct" || hasMetadata;
       });
 
@@ -1926,6 +3294,7 @@ export class DriveCore {
 
       // Verifica se ci sono directory nei metadati che non sono nei pins
       const directoryCids = Object.keys(systemHashMap).filter((cid) => {
+        if (isShareRecord(systemHashMap[cid])) return false;
         const meta = systemHashMap[cid];
         return (
           meta.isDirectory === true ||
@@ -1997,23 +3366,17 @@ export class DriveCore {
           uploadedAt = Date.now();
         }
 
-        // Costruisci relayUrl con token se il file è criptato
-        let relayUrl = metadata.relayUrl;
-        if (!relayUrl) {
-          relayUrl =
-            metadata.isEncrypted && (this.encryptionToken || this.authToken)
-              ? `${
-                  this.relayUrl
-                }/api/v1/ipfs/cat/${cid}/decrypt?token=${encodeURIComponent(
-                  this.encryptionToken || this.authToken
-                )}`
-              : `${this.relayUrl}/api/v1/ipfs/cat/${cid}`;
-        }
+        // relayUrl punta sempre al ciphertext (mai al token di cifratura)
+        const relayUrl = scrubRelayUrl(metadata.relayUrl) ||
+          this.backend.publicUrl(cid);
 
         // Per i file criptati, il contentType salvato è "text/plain" (file criptato)
         // Ma dobbiamo usare il contentType originale per determinare il tipo
         // Se abbiamo originalName, possiamo dedurre il tipo dall'estensione
-        let contentType = metadata.contentType || "application/octet-stream";
+        let contentType =
+          (metadata.isEncrypted && metadata.originalContentType) ||
+          metadata.contentType ||
+          "application/octet-stream";
         if (
           metadata.isEncrypted &&
           contentType === "text/plain" &&
@@ -2049,6 +3412,7 @@ export class DriveCore {
           size: metadata.fileSize || 0,
           type: contentType,
           isEncrypted: metadata.isEncrypted || false,
+          encryptionFormat: metadata.encryptionFormat || null,
           isDirectory: metadata.isDirectory || false,
           fileCount: metadata.fileCount || 0,
           uploadedAt: uploadedAt,
@@ -2060,17 +3424,17 @@ export class DriveCore {
       console.log(`📋 Processed ${files.length} files`);
 
       // In wallet mode (no authToken), filter files by userAddress - only show user's own files
-      if (!this.authToken && this.userAddress) {
+      if (isWalletMode) {
         const userFiles = files.filter(file => {
           const fileUserAddress = file.metadata?.userAddress || "";
           // Only show files belonging to THIS user (strict match)
           return fileUserAddress.toLowerCase() === this.userAddress.toLowerCase();
         });
         console.log(`📁 Wallet mode: showing ${userFiles.length} files for user ${this.userAddress.slice(0, 8)}...`);
-        return userFiles;
+        return visible(userFiles);
       }
 
-      return files;
+      return visible(files);
     } catch (error) {
       console.error("Error getting file list:", error);
 
@@ -2098,57 +3462,180 @@ export class DriveCore {
   }
 
   /**
-   * Elimina un file o directory (unpin + rimuove metadati)
+   * Sposta un file o una cartella nel cestino: il contenuto resta pinnato e
+   * i metadati vengono solo marcati (trashedAt). Un elemento dentro una
+   * directory diventa un elemento della root (vedi linkIntoRoot) che ricorda
+   * da dove viene (trashedFrom), poi viene tolto dalla directory
+   * @param cid CID nella root, oppure "directoryCid/percorso"
+   * @param metadata Metadati dell'elemento della root, se non sono in cache
+   * @returns Promise con { success, metadata }
+   */
+  async trash(cid, metadata = null) {
+    if (!this.hasCredentials({ signed: true })) {
+      throw new Error("Auth token or wallet connection is required.");
+    }
+
+    const trashedAt = Date.now();
+    if (!cid.includes("/")) {
+      const current = await this.getRootMetadata(cid, metadata);
+      const trashed = { ...current, hash: cid, trashedAt, timestamp: trashedAt };
+      if (!(await this.saveFileMetadata(trashed))) {
+        throw new Error(`Could not move ${rootEntryName(current)} to the trash`);
+      }
+      console.log(`🗑️ Moved ${rootEntryName(current)} to the trash`);
+      return { success: true, metadata: trashed };
+    }
+
+    const source = await this.resolveEntry(cid);
+    const dirMetadata = await this.getDirectoryMetadata(source.directoryCid);
+    const result = await this.linkIntoRoot(source, {
+      trashedAt,
+      trashedFrom: {
+        folderId: dirMetadata?.folderId || source.directoryCid,
+        folderName: dirMetadata?.displayName || dirMetadata?.fileName || null,
+        path: source.path.split("/").slice(0, -1).join("/"),
+      },
+    });
+    if (result.existing) {
+      console.log(`♻️ ${source.name} is also in the root, nothing to keep in the trash`);
+    }
+    await this.removeFileFromDirectory(
+      source.directoryCid,
+      source.path,
+      parseDirectoryFiles(dirMetadata?.files)
+    );
+    console.log(`🗑️ Moved ${source.path} to the trash`);
+    return { success: true, metadata: result.metadata };
+  }
+
+  /**
+   * Ripristina un elemento del cestino: nella cartella da cui era stato
+   * eliminato, se esiste ancora, altrimenti nella root
+   * @returns Promise con { success, directoryCid } (directoryCid: la
+   *   cartella in cui è tornato, null = root)
+   */
+  async restore(cid, metadata = null) {
+    if (!this.hasCredentials({ signed: true })) {
+      throw new Error("Auth token or wallet connection is required.");
+    }
+
+    const current = await this.getRootMetadata(cid, metadata);
+    const name = rootEntryName(current);
+    if (!isTrashed(current)) {
+      throw new Error(`${name} is not in the trash`);
+    }
+
+    const from = current.trashedFrom;
+    const folder = from ? await this.resolveFolder(from.folderId) : null;
+    if (folder) {
+      const { directories } = await this.move(
+        cid,
+        { directoryCid: folder.cid, path: from.path },
+        current
+      );
+      console.log(`♻️ Restored ${name} into ${from.folderName || "its folder"}`);
+      return { success: true, directoryCid: directories[folder.cid] };
+    }
+
+    if (await this.rootNameExists(name, cid)) {
+      throw new Error(`An item named "${name}" already exists`);
+    }
+    // null (non assente): il merge con le cache degli altri dispositivi
+    // non deve riportare il vecchio valore
+    const restored = {
+      ...current,
+      trashedAt: null,
+      trashedFrom: null,
+      timestamp: Date.now(),
+    };
+    if (!(await this.saveFileMetadata(restored))) {
+      throw new Error(`Could not restore ${name}`);
+    }
+    console.log(`♻️ Restored ${name}`);
+    return { success: true, directoryCid: null };
+  }
+
+  /**
+   * Elementi nel cestino, dal più recente
+   */
+  async getTrash() {
+    const files = await this.getFileList({ includeTrash: true });
+    return files
+      .filter((file) => isTrashed(file.metadata))
+      .sort((a, b) => b.metadata.trashedAt - a.metadata.trashedAt);
+  }
+
+  /**
+   * Elimina definitivamente (unpin + metadati) gli elementi del cestino
+   * @param options.olderThanDays Solo quelli eliminati da almeno N giorni
+   * @returns Promise con il numero di elementi eliminati
+   */
+  async emptyTrash(options = {}) {
+    const cutoff = options.olderThanDays
+      ? Date.now() - options.olderThanDays * 24 * 60 * 60 * 1000
+      : Infinity;
+    const expired = (await this.getTrash()).filter(
+      (file) => file.metadata.trashedAt <= cutoff
+    );
+    for (const file of expired) {
+      await this.deleteFile(file.cid, file.metadata);
+    }
+    if (expired.length > 0) {
+      console.log(`🧹 Permanently deleted ${expired.length} item(s) from the trash`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Svuota il cestino degli elementi più vecchi di trashRetentionDays
+   * @returns Promise con il numero di elementi eliminati
+   */
+  async purgeExpiredTrash() {
+    if (!this.trashRetentionDays) return 0;
+    return await this.emptyTrash({ olderThanDays: this.trashRetentionDays });
+  }
+
+  /**
+   * Elimina definitivamente un file o directory (unpin + rimuove metadati);
+   * per il cestino vedi trash
    */
   async deleteFile(cid, metadata = {}) {
-    // Auth token or wallet signature required
-    if (!this.authToken && !this.walletSignature) {
+    // Auth token, wallet signature or Kubo node required
+    if (!this.hasCredentials({ signed: true })) {
       throw new Error("Auth token or wallet connection is required.");
     }
 
     try {
-      // 1. Rimuovi il pin IPFS (solo per admin mode)
-      if (this.authToken) {
-        console.log(`🗑️ Admin mode: Removing IPFS pin for ${cid.substring(0, 12)}...`);
+      // 1. Rimuovi il pin IPFS (solo se il backend lo consente)
+      if (this.backend.canManagePins()) {
+        console.log(`🗑️ Removing IPFS pin for ${cid.substring(0, 12)}...`);
         try {
-          await this.sdk.ipfs.pinRm(cid);
+          await this.backend.pinRm(cid);
           console.log(`✅ IPFS pin removed successfully`);
         } catch (error) {
           const errorText =
             error.response?.data || error.message || "Unknown error";
           console.warn(`⚠️ Pin removal failed: ${error.response?.status || "unknown"} - ${JSON.stringify(errorText)}`);
-          // Don't throw in admin mode either, continue to remove metadata
+          // Don't throw, continue to remove metadata
         }
       } else {
         console.log(`📁 Wallet mode: Removing file from user's view (metadata only)`);
       }
 
-      // 2. Rimuovi i metadati dal system hash map usando SDK o fetch
+      // La chiave IPNS di una cartella eliminata non serve più
+      if (metadata.ipnsName && this.backend.canPublishNames?.()) {
+        await this.backend
+          .removeNameKey(`shogun-drive-${metadata.folderId}`)
+          .catch((error) => console.warn(`⚠️ Failed to remove IPNS key:`, error));
+      }
+
+      // 2. Rimuovi i metadati dal system hash map tramite il backend
       try {
         console.log(`🗑️ Removing metadata from system hash map...`);
-        if (this.authToken) {
-          await this.sdk.uploads.removeSystemHash(
-            cid,
-            metadata.userAddress || this.userAddress || "drive-user"
-          );
-        } else if (this.walletSignature && this.userAddress) {
-          // Use direct fetch for wallet mode
-          const response = await fetch(`${this.relayUrl}/api/v1/uploads/remove-system-hash`, {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "X-User-Address": this.userAddress,
-              "X-Wallet-Signature": this.walletSignature,
-            },
-            body: JSON.stringify({
-              hash: cid,
-              userAddress: this.userAddress,
-            }),
-          });
-          if (!response.ok) {
-            console.warn(`⚠️ Metadata removal returned ${response.status}`);
-          }
-        }
+        await this.backend.removeMetadata(
+          cid,
+          metadata.userAddress || this.userAddress || "drive-user"
+        );
         console.log(`✅ Metadata removed from system hash map`);
       } catch (metadataError) {
         console.warn(`⚠️ Error removing metadata:`, metadataError);
@@ -2157,21 +3644,8 @@ export class DriveCore {
 
       // 3. Rimuovi i metadati dalla cache locale
       try {
-        const cachedMetadata = localStorage.getItem(
-          "shogun-drive-metadata-cache"
-        );
-        if (cachedMetadata) {
-          const parsed = JSON.parse(cachedMetadata);
-          if (parsed.data && parsed.data[cid]) {
-            delete parsed.data[cid];
-            parsed.timestamp = Date.now();
-            localStorage.setItem(
-              "shogun-drive-metadata-cache",
-              JSON.stringify(parsed)
-            );
-            console.log(`✅ Metadata removed from local cache`);
-          }
-        }
+        await this.metadataStore.delete(cid);
+        console.log(`✅ Metadata removed from local cache`);
       } catch (cacheError) {
         console.warn(`⚠️ Error removing from cache:`, cacheError);
         // Non bloccare se la rimozione dalla cache fallisce
@@ -2188,14 +3662,14 @@ export class DriveCore {
    * @returns Promise con informazioni sullo storage
    */
   async getStorageInfo() {
-    // Auth token or wallet signature required
-    if (!this.authToken && !this.walletSignature) {
+    // Auth token, wallet signature or Kubo node required
+    if (!this.hasCredentials({ signed: true })) {
       throw new Error("Auth token or wallet connection is required. Please set it in settings or connect wallet.");
     }
 
     try {
-      // Usa SDK per ottenere informazioni sullo storage
-      const result = await this.sdk.x402.getStorageUsage(this.userAddress);
+      // Usa il backend per ottenere informazioni sullo storage
+      const result = await this.backend.getStorageUsage(this.userAddress);
 
       if (!result.success) {
         throw new Error(result.error || "Failed to get storage information");
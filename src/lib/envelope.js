@@ -0,0 +1,160 @@
+/**
+ * Envelope Encryption
+ * Ogni file viene cifrato con una chiave di contenuto casuale (AES-256),
+ * salvata nei metadati cifrata ("wrapped") con la chiave master dell'utente.
+ * Una singola chiave di file può così essere condivisa, revocata o
+ * ricifrata senza toccare il contenuto né gli altri file.
+ *
+ * wrappedKey = base64(formato a chunk della chiave di contenuto)
+ * La chiave master può essere passphrase, chiave raw o keyring (vedi chunked-crypto.js)
+ *
+ * Le chiavi di contenuto sono sempre casuali: due upload dello stesso file
+ * danno ciphertext diversi. I doppioni si riconoscono da un'impronta con
+ * chiave del contenuto in chiaro (contentFingerprint), salvata solo nei
+ * metadati cifrati.
+ */
+
+import {
+  base64ToBytes,
+  bytesToBase64,
+  decryptBlob,
+  encryptBlob,
+} from "./chunked-crypto.js";
+
+export const KEY_WRAPPING = "envelope-v1";
+
+const CONTENT_KEY_SIZE = 32;
+const FINGERPRINT_CHUNK_SIZE = 4 * 1024 * 1024;
+const FINGERPRINT_KEY_INFO = "shogun-drive/fingerprint";
+
+/**
+ * Genera una nuova chiave di contenuto casuale
+ * @returns Uint8Array da 32 byte
+ */
+export function generateContentKey() {
+  return crypto.getRandomValues(new Uint8Array(CONTENT_KEY_SIZE));
+}
+
+/**
+ * Cifra la chiave di contenuto con la chiave master
+ * @returns Promise con la chiave cifrata (base64)
+ */
+export async function wrapContentKey(contentKey, masterSecret) {
+  const wrapped = await encryptBlob(new Blob([contentKey]), masterSecret);
+  return bytesToBase64(new Uint8Array(await wrapped.arrayBuffer()));
+}
+
+/**
+ * Decifra una chiave prodotta da wrapContentKey
+ * @returns Promise con la chiave di contenuto (Uint8Array)
+ */
+export async function unwrapContentKey(wrappedKey, masterSecret) {
+  const contentKey = new Uint8Array(
+    await (
+      await decryptBlob(new Blob([base64ToBytes(wrappedKey)]), masterSecret)
+    ).arrayBuffer()
+  );
+  if (contentKey.length !== CONTENT_KEY_SIZE) {
+    throw new Error("Invalid wrapped file key");
+  }
+  return contentKey;
+}
+
+/**
+ * Chiave cifrata dai metadati di un file (anche annidati in `metadata`)
+ */
+export function getWrappedKey(metadata = {}) {
+  return metadata.wrappedKey || metadata.metadata?.wrappedKey || null;
+}
+
+/**
+ * Impronta SHA-256 di un Blob letto a blocchi (hash degli hash dei blocchi),
+ * senza caricare in memoria tutto il file
+ * @returns Promise con i 32 byte dell'impronta
+ */
+export async function fingerprintBlob(blob) {
+  const digests = [];
+  let offset = 0;
+  do {
+    const chunk = await blob
+      .slice(offset, offset + FINGERPRINT_CHUNK_SIZE)
+      .arrayBuffer();
+    digests.push(new Uint8Array(await crypto.subtle.digest("SHA-256", chunk)));
+    offset += FINGERPRINT_CHUNK_SIZE;
+  } while (offset < blob.size);
+  const joined = new Uint8Array(digests.length * 32);
+  digests.forEach((digest, index) => joined.set(digest, index * 32));
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", joined));
+}
+
+/**
+ * Parametri casuali per cifrare un nuovo file
+ * @returns { contentKey, salt, noncePrefix }
+ */
+export function generateContentEncryption() {
+  return {
+    contentKey: generateContentKey(),
+    salt: crypto.getRandomValues(new Uint8Array(16)),
+    noncePrefix: crypto.getRandomValues(new Uint8Array(8)),
+  };
+}
+
+/**
+ * Sottochiave HKDF-SHA256 della chiave master riservata alle impronte:
+ * la chiave master non viene mai usata direttamente come chiave HMAC
+ * @returns Promise con la sottochiave raw (Uint8Array da 32 byte)
+ */
+async function deriveFingerprintKey(master) {
+  const encoder = new TextEncoder();
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    typeof master === "string" ? encoder.encode(master) : master,
+    "HKDF",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new Uint8Array(0),
+      info: encoder.encode(FINGERPRINT_KEY_INFO),
+    },
+    baseKey,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Impronta del contenuto in chiaro, con chiave (HMAC-SHA256 con una
+ * sottochiave della chiave master): senza la chiave non si può verificare
+ * se un file è nel drive.
+ * Usata solo per riconoscere i doppioni, i file restano cifrati con chiavi casuali
+ * @param masterSecret Chiave master (keyring: si usa la chiave preferita)
+ * @returns Promise con l'impronta in base64
+ */
+export async function contentFingerprint(blob, masterSecret) {
+  const master = masterSecret?.key || masterSecret?.passphrase || masterSecret;
+  if (!master) {
+    throw new Error("Encryption key is required");
+  }
+
+  const hmacKey = await crypto.subtle.importKey(
+    "raw",
+    await deriveFingerprintKey(master),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const fingerprint = await fingerprintBlob(blob);
+  const mac = await crypto.subtle.sign(
+    "HMAC",
+    hmacKey,
+    new Uint8Array([
+      ...new TextEncoder().encode("shogun-drive/fingerprint:"),
+      ...fingerprint,
+    ])
+  );
+  return bytesToBase64(new Uint8Array(mac));
+}
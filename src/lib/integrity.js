@@ -0,0 +1,139 @@
+/**
+ * Integrity
+ * Verifica che il contenuto scaricato corrisponda al suo CID, senza fidarsi
+ * del relay o del nodo che lo serve.
+ *
+ * - Blocco per blocco (backend con getBlock): ogni blocco del DAG viene
+ *   riscaricato e confrontato con il proprio CID, quindi funziona con
+ *   qualsiasi layout (chunker, foglie raw o dag-pb, CID v0/v1)
+ * - Ricalcolo (backend senza accesso ai blocchi): il CID viene ricalcolato
+ *   dai byte scaricati con il layout di default di `ipfs add`
+ *   (vedi computeFileCid); file caricati con altre opzioni non risultano validi
+ *
+ * Gli errori di verifica hanno error.integrity = true, per distinguerli dagli
+ * errori di rete.
+ */
+
+import {
+  CODEC_DAG_PB,
+  CODEC_RAW,
+  UNIXFS_TYPES,
+  cidFromString,
+  cidToString,
+  computeFileCid,
+  createCid,
+  decodeDagPb,
+  decodeUnixFs,
+  parseCid,
+  verifyBlock,
+} from "./unixfs.js";
+
+function integrityError(message) {
+  const error = new Error(`Integrity check failed: ${message}`);
+  error.integrity = true;
+  return error;
+}
+
+async function readNode(cid, getBlock) {
+  const block = await getBlock(cid);
+  const { codec } = await verifyBlock(cid, block);
+  if (codec === CODEC_RAW) {
+    return { codec, block };
+  }
+  if (codec !== CODEC_DAG_PB) {
+    throw new Error(`Unsupported codec 0x${codec.toString(16)} in ${cid}`);
+  }
+  const node = decodeDagPb(block);
+  return { codec, node, unixfs: decodeUnixFs(node.data) };
+}
+
+/**
+ * Risolve un percorso dentro una directory, verificando ogni nodo
+ * @param getBlock Callback async (cid) che restituisce i byte del blocco
+ * @returns Promise con il CID del file
+ */
+export async function resolvePath(rootCid, path, getBlock) {
+  let cid = rootCid;
+  for (const segment of path.split("/").filter(Boolean)) {
+    const { node, unixfs } = await readNode(cid, getBlock);
+    if (unixfs?.type === UNIXFS_TYPES.HAMT_SHARD) {
+      throw new Error("Sharded directories cannot be verified");
+    }
+    if (unixfs?.type !== UNIXFS_TYPES.DIRECTORY) {
+      throw new Error(`${cid} is not a directory`);
+    }
+    const link = node.links.find((entry) => entry.name === segment);
+    if (!link) {
+      throw new Error(`${segment} not found in ${cid}`);
+    }
+    cid = cidToString(link.cid);
+  }
+  return cid;
+}
+
+/**
+ * Contenuto di un file UnixFS letto blocco per blocco: ogni blocco viene
+ * verificato prima di essere emesso
+ * @param getBlock Callback async (cid) che restituisce i byte del blocco
+ * @returns ReadableStream dei byte del file
+ */
+export function createVerifiedStream(cid, getBlock) {
+  // CID ancora da leggere, l'ultimo è il prossimo nell'ordine del file
+  const pending = [cid];
+
+  return new ReadableStream({
+    async pull(controller) {
+      while (pending.length) {
+        const next = pending.pop();
+        const { codec, block, node, unixfs } = await readNode(next, getBlock);
+        if (codec === CODEC_RAW) {
+          if (block.length) {
+            controller.enqueue(block);
+            return;
+          }
+          continue;
+        }
+
+        if (
+          unixfs.type !== UNIXFS_TYPES.FILE &&
+          unixfs.type !== UNIXFS_TYPES.RAW
+        ) {
+          throw new Error(`${next} is not a file`);
+        }
+        // I dati del nodo precedono quelli dei figli
+        for (let i = node.links.length - 1; i >= 0; i--) {
+          pending.push(cidToString(node.links[i].cid));
+        }
+        if (unixfs.data.length) {
+          controller.enqueue(unixfs.data);
+          return;
+        }
+      }
+      controller.close();
+    },
+  });
+}
+
+/**
+ * Confronta un contenuto scaricato con il CID ricalcolato dai suoi byte
+ * @returns Promise con true se corrisponde
+ */
+export async function verifyBlob(cid, blob) {
+  const { version, codec } = parseCid(cid);
+  const expected = cidToString(cidFromString(cid));
+
+  if (codec === CODEC_RAW) {
+    const block = new Uint8Array(await blob.arrayBuffer());
+    return (await createCid(CODEC_RAW, block)).string === expected;
+  }
+  return (await computeFileCid(blob, { cidVersion: version })) === expected;
+}
+
+/**
+ * Come verifyBlob, ma lancia un errore d'integrità se il contenuto non corrisponde
+ */
+export async function assertBlobMatches(cid, blob) {
+  if (!(await verifyBlob(cid, blob))) {
+    throw integrityError(`content does not match ${cid}`);
+  }
+}
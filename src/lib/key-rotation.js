@@ -0,0 +1,340 @@
+/**
+ * Key Rotation
+ * Ricifra tutto il drive con una nuova chiave. I file con chiave propria
+ * (envelope encryption) vengono solo ri-wrappati nei metadati; quelli
+ * cifrati direttamente con la chiave master (anche dentro le directory)
+ * vengono scaricati, ricifrati, ricaricati e il vecchio CID rimosso.
+ *
+ * Il solo ri-wrap non protegge da una chiave master compromessa: chiavi di
+ * contenuto e ciphertext restano gli stessi, e chi ha la vecchia chiave e
+ * i vecchi metadati (già pubblicati) decifra ancora tutti i file. In quel
+ * caso si usa reencrypt: ogni file riceve una nuova chiave di contenuto e
+ * un nuovo CID. I vecchi CID restano leggibili se non si possono rimuovere
+ * i pin (wallet mode).
+ *
+ * Lo stato viene salvato in localStorage dopo ogni file: se la rotazione
+ * si interrompe, rilanciandola con la stessa chiave riparte da dove era.
+ * La nuova chiave non viene salvata, solo una sua impronta.
+ */
+
+import {
+  ENCRYPTION_FORMAT,
+  encryptBlob as encryptChunkedBlob,
+} from "./chunked-crypto.js";
+import {
+  KEY_WRAPPING,
+  generateContentKey,
+  wrapContentKey,
+} from "./envelope.js";
+
+const STATE_KEY = "shogun-drive-key-rotation";
+
+/**
+ * Impronta della chiave (per riconoscere una rotazione da riprendere)
+ */
+async function keyFingerprint(secret) {
+  let material = secret;
+  if (secret && typeof secret === "object" && !ArrayBuffer.isView(secret)) {
+    material = secret.key || secret.passphrase;
+  }
+  const bytes =
+    typeof material === "string"
+      ? new TextEncoder().encode(material)
+      : material;
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new Uint8Array([
+      ...new TextEncoder().encode("shogun-drive/key-rotation:"),
+      ...bytes,
+    ])
+  );
+  return Array.from(new Uint8Array(digest).slice(0, 16))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+export class KeyRotation {
+  /**
+   * @param driveCore Istanza DriveCore configurata con la chiave corrente
+   * @param options.onFileProgress Callback per ogni file:
+   *   { cid, name, index, total, status, newCid?, error? }
+   *   status: "processing" | "done" | "error"
+   */
+  constructor(driveCore, options = {}) {
+    this.driveCore = driveCore;
+    this.onFileProgress = options.onFileProgress || (() => {});
+    this.reencrypt = false;
+  }
+
+  /**
+   * Stato di una rotazione interrotta, oppure null
+   */
+  static getPendingState() {
+    try {
+      return JSON.parse(localStorage.getItem(STATE_KEY) || "null");
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static clearPendingState() {
+    localStorage.removeItem(STATE_KEY);
+  }
+
+  _saveState(state) {
+    localStorage.setItem(STATE_KEY, JSON.stringify(state));
+  }
+
+  /**
+   * Esegue (o riprende) la rotazione
+   * @param newSecret Nuova passphrase, chiave raw oppure keyring
+   * @param options.restart Scarta una rotazione interrotta con un'altra chiave
+   * @param options.reencrypt Ricifra anche il contenuto dei file con chiave
+   *   propria (chiave master compromessa)
+   * @returns Promise con { rotated, skipped, failed: [{ cid, name, error }] }
+   */
+  async run(newSecret, options = {}) {
+    if (!newSecret) {
+      throw new Error("New encryption key is required");
+    }
+    if (!this.driveCore.hasCredentials({ signed: true })) {
+      throw new Error("Auth token or wallet connection is required.");
+    }
+
+    const fingerprint = await keyFingerprint(newSecret);
+    const reencrypt = !!options.reencrypt;
+    let state = KeyRotation.getPendingState();
+    if (
+      state &&
+      (state.fingerprint !== fingerprint || !!state.reencrypt !== reencrypt)
+    ) {
+      if (!options.restart) {
+        throw new Error(
+          "Another key rotation is in progress - resume it with the same key and mode or restart it"
+        );
+      }
+      state = null;
+    }
+    if (!state) {
+      state = { fingerprint, reencrypt, startedAt: Date.now(), completed: {} };
+      this._saveState(state);
+    }
+    this.reencrypt = reencrypt;
+
+    // Anche il cestino: un elemento ripristinato deve aprirsi con la nuova chiave
+    const files = await this.driveCore.getFileList({ includeTrash: true });
+    const rotatedCids = new Set(
+      Object.values(state.completed).map((entry) => entry.newCid)
+    );
+    const candidates = files.filter(
+      (file) =>
+        !rotatedCids.has(file.cid) &&
+        (file.isEncrypted || this.driveCore.encryptMetadata)
+    );
+
+    const result = { rotated: 0, skipped: 0, failed: [] };
+
+    for (let index = 0; index < candidates.length; index++) {
+      const file = candidates[index];
+      const report = {
+        cid: file.cid,
+        name: file.originalName || file.name,
+        index,
+        total: candidates.length,
+      };
+      this.onFileProgress({ ...report, status: "processing" });
+
+      try {
+        let entry = state.completed[file.cid];
+        if (!entry) {
+          const newCid = await this._rotateEntry(file, newSecret);
+          entry = { newCid, cleaned: false };
+          state.completed[file.cid] = entry;
+          this._saveState(state);
+        }
+
+        // Una directory ricaricata ha già sostituito la vecchia (vedi
+        // rekeyDirectory): deleteFile rimuoverebbe anche la chiave IPNS
+        if (
+          !entry.cleaned &&
+          entry.newCid !== file.cid &&
+          !file.isDirectory
+        ) {
+          await this.driveCore.deleteFile(file.cid, file.metadata);
+        }
+        entry.cleaned = true;
+        this._saveState(state);
+
+        result.rotated++;
+        this.onFileProgress({
+          ...report,
+          status: "done",
+          newCid: entry.newCid,
+        });
+      } catch (error) {
+        console.error(`❌ Key rotation failed for ${file.cid}:`, error);
+        result.failed.push({
+          cid: file.cid,
+          name: report.name,
+          error: error.message,
+        });
+        this.onFileProgress({
+          ...report,
+          status: "error",
+          error: error.message,
+        });
+      }
+    }
+
+    result.skipped = files.length - candidates.length;
+
+    // Completata solo se non ci sono errori: altrimenti si può riprendere
+    if (result.failed.length === 0) {
+      KeyRotation.clearPendingState();
+    }
+
+    return result;
+  }
+
+  /**
+   * Ricifra un'entry della lista file
+   * @returns Promise con il nuovo CID (uguale al vecchio se cambia solo il record)
+   */
+  async _rotateEntry(file, newSecret) {
+    const metadata = { ...(file.metadata || {}), hash: file.cid };
+
+    if (file.isDirectory) {
+      return await this._rotateDirectory(file, metadata, newSecret);
+    }
+
+    if (!file.isEncrypted) {
+      // Contenuto in chiaro: va solo ricifrato il record dei metadati
+      await this._saveMetadata(metadata, newSecret);
+      return file.cid;
+    }
+
+    if (metadata.wrappedKey && !this.reencrypt) {
+      // Envelope: il contenuto resta uguale, cambia solo la chiave wrappata
+      await this._saveMetadata(
+        {
+          ...metadata,
+          wrappedKey: await this.driveCore.rewrapFileKey(
+            metadata.wrappedKey,
+            newSecret
+          ),
+          rotatedAt: Date.now(),
+        },
+        newSecret
+      );
+      return file.cid;
+    }
+
+    const plain = await this.driveCore.downloadFile(file.cid, file);
+    const { file: encrypted, wrappedKey } = await this._encrypt(
+      plain,
+      file.originalName,
+      newSecret
+    );
+    const { hash } = await this.driveCore.backend.add(
+      new File([encrypted], this.driveCore.uploadName(encrypted.name), {
+        type: encrypted.type,
+      })
+    );
+
+    const now = Date.now();
+    await this._saveMetadata(
+      {
+        ...metadata,
+        hash,
+        fileName: encrypted.name,
+        displayName: encrypted.name,
+        fileSize: encrypted.size,
+        isEncrypted: true,
+        encryptionFormat: ENCRYPTION_FORMAT,
+        wrappedKey,
+        keyWrapping: KEY_WRAPPING,
+        contentType: encrypted.type,
+        relayUrl: this.driveCore.backend.publicUrl(hash),
+        timestamp: now,
+        rotatedAt: now,
+      },
+      newSecret
+    );
+    return hash;
+  }
+
+  async _rotateDirectory(file, metadata, newSecret) {
+    const entries = Array.isArray(metadata.files)
+      ? metadata.files
+      : JSON.parse(metadata.files || "[]");
+
+    if (file.isEncrypted && entries.length === 0) {
+      throw new Error("Directory file list not available - cannot re-encrypt");
+    }
+
+    const needsReupload =
+      this.reencrypt ||
+      entries.some((entry) => entry.isEncrypted && !entry.wrappedKey);
+    if (!needsReupload) {
+      // Solo chiavi wrappate (o file in chiaro): basta aggiornare i metadati
+      const rewrapped = [];
+      for (const entry of entries) {
+        rewrapped.push(
+          entry.wrappedKey
+            ? {
+                ...entry,
+                wrappedKey: await this.driveCore.rewrapFileKey(
+                  entry.wrappedKey,
+                  newSecret
+                ),
+              }
+            : entry
+        );
+      }
+      await this._saveMetadata(
+        { ...metadata, files: rewrapped, rotatedAt: Date.now() },
+        newSecret
+      );
+      return file.cid;
+    }
+
+    // Stessa strada delle altre modifiche: la cartella mantiene folderId,
+    // previousCids e nome IPNS, e la vecchia versione viene rimossa
+    const result = await this.driveCore.rekeyDirectory(
+      file.cid,
+      { ...metadata, rotatedAt: Date.now() },
+      {
+        secret: newSecret,
+        shouldRekey: (entry) =>
+          entry.isEncrypted && (this.reencrypt || !entry.wrappedKey),
+      }
+    );
+    return result.directoryCid;
+  }
+
+  /**
+   * Cifra con una nuova chiave di file, wrappata con la nuova chiave master:
+   * i file precedenti passano così all'envelope encryption
+   * @returns Promise con { file, wrappedKey }
+   */
+  async _encrypt(plain, originalName, newSecret) {
+    const contentKey = generateContentKey();
+    const encrypted = await encryptChunkedBlob(plain, contentKey);
+    const name = originalName?.endsWith(".enc")
+      ? originalName
+      : `${originalName || "file"}.enc`;
+    return {
+      file: new File([encrypted], name, { type: "application/octet-stream" }),
+      wrappedKey: await wrapContentKey(contentKey, newSecret),
+    };
+  }
+
+  async _saveMetadata(metadata, newSecret) {
+    const saved = await this.driveCore.saveFileMetadata(metadata, {
+      secret: newSecret,
+    });
+    if (!saved) {
+      throw new Error("Failed to save rotated metadata");
+    }
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Metadata Crypto
+ * Cifra i record di metadati pubblicati sul backend (system hash map),
+ * così nomi, dimensioni, tipi e percorsi non sono visibili all'operatore.
+ *
+ * Record cifrato: { hash, id, metadataFormat, encryptedMetadata }
+ * - hash: CID (serve al backend per indicizzare il record)
+ * - id: identificativo opaco e casuale del record
+ * - encryptedMetadata: JSON dei metadati nel formato a chunk, in base64
+ */
+
+import {
+  ENCRYPTION_FORMAT,
+  base64ToBytes,
+  bytesToBase64,
+  decryptBlob,
+  encryptBlob,
+} from "./chunked-crypto.js";
+
+export const METADATA_FORMAT = `metadata-${ENCRYPTION_FORMAT}`;
+
+function randomId() {
+  if (typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * Verifica se un record di metadati è cifrato
+ */
+export function isSealedMetadata(record) {
+  return (
+    !!record &&
+    record.metadataFormat === METADATA_FORMAT &&
+    typeof record.encryptedMetadata === "string"
+  );
+}
+
+/**
+ * Cifra un record di metadati lasciando in chiaro solo CID e id opaco
+ * @param metadata Metadati completi (deve contenere `hash`)
+ * @param secret Passphrase (string) oppure chiave AES raw
+ * @returns Promise con il record cifrato
+ */
+export async function sealMetadata(metadata, secret) {
+  const json = new Blob([JSON.stringify(metadata)], {
+    type: "application/json",
+  });
+  const encrypted = await encryptBlob(json, secret);
+
+  return {
+    hash: metadata.hash,
+    id: randomId(),
+    metadataFormat: METADATA_FORMAT,
+    encryptedMetadata: bytesToBase64(
+      new Uint8Array(await encrypted.arrayBuffer())
+    ),
+  };
+}
+
+/**
+ * Decifra un record prodotto da sealMetadata
+ * @returns Promise con i metadati in chiaro
+ */
+export async function openMetadata(record, secret) {
+  const encrypted = new Blob([base64ToBytes(record.encryptedMetadata)]);
+  const decrypted = await decryptBlob(encrypted, secret);
+  return JSON.parse(await decrypted.text());
+}
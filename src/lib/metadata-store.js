@@ -0,0 +1,284 @@
+/**
+ * Metadata Store
+ * Cache locale dei metadati di file e directory (indicizzati per CID)
+ *
+ * Ogni entry ha il proprio timestamp (updatedAt), così la freschezza
+ * viene valutata per singolo record invece che con un TTL globale.
+ * Usa IndexedDB quando disponibile (le directory con molti file superano
+ * facilmente la quota di localStorage), altrimenti ricade su localStorage.
+ */
+
+const DB_NAME = "shogun-drive";
+const DB_VERSION = 1;
+const STORE_NAME = "metadata";
+const FALLBACK_KEY = "shogun-drive-metadata-store";
+const LEGACY_CACHE_KEY = "shogun-drive-metadata-cache";
+
+/**
+ * Adapter IndexedDB: un record { cid, metadata, updatedAt } per entry
+ * (dbName, storeName e keyPath configurabili per riusarlo con altri record)
+ */
+export class IndexedDBAdapter {
+  constructor(options = {}) {
+    this.dbName = options.dbName || DB_NAME;
+    this.storeName = options.storeName || STORE_NAME;
+    this.keyPath = options.keyPath || "cid";
+    this.dbPromise = null;
+  }
+
+  static isAvailable() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: this.keyPath });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async _run(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const store = tx.objectStore(this.storeName);
+      const request = operation(store);
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async get(cid) {
+    return (await this._run("readonly", (store) => store.get(cid))) || null;
+  }
+
+  async getAll() {
+    return (await this._run("readonly", (store) => store.getAll())) || [];
+  }
+
+  async putMany(records) {
+    await this._run("readwrite", (store) => {
+      records.forEach((record) => store.put(record));
+      return null;
+    });
+  }
+
+  async delete(cid) {
+    await this._run("readwrite", (store) => store.delete(cid));
+  }
+
+  async deleteMany(keys) {
+    await this._run("readwrite", (store) => {
+      keys.forEach((key) => store.delete(key));
+      return null;
+    });
+  }
+}
+
+/**
+ * Adapter localStorage (fallback quando IndexedDB non è disponibile)
+ */
+export class LocalStorageAdapter {
+  constructor(options = {}) {
+    this.key = options.key || FALLBACK_KEY;
+    this.keyPath = options.keyPath || "cid";
+  }
+
+  _read() {
+    try {
+      return JSON.parse(localStorage.getItem(this.key) || "{}");
+    } catch (e) {
+      return {};
+    }
+  }
+
+  _write(records) {
+    localStorage.setItem(this.key, JSON.stringify(records));
+  }
+
+  async get(cid) {
+    return this._read()[cid] || null;
+  }
+
+  async getAll() {
+    return Object.values(this._read());
+  }
+
+  async putMany(records) {
+    const all = this._read();
+    records.forEach((record) => {
+      all[record[this.keyPath]] = record;
+    });
+    this._write(all);
+  }
+
+  async delete(cid) {
+    const all = this._read();
+    delete all[cid];
+    this._write(all);
+  }
+
+  async deleteMany(keys) {
+    const all = this._read();
+    keys.forEach((key) => delete all[key]);
+    this._write(all);
+  }
+}
+
+export class MetadataStore {
+  constructor(options = {}) {
+    this.adapter =
+      options.adapter ||
+      (IndexedDBAdapter.isAvailable()
+        ? new IndexedDBAdapter()
+        : new LocalStorageAdapter());
+    this.listeners = new Set();
+    this.readyPromise = null;
+  }
+
+  /**
+   * Importa (una sola volta) la vecchia cache localStorage con TTL globale
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = (async () => {
+        try {
+          const legacy = localStorage.getItem(LEGACY_CACHE_KEY);
+          if (!legacy) return;
+
+          const parsed = JSON.parse(legacy);
+          const updatedAt = parsed.timestamp || 0;
+          const records = Object.entries(parsed.data || {}).map(
+            ([cid, metadata]) => ({ cid, metadata, updatedAt })
+          );
+          if (records.length > 0) {
+            await this.adapter.putMany(records);
+            console.log(
+              `📦 Migrated ${records.length} metadata entries from legacy cache`
+            );
+          }
+          localStorage.removeItem(LEGACY_CACHE_KEY);
+        } catch (error) {
+          console.warn("⚠️ Error migrating legacy metadata cache:", error);
+        }
+      })();
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * @returns Promise con i metadati del CID, oppure null
+   */
+  async get(cid) {
+    const entry = await this.getEntry(cid);
+    return entry ? entry.metadata : null;
+  }
+
+  /**
+   * @returns Promise con { cid, metadata, updatedAt }, oppure null
+   */
+  async getEntry(cid) {
+    if (!cid) return null;
+    await this.ready();
+    return await this.adapter.get(cid);
+  }
+
+  async put(cid, metadata) {
+    await this.putMany({ [cid]: metadata });
+  }
+
+  /**
+   * Salva più entry insieme
+   * @param entries Mappa { [cid]: metadata }
+   * @param options.merge Unisce i campi con quelli già salvati (es. `files`
+   *   che il server potrebbe non restituire)
+   */
+  async putMany(entries, options = {}) {
+    await this.ready();
+    const now = Date.now();
+    const records = [];
+
+    for (const [cid, metadata] of Object.entries(entries)) {
+      let merged = metadata;
+      if (options.merge) {
+        const existing = await this.adapter.get(cid);
+        merged = { ...(existing?.metadata || {}), ...metadata };
+      }
+      records.push({ cid, metadata: { ...merged }, updatedAt: now });
+    }
+
+    if (records.length === 0) return;
+
+    await this.adapter.putMany(records);
+    records.forEach((record) =>
+      this._emit({ type: "put", cid: record.cid, metadata: record.metadata })
+    );
+  }
+
+  async delete(cid) {
+    await this.ready();
+    await this.adapter.delete(cid);
+    this._emit({ type: "delete", cid });
+  }
+
+  /**
+   * Lista delle entry salvate
+   * @param options.maxAge Se presente, esclude le entry più vecchie (ms)
+   * @returns Promise con la mappa { [cid]: metadata }
+   */
+  async list(options = {}) {
+    const entries = await this.listEntries(options);
+    return Object.fromEntries(
+      entries.map((entry) => [entry.cid, entry.metadata])
+    );
+  }
+
+  /**
+   * @returns Promise con l'array di { cid, metadata, updatedAt }
+   */
+  async listEntries(options = {}) {
+    await this.ready();
+    const entries = await this.adapter.getAll();
+    if (!options.maxAge) return entries;
+
+    const now = Date.now();
+    return entries.filter((entry) => now - entry.updatedAt < options.maxAge);
+  }
+
+  /**
+   * Verifica se una entry è più vecchia di maxAge
+   */
+  isStale(entry, maxAge) {
+    return !entry || Date.now() - (entry.updatedAt || 0) >= maxAge;
+  }
+
+  /**
+   * Registra un listener per le modifiche ({ type, cid, metadata })
+   * @returns Funzione per annullare la registrazione
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit(event) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn("⚠️ Metadata listener error:", error);
+      }
+    });
+  }
+}
@@ -0,0 +1,369 @@
+/**
+ * Share Links
+ * Link al viewer standalone (share.html) con CID, URL del contenuto e
+ * chiave di decrittazione nel fragment (#...): il fragment non viene mai
+ * inviato al server, quindi né l'host di Drive né il relay vedono la chiave.
+ *
+ * Fragment: v=1 & cid & u (URL del ciphertext) & k (chiave base64url)
+ *           & n (nome) & t (content type) & s (dimensione)
+ *
+ * Link protetti (password e/o scadenza): il fragment punta a un piccolo
+ * record su IPFS che contiene i dati del file cifrati, il salt della KDF e
+ * la scadenza. La chiave del record è derivata dalla password (PBKDF2),
+ * oppure, senza password, viaggia nel fragment.
+ *
+ * Fragment: v=2 & r (CID del record) & u (URL del record) & k? (chiave)
+ */
+
+import {
+  base64ToBytes,
+  bytesToBase64,
+  decryptBlob,
+  encryptBlob,
+} from "./chunked-crypto.js";
+
+export const SHARE_LINK_VERSION = 2;
+export const SHARE_VIEWER_PATH = "/share.html";
+export const LINK_SHARE_RECORD_TYPE = "link-share";
+export const LINK_SHARE_DOCUMENT_TYPE = "shogun-drive-link-share";
+
+const PASSWORD_KDF = "PBKDF2-SHA256";
+const PASSWORD_ITERATIONS = 600000;
+
+export function keyToBase64Url(key) {
+  return bytesToBase64(key)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+export function base64UrlToKey(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  return base64ToBytes(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+}
+
+function toViewerUrl(params, options = {}) {
+  const baseUrl = (options.baseUrl || window.location.origin).replace(
+    /\/+$/,
+    ""
+  );
+  return `${baseUrl}${SHARE_VIEWER_PATH}#${params.toString()}`;
+}
+
+/**
+ * Costruisce il link di condivisione
+ * @param share.url URL pubblico del contenuto (ciphertext se criptato)
+ * @param share.key Chiave di contenuto (Uint8Array), assente per file in chiaro
+ * @param options.baseUrl Origine del viewer (default: origine corrente)
+ */
+export function buildShareLink(share, options = {}) {
+  const params = new URLSearchParams();
+  params.set("v", "1");
+  params.set("cid", share.cid);
+  params.set("u", share.url);
+  if (share.key) params.set("k", keyToBase64Url(share.key));
+  if (share.name) params.set("n", share.name);
+  if (share.type) params.set("t", share.type);
+  if (share.size) params.set("s", String(share.size));
+  return toViewerUrl(params, options);
+}
+
+/**
+ * Link a un record protetto
+ * @param record.key Chiave del record, solo se non è protetto da password
+ */
+export function buildRecordShareLink(record, options = {}) {
+  const params = new URLSearchParams();
+  params.set("v", String(SHARE_LINK_VERSION));
+  params.set("r", record.cid);
+  params.set("u", record.url);
+  if (record.key) params.set("k", keyToBase64Url(record.key));
+  return toViewerUrl(params, options);
+}
+
+/**
+ * Legge i parametri dal fragment del viewer
+ * @returns { cid, url, key, name, type, size }, oppure per i link protetti
+ *   { record: true, cid, url, key }
+ */
+export function parseShareLink(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  if (Number(params.get("v") || 1) > SHARE_LINK_VERSION) {
+    throw new Error("This share link requires a newer version of Drive");
+  }
+
+  const key = params.get("k") ? base64UrlToKey(params.get("k")) : null;
+  const url = params.get("u");
+
+  if (params.get("r")) {
+    if (!url) throw new Error("Invalid share link");
+    return { record: true, cid: params.get("r"), url, key };
+  }
+
+  const cid = params.get("cid");
+  if (!cid || !url) {
+    throw new Error("Invalid share link");
+  }
+
+  return {
+    cid,
+    url,
+    key,
+    name: params.get("n") || cid,
+    type: params.get("t") || "application/octet-stream",
+    size: Number(params.get("s")) || 0,
+  };
+}
+
+async function derivePasswordKey(password, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    baseKey,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+export function isShareExpired(record, now = Date.now()) {
+  return !!record?.expiresAt && record.expiresAt <= now;
+}
+
+/**
+ * Cifra i dati di un link (buildShareLink) in un record protetto
+ * @param options.password Password del link (opzionale)
+ * @param options.expiresAt Scadenza in ms (opzionale)
+ * @returns Promise con { record, key } - key va nel link solo senza password
+ */
+export async function sealShareRecord(share, options = {}) {
+  const record = {
+    type: LINK_SHARE_DOCUMENT_TYPE,
+    version: SHARE_LINK_VERSION,
+    expiresAt: options.expiresAt || null,
+  };
+
+  let key;
+  if (options.password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    key = await derivePasswordKey(options.password, salt, PASSWORD_ITERATIONS);
+    Object.assign(record, {
+      kdf: PASSWORD_KDF,
+      iterations: PASSWORD_ITERATIONS,
+      salt: bytesToBase64(salt),
+    });
+  } else {
+    key = crypto.getRandomValues(new Uint8Array(32));
+  }
+
+  const encrypted = await encryptBlob(
+    new Blob([
+      JSON.stringify({
+        ...share,
+        key: share.key ? bytesToBase64(share.key) : null,
+      }),
+    ]),
+    key
+  );
+  record.encryptedShare = bytesToBase64(
+    new Uint8Array(await encrypted.arrayBuffer())
+  );
+
+  return { record, key: options.password ? null : key };
+}
+
+/**
+ * Verifica se un record richiede la password
+ */
+export function isPasswordProtected(record) {
+  return record?.kdf === PASSWORD_KDF;
+}
+
+/**
+ * Decifra un record protetto
+ * @param secret.password Password (record protetti da password)
+ * @param secret.key Chiave dal fragment (record senza password)
+ * @returns Promise con { cid, url, key, name, type, size }
+ */
+export async function openShareRecord(record, secret = {}) {
+  if (isShareExpired(record)) {
+    throw new Error("This share link has expired");
+  }
+
+  const key = isPasswordProtected(record)
+    ? await derivePasswordKey(
+        secret.password || "",
+        base64ToBytes(record.salt),
+        record.iterations
+      )
+    : secret.key;
+  if (!key) {
+    throw new Error("Invalid share link");
+  }
+
+  let share;
+  try {
+    const decrypted = await decryptBlob(
+      new Blob([base64ToBytes(record.encryptedShare)]),
+      key
+    );
+    share = JSON.parse(await decrypted.text());
+  } catch (error) {
+    throw new Error(
+      isPasswordProtected(record) ? "Wrong password" : "Invalid share link"
+    );
+  }
+  return { ...share, key: share.key ? base64ToBytes(share.key) : null };
+}
+
+/**
+ * Ciclo di vita dei link protetti: il record viene caricato su IPFS e
+ * indicizzato con saveFileMetadata (in chiaro, senza dati del file);
+ * revoca e scadenza lo rimuovono con deleteFile (unpin + metadati).
+ * La scadenza è solo indicativa: il viewer la rispetta, ma il record resta
+ * leggibile finché non viene tolto il pin (impossibile in modalità wallet).
+ *
+ * Record nel system hash map:
+ * { hash, recordType: "link-share", expiresAt, createdAt, senderRecord }
+ * senderRecord = { itemCid, name, link, passwordProtected } cifrato con la
+ * chiave master: serve a "My shares" e solo il proprietario lo legge.
+ */
+export class LinkSharing {
+  constructor(driveCore) {
+    this.driveCore = driveCore;
+  }
+
+  /**
+   * Crea un link protetto per un file
+   * @param options.password Password (opzionale)
+   * @param options.expiresAt Scadenza in ms (opzionale)
+   * @returns Promise con l'URL del link
+   */
+  async create(file, options = {}) {
+    if (!this.driveCore.hasCredentials({ signed: true })) {
+      throw new Error("Auth token or wallet connection is required.");
+    }
+    if (options.expiresAt && options.expiresAt <= Date.now()) {
+      throw new Error("The expiry date must be in the future");
+    }
+
+    const share = await this.driveCore.getSharePayload(file);
+    const { record, key } = await sealShareRecord(share, options);
+
+    const { hash } = await this.driveCore.backend.add(
+      new File([JSON.stringify(record)], "share-link.json", {
+        type: "application/json",
+      })
+    );
+    const link = buildRecordShareLink({
+      cid: hash,
+      url: this.driveCore.backend.publicUrl(hash),
+      key,
+    });
+
+    const senderRecord = await encryptBlob(
+      new Blob([
+        JSON.stringify({
+          itemCid: file.cid,
+          name: share.name,
+          link,
+          passwordProtected: !!options.password,
+        }),
+      ]),
+      this.driveCore.getKeyring({ forEncryption: true })
+    );
+
+    const saved = await this.driveCore.saveFileMetadata(
+      {
+        hash,
+        recordType: LINK_SHARE_RECORD_TYPE,
+        expiresAt: record.expiresAt,
+        createdAt: Date.now(),
+        senderRecord: bytesToBase64(
+          new Uint8Array(await senderRecord.arrayBuffer())
+        ),
+      },
+      { public: true }
+    );
+    if (!saved) {
+      await this.driveCore.deleteFile(hash);
+      throw new Error("Failed to save share record");
+    }
+
+    console.log(`🔗 Protected share link created for ${file.cid}`);
+    return link;
+  }
+
+  async _records() {
+    const map = this.driveCore.backend.capabilities.remoteMetadata
+      ? await this.driveCore.backend.getMetadataMap()
+      : await this.driveCore.metadataStore.list();
+    return Object.entries(map || {})
+      .filter(([, record]) => record?.recordType === LINK_SHARE_RECORD_TYPE)
+      .map(([cid, record]) => ({ ...record, hash: record.hash || cid }));
+  }
+
+  /**
+   * Link protetti creati con la chiave corrente
+   * (i record di altri utenti non si decifrano e vengono ignorati)
+   * @returns Promise con [{ shareCid, itemCid, name, link, passwordProtected, expiresAt, expired, createdAt }]
+   */
+  async list() {
+    const shares = [];
+    for (const record of await this._records()) {
+      try {
+        const decrypted = await decryptBlob(
+          new Blob([base64ToBytes(record.senderRecord)]),
+          this.driveCore.getKeyring()
+        );
+        shares.push({
+          ...JSON.parse(await decrypted.text()),
+          shareCid: record.hash,
+          expiresAt: record.expiresAt || null,
+          expired: isShareExpired(record),
+          createdAt: record.createdAt,
+        });
+      } catch (error) {
+        // Record di un altro utente o cifrato con un'altra chiave
+      }
+    }
+    return shares.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  }
+
+  /**
+   * Revoca un link: rimuove il record e il suo pin
+   */
+  async revoke(share) {
+    await this.driveCore.deleteFile(share.shareCid);
+    console.log(`🚫 Share link ${share.shareCid} revoked`);
+  }
+
+  /**
+   * Rimuove i link scaduti
+   * @returns Promise con il numero di link rimossi
+   */
+  async cleanupExpired() {
+    if (!this.driveCore.hasCredentials({ signed: true })) {
+      return 0;
+    }
+    let removed = 0;
+    for (const share of await this.list()) {
+      if (!share.expired) continue;
+      try {
+        await this.revoke(share);
+        removed++;
+      } catch (error) {
+        console.warn(`⚠️ Could not remove expired share ${share.shareCid}:`, error);
+      }
+    }
+    if (removed) {
+      console.log(`🧹 Removed ${removed} expired share link(s)`);
+    }
+    return removed;
+  }
+}
@@ -0,0 +1,444 @@
+/**
+ * UnixFS
+ * Codifica minima di CID, dag-pb e nodi file UnixFS, per assemblare nel
+ * browser un file IPFS a partire da blocchi raw caricati singolarmente.
+ *
+ * Layout del file: albero bilanciato (come il builder di default di Kubo)
+ * con foglie raw e al massimo MAX_LINKS link per nodo.
+ *
+ * computeFileCid calcola invece il CID che Kubo assegna con `ipfs add` e le
+ * opzioni di default (CIDv0, chunk da 256 KiB, foglie dag-pb): serve a
+ * sapere prima dell'upload se un contenuto è già salvato.
+ *
+ * Le funzioni di decodifica (decodeDagPb, decodeUnixFs, verifyBlock)
+ * servono a verificare il contenuto scaricato (vedi integrity.js);
+ * encodeDirectoryNode a modificare le directory (vedi directory-patch.js).
+ */
+
+export const CODEC_RAW = 0x55;
+export const CODEC_DAG_PB = 0x70;
+export const MAX_LINKS = 174;
+export const DEFAULT_CHUNKER_SIZE = 256 * 1024;
+
+// Tipi di nodo UnixFS
+export const UNIXFS_TYPES = {
+  RAW: 0,
+  DIRECTORY: 1,
+  FILE: 2,
+  METADATA: 3,
+  SYMLINK: 4,
+  HAMT_SHARD: 5,
+};
+
+const CID_VERSION = 1;
+const IDENTITY = 0x00;
+const SHA2_256 = 0x12;
+const UNIXFS_FILE = UNIXFS_TYPES.FILE;
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+/**
+ * Varint (unsigned LEB128), valido fino a Number.MAX_SAFE_INTEGER
+ */
+function varint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return bytes;
+}
+
+/**
+ * @returns [valore, offset dopo il varint]
+ */
+function readVarint(bytes, offset) {
+  let value = 0;
+  let factor = 1;
+  let byte;
+  do {
+    if (offset >= bytes.length) {
+      throw new Error("Truncated varint");
+    }
+    byte = bytes[offset++];
+    value += (byte & 0x7f) * factor;
+    factor *= 0x80;
+  } while (byte & 0x80);
+  return [value, offset];
+}
+
+function concat(parts) {
+  const length = parts.reduce((total, part) => total + part.length, 0);
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// Campi protobuf: chiave = (numero campo << 3) | wire type
+function varintField(field, value) {
+  return Uint8Array.from([field << 3, ...varint(value)]);
+}
+
+function bytesField(field, bytes) {
+  return concat([Uint8Array.from([(field << 3) | 2, ...varint(bytes.length)]), bytes]);
+}
+
+/**
+ * Campi di un messaggio protobuf (solo varint e length-delimited)
+ * @returns [{ field, value }] (value: numero oppure byte)
+ */
+function decodeFields(bytes) {
+  const fields = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    let key;
+    let value;
+    [key, offset] = readVarint(bytes, offset);
+    const wireType = key & 7;
+    if (wireType === 0) {
+      [value, offset] = readVarint(bytes, offset);
+    } else if (wireType === 2) {
+      let length;
+      [length, offset] = readVarint(bytes, offset);
+      if (offset + length > bytes.length) {
+        throw new Error("Truncated protobuf field");
+      }
+      value = bytes.subarray(offset, offset + length);
+      offset += length;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+    fields.push({ field: Math.floor(key / 8), value });
+  }
+  return fields;
+}
+
+function equalBytes(a, b) {
+  return a.length === b.length && a.every((byte, index) => byte === b[index]);
+}
+
+function compareBytes(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+function base32(bytes) {
+  let output = "";
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base58(bytes) {
+  let value = 0n;
+  for (const byte of bytes) value = value * 256n + BigInt(byte);
+  let output = "";
+  while (value > 0n) {
+    output = BASE58_ALPHABET[Number(value % 58n)] + output;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    output = "1" + output;
+  }
+  return output;
+}
+
+/**
+ * CID (sha2-256) di un blocco
+ * @param codec CODEC_RAW oppure CODEC_DAG_PB
+ * @param version 1 (default) oppure 0 (solo dag-pb: il CID è il multihash)
+ * @returns Promise con { bytes, string } (v1 base32 "b...", v0 base58 "Qm...")
+ */
+export async function createCid(codec, block, version = CID_VERSION) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", block));
+  const multihash = [SHA2_256, digest.length, ...digest];
+  const bytes =
+    version === 0
+      ? Uint8Array.from(multihash)
+      : Uint8Array.from([CID_VERSION, ...varint(codec), ...multihash]);
+  return { bytes, string: cidToString(bytes) };
+}
+
+export function cidToString(bytes) {
+  // CIDv0: solo il multihash sha2-256
+  if (bytes[0] === SHA2_256 && bytes.length === 34) {
+    return base58(bytes);
+  }
+  return `b${base32(bytes)}`;
+}
+
+/**
+ * Decodifica un CID (inverso di cidToString): v0 base58 o v1 base32
+ */
+export function cidFromString(string) {
+  if (string.startsWith("Qm") && string.length === 46) {
+    let value = 0n;
+    for (const char of string) {
+      const digit = BASE58_ALPHABET.indexOf(char);
+      if (digit < 0) throw new Error(`Invalid CID: ${string}`);
+      value = value * 58n + BigInt(digit);
+    }
+    const bytes = new Uint8Array(34);
+    for (let i = bytes.length - 1; i >= 0; i--) {
+      bytes[i] = Number(value & 0xffn);
+      value >>= 8n;
+    }
+    return bytes;
+  }
+  if (!string.startsWith("b")) {
+    throw new Error(`Unsupported CID encoding: ${string}`);
+  }
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of string.slice(1)) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value < 0) throw new Error(`Invalid CID: ${string}`);
+    buffer = (buffer << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Scompone un CID
+ * @param cid CID come stringa o byte
+ * @returns { version, codec, hashCode, digest }
+ */
+export function parseCid(cid) {
+  const bytes = typeof cid === "string" ? cidFromString(cid) : cid;
+  if (bytes[0] === SHA2_256 && bytes.length === 34) {
+    return {
+      version: 0,
+      codec: CODEC_DAG_PB,
+      hashCode: SHA2_256,
+      digest: bytes.subarray(2),
+    };
+  }
+
+  let offset = 0;
+  let version;
+  let codec;
+  let hashCode;
+  let length;
+  [version, offset] = readVarint(bytes, offset);
+  [codec, offset] = readVarint(bytes, offset);
+  [hashCode, offset] = readVarint(bytes, offset);
+  [length, offset] = readVarint(bytes, offset);
+  if (version !== 1 || offset + length !== bytes.length) {
+    throw new Error("Invalid CID");
+  }
+  return { version, codec, hashCode, digest: bytes.subarray(offset) };
+}
+
+/**
+ * Verifica che un blocco corrisponda al suo CID
+ * @returns Promise con il CID scomposto (vedi parseCid)
+ */
+export async function verifyBlock(cid, block) {
+  const parsed = parseCid(cid);
+  let digest;
+  if (parsed.hashCode === SHA2_256) {
+    digest = new Uint8Array(await crypto.subtle.digest("SHA-256", block));
+  } else if (parsed.hashCode === IDENTITY) {
+    digest = block;
+  } else {
+    throw new Error(
+      `Unsupported hash function 0x${parsed.hashCode.toString(16)}`
+    );
+  }
+  if (!equalBytes(digest, parsed.digest)) {
+    const error = new Error(
+      `Integrity check failed: block ${
+        typeof cid === "string" ? cid : cidToString(cid)
+      } does not match its CID`
+    );
+    error.integrity = true;
+    throw error;
+  }
+  return parsed;
+}
+
+/**
+ * Decodifica un nodo dag-pb
+ * @returns { links: [{ cid (bytes), name, tsize }], data (byte o null) }
+ */
+export function decodeDagPb(block) {
+  const links = [];
+  let data = null;
+  for (const { field, value } of decodeFields(block)) {
+    if (field === 1) data = value;
+    if (field === 2) {
+      const link = { cid: null, name: "", tsize: 0 };
+      for (const part of decodeFields(value)) {
+        if (part.field === 1) link.cid = part.value;
+        if (part.field === 2) link.name = new TextDecoder().decode(part.value);
+        if (part.field === 3) link.tsize = part.value;
+      }
+      links.push(link);
+    }
+  }
+  return { links, data };
+}
+
+/**
+ * Decodifica il campo Data UnixFS di un nodo dag-pb
+ * @returns { type, data, filesize, blocksizes }
+ */
+export function decodeUnixFs(data) {
+  const node = { type: null, data: new Uint8Array(0), filesize: null, blocksizes: [] };
+  for (const { field, value } of decodeFields(data || new Uint8Array(0))) {
+    if (field === 1) node.type = value;
+    if (field === 2) node.data = value;
+    if (field === 3) node.filesize = value;
+    if (field === 4) node.blocksizes.push(value);
+  }
+  return node;
+}
+
+/**
+ * Nodo dag-pb di un file UnixFS
+ * @param children [{ cid (bytes), size (byte di contenuto), tsize (byte dei blocchi) }]
+ * @returns Blocco codificato (i link precedono Data, come da forma canonica)
+ */
+export function encodeFileNode(children) {
+  const filesize = children.reduce((total, child) => total + child.size, 0);
+  const data = concat([
+    varintField(1, UNIXFS_FILE),
+    varintField(3, filesize),
+    ...children.map((child) => varintField(4, child.size)),
+  ]);
+  const links = children.map((child) =>
+    bytesField(
+      2,
+      concat([
+        bytesField(1, child.cid),
+        bytesField(2, new Uint8Array(0)),
+        varintField(3, child.tsize),
+      ])
+    )
+  );
+  return concat([...links, bytesField(1, data)]);
+}
+
+/**
+ * Foglia dag-pb con i dati inline (layout di default di `ipfs add`)
+ */
+export function encodeFileLeaf(data) {
+  const unixfs = concat([
+    varintField(1, UNIXFS_FILE),
+    ...(data.length ? [bytesField(2, data)] : []),
+    varintField(3, data.length),
+  ]);
+  return bytesField(1, unixfs);
+}
+
+/**
+ * Nodo dag-pb di una directory UnixFS
+ * @param links [{ cid (bytes), name, tsize }]
+ * @returns Blocco codificato, con i link ordinati per nome (byte UTF-8)
+ *   come nelle directory create da Kubo
+ */
+export function encodeDirectoryNode(links) {
+  const encoder = new TextEncoder();
+  const sorted = links
+    .map((link) => ({ ...link, nameBytes: encoder.encode(link.name) }))
+    .sort((a, b) => compareBytes(a.nameBytes, b.nameBytes));
+  return concat([
+    ...sorted.map((link) =>
+      bytesField(
+        2,
+        concat([
+          bytesField(1, link.cid),
+          bytesField(2, link.nameBytes),
+          varintField(3, link.tsize),
+        ])
+      )
+    ),
+    bytesField(1, varintField(1, UNIXFS_TYPES.DIRECTORY)),
+  ]);
+}
+
+/**
+ * Assembla le foglie in un albero bilanciato
+ * @param leaves [{ cid (bytes), size, tsize? }] foglie nell'ordine del file
+ *   (tsize: dimensione del blocco, se diversa dai byte di contenuto)
+ * @param putNode Callback async (block, cid) che salva ogni nodo intermedio
+ * @param options.cidVersion Versione dei CID dei nodi (default 1)
+ * @returns Promise con la radice { cid, size, tsize }
+ */
+export async function buildFileTree(leaves, putNode, options = {}) {
+  let level = leaves.map((leaf) => ({ ...leaf, tsize: leaf.tsize ?? leaf.size }));
+  while (level.length > 1) {
+    const parents = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) {
+      const children = level.slice(i, i + MAX_LINKS);
+      const block = encodeFileNode(children);
+      const cid = await createCid(CODEC_DAG_PB, block, options.cidVersion);
+      await putNode(block, cid);
+      parents.push({
+        cid: cid.bytes,
+        size: children.reduce((total, child) => total + child.size, 0),
+        tsize:
+          block.length +
+          children.reduce((total, child) => total + child.tsize, 0),
+      });
+    }
+    level = parents;
+  }
+  return level[0];
+}
+
+/**
+ * CID che `ipfs add` (opzioni di default) assegnerebbe al contenuto
+ * @param options.cidVersion 0 (default: foglie dag-pb) oppure 1 (come
+ *   `--cid-version 1`: foglie raw, lo stesso layout di chunked-upload.js)
+ * @returns Promise con il CID ("Qm..." oppure "b...")
+ */
+export async function computeFileCid(blob, options = {}) {
+  const cidVersion = options.cidVersion ?? 0;
+  const leaves = [];
+  let offset = 0;
+  do {
+    const data = new Uint8Array(
+      await blob.slice(offset, offset + DEFAULT_CHUNKER_SIZE).arrayBuffer()
+    );
+    const block = cidVersion === 0 ? encodeFileLeaf(data) : data;
+    const cid = await createCid(
+      cidVersion === 0 ? CODEC_DAG_PB : CODEC_RAW,
+      block,
+      cidVersion
+    );
+    leaves.push({ cid: cid.bytes, size: data.length, tsize: block.length });
+    offset += DEFAULT_CHUNKER_SIZE;
+  } while (offset < blob.size);
+
+  const root = await buildFileTree(leaves, async () => {}, { cidVersion });
+  return cidToString(root.cid);
+}
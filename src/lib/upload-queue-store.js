@@ -0,0 +1,138 @@
+/**
+ * Upload Queue Store
+ * Salva in IndexedDB i job in sospeso della UploadQueue, così un upload
+ * interrotto dalla chiusura della pagina può essere ripreso al riavvio.
+ *
+ * Per ogni file si salva, in ordine di preferenza:
+ * - il FileSystemFileHandle (File System Access API): nessuna copia dei byte,
+ *   alla ripresa il browser può chiedere di nuovo il permesso di lettura
+ * - il File stesso, se il job non supera PERSIST_MAX_BYTES
+ * I job più grandi senza handle non vengono salvati.
+ *
+ * Record (keyPath "id"):
+ *   { id, kind, name, size, options, target, folderName, createdAt,
+ *     entries: [{ path, handle, file }] }
+ */
+
+import { IndexedDBAdapter } from "./metadata-store.js";
+
+export const PERSIST_MAX_BYTES = 32 * 1024 * 1024;
+
+const QUEUE_DB_NAME = "shogun-drive-upload-queue";
+
+export class UploadQueueStore {
+  constructor(options = {}) {
+    // Senza IndexedDB (file e handle non entrano in localStorage) lo store è disattivato
+    this.adapter =
+      options.adapter ||
+      (IndexedDBAdapter.isAvailable()
+        ? new IndexedDBAdapter({
+            dbName: QUEUE_DB_NAME,
+            storeName: "jobs",
+            keyPath: "id",
+          })
+        : null);
+    // Le operazioni vengono eseguite in ordine (un job può finire prima del salvataggio)
+    this.pending = Promise.resolve();
+  }
+
+  _enqueue(operation) {
+    const result = this.pending.then(operation);
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Salva un job della coda
+   * @returns Promise con true se il job è stato salvato
+   */
+  async save(job) {
+    if (!this.adapter) return false;
+
+    const files = job.files || [job.file];
+    const handles = job.files ? [] : [job.handle];
+    const bytesToCopy = files.reduce(
+      (total, file, index) => total + (handles[index] ? 0 : file.size),
+      0
+    );
+    if (bytesToCopy > PERSIST_MAX_BYTES) return false;
+
+    const record = {
+      id: job.id,
+      kind: job.kind,
+      name: job.name,
+      size: job.size,
+      options: job.options,
+      target: job.target,
+      folderName: job.folderName,
+      createdAt: Date.now(),
+      entries: files.map((file, index) => ({
+        path: file.webkitRelativePath || "",
+        handle: handles[index] || null,
+        file: handles[index] ? null : file,
+      })),
+    };
+    await this._enqueue(() => this.adapter.putMany([record]));
+    return true;
+  }
+
+  async remove(id) {
+    if (!this.adapter) return;
+    await this._enqueue(() => this.adapter.delete(id));
+  }
+
+  /**
+   * @returns Promise con i record salvati, dal più vecchio
+   */
+  async list() {
+    if (!this.adapter) return [];
+    const records = await this._enqueue(() => this.adapter.getAll());
+    return records.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Rilegge i file di un record (chiede il permesso per gli handle)
+   * @returns Promise con { file } per i job "file", { files } per i batch
+   */
+  async loadFiles(record) {
+    const files = [];
+    for (const entry of record.entries || []) {
+      const file = entry.handle
+        ? await this._readHandle(entry.handle)
+        : entry.file;
+      if (!file) {
+        throw new Error(`${record.name} is no longer available`);
+      }
+      files.push(entry.path ? withRelativePath(file, entry.path) : file);
+    }
+    return record.kind === "batch" ? { files } : { file: files[0] };
+  }
+
+  async _readHandle(handle) {
+    const options = { mode: "read" };
+    if (
+      (await handle.queryPermission?.(options)) !== "granted" &&
+      (await handle.requestPermission?.(options)) !== "granted"
+    ) {
+      throw new Error(`Permission to read ${handle.name} was denied`);
+    }
+    return await handle.getFile();
+  }
+}
+
+/**
+ * I File salvati in IndexedDB perdono webkitRelativePath, che serve per
+ * ricostruire la struttura delle cartelle
+ */
+function withRelativePath(file, path) {
+  if (file.webkitRelativePath === path) return file;
+  const copy = new File([file], file.name, {
+    type: file.type,
+    lastModified: file.lastModified,
+  });
+  Object.defineProperty(copy, "webkitRelativePath", {
+    value: path,
+    writable: false,
+  });
+  return copy;
+}
@@ -0,0 +1,354 @@
+/**
+ * Upload Queue
+ * Coda di upload con job concorrenti: ogni job ha progresso reale (byte
+ * inviati), e può essere messo in pausa, ripreso, annullato o riprovato.
+ *
+ * Stati di un job: queued → encrypting → uploading → done
+ *                  paused | cancelled | error (da riprovare con retry)
+ * La pausa interrompe la richiesta in corso: alla ripresa il job riparte.
+ *
+ * Tipi di job: "file" (un file nella root) e "batch" (più file caricati
+ * insieme: una nuova cartella, oppure file aggiunti a una cartella esistente
+ * indicata da target). I job con lo stesso target girano uno alla volta.
+ *
+ * Con uno store (vedi upload-queue-store.js) i job in sospeso sopravvivono
+ * al reload: vengono ripristinati in pausa con restore().
+ */
+
+export const UPLOAD_STATUS = {
+  QUEUED: "queued",
+  ENCRYPTING: "encrypting",
+  UPLOADING: "uploading",
+  PAUSED: "paused",
+  DONE: "done",
+  ERROR: "error",
+  CANCELLED: "cancelled",
+};
+
+const ACTIVE_STATUSES = [UPLOAD_STATUS.ENCRYPTING, UPLOAD_STATUS.UPLOADING];
+const FINISHED_STATUSES = [
+  UPLOAD_STATUS.DONE,
+  UPLOAD_STATUS.ERROR,
+  UPLOAD_STATUS.CANCELLED,
+];
+
+export const DEFAULT_UPLOAD_CONCURRENCY = 3;
+
+export class UploadQueue {
+  /**
+   * @param driveCore Istanza DriveCore usata per gli upload
+   * @param options.concurrency Upload contemporanei
+   * @param options.onChange Callback (jobs) a ogni cambio di stato o progresso
+   * @param options.onJobDone Callback (job) quando un upload termina con successo
+   * @param options.onIdle Callback ({ done, failed }) quando la coda si svuota
+   * @param options.uploader Callback async (job, { signal, onProgress }) che
+   *   esegue un job (default: DriveCore.uploadFile del file del job)
+   * @param options.store UploadQueueStore per salvare i job in sospeso
+   */
+  constructor(driveCore, options = {}) {
+    this.driveCore = driveCore;
+    this.uploader =
+      options.uploader ||
+      ((job, { signal, onProgress }) =>
+        this.driveCore.uploadFile(job.file, {
+          ...job.options,
+          signal,
+          onProgress,
+        }));
+    this.store = options.store || null;
+    this.concurrency = options.concurrency || DEFAULT_UPLOAD_CONCURRENCY;
+    this.onChange = options.onChange || (() => {});
+    this.onJobDone = options.onJobDone || (() => {});
+    this.onIdle = options.onIdle || (() => {});
+    this.jobs = [];
+    // Risultati dall'ultima volta che la coda era vuota (per onIdle)
+    this.batch = { done: 0, failed: 0 };
+  }
+
+  /**
+   * Accoda dei file nella root, un job per file
+   * @param options.encrypt Cripta i file (default true)
+   * @param options.handles FileSystemFileHandle dei file (stesso ordine),
+   *   per riprenderli dopo un reload senza copiarne i byte
+   * @returns I job creati
+   */
+  add(files, options = {}) {
+    const handles = options.handles || [];
+    const jobs = Array.from(files).map((file, index) =>
+      this._createJob({
+        kind: "file",
+        file,
+        handle: handles[index] || null,
+        name: file.name,
+        size: file.size,
+        options: { encrypt: options.encrypt !== false },
+      })
+    );
+    this._enqueue(jobs);
+    return jobs;
+  }
+
+  /**
+   * Accoda più file come un unico job
+   * @param options.name Nome mostrato nel pannello
+   * @param options.folderName Nome della nuova cartella
+   * @param options.target { directoryCid, name } cartella esistente a cui
+   *   aggiungere i file (assente: i file formano una nuova cartella)
+   * @returns Il job creato
+   */
+  addBatch(files, options = {}) {
+    files = Array.from(files);
+    const job = this._createJob({
+      kind: "batch",
+      files,
+      name: options.name || `${files.length} file(s)`,
+      size: files.reduce((total, file) => total + file.size, 0),
+      folderName: options.folderName || null,
+      target: options.target || null,
+      options: { encrypt: options.encrypt !== false },
+    });
+    this._enqueue([job]);
+    return job;
+  }
+
+  /**
+   * Ripristina i job salvati prima di un reload: restano in pausa finché
+   * non vengono ripresi (i file si rileggono dallo store alla ripresa)
+   * @param records Record di UploadQueueStore.list()
+   */
+  restore(records) {
+    const jobs = records
+      .filter((record) => !this.get(record.id))
+      .map((record) => ({
+        ...this._createJob({
+          kind: record.kind,
+          name: record.name,
+          size: record.size,
+          folderName: record.folderName || null,
+          target: record.target || null,
+          options: record.options || { encrypt: true },
+        }),
+        id: record.id,
+        status: UPLOAD_STATUS.PAUSED,
+        record,
+      }));
+    this.jobs.push(...jobs);
+    this._changed();
+    return jobs;
+  }
+
+  _createJob(fields) {
+    return {
+      id: crypto.randomUUID(),
+      file: null,
+      files: null,
+      handle: null,
+      folderName: null,
+      target: null,
+      record: null,
+      ...fields,
+      status: UPLOAD_STATUS.QUEUED,
+      loaded: 0,
+      total: fields.size,
+      error: null,
+      result: null,
+      controller: null,
+    };
+  }
+
+  _enqueue(jobs) {
+    this.jobs.push(...jobs);
+    jobs.forEach((job) => this._persist(job));
+    this._changed();
+    this._pump();
+  }
+
+  _persist(job) {
+    this.store
+      ?.save(job)
+      .then((saved) => {
+        if (!saved) {
+          console.warn(`⚠️ ${job.name} is too large to resume after a reload`);
+        }
+      })
+      .catch((error) =>
+        console.warn(`⚠️ Could not save upload ${job.name}:`, error)
+      );
+  }
+
+  _forget(job) {
+    this.store
+      ?.remove(job.id)
+      .catch((error) =>
+        console.warn(`⚠️ Could not remove saved upload ${job.name}:`, error)
+      );
+  }
+
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, parseInt(concurrency) || 1);
+    this._pump();
+  }
+
+  get(id) {
+    return this.jobs.find((job) => job.id === id);
+  }
+
+  pause(id) {
+    const job = this.get(id);
+    if (!job) return;
+    if (job.status === UPLOAD_STATUS.QUEUED || this._isActive(job)) {
+      this._interrupt(job, UPLOAD_STATUS.PAUSED);
+    }
+  }
+
+  resume(id) {
+    const job = this.get(id);
+    if (job?.status !== UPLOAD_STATUS.PAUSED) return;
+    this._requeue(job);
+  }
+
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return;
+    this._interrupt(job, UPLOAD_STATUS.CANCELLED);
+    this._forget(job);
+    this._checkIdle();
+  }
+
+  retry(id) {
+    const job = this.get(id);
+    if (
+      job?.status !== UPLOAD_STATUS.ERROR &&
+      job?.status !== UPLOAD_STATUS.CANCELLED
+    ) {
+      return;
+    }
+    this._requeue(job);
+  }
+
+  pauseAll() {
+    this.jobs.forEach((job) => this.pause(job.id));
+  }
+
+  resumeAll() {
+    this.jobs.forEach((job) => this.resume(job.id));
+  }
+
+  /**
+   * Rimuove dalla lista i job completati o annullati
+   */
+  clearFinished() {
+    this.jobs = this.jobs.filter(
+      (job) =>
+        job.status !== UPLOAD_STATUS.DONE &&
+        job.status !== UPLOAD_STATUS.CANCELLED
+    );
+    this._changed();
+  }
+
+  _isActive(job) {
+    return ACTIVE_STATUSES.includes(job.status);
+  }
+
+  _interrupt(job, status) {
+    job.status = status;
+    // L'AbortError del job in corso viene ignorato: lo stato è già impostato
+    job.controller?.abort();
+    job.controller = null;
+    this._changed();
+    this._pump();
+  }
+
+  _requeue(job) {
+    job.status = UPLOAD_STATUS.QUEUED;
+    job.loaded = 0;
+    job.error = null;
+    this._changed();
+    this._pump();
+  }
+
+  _changed() {
+    this.onChange(this.jobs);
+  }
+
+  _pump() {
+    const active = this.jobs.filter((job) => this._isActive(job));
+    // Una cartella alla volta: ogni aggiunta ne cambia il CID
+    const busyTargets = new Set(
+      active.map((job) => job.target?.directoryCid).filter(Boolean)
+    );
+    let running = active.length;
+    for (const job of this.jobs) {
+      if (running >= this.concurrency) break;
+      if (job.status !== UPLOAD_STATUS.QUEUED) continue;
+      if (job.target && busyTargets.has(job.target.directoryCid)) continue;
+      if (job.target) busyTargets.add(job.target.directoryCid);
+      running++;
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    const controller = new AbortController();
+    job.controller = controller;
+    job.status = UPLOAD_STATUS.ENCRYPTING;
+    job.loaded = 0;
+    this._changed();
+
+    try {
+      // Job ripristinato: rileggi i file dallo store
+      if (job.record && !job.file && !job.files) {
+        Object.assign(job, await this.store.loadFiles(job.record));
+        if (job.controller !== controller) return;
+      }
+
+      job.result = await this.uploader(job, {
+        signal: controller.signal,
+        onProgress: ({ phase, loaded, total }) => {
+          if (job.controller !== controller) return;
+          job.status =
+            phase === "uploading"
+              ? UPLOAD_STATUS.UPLOADING
+              : UPLOAD_STATUS.ENCRYPTING;
+          job.loaded = loaded;
+          job.total = total || job.total;
+          this._changed();
+        },
+      });
+      if (job.controller !== controller) return;
+
+      job.status = UPLOAD_STATUS.DONE;
+      job.loaded = job.total;
+      job.controller = null;
+      this._forget(job);
+      this.batch.done++;
+      this.onJobDone(job);
+    } catch (error) {
+      // Pausa o annullamento: lo stato è già stato aggiornato
+      if (job.controller !== controller) return;
+
+      console.error(`❌ Upload failed for ${job.name}:`, error);
+      job.status = UPLOAD_STATUS.ERROR;
+      job.error = error.message;
+      job.controller = null;
+      this.batch.failed++;
+    }
+
+    this._changed();
+    this._pump();
+    this._checkIdle();
+  }
+
+  _checkIdle() {
+    const pending = this.jobs.some(
+      (job) => job.status === UPLOAD_STATUS.QUEUED || this._isActive(job)
+    );
+    if (pending) return;
+
+    const batch = this.batch;
+    this.batch = { done: 0, failed: 0 };
+    if (batch.done || batch.failed) {
+      this.onIdle(batch);
+    }
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Wallet Key
+ * Deriva una chiave di cifratura deterministica dal wallet connesso:
+ * il wallet firma un messaggio typed-data dedicato (EIP-712) e la firma
+ * passa per HKDF-SHA256. Stesso wallet = stessa chiave su ogni dispositivo.
+ *
+ * Il messaggio non contiene chainId né nonce: deve restare identico
+ * ovunque, altrimenti la chiave cambierebbe.
+ */
+
+export const WALLET_KEY_VERSION = 1;
+
+const HKDF_SALT = "shogun-drive/wallet-key";
+
+/**
+ * Dati EIP-712 da firmare (argomenti di signer.signTypedData in ethers v6)
+ */
+export function buildEncryptionKeyTypedData(address) {
+  return {
+    domain: {
+      name: "Shogun Drive",
+      version: String(WALLET_KEY_VERSION),
+    },
+    types: {
+      EncryptionKey: [
+        { name: "purpose", type: "string" },
+        { name: "account", type: "address" },
+        { name: "version", type: "uint256" },
+      ],
+    },
+    message: {
+      purpose:
+        "Derive the Shogun Drive encryption key. Sign only on Shogun Drive.",
+      account: address,
+      version: WALLET_KEY_VERSION,
+    },
+  };
+}
+
+function hexToBytes(hex) {
+  const clean = hex.startsWith("0x") ? hex.slice(2) : hex;
+  if (!/^[0-9a-fA-F]*$/.test(clean) || clean.length % 2 !== 0) {
+    throw new Error("Invalid wallet signature");
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * HKDF-SHA256 sulla firma typed-data
+ * @returns Promise con la chiave AES-256 raw (Uint8Array da 32 byte)
+ */
+export async function deriveKeyFromSignature(signature, address) {
+  if (!signature || !address) {
+    throw new Error("Wallet signature and address are required");
+  }
+
+  const encoder = new TextEncoder();
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    hexToBytes(signature),
+    "HKDF",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: encoder.encode(HKDF_SALT),
+      info: encoder.encode(
+        `encryption-key:v${WALLET_KEY_VERSION}:${address.toLowerCase()}`
+      ),
+    },
+    baseKey,
+    256
+  );
+  return new Uint8Array(bits);
+}
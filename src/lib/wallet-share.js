@@ -0,0 +1,788 @@
+/**
+ * Wallet Sharing
+ * Condivide file e directory con un indirizzo Ethereum specifico.
+ *
+ * Ogni wallet ha una coppia di chiavi X25519 di condivisione, derivata dalla
+ * chiave del wallet (wallet-key.js) e pubblicata nel system hash map insieme
+ * a una firma EIP-712 che la lega all'indirizzo. Chi condivide cifra le chiavi
+ * di contenuto dei file per la chiave pubblica del destinatario (ECDH con una
+ * chiave effimera + HKDF) e carica il documento di condivisione su IPFS.
+ *
+ * Record nel system hash map (mai cifrati con la chiave master: devono essere
+ * leggibili dal destinatario):
+ * - { hash, recordType: "sharing-key", address, publicKey, signature }
+ * - { hash, recordType: "wallet-share", recipient, sender, senderRecord }
+ *   hash = CID del documento di condivisione, senderRecord = riferimento al
+ *   file condiviso cifrato con la chiave master di chi condivide
+ *
+ * Il documento di condivisione è firmato (EIP-712) dal wallet di chi
+ * condivide: il destinatario mostra il mittente solo se la firma è valida.
+ *
+ * La revoca ricifra il file con una nuova chiave di contenuto (nuovo CID) e
+ * ripubblica le condivisioni ancora valide: la chiave vista dal destinatario
+ * revocato non apre le nuove versioni. La vecchia versione resta leggibile
+ * finché il suo CID è pinnato: in wallet mode il relay non consente di
+ * rimuovere i pin, e revoke() lo segnala con unpinned: false.
+ */
+
+import {
+  ENCRYPTION_FORMAT,
+  base64ToBytes,
+  bytesToBase64,
+  decryptBlob,
+  encryptBlob,
+} from "./chunked-crypto.js";
+import { KEY_WRAPPING, getWrappedKey, unwrapContentKey } from "./envelope.js";
+import { LINK_SHARE_RECORD_TYPE } from "./share-link.js";
+
+export const SHARE_RECORD_TYPE = "wallet-share";
+export const SHARING_KEY_RECORD_TYPE = "sharing-key";
+export const SHARE_DOCUMENT_TYPE = "shogun-drive-share";
+
+const SHARING_KEY_VERSION = 1;
+const HKDF_SALT = "shogun-drive/wallet-share";
+
+// Header PKCS#8 di una chiave privata X25519 (seguito dai 32 byte della chiave)
+const X25519_PKCS8_PREFIX = new Uint8Array([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x6e,
+  0x04, 0x22, 0x04, 0x20,
+]);
+
+/**
+ * Verifica se un record di metadati appartiene alla condivisione
+ * (da escludere dalla lista file)
+ */
+export function isShareRecord(metadata) {
+  return (
+    metadata?.recordType === SHARE_RECORD_TYPE ||
+    metadata?.recordType === SHARING_KEY_RECORD_TYPE ||
+    metadata?.recordType === LINK_SHARE_RECORD_TYPE
+  );
+}
+
+export function isWalletAddress(value) {
+  return /^0x[0-9a-fA-F]{40}$/.test(value || "");
+}
+
+async function hkdf(material, info) {
+  const encoder = new TextEncoder();
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    material,
+    "HKDF",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: encoder.encode(HKDF_SALT),
+      info: encoder.encode(info),
+    },
+    baseKey,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Coppia di chiavi di condivisione deterministica (stesso wallet = stessa coppia)
+ * @param walletKey Chiave raw derivata dalla firma del wallet
+ * @returns Promise con { privateKey: CryptoKey, publicKey: base64 }
+ */
+export async function deriveSharingKeyPair(walletKey, address) {
+  if (!walletKey || !address) {
+    throw new Error("Connect your wallet to use wallet sharing");
+  }
+  const seed = await hkdf(
+    walletKey,
+    `sharing-key:v${SHARING_KEY_VERSION}:${address.toLowerCase()}`
+  );
+  const pkcs8 = new Uint8Array(X25519_PKCS8_PREFIX.length + seed.length);
+  pkcs8.set(X25519_PKCS8_PREFIX);
+  pkcs8.set(seed, X25519_PKCS8_PREFIX.length);
+
+  const privateKey = await crypto.subtle.importKey(
+    "pkcs8",
+    pkcs8,
+    { name: "X25519" },
+    true,
+    ["deriveBits"]
+  );
+  // Il JWK della chiave privata contiene anche la chiave pubblica (x)
+  const { x } = await crypto.subtle.exportKey("jwk", privateKey);
+  const base64 = x.replace(/-/g, "+").replace(/_/g, "/");
+  const publicKey = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  return { privateKey, publicKey };
+}
+
+/**
+ * Dati EIP-712 che legano la chiave pubblica di condivisione all'indirizzo
+ */
+export function buildSharingKeyTypedData(address, publicKey) {
+  return {
+    domain: {
+      name: "Shogun Drive",
+      version: String(SHARING_KEY_VERSION),
+    },
+    types: {
+      SharingKey: [
+        { name: "purpose", type: "string" },
+        { name: "account", type: "address" },
+        { name: "publicKey", type: "string" },
+      ],
+    },
+    message: {
+      purpose: "Publish my Shogun Drive sharing key.",
+      account: address,
+      publicKey,
+    },
+  };
+}
+
+/**
+ * Verifica che un record sharing-key sia firmato dal suo indirizzo
+ */
+export function verifySharingKeyRecord(record) {
+  if (!window.ethers?.verifyTypedData) {
+    throw new Error("ethers.js is required to verify sharing keys");
+  }
+  const { domain, types, message } = buildSharingKeyTypedData(
+    record.address,
+    record.publicKey
+  );
+  const signer = window.ethers.verifyTypedData(
+    domain,
+    types,
+    message,
+    record.signature
+  );
+  return signer.toLowerCase() === record.address.toLowerCase();
+}
+
+/**
+ * Firma valida di un record sharing-key (un record non verificabile non vale)
+ */
+function hasValidSharingKey(record) {
+  try {
+    return verifySharingKeyRecord(record);
+  } catch (error) {
+    console.warn("⚠️ Invalid sharing key record:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Impronta SHA-256 del payload cifrato di un documento di condivisione
+ * @returns Promise con l'impronta esadecimale (bytes32)
+ */
+async function sharePayloadHash(encryptedPayload) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    base64ToBytes(encryptedPayload)
+  );
+  return (
+    "0x" +
+    Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("")
+  );
+}
+
+/**
+ * Dati EIP-712 che legano un documento di condivisione a chi lo invia
+ */
+export function buildShareTypedData(
+  sender,
+  recipient,
+  ephemeralPublicKey,
+  payloadHash
+) {
+  return {
+    domain: {
+      name: "Shogun Drive",
+      version: String(SHARING_KEY_VERSION),
+    },
+    types: {
+      Share: [
+        { name: "purpose", type: "string" },
+        { name: "sender", type: "address" },
+        { name: "recipient", type: "address" },
+        { name: "ephemeralPublicKey", type: "string" },
+        { name: "payloadHash", type: "bytes32" },
+      ],
+    },
+    message: {
+      purpose: "Share a Shogun Drive item.",
+      sender,
+      recipient,
+      ephemeralPublicKey,
+      payloadHash,
+    },
+  };
+}
+
+/**
+ * Verifica che un documento di condivisione sia firmato dal suo mittente
+ */
+export async function verifyShareDocument(shareDocument) {
+  if (!window.ethers?.verifyTypedData) {
+    throw new Error("ethers.js is required to verify shares");
+  }
+  if (!shareDocument.signature || !isWalletAddress(shareDocument.sender)) {
+    return false;
+  }
+  const { domain, types, message } = buildShareTypedData(
+    shareDocument.sender,
+    shareDocument.recipient,
+    shareDocument.ephemeralPublicKey,
+    await sharePayloadHash(shareDocument.encryptedPayload)
+  );
+  const signer = window.ethers.verifyTypedData(
+    domain,
+    types,
+    message,
+    shareDocument.signature
+  );
+  return signer.toLowerCase() === shareDocument.sender.toLowerCase();
+}
+
+/**
+ * Chiave AES condivisa tra una chiave privata e una pubblica X25519
+ */
+async function sharedSecret(privateKey, publicKey, info) {
+  const bits = await crypto.subtle.deriveBits(
+    { name: "X25519", public: publicKey },
+    privateKey,
+    256
+  );
+  return await hkdf(new Uint8Array(bits), info);
+}
+
+function importPublicKey(publicKey) {
+  return crypto.subtle.importKey(
+    "raw",
+    base64ToBytes(publicKey),
+    { name: "X25519" },
+    true,
+    []
+  );
+}
+
+/**
+ * Cifra un payload JSON per la chiave pubblica del destinatario
+ * @returns Promise con { ephemeralPublicKey, encryptedPayload } (base64)
+ */
+export async function sealForRecipient(payload, recipientPublicKey) {
+  const ephemeral = await crypto.subtle.generateKey(
+    { name: "X25519" },
+    true,
+    ["deriveBits"]
+  );
+  const ephemeralPublicKey = bytesToBase64(
+    new Uint8Array(await crypto.subtle.exportKey("raw", ephemeral.publicKey))
+  );
+  const key = await sharedSecret(
+    ephemeral.privateKey,
+    await importPublicKey(recipientPublicKey),
+    `share:v${SHARING_KEY_VERSION}:${recipientPublicKey}`
+  );
+
+  const encrypted = await encryptBlob(
+    new Blob([JSON.stringify(payload)], { type: "application/json" }),
+    key
+  );
+  return {
+    ephemeralPublicKey,
+    encryptedPayload: bytesToBase64(
+      new Uint8Array(await encrypted.arrayBuffer())
+    ),
+  };
+}
+
+/**
+ * Decifra un documento prodotto da sealForRecipient
+ */
+export async function openFromSender(shareDocument, keyPair) {
+  const key = await sharedSecret(
+    keyPair.privateKey,
+    await importPublicKey(shareDocument.ephemeralPublicKey),
+    `share:v${SHARING_KEY_VERSION}:${keyPair.publicKey}`
+  );
+  const decrypted = await decryptBlob(
+    new Blob([base64ToBytes(shareDocument.encryptedPayload)]),
+    key
+  );
+  return JSON.parse(await decrypted.text());
+}
+
+function parseFiles(files) {
+  if (Array.isArray(files)) return files;
+  try {
+    return JSON.parse(files || "[]");
+  } catch (e) {
+    return [];
+  }
+}
+
+export class WalletSharing {
+  /**
+   * @param driveCore Istanza DriveCore con il wallet connesso (chiave derivata)
+   */
+  constructor(driveCore) {
+    this.driveCore = driveCore;
+    this.keyPair = null;
+  }
+
+  get address() {
+    return (this.driveCore.userAddress || "").toLowerCase();
+  }
+
+  _requireSharing() {
+    if (!this.driveCore.backend.capabilities.remoteMetadata) {
+      throw new Error("Sharing with a wallet requires the shogun-relay backend");
+    }
+    if (!this.address) {
+      throw new Error("Connect your wallet to use wallet sharing");
+    }
+  }
+
+  async getKeyPair() {
+    // Ricalcola se il wallet (o la sua chiave) è cambiato
+    if (
+      !this.keyPair ||
+      this.keyPair.address !== this.address ||
+      this.keyPair.walletKey !== this.driveCore.walletKey
+    ) {
+      this.keyPair = {
+        ...(await deriveSharingKeyPair(this.driveCore.walletKey, this.address)),
+        address: this.address,
+        walletKey: this.driveCore.walletKey,
+      };
+    }
+    return this.keyPair;
+  }
+
+  async _records(recordType) {
+    const map = (await this.driveCore.backend.getMetadataMap()) || {};
+    return Object.entries(map)
+      .filter(([, record]) => record?.recordType === recordType)
+      .map(([cid, record]) => ({ ...record, hash: record.hash || cid }));
+  }
+
+  async _addJson(content, name) {
+    const { hash } = await this.driveCore.backend.add(
+      new File([JSON.stringify(content)], name, { type: "application/json" })
+    );
+    return hash;
+  }
+
+  async _readJson(cid) {
+    const response = await this.driveCore.backend.cat(cid);
+    if (!response.ok) {
+      throw new Error(`Failed to read ${cid}: ${response.status}`);
+    }
+    return await response.json();
+  }
+
+  async _saveRecord(record) {
+    const saved = await this.driveCore.saveFileMetadata(record, {
+      public: true,
+    });
+    if (!saved) {
+      throw new Error("Failed to save share record");
+    }
+  }
+
+  /**
+   * Pubblica la chiave di condivisione del wallet (una sola volta)
+   * @param signer Signer ethers del wallet connesso
+   */
+  async publishKey(signer) {
+    this._requireSharing();
+    const { publicKey } = await this.getKeyPair();
+
+    // Un record senza firma valida (pubblicato da altri) non conta
+    const existing = (await this._records(SHARING_KEY_RECORD_TYPE)).find(
+      (record) =>
+        record.address?.toLowerCase() === this.address &&
+        record.publicKey === publicKey &&
+        hasValidSharingKey(record)
+    );
+    if (existing) return existing;
+
+    if (!signer) {
+      throw new Error("Wallet signer is required to publish the sharing key");
+    }
+    const { domain, types, message } = buildSharingKeyTypedData(
+      this.address,
+      publicKey
+    );
+    const record = {
+      recordType: SHARING_KEY_RECORD_TYPE,
+      address: this.address,
+      publicKey,
+      signature: await signer.signTypedData(domain, types, message),
+      version: SHARING_KEY_VERSION,
+      createdAt: Date.now(),
+    };
+    const hash = await this._addJson(record, "sharing-key.json");
+    await this._saveRecord({ ...record, hash });
+    console.log("🔑 Sharing key published");
+    return { ...record, hash };
+  }
+
+  /**
+   * Chiave pubblica verificata di un indirizzo
+   */
+  async findRecipientKey(address) {
+    const records = (await this._records(SHARING_KEY_RECORD_TYPE))
+      .filter(
+        (record) => record.address?.toLowerCase() === address.toLowerCase()
+      )
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+    const record = records.find(hasValidSharingKey);
+    if (!record) {
+      throw new Error(
+        `${address} has not enabled wallet sharing yet - they need to connect their wallet to Drive once`
+      );
+    }
+    return record.publicKey;
+  }
+
+  /**
+   * Condivide un file o una directory con un indirizzo
+   * @param signer Signer ethers del wallet connesso (firma il documento)
+   * @returns Promise con il record di condivisione
+   */
+  async shareWithAddress(file, recipient, signer) {
+    this._requireSharing();
+    if (!isWalletAddress(recipient)) {
+      throw new Error("Invalid wallet address");
+    }
+    if (!signer) {
+      throw new Error("Wallet signer is required to share with an address");
+    }
+    if (file.parentDirectory) {
+      // La revoca ricifra l'intera directory: si condivide la cartella
+      throw new Error("Share the whole folder to share files inside it");
+    }
+    recipient = recipient.toLowerCase();
+    if (recipient === this.address) {
+      throw new Error("You cannot share a file with yourself");
+    }
+
+    const publicKey = await this.findRecipientKey(recipient);
+    const payload = await this._buildPayload(file);
+    const sealed = await sealForRecipient(payload, publicKey);
+
+    const { domain, types, message } = buildShareTypedData(
+      this.address,
+      recipient,
+      sealed.ephemeralPublicKey,
+      await sharePayloadHash(sealed.encryptedPayload)
+    );
+    const shareDocument = {
+      type: SHARE_DOCUMENT_TYPE,
+      version: SHARING_KEY_VERSION,
+      recipient,
+      sender: this.address,
+      ...sealed,
+      signature: await signer.signTypedData(domain, types, message),
+    };
+    const hash = await this._addJson(shareDocument, "share.json");
+
+    // Riferimento leggibile solo da chi condivide (serve per la revoca)
+    const senderRecord = await encryptBlob(
+      new Blob([
+        JSON.stringify({
+          itemCid: file.cid,
+          name: payload.name,
+          isDirectory: payload.isDirectory,
+        }),
+      ]),
+      this.driveCore.getKeyring({ forEncryption: true })
+    );
+
+    const record = {
+      hash,
+      recordType: SHARE_RECORD_TYPE,
+      recipient,
+      sender: this.address,
+      senderRecord: bytesToBase64(
+        new Uint8Array(await senderRecord.arrayBuffer())
+      ),
+      createdAt: Date.now(),
+    };
+    await this._saveRecord(record);
+    console.log(`🤝 Shared ${file.cid} with ${recipient}`);
+    return record;
+  }
+
+  /**
+   * Payload per il destinatario: CID e chiavi di contenuto in chiaro
+   */
+  async _buildPayload(file) {
+    const metadata = { ...(file.metadata || {}), ...file };
+    const name = (metadata.originalName || metadata.name || file.cid).replace(
+      /\.enc$/,
+      ""
+    );
+
+    const contentKey = async (entry) => {
+      if (!entry.isEncrypted) return null;
+      const wrappedKey = getWrappedKey(entry);
+      if (!wrappedKey) {
+        throw new Error(
+          `${entry.name || name} is encrypted with your master key - rotate the encryption key to share it`
+        );
+      }
+      return bytesToBase64(
+        await unwrapContentKey(wrappedKey, this.driveCore.getKeyring())
+      );
+    };
+
+    if (file.isDirectory) {
+      const files = [];
+      for (const entry of parseFiles(metadata.files)) {
+        files.push({
+          path: entry.path,
+          name: entry.name,
+          size: entry.size || 0,
+          type:
+            entry.originalContentType ||
+            entry.mimetype ||
+            "application/octet-stream",
+          isEncrypted: !!entry.isEncrypted,
+          contentKey: await contentKey(entry),
+        });
+      }
+      return { cid: file.cid, name, isDirectory: true, files };
+    }
+
+    return {
+      cid: file.cid,
+      name,
+      isDirectory: false,
+      size: file.size || 0,
+      type: file.type || "application/octet-stream",
+      isEncrypted: !!file.isEncrypted,
+      contentKey: await contentKey(metadata),
+    };
+  }
+
+  /**
+   * Condivisioni ricevute dal wallet connesso: solo quelle con un documento
+   * firmato dal mittente (chiunque può pubblicare un record)
+   * @returns Promise con [{ shareCid, sender, createdAt, cid, name, isDirectory, files?, ... }]
+   */
+  async listIncoming() {
+    this._requireSharing();
+    const keyPair = await this.getKeyPair();
+    const records = (await this._records(SHARE_RECORD_TYPE)).filter(
+      (record) => record.recipient === this.address
+    );
+
+    const shares = [];
+    for (const record of records) {
+      try {
+        const shareDocument = await this._readJson(record.hash);
+        if (
+          shareDocument.recipient?.toLowerCase() !== this.address ||
+          !(await verifyShareDocument(shareDocument))
+        ) {
+          throw new Error("share is not signed by its sender");
+        }
+        const payload = await openFromSender(shareDocument, keyPair);
+        shares.push({
+          ...payload,
+          shareCid: record.hash,
+          sender: shareDocument.sender.toLowerCase(),
+          createdAt: record.createdAt,
+        });
+      } catch (error) {
+        console.warn(`⚠️ Cannot open share ${record.hash}:`, error.message);
+      }
+    }
+    return shares.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  }
+
+  /**
+   * Condivisioni create dal wallet connesso
+   * @returns Promise con [{ shareCid, recipient, createdAt, itemCid, name, isDirectory }]
+   */
+  async listOutgoing() {
+    this._requireSharing();
+    const records = (await this._records(SHARE_RECORD_TYPE)).filter(
+      (record) => record.sender === this.address
+    );
+
+    const shares = [];
+    for (const record of records) {
+      let reference = { itemCid: null, name: "Unknown item" };
+      try {
+        const decrypted = await decryptBlob(
+          new Blob([base64ToBytes(record.senderRecord)]),
+          this.driveCore.getKeyring()
+        );
+        reference = JSON.parse(await decrypted.text());
+      } catch (error) {
+        console.warn(`⚠️ Cannot read share ${record.hash}:`, error.message);
+      }
+      shares.push({
+        ...reference,
+        shareCid: record.hash,
+        recipient: record.recipient,
+        createdAt: record.createdAt,
+      });
+    }
+    return shares.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  }
+
+  /**
+   * Scarica e decifra un file ricevuto
+   * @param share Condivisione da listIncoming
+   * @param entry File della directory condivisa (solo per le directory)
+   */
+  async openSharedFile(share, entry = null) {
+    const item = entry || share;
+    let blob;
+    if (entry) {
+      blob = await this.driveCore.catFromDirectory(
+        share.cid,
+        this.driveCore.directoryEntryPath(entry.path)
+      );
+    } else {
+      const response = await this.driveCore.backend.cat(share.cid);
+      if (!response.ok) {
+        throw new Error(`Download failed: ${response.status}`);
+      }
+      blob = await response.blob();
+    }
+
+    if (item.isEncrypted) {
+      blob = await decryptBlob(blob, base64ToBytes(item.contentKey));
+    }
+    return new Blob([blob], { type: item.type || "application/octet-stream" });
+  }
+
+  /**
+   * Revoca una condivisione ricifrando il file con una nuova chiave
+   * @param share Condivisione da listOutgoing
+   * @param signer Signer ethers (firma le condivisioni ripubblicate)
+   * @returns Promise con { newCid, reissued, unpinned } (unpinned: il vecchio
+   *   CID non è più pinnato; se false il destinatario revocato può ancora
+   *   aprire la versione a cui aveva accesso)
+   */
+  async revoke(share, signer) {
+    this._requireSharing();
+    if (!signer) {
+      throw new Error("Wallet signer is required to revoke a share");
+    }
+
+    const outgoing = await this.listOutgoing();
+    const files = share.itemCid
+      ? await this.driveCore.getFileList({ includeTrash: true })
+      : [];
+    const file = files.find((candidate) => candidate.cid === share.itemCid);
+
+    let newCid = share.itemCid;
+    const reissued = [];
+
+    // Contenuti in chiaro: il CID è già noto, basta rimuovere la condivisione
+    const encrypted =
+      file &&
+      (file.isEncrypted ||
+        parseFiles(file.metadata?.files).some((entry) => entry.isEncrypted));
+
+    if (encrypted) {
+      const rekeyed = await this._rekey(file);
+      newCid = rekeyed.cid;
+
+      // Le altre condivisioni dello stesso file ricevono la nuova chiave
+      for (const other of outgoing) {
+        if (other.itemCid !== share.itemCid || other.shareCid === share.shareCid) {
+          continue;
+        }
+        await this.shareWithAddress(rekeyed, other.recipient, signer);
+        await this.driveCore.deleteFile(other.shareCid);
+        reissued.push(other.recipient);
+      }
+    }
+
+    await this.driveCore.deleteFile(share.shareCid);
+
+    // La rimozione del pin può fallire (o non essere consentita) senza errori
+    const { backend } = this.driveCore;
+    const unpinned =
+      newCid !== share.itemCid &&
+      backend.canManagePins() &&
+      !(await backend.hasPin(share.itemCid));
+    if (!unpinned) {
+      console.warn(
+        `⚠️ ${share.itemCid} is still stored: the revoked recipient can still open it`
+      );
+    }
+
+    console.log(`🚫 Share ${share.shareCid} revoked`);
+    return { newCid, reissued, unpinned };
+  }
+
+  /**
+   * Ricifra un file o una directory con nuove chiavi di contenuto
+   * @returns Promise con la nuova entry (stesso formato di getFileList)
+   */
+  async _rekey(file) {
+    const metadata = { ...(file.metadata || {}), hash: file.cid };
+
+    if (file.isDirectory) {
+      // Stessa strada delle altre modifiche: la cartella resta la stessa
+      // (folderId, previousCids, IPNS) e la vecchia versione viene rimossa
+      const result = await this.driveCore.rekeyDirectory(file.cid, metadata);
+      return {
+        ...file,
+        cid: result.directoryCid,
+        wrappedKey: null,
+        metadata: result.metadata,
+      };
+    }
+
+    const plain = await this.driveCore.downloadFile(file.cid, file);
+    const now = Date.now();
+    const { file: encrypted, wrappedKey } =
+      await this.driveCore.encryptFileWithContentKey(
+        new File([plain], file.originalName || file.name)
+      );
+    const { hash } = await this.driveCore.backend.add(
+      new File([encrypted], this.driveCore.uploadName(encrypted.name), {
+        type: encrypted.type,
+      })
+    );
+    const updated = {
+      ...metadata,
+      hash,
+      fileName: encrypted.name,
+      displayName: encrypted.name,
+      fileSize: encrypted.size,
+      encryptionFormat: ENCRYPTION_FORMAT,
+      wrappedKey,
+      keyWrapping: KEY_WRAPPING,
+      relayUrl: this.driveCore.backend.publicUrl(hash),
+      timestamp: now,
+    };
+
+    if (!(await this.driveCore.saveFileMetadata(updated))) {
+      throw new Error("Failed to save re-keyed metadata");
+    }
+    await this.driveCore.deleteFile(file.cid, file.metadata);
+
+    return {
+      ...file,
+      cid: updated.hash,
+      wrappedKey: updated.wrappedKey || null,
+      metadata: updated,
+    };
+  }
+}
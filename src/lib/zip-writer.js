@@ -0,0 +1,207 @@
+/**
+ * ZIP Writer
+ * Crea un archivio ZIP in streaming: ogni entry viene letta dal proprio
+ * stream e scritta subito (metodo "stored", senza compressione), con CRC e
+ * dimensioni nel data descriptor che la segue. In memoria resta solo la
+ * central directory, scritta alla fine.
+ *
+ * Niente ZIP64: archivi oltre 4 GiB o 65535 entry vengono rifiutati.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+// Bit 3: CRC e dimensioni nel data descriptor; bit 11: nomi in UTF-8
+const FLAGS = 0x0808;
+const VERSION = 20;
+const MAX_UINT32 = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(crc, bytes) {
+  crc = ~crc >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * Data e ora nel formato MS-DOS usato dallo ZIP
+ */
+function dosDateTime(timestamp) {
+  const date = new Date(timestamp || Date.now());
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+function record(size, write) {
+  const bytes = new Uint8Array(size);
+  write(new DataView(bytes.buffer));
+  return bytes;
+}
+
+function withName(header, name) {
+  const out = new Uint8Array(header.length + name.length);
+  out.set(header, 0);
+  out.set(name, header.length);
+  return out;
+}
+
+/**
+ * Normalizza il percorso di un'entry (separatori "/", niente "/" iniziale
+ * né segmenti "." o "..")
+ */
+export function zipEntryName(path) {
+  return path
+    .split(/[\\/]+/)
+    .filter((segment) => segment && segment !== "." && segment !== "..")
+    .join("/");
+}
+
+/**
+ * Crea l'archivio ZIP
+ * @param entries Iterabile (anche async) di { name, stream, lastModified }:
+ *   gli stream vengono letti uno alla volta, nell'ordine
+ * @returns ReadableStream dei byte dell'archivio
+ */
+export function createZipStream(entries) {
+  const encoder = new TextEncoder();
+  const iterator = (entries[Symbol.asyncIterator] || entries[Symbol.iterator]).call(
+    entries
+  );
+  const central = [];
+  let offset = 0;
+  let current = null;
+
+  const checkSize = (value) => {
+    if (value > MAX_UINT32) {
+      throw new Error("Archives larger than 4 GiB are not supported");
+    }
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      const emit = (bytes) => {
+        offset += bytes.length;
+        controller.enqueue(bytes);
+      };
+
+      // Entry in corso: copia il prossimo blocco di dati
+      if (current) {
+        const { done, value } = await current.reader.read();
+        if (!done) {
+          current.crc = crc32(current.crc, value);
+          current.size += value.length;
+          checkSize(current.size);
+          emit(value);
+          return;
+        }
+
+        const { crc, size } = current;
+        emit(
+          record(16, (view) => {
+            view.setUint32(0, DATA_DESCRIPTOR, true);
+            view.setUint32(4, crc, true);
+            view.setUint32(8, size, true);
+            view.setUint32(12, size, true);
+          })
+        );
+        central.push({ ...current.header, crc, size });
+        current = null;
+        return;
+      }
+
+      const { done, value: entry } = await iterator.next();
+      if (!done) {
+        if (central.length >= MAX_ENTRIES) {
+          throw new Error("Archives with more than 65535 entries are not supported");
+        }
+        checkSize(offset);
+        const name = encoder.encode(zipEntryName(entry.name));
+        const { time, date } = dosDateTime(entry.lastModified);
+        current = {
+          header: { name, time, date, offset },
+          reader: entry.stream.getReader(),
+          crc: 0,
+          size: 0,
+        };
+        emit(
+          withName(
+            record(30, (view) => {
+              view.setUint32(0, LOCAL_HEADER, true);
+              view.setUint16(4, VERSION, true);
+              view.setUint16(6, FLAGS, true);
+              view.setUint16(8, 0, true); // stored
+              view.setUint16(10, time, true);
+              view.setUint16(12, date, true);
+              // CRC e dimensioni (offset 14-25) nel data descriptor
+              view.setUint16(26, name.length, true);
+            }),
+            name
+          )
+        );
+        return;
+      }
+
+      // Fine: central directory e record finale
+      const centralStart = offset;
+      for (const entry of central) {
+        emit(
+          withName(
+            record(46, (view) => {
+              view.setUint32(0, CENTRAL_HEADER, true);
+              view.setUint16(4, VERSION, true);
+              view.setUint16(6, VERSION, true);
+              view.setUint16(8, FLAGS, true);
+              view.setUint16(10, 0, true);
+              view.setUint16(12, entry.time, true);
+              view.setUint16(14, entry.date, true);
+              view.setUint32(16, entry.crc, true);
+              view.setUint32(20, entry.size, true);
+              view.setUint32(24, entry.size, true);
+              view.setUint16(28, entry.name.length, true);
+              view.setUint32(42, entry.offset, true);
+            }),
+            entry.name
+          )
+        );
+      }
+      const centralSize = offset - centralStart;
+      checkSize(offset);
+      emit(
+        record(22, (view) => {
+          view.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+          view.setUint16(8, central.length, true);
+          view.setUint16(10, central.length, true);
+          view.setUint32(12, centralSize, true);
+          view.setUint32(16, centralStart, true);
+        })
+      );
+      controller.close();
+    },
+
+    async cancel(reason) {
+      await current?.reader.cancel(reason);
+      await iterator.return?.();
+    },
+  });
+}
@@ -0,0 +1,11 @@
+import { ShareViewer } from './components/ShareViewer.js';
+import './styles.css';
+
+document.addEventListener('DOMContentLoaded', () => {
+  const app = document.getElementById('app');
+  const viewer = new ShareViewer();
+  app.appendChild(viewer.render());
+
+  // Un nuovo link incollato nella stessa scheda cambia solo il fragment
+  window.addEventListener('hashchange', () => window.location.reload());
+});
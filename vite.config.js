@@ -1,4 +1,5 @@
 import { defineConfig } from "vite";
+import { resolve } from "path";
 import tailwindcss from '@tailwindcss/vite';
 
 export default defineConfig({
@@ -11,7 +12,14 @@ export default defineConfig({
   },
   build: {
     outDir: "dist",
-    emptyOutDir: true
+    emptyOutDir: true,
+    rollupOptions: {
+      input: {
+        main: resolve(__dirname, "index.html"),
+        // Viewer standalone per i link di condivisione
+        share: resolve(__dirname, "share.html")
+      }
+    }
   }
 });
 